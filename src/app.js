@@ -13,6 +13,9 @@ class NaaSApp {
         this.componentManager = null;
         this.quoteWizard = null;
         this.importExportManager = null;
+        this.pricingEditor = null;
+        this.prtgCatalogueEditor = null;
+        this.financialAnalysisPanel = null;
         this.liveUpdates = true;
 
         // Managers
@@ -185,6 +188,37 @@ class NaaSApp {
             // Continue without import/export functionality
         }
 
+        this.updateLoadingIndicator('Loading price book...');
+        try {
+            this.pricingEditor = new PricingEditor(this.calculator, this.dataStore);
+            window.pricingEditor = this.pricingEditor;
+            await this.pricingEditor.loadPublishedPriceBook();
+            console.log('PricingEditor initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize PricingEditor:', error);
+            this.showNotification('Using default price book - published prices could not be loaded', 'warning');
+            // Continue with the default price book
+        }
+
+        try {
+            this.prtgCatalogueEditor = new PRTGCatalogueEditor(this.componentManager.sensorPlanner, this.dataStore);
+            window.prtgCatalogueEditor = this.prtgCatalogueEditor;
+            await this.prtgCatalogueEditor.loadStoredCatalogue();
+            console.log('PRTGCatalogueEditor initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize PRTGCatalogueEditor:', error);
+            // Continue with the shipped PRTG catalogue
+        }
+
+        try {
+            this.financialAnalysisPanel = new FinancialAnalysisPanel(this.calculator, this.dataStore);
+            window.financialAnalysisPanel = this.financialAnalysisPanel;
+            console.log('FinancialAnalysisPanel initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize FinancialAnalysisPanel:', error);
+            // Continue without the financial analysis panel
+        }
+
         // Initialize ViewManager
         this.updateLoadingIndicator('Initializing view manager...');
         try {
@@ -292,6 +326,14 @@ class NaaSApp {
         // Update any project-related UI elements
         // This could include updating dashboard project info, etc.
         console.log('Project data updated:', projectData);
+
+        // Quote currency affects every figure in the pricing summary
+        if (this.componentManager) {
+            this.componentManager.updatePricingSummary();
+        }
+
+        // Currency, term and discount rate all feed the financial analysis
+        this.financialAnalysisPanel?.render();
     }
 
     updateComponentUI(componentType, componentData) {
@@ -308,6 +350,8 @@ class NaaSApp {
         if (this.quoteWizard && this.currentView === 'wizard') {
             this.quoteWizard.updateLivePricing();
         }
+
+        this.financialAnalysisPanel?.render();
     }
 
     handleDataClear() {
@@ -520,7 +564,7 @@ class NaaSApp {
      * @param {string} viewName - The view name to show on Enter/Space
      */
     handleTabNavigation(e, viewName) {
-        const tabs = ['dashboard', 'components', 'wizard', 'history'];
+        const tabs = ['dashboard', 'components', 'wizard', 'history', 'pricing'];
         const currentIndex = tabs.indexOf(viewName);
 
         switch (e.key) {
@@ -562,7 +606,7 @@ class NaaSApp {
 
             case 'End':
                 e.preventDefault();
-                document.getElementById('historyBtn')?.focus();
+                document.getElementById('pricingBtn')?.focus();
                 break;
         }
     }
@@ -577,7 +621,8 @@ class NaaSApp {
             dashboard: 'Overview of available components and recent quotes',
             components: 'Configure individual pricing components',
             wizard: 'Step-by-step comprehensive quote builder',
-            history: 'View and manage saved quotes'
+            history: 'View and manage saved quotes',
+            pricing: 'Edit, preview and publish price books'
         };
 
         return descriptions[viewName] || '';
@@ -618,7 +663,8 @@ class NaaSApp {
                     dashboard: 'Dashboard view',
                     components: 'Components view',
                     wizard: 'Full Quote Builder view',
-                    history: 'Quote History view'
+                    history: 'Quote History view',
+                    pricing: 'Price Book Editor view'
                 };
 
                 this.announceToScreenReader(
@@ -662,6 +708,9 @@ class NaaSApp {
 
             // View-specific initialization
             switch (viewName) {
+                case 'dashboard':
+                    this.financialAnalysisPanel?.render();
+                    break;
                 case 'components':
                     this.initializeComponentsView();
                     break;
@@ -673,6 +722,10 @@ class NaaSApp {
                 case 'history':
                     this.loadHistory();
                     break;
+                case 'pricing':
+                    this.pricingEditor?.initialize();
+                    this.prtgCatalogueEditor?.initialize();
+                    break;
             }
 
         } catch (error) {
@@ -881,6 +934,9 @@ class NaaSApp {
         
         // Update dashboard with real pricing data
         this.updateDashboardPricing();
+
+        // Compare the current quote with buying outright
+        this.financialAnalysisPanel?.render();
         
         // Load recent quotes
         this.loadRecentQuotes();
@@ -926,7 +982,7 @@ class NaaSApp {
 
         Object.keys(components).forEach(componentType => {
             const component = components[componentType];
-            const isOneTime = componentType === 'onboarding' || componentType === 'assessment' || componentType === 'admin' || componentType === 'otherCosts';
+            const isOneTime = componentType === 'onboarding' || componentType === 'assessment' || componentType === 'admin' || componentType === 'otherCosts' || componentType === 'labour';
             const isHelp = componentType === 'help';
             const pricingType = isHelp ? 'Free' : (isOneTime ? 'One-time' : 'Standalone');
             
@@ -941,6 +997,8 @@ class NaaSApp {
                 assessment: 'plagiarism',
                 admin: 'admin_panel_settings',
                 otherCosts: 'add_business',
+                labour: 'engineering',
+                compliance: 'policy',
                 enhancedSupport: 'verified_user',
                 dynamics1Year: 'schedule',
                 dynamics3Year: 'schedule',
@@ -1015,6 +1073,20 @@ class NaaSApp {
                     bg: 'bg-orange-900 bg-opacity-50',
                     tag: 'text-orange-300'
                 },
+                labour: {
+                    border: 'border-amber-500',
+                    icon: 'text-amber-400',
+                    price: 'text-amber-400',
+                    bg: 'bg-amber-900 bg-opacity-50',
+                    tag: 'text-amber-300'
+                },
+                compliance: {
+                    border: 'border-emerald-500',
+                    icon: 'text-emerald-400',
+                    price: 'text-emerald-400',
+                    bg: 'bg-emerald-900 bg-opacity-50',
+                    tag: 'text-emerald-300'
+                },
                 enhancedSupport: { 
                     border: 'border-red-500', 
                     icon: 'text-red-400', 
@@ -1159,6 +1231,8 @@ class NaaSApp {
             assessment: { complexity: 'standard', deviceCount: 10, siteCount: 1 },
             admin: { annualReviews: 0, quarterlyReviews: 0, biAnnualReviews: 0 },
             otherCosts: { items: [] },
+            labour: { hours: { engineer: 8 } },
+            compliance: { frameworks: ['cyber_essentials'] },
             enhancedSupport: { level: 'enhanced', deviceCount: 10 },
             dynamics1Year: { termMonths: 12, cpiRate: 0.03, aprRate: 0.05 },
             dynamics3Year: { termMonths: 36, cpiRate: 0.03, aprRate: 0.05 },
@@ -1198,6 +1272,12 @@ class NaaSApp {
                     case 'otherCosts':
                         result = this.calculator.calculateOtherCosts(defaultParams[componentType]);
                         break;
+                    case 'labour':
+                        result = this.calculator.calculateLabour(defaultParams[componentType]);
+                        break;
+                    case 'compliance':
+                        result = this.calculator.calculateCompliance(defaultParams[componentType]);
+                        break;
                     case 'enhancedSupport':
                         result = this.calculator.calculateEnhancedSupport(defaultParams[componentType]);
                         break;
@@ -1218,7 +1298,7 @@ class NaaSApp {
                         if (componentType === 'help') {
                             priceElement.textContent = 'Free';
                         } else {
-                            const isOneTime = componentType === 'onboarding' || componentType === 'assessment' || componentType === 'admin' || componentType === 'otherCosts';
+                            const isOneTime = componentType === 'onboarding' || componentType === 'assessment' || componentType === 'admin' || componentType === 'otherCosts' || componentType === 'labour';
                             const amount = isOneTime ? (result.totals.oneTime || 0) : (result.totals.monthly || 0);
                             priceElement.textContent = this.calculator.formatCurrency(amount);
                         }
@@ -1564,7 +1644,7 @@ class NaaSApp {
                             </div>
                         </div>
                         <div class="text-right">
-                            <div class="pricing-amount">${this.calculator.formatCurrency(component.totals.monthly)}</div>
+                            <div class="pricing-amount">${this.calculator.formatCurrency(component.totals.monthly, false, data.currency?.code)}</div>
                             <div class="pricing-period">/month</div>
                         </div>
                     </div>
@@ -1576,9 +1656,9 @@ class NaaSApp {
             </div>
             <div class="mt-6 pt-6 border-t border-gray-200">
                 <div class="text-center">
-                    <div class="text-2xl font-bold text-green-600">${this.calculator.formatCurrency(data.totals.monthly)}</div>
+                    <div class="text-2xl font-bold text-green-600">${this.calculator.formatCurrency(data.totals.monthly, false, data.currency?.code)}</div>
                     <div class="text-sm text-gray-600">Total Monthly</div>
-                    <div class="text-lg font-semibold text-gray-900 mt-2">${this.calculator.formatCurrency(data.totals.threeYear)}</div>
+                    <div class="text-lg font-semibold text-gray-900 mt-2">${this.calculator.formatCurrency(data.totals.threeYear, false, data.currency?.code)}</div>
                     <div class="text-sm text-gray-600">3-Year Total</div>
                 </div>
             </div>
@@ -11,6 +11,8 @@ class ComponentManager {
         this.calculator = calculator;
         this.currentComponent = null;
         this.dataStore = window.quoteDataStore;
+        this.prtgOptimiser = new PRTGOptimiser(calculator);
+        this.sensorPlanner = new PRTGSensorPlanner();
 
         // Initialize calculation orchestrator with error handling
         try {
@@ -32,7 +34,9 @@ class ComponentManager {
             professionalServices: {},
             admin: {},
             assessment: {},
-            otherCosts: {}
+            otherCosts: {},
+            labour: {},
+            compliance: {}
         };
 
         // DOM element cache for performance optimization
@@ -120,6 +124,20 @@ class ComponentManager {
                 description: 'Additional equipment and services',
                 category: 'Additional'
             },
+            labour: {
+                name: 'Labour (T&M)',
+                icon: 'fas fa-user-clock',
+                color: 'amber',
+                description: 'Time-and-materials hours and pre-paid hour bundles',
+                category: 'Services'
+            },
+            compliance: {
+                name: 'Compliance',
+                icon: 'fas fa-clipboard-check',
+                color: 'emerald',
+                description: 'PCI DSS, ISO 27001, Cyber Essentials and NHS DSPT readiness and audits',
+                category: 'Services'
+            },
             dynamics1Year: {
                 name: 'Dynamics 1 Year',
                 icon: 'fas fa-calendar',
@@ -222,6 +240,8 @@ class ComponentManager {
             assessment: 'plagiarism',
             admin: 'admin_panel_settings',
             otherCosts: 'add_business',
+            labour: 'engineering',
+            compliance: 'policy',
             enhancedSupport: 'verified_user',
             dynamics1Year: 'schedule',
             dynamics3Year: 'schedule',
@@ -256,6 +276,8 @@ class ComponentManager {
                 assessment: { icon: 'text-gray-400', bg: 'bg-gray-700', price: 'text-gray-400', tag: 'text-gray-300' },
                 admin: { icon: 'text-slate-400', bg: 'bg-slate-700', price: 'text-slate-400', tag: 'text-slate-300' },
                 otherCosts: { icon: 'text-orange-400', bg: 'bg-orange-900 bg-opacity-50', price: 'text-orange-400', tag: 'text-orange-300' },
+                labour: { icon: 'text-amber-400', bg: 'bg-amber-900 bg-opacity-50', price: 'text-amber-400', tag: 'text-amber-300' },
+                compliance: { icon: 'text-emerald-400', bg: 'bg-emerald-900 bg-opacity-50', price: 'text-emerald-400', tag: 'text-emerald-300' },
                 enhancedSupport: { icon: 'text-red-400', bg: 'bg-red-900 bg-opacity-50', price: 'text-red-400', tag: 'text-red-300' },
                 dynamics1Year: { icon: 'text-blue-400', bg: 'bg-blue-900 bg-opacity-50', price: 'text-blue-400', tag: 'text-blue-300' },
                 dynamics3Year: { icon: 'text-blue-400', bg: 'bg-blue-900 bg-opacity-50', price: 'text-blue-400', tag: 'text-blue-300' },
@@ -303,6 +325,12 @@ class ComponentManager {
                 const componentType = componentCard.dataset.component;
                 this.selectComponentFromDashboard(componentType);
             }
+
+            // Catalogue picker rows carry their SKU as data rather than in an inline handler
+            const catalogueAdd = e.target.closest('.equipment-catalogue-add[data-sku]');
+            if (catalogueAdd) {
+                this.addCatalogueEquipment(catalogueAdd.dataset.sku);
+            }
         });
 
         // Form input changes
@@ -491,6 +519,12 @@ class ComponentManager {
             case 'otherCosts':
                 configHTML = this.renderOtherCostsConfig();
                 break;
+            case 'labour':
+                configHTML = this.renderLabourConfig();
+                break;
+            case 'compliance':
+                configHTML = this.renderComplianceConfig();
+                break;
             case 'enhancedSupport':
                 configHTML = this.renderEnhancedSupportConfig();
                 break;
@@ -522,6 +556,8 @@ class ComponentManager {
             assessment: { icon: 'text-gray-600', bg: 'bg-gray-50', iconBg: 'bg-gray-100' },
             admin: { icon: 'text-slate-600', bg: 'bg-slate-50', iconBg: 'bg-slate-100' },
             otherCosts: { icon: 'text-orange-600', bg: 'bg-orange-50', iconBg: 'bg-orange-100' },
+            labour: { icon: 'text-amber-600', bg: 'bg-amber-50', iconBg: 'bg-amber-100' },
+            compliance: { icon: 'text-emerald-600', bg: 'bg-emerald-50', iconBg: 'bg-emerald-100' },
             enhancedSupport: { icon: 'text-red-600', bg: 'bg-red-50', iconBg: 'bg-red-100' },
             dynamics1Year: { icon: 'text-blue-600', bg: 'bg-blue-50', iconBg: 'bg-blue-100' },
             dynamics3Year: { icon: 'text-blue-600', bg: 'bg-blue-50', iconBg: 'bg-blue-100' },
@@ -672,28 +708,22 @@ class ComponentManager {
                 <h3><i class="fas fa-cog"></i>Step 1: Device Monitoring Configuration</h3>
                 <p class="text-sm text-gray-600 mb-4">Complete the table below with the assistance of Pre-Sales</p>
                 
+                <div class="flex justify-end mb-3">
+                    <button type="button" onclick="componentManager.seedPRTGFromEquipment()" class="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700">
+                        <i class="fas fa-server mr-1"></i>Seed from Capital Equipment
+                    </button>
+                </div>
+
                 <div class="overflow-x-auto">
                     <table class="w-full border-collapse border border-gray-300 text-sm">
                         <thead>
                             <tr class="bg-gray-50">
                                 <th class="border border-gray-300 p-2 text-left font-semibold">Device Type/Function</th>
-                                <th class="border border-gray-300 p-2 text-center">Ping</th>
-                                <th class="border border-gray-300 p-2 text-center">CPU Load</th>
-                                <th class="border border-gray-300 p-2 text-center">RAM</th>
-                                <th class="border border-gray-300 p-2 text-center">Uptime</th>
-                                <th class="border border-gray-300 p-2 text-center">Port Traffic</th>
-                                <th class="border border-gray-300 p-2 text-center">Connected APs</th>
-                                <th class="border border-gray-300 p-2 text-center">Connected Clients</th>
-                                <th class="border border-gray-300 p-2 text-center">SSL Security</th>
-                                <th class="border border-gray-300 p-2 text-center">SSL Certificate</th>
-                                <th class="border border-gray-300 p-2 text-center">HTTPS</th>
-                                <th class="border border-gray-300 p-2 text-center">SNTP</th>
-                                <th class="border border-gray-300 p-2 text-center">Active Processes</th>
-                                <th class="border border-gray-300 p-2 text-center">Physical Memory</th>
-                                <th class="border border-gray-300 p-2 text-center">Swap Memory</th>
-                                <th class="border border-gray-300 p-2 text-center">Load Average</th>
-                                <th class="border border-gray-300 p-2 text-center">Software Version</th>
-                                <th class="border border-gray-300 p-2 text-center font-semibold">Total</th>
+                                <th class="border border-gray-300 p-2 text-center font-semibold">Qty</th>
+                                ${Object.values(this.sensorPlanner.monitors).map(label => `
+                                    <th class="border border-gray-300 p-2 text-center">${HTMLEscape.escape(label)}</th>
+                                `).join('')}
+                                <th class="border border-gray-300 p-2 text-center font-semibold">Sensors</th>
                             </tr>
                         </thead>
                         <tbody id="prtgDeviceTable">
@@ -707,6 +737,7 @@ class ComponentManager {
                         <strong>Total Sensors Required:</strong> <span id="totalSensorsCount">0</span>
                     </p>
                 </div>
+                <div id="prtgOptimiserAdvice" class="mt-3"></div>
             </div>
             
             <div class="config-section">
@@ -807,10 +838,63 @@ class ComponentManager {
     }
 
     renderCapitalConfig() {
+        const equipment = this.calculator.listEquipment();
+        const categories = [...new Set(equipment.map(item => item.category))];
+        const vendors = [...new Set(equipment.map(item => item.vendor).filter(Boolean))];
+
         return `
             <div class="config-section">
                 <h3><i class="fas fa-server"></i>Equipment Selection</h3>
                 <div class="mb-6">
+                    <h4 class="text-lg font-semibold text-gray-900 mb-3">
+                        <i class="fas fa-book-open mr-2"></i>Equipment Catalogue
+                    </h4>
+                    <div class="flex flex-wrap gap-4 mb-3">
+                        <div class="flex-1">
+                            <label class="form-label" for="equipmentCatalogueSearch">Search</label>
+                            <input type="search" id="equipmentCatalogueSearch" class="form-input" placeholder="SKU, name or vendor"
+                                   oninput="componentManager.filterEquipmentCatalogue()">
+                        </div>
+                        <div class="w-40">
+                            <label class="form-label" for="equipmentCatalogueCategory">Category</label>
+                            <select id="equipmentCatalogueCategory" class="form-input form-select" onchange="componentManager.filterEquipmentCatalogue()">
+                                <option value="">All categories</option>
+                                ${categories.map(category => `<option value="${HTMLEscape.escape(category)}">${HTMLEscape.escape(category)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="w-40">
+                            <label class="form-label" for="equipmentCatalogueVendor">Vendor</label>
+                            <select id="equipmentCatalogueVendor" class="form-input form-select" onchange="componentManager.filterEquipmentCatalogue()">
+                                <option value="">All vendors</option>
+                                ${vendors.map(vendor => `<option value="${HTMLEscape.escape(vendor)}">${HTMLEscape.escape(vendor)}</option>`).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    <div class="overflow-x-auto max-h-72 overflow-y-auto">
+                        <table class="w-full border-collapse border border-gray-300 text-sm">
+                            <thead>
+                                <tr class="bg-gray-50">
+                                    <th class="border border-gray-300 p-2 text-left">SKU</th>
+                                    <th class="border border-gray-300 p-2 text-left">Item</th>
+                                    <th class="border border-gray-300 p-2 text-left">Vendor</th>
+                                    <th class="border border-gray-300 p-2 text-left">Category</th>
+                                    <th class="border border-gray-300 p-2 text-right">List Price</th>
+                                    <th class="border border-gray-300 p-2 text-right">Life</th>
+                                    <th class="border border-gray-300 p-2 text-center">Qty</th>
+                                    <th class="border border-gray-300 p-2"></th>
+                                </tr>
+                            </thead>
+                            <tbody id="equipmentCatalogueTable">
+                                ${this.renderEquipmentCatalogueRows(equipment)}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="mb-6">
+                    <h4 class="text-lg font-semibold text-gray-900 mb-3">
+                        <i class="fas fa-pen mr-2"></i>Custom Equipment
+                    </h4>
                     <div class="flex gap-4 mb-4">
                         <div class="flex-1">
                             <label class="form-label">Equipment Description</label>
@@ -838,7 +922,7 @@ class ComponentManager {
                         <i class="fas fa-upload mr-2"></i>Upload Equipment List
                     </h4>
                     <p class="text-sm text-gray-600 mb-3">
-                        Upload an Excel or CSV file with your equipment list. Expected format: Description, Quantity, Unit Cost
+                        Upload an Excel or CSV file with your equipment list. Expected format: SKU or Description, Quantity, Unit Cost (optional for catalogue SKUs)
                     </p>
                     <div class="space-y-3">
                         <div class="flex items-center gap-4">
@@ -885,6 +969,40 @@ class ComponentManager {
                         <label class="form-label">Down Payment (£)</label>
                         <input type="number" name="downPayment" class="form-input" min="0" placeholder="0.00" step="0.01">
                     </div>
+                    <div class="form-group">
+                        <label class="form-label">Structure</label>
+                        <select name="financingStructure" class="form-input form-select">
+                            <option value="loan" selected>Loan (fully amortising)</option>
+                            <option value="lease">Operating lease (residual value)</option>
+                            <option value="balloon">Balloon loan</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Residual / Balloon (% of amount financed)</label>
+                        <input type="number" name="residualRate" class="form-input" min="0" max="99" step="0.5" value="0" data-percent>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Payments</label>
+                        <select name="paymentTiming" class="form-input form-select">
+                            <option value="arrears" selected>In arrears</option>
+                            <option value="advance">In advance</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">First Payment Deferred (Months)</label>
+                        <input type="number" name="deferralMonths" class="form-input" min="0" max="12" step="1" value="0">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">APR Override (%)</label>
+                        <input type="number" name="aprOverride" class="form-input" min="0" max="99" step="0.1" data-percent
+                               placeholder="${(this.calculator.config.APR_RATE * 100).toFixed(1)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="flex items-center">
+                            <input type="checkbox" name="includeRefresh" class="mr-2" checked>
+                            <span class="form-label mb-0">Refresh equipment that reaches end of life within the contract</span>
+                        </label>
+                    </div>
                 </div>
             </div>
         `;
@@ -905,7 +1023,7 @@ class ComponentManager {
                     <div class="form-group">
                         <label class="form-label">Device Count</label>
                         <input type="number" name="deviceCount" class="form-input" min="1" max="10000" 
-                               placeholder="10" data-tooltip="Number of devices to support">
+                               placeholder="10" data-tooltip="Number of devices to support; capital equipment is charged at its category rate and raises the count if it lists more devices">
                     </div>
                     <div class="form-group">
                         <label class="form-label">Contract Term</label>
@@ -925,7 +1043,50 @@ class ComponentManager {
                     </div>
                 </div>
             </div>
-            
+
+
+            <div class="config-section">
+                <h3><i class="fas fa-clock"></i>Coverage Window</h3>
+                <div class="config-grid">
+                    <div class="form-group">
+                        <label class="flex items-center">
+                            <input type="checkbox" name="coverageCustom" class="mr-2">
+                            <span class="form-label mb-0">Custom coverage instead of the package hours</span>
+                        </label>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Days</label>
+                        <div class="flex flex-wrap gap-3">
+                            ${this.calculator.config.COVERAGE_DAYS.map((day, index) => `
+                                <label class="flex items-center text-sm">
+                                    <input type="checkbox" name="coverageDays" value="${day}" class="mr-1" ${index < 5 ? 'checked' : ''}>
+                                    ${day.charAt(0).toUpperCase() + day.slice(1)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">From (hour)</label>
+                        <input type="number" name="coverageStart" class="form-input" min="0" max="23.5" step="0.5" value="8">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">To (hour)</label>
+                        <input type="number" name="coverageEnd" class="form-input" min="0.5" max="24" step="0.5" value="18">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Devices Covered</label>
+                        <input type="number" name="coverageDevices" class="form-input" min="1" max="10000"
+                               placeholder="All" data-tooltip="Leave blank to cover every device; other devices stay on the package hours">
+                    </div>
+                    <div class="form-group">
+                        <label class="flex items-center">
+                            <input type="checkbox" name="coverageBankHolidays" class="mr-2">
+                            <span class="form-label mb-0">Cover bank holidays</span>
+                        </label>
+                    </div>
+                </div>
+            </div>
+
             <div class="config-section">
                 <h3><i class="fas fa-chart-line"></i>Additional Support Services</h3>
                 <div class="space-y-4">
@@ -1138,7 +1299,12 @@ class ComponentManager {
                     equipment: [],
                     financing: true,
                     termMonths: 36,
-                    downPayment: 0
+                    downPayment: 0,
+                    financingStructure: 'loan',
+                    residualRate: 0,
+                    paymentTiming: 'arrears',
+                    deferralMonths: 0,
+                    includeRefresh: true
                 };
             case 'support':
                 return {
@@ -1182,6 +1348,17 @@ class ComponentManager {
                     items: [],
                     totalCost: 0
                 };
+            case 'labour':
+                return {
+                    hours: {},
+                    billing: 'timeAndMaterials',
+                    bundle: 'auto',
+                    utilisation: 1
+                };
+            case 'compliance':
+                return {
+                    frameworks: []
+                };
             case 'enhancedSupport':
                 return { 
                     level: 'enhanced',
@@ -1234,7 +1411,8 @@ class ComponentManager {
                     if (input.type === 'checkbox') {
                         input.checked = Boolean(data[key]);
                     } else if (input.type === 'number' || input.tagName === 'SELECT') {
-                        input.value = data[key];
+                        // Rates are held as fractions but entered as percentages
+                        input.value = 'percent' in input.dataset ? Math.round(data[key] * 10000) / 100 : data[key];
                     } else if (key === 'features' && Array.isArray(data[key])) {
                         // Handle feature checkboxes
                         const checkboxes = configArea.querySelectorAll(`[name="${key}"]`);
@@ -1252,6 +1430,72 @@ class ComponentManager {
         if (componentType === 'capital' && data.equipment) {
             this.renderEquipmentList(data.equipment);
         }
+
+        if (componentType === 'support') {
+            this.populateCoverageWindow(data.customHours);
+        }
+
+        if (componentType === 'labour') {
+            Object.entries(data.hours || {}).forEach(([role, hours]) => {
+                const input = document.querySelector(`#componentConfigArea [name="labourHours.${role}"]`);
+                if (input) input.value = hours;
+            });
+        }
+
+        if (componentType === 'compliance') {
+            const frameworks = data.frameworks || [];
+            document.querySelectorAll('#componentConfigArea [name="frameworks"]').forEach(box => {
+                box.checked = frameworks.includes(box.value);
+            });
+        }
+    }
+
+    /**
+     * Fill the coverage window builder from a support customHours window (the first of a list)
+     */
+    populateCoverageWindow(customHours) {
+        const configArea = document.getElementById('componentConfigArea');
+        const custom = configArea?.querySelector('[name="coverageCustom"]');
+        if (!custom) return;
+
+        const window = Array.isArray(customHours) ? customHours[0] : customHours;
+        custom.checked = Boolean(window);
+        if (!window) return;
+
+        let days = [];
+        try {
+            days = this.calculator.parseCoverageDays(window.days ?? 'mon-fri');
+        } catch (error) {
+            console.warn('Ignoring unreadable coverage days:', error.message);
+        }
+        configArea.querySelectorAll('[name="coverageDays"]').forEach(box => {
+            box.checked = days.includes(box.value);
+        });
+        configArea.querySelector('[name="coverageStart"]').value = window.start ?? 0;
+        configArea.querySelector('[name="coverageEnd"]').value = window.end ?? 24;
+        configArea.querySelector('[name="coverageDevices"]').value = window.devices ?? '';
+        configArea.querySelector('[name="coverageBankHolidays"]').checked = Boolean(window.bankHolidays);
+    }
+
+    /**
+     * Read the coverage window builder as a customHours window, or null for the package hours
+     */
+    readCoverageWindow(configArea) {
+        const field = name => configArea.querySelector(`[name="${name}"]`);
+        if (!field('coverageCustom')?.checked) return null;
+
+        const days = [...configArea.querySelectorAll('[name="coverageDays"]:checked')].map(box => box.value);
+        const start = parseFloat(field('coverageStart').value);
+        const end = parseFloat(field('coverageEnd').value);
+        const devices = parseInt(field('coverageDevices').value, 10);
+
+        return {
+            days: days.join(','),
+            start: isNaN(start) ? 0 : start,
+            end: isNaN(end) ? 24 : end,
+            bankHolidays: field('coverageBankHolidays').checked,
+            ...(devices > 0 ? { devices } : {})
+        };
     }
 
     handleInputChange(e) {
@@ -1263,9 +1507,51 @@ class ComponentManager {
         // If input has no name, skip processing
         if (!name) return;
 
+        // Labour hours inputs are named labourHours.<role> and held together in params.hours
+        if (name.startsWith('labourHours.')) {
+            const currentData = this.dataStore.getComponent(this.currentComponent);
+            const hours = parseFloat(input.value);
+            if (!currentData) return;
+            this.dataStore.updateComponentParams(this.currentComponent, {
+                ...currentData.params,
+                hours: { ...currentData.params.hours, [name.slice('labourHours.'.length)]: isNaN(hours) || hours < 0 ? 0 : hours }
+            });
+            this.calculateComponent(this.currentComponent);
+            return;
+        }
+
+        // Framework checkboxes are read together into the compliance frameworks list
+        if (name === 'frameworks') {
+            const currentData = this.dataStore.getComponent(this.currentComponent);
+            if (!currentData) return;
+            const configArea = input.closest('#componentConfigArea');
+            this.dataStore.updateComponentParams(this.currentComponent, {
+                ...currentData.params,
+                frameworks: [...configArea.querySelectorAll('[name="frameworks"]:checked')].map(box => box.value)
+            });
+            this.calculateComponent(this.currentComponent);
+            return;
+        }
+
+        // Coverage window inputs are read together into the support customHours window
+        if (name.startsWith('coverage')) {
+            const currentData = this.dataStore.getComponent(this.currentComponent);
+            if (!currentData) return;
+            this.dataStore.updateComponentParams(this.currentComponent, {
+                ...currentData.params,
+                customHours: this.readCoverageWindow(input.closest('#componentConfigArea'))
+            });
+            this.calculateComponent(this.currentComponent);
+            return;
+        }
+
         let value;
         if (input.type === 'checkbox') {
             value = input.checked;
+        } else if (input.type === 'number' && name === 'aprOverride' && input.value.trim() === '') {
+            // An empty APR field removes the override so the price book rate applies again
+            input.classList.remove('border-red-500');
+            value = null;
         } else if (input.type === 'number') {
             const numValue = parseFloat(input.value);
             // Validate numeric inputs
@@ -1274,7 +1560,7 @@ class ComponentManager {
                 return; // Don't update data store with invalid values
             } else {
                 input.classList.remove('border-red-500');
-                value = numValue;
+                value = 'percent' in input.dataset ? numValue / 100 : numValue;
             }
         } else {
             value = input.value;
@@ -1347,13 +1633,16 @@ class ComponentManager {
                     result = { totals: { monthly: 0, annual: 0, threeYear: 0, oneTime: 0 } };
                     break;
                 case 'prtg':
-                    result = this.calculator.calculatePRTG(params);
+                    result = this.calculator.calculatePRTG(params, { complianceData: this.dataStore.getEnabledComponents().compliance });
                     break;
                 case 'capital':
                     result = this.calculator.calculateCapital(params);
                     break;
                 case 'support':
-                    result = this.calculator.calculateSupport(params);
+                    result = this.calculator.calculateSupport(params, {
+                        capitalData: this.dataStore.getEnabledComponents().capital,
+                        complianceData: this.dataStore.getEnabledComponents().compliance
+                    });
                     break;
                 case 'onboarding':
                     result = this.calculator.calculateOnboarding(params);
@@ -1370,6 +1659,12 @@ class ComponentManager {
                 case 'otherCosts':
                     result = this.calculator.calculateOtherCosts(params);
                     break;
+                case 'labour':
+                    result = this.calculator.calculateLabour(params);
+                    break;
+                case 'compliance':
+                    result = this.calculator.calculateCompliance(params);
+                    break;
                 case 'enhancedSupport':
                     result = this.calculator.calculateEnhancedSupport(params);
                     break;
@@ -1443,6 +1738,351 @@ class ComponentManager {
                 }
             });
             breakdownHTML += '</div>';
+
+            // PRTG licence: sensors counted in each band
+            if (Array.isArray(breakdown.sensorBands)) {
+                breakdownHTML += `
+                    <table class="w-full text-sm mb-4">
+                        <thead>
+                            <tr class="text-gray-500">
+                                <th class="text-left">Licence Band</th>
+                                <th class="text-right">Sensors</th>
+                                <th class="text-right">Per Sensor</th>
+                                <th class="text-right">Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${breakdown.sensorBands.map(band => `
+                                <tr>
+                                    <td>${band.tier.replace(/_/g, ' ')}</td>
+                                    <td class="text-right">${band.sensors}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(band.rate, true)}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(band.amount)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `;
+            }
+
+            if (result.metadata?.complianceSensors > 0) {
+                breakdownHTML += `
+                    <p class="text-sm text-gray-500 mb-4">
+                        Licence includes ${result.metadata.complianceSensors} sensors for the selected compliance frameworks
+                    </p>
+                `;
+            }
+        }
+
+        // Compliance: readiness, audit support and the sensors and support uplift each framework adds
+        if (Array.isArray(breakdown?.frameworks) && breakdown.frameworks.length > 0) {
+            breakdownHTML += `
+                <table class="w-full text-sm mb-2">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Framework</th>
+                            <th class="text-right">Readiness</th>
+                            <th class="text-right">Audit/Month</th>
+                            <th class="text-right">PRTG Sensors</th>
+                            <th class="text-right">Support Uplift</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${breakdown.frameworks.map(framework => `
+                            <tr>
+                                <td>${HTMLEscape.escape(framework.name)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(framework.readiness)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(framework.auditMonthly)}</td>
+                                <td class="text-right">+${framework.extraSensors}</td>
+                                <td class="text-right">+${(framework.supportUplift * 100).toFixed(1)}%</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="text-sm text-gray-500 mb-4">
+                    Extra sensors are priced in PRTG Monitoring and the uplift in Support Services when those components are enabled
+                </p>
+            `;
+        }
+
+        // Support: devices and per-device rate by equipment category
+        if (Array.isArray(breakdown?.deviceClasses) && breakdown.deviceClasses.length > 0) {
+            breakdownHTML += `
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Device Class</th>
+                            <th class="text-right">Devices</th>
+                            <th class="text-right">Per Device</th>
+                            <th class="text-right">Monthly</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${breakdown.deviceClasses.map(entry => `
+                            <tr>
+                                <td>${HTMLEscape.escape(entry.category)}</td>
+                                <td class="text-right">${entry.devices}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(entry.rate, true)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(entry.monthly)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        // Support: custom coverage windows priced against the package hours (an uplift is listed
+        // with the other breakdown amounts above, a discount is shown here)
+        if (breakdown?.coverage) {
+            const { coverage } = breakdown;
+            breakdownHTML += `
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Coverage</th>
+                            <th class="text-right">Devices</th>
+                            <th class="text-right">Hours/Week</th>
+                            <th class="text-right">Adjustment</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr class="text-gray-500">
+                            <td>Package: ${HTMLEscape.escape(coverage.baseline.label)}</td>
+                            <td class="text-right"></td>
+                            <td class="text-right">${coverage.baseline.hoursPerWeek}</td>
+                            <td class="text-right"></td>
+                        </tr>
+                        ${coverage.windows.map(window => `
+                            <tr>
+                                <td>${HTMLEscape.escape(window.label)}</td>
+                                <td class="text-right">${window.devices}</td>
+                                <td class="text-right">${window.hoursPerWeek}</td>
+                                <td class="text-right">${window.adjustment < 0 ? '-' : '+'}${this.calculator.formatCurrency(Math.abs(window.adjustment))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${breakdown.coverageAdjustment < 0 ? `
+                    <div class="result-item">
+                        <span>Coverage Discount:</span>
+                        <span>-${this.calculator.formatCurrency(-breakdown.coverageAdjustment)}/month</span>
+                    </div>
+                ` : ''}
+            `;
+        }
+
+        // Labour: hours and rate per role, and pre-paid bundle purchases with their expiry
+        if (result.labour) {
+            const { labour } = result;
+            breakdownHTML += `
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Role</th>
+                            <th class="text-right">Hours</th>
+                            <th class="text-right">Rate</th>
+                            <th class="text-right">Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${breakdown.roles.map(line => `
+                            <tr>
+                                <td>${HTMLEscape.escape(line.role.replace(/_/g, ' '))}</td>
+                                <td class="text-right">${line.hours}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(line.rate, true)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(line.amount)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            if (labour.bundle) {
+                breakdownHTML += `
+                    <table class="w-full text-sm mb-2">
+                        <thead>
+                            <tr class="text-gray-500">
+                                <th class="text-left">${HTMLEscape.escape(labour.bundle.name)} (${Math.round(labour.bundle.discountRate * 100)}% off)</th>
+                                <th class="text-right">Hours</th>
+                                <th class="text-right">Rolled In</th>
+                                <th class="text-right">Forfeited</th>
+                                <th class="text-right">Price</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${labour.purchases.map(purchase => `
+                                <tr>
+                                    <td>Month ${purchase.month}</td>
+                                    <td class="text-right">${purchase.hours}</td>
+                                    <td class="text-right">${purchase.rolledInHours}</td>
+                                    <td class="text-right">${purchase.forfeitedHours}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(purchase.price)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <p class="text-sm text-gray-500 mb-4">
+                        Hours expire ${labour.bundle.expiryMonths} months after purchase; ${labour.usedHours} of ${labour.totalHours} hours expected to be used at an effective ${this.calculator.formatCurrency(labour.effectiveRate, true)}/hour
+                    </p>
+                `;
+            }
+        }
+
+        // Support: SLA targets per priority, service credits and the most creditable each year
+        if (result.sla) {
+            const { sla } = result;
+            const hours = value => value < 1 ? `${Math.round(value * 60)} min` : `${value} h`;
+            const percent = rate => `${(rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+            breakdownHTML += `
+                <table class="w-full text-sm mb-2">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">${HTMLEscape.escape(sla.name)} SLA (${HTMLEscape.escape(sla.hours)})</th>
+                            <th class="text-right">Response</th>
+                            <th class="text-right">Resolution</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sla.priorities.map(target => `
+                            <tr>
+                                <td>${target.priority}</td>
+                                <td class="text-right">${hours(target.responseHours)}</td>
+                                <td class="text-right">${hours(target.resolutionHours)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="text-sm text-gray-500 mb-2">
+                    Availability ${percent(sla.availability)}; credits ${sla.credits.map(band => `${percent(band.creditRate)} below ${percent(band.availabilityBelow)}`).join(', ')}, capped at ${percent(sla.maxCreditRate)}
+                </p>
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Year</th>
+                            <th class="text-right">Charges</th>
+                            <th class="text-right">Max Credit</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sla.exposure.map(row => `
+                            <tr>
+                                <td>Year ${row.year}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(row.charges)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(row.maxCredit)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        // Capital equipment: list and sell totals per vendor
+        if (Array.isArray(result.vendorSummary) && result.vendorSummary.length > 0) {
+            breakdownHTML += `
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Vendor</th>
+                            <th class="text-right">Qty</th>
+                            <th class="text-right">List</th>
+                            <th class="text-right">Price</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.vendorSummary.map(vendor => `
+                            <tr>
+                                <td>${HTMLEscape.escape(vendor.vendor)}</td>
+                                <td class="text-right">${vendor.quantity}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(vendor.listTotal)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(vendor.sellTotal)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        // Capital financing: interest, principal and balance per month
+        if (result.financing?.amortisation?.length > 0) {
+            const { financing } = result;
+            breakdownHTML += `
+                <details class="mb-4">
+                    <summary class="cursor-pointer text-sm text-gray-500">
+                        Amortisation: ${HTMLEscape.escape(financing.structure)}, ${(financing.apr * 100).toFixed(2)}% APR, paid in ${HTMLEscape.escape(financing.paymentTiming)}${financing.residualValue > 0 ? `, residual ${this.calculator.formatCurrency(financing.residualValue)}` : ''}
+                    </summary>
+                    <table class="w-full text-sm mt-2">
+                        <thead>
+                            <tr class="text-gray-500">
+                                <th class="text-left">Month</th>
+                                <th class="text-right">Payment</th>
+                                <th class="text-right">Interest</th>
+                                <th class="text-right">Principal</th>
+                                <th class="text-right">Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${financing.amortisation.map(row => `
+                                <tr>
+                                    <td>${row.month}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(row.payment, true)}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(row.interest, true)}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(row.principal, true)}</td>
+                                    <td class="text-right">${this.calculator.formatCurrency(row.closingBalance, true)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </details>
+            `;
+        }
+
+        // Capital equipment: refresh purchases and depreciation by contract year
+        if (Array.isArray(result.refresh) && result.refresh.length > 0) {
+            breakdownHTML += `
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Refresh</th>
+                            <th class="text-right">Month</th>
+                            <th class="text-right">Qty</th>
+                            <th class="text-right">Cost</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.refresh.map(refresh => `
+                            <tr>
+                                <td>${HTMLEscape.escape(refresh.description)}</td>
+                                <td class="text-right">${refresh.month}</td>
+                                <td class="text-right">${refresh.quantity}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(refresh.totalCost)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+        if (result.depreciation?.years?.length > 0) {
+            breakdownHTML += `
+                <table class="w-full text-sm mb-4">
+                    <thead>
+                        <tr class="text-gray-500">
+                            <th class="text-left">Year</th>
+                            <th class="text-right">Additions</th>
+                            <th class="text-right">Depreciation</th>
+                            <th class="text-right">Book Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.depreciation.years.map(row => `
+                            <tr>
+                                <td>Year ${row.year}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(row.additions)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(row.depreciation)}</td>
+                                <td class="text-right">${this.calculator.formatCurrency(row.bookValue)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
         }
 
         container.innerHTML = `
@@ -1556,15 +2196,23 @@ class ComponentManager {
                     return;
                 }
 
+                // Catalogue lines take their price from the price book
+                let line;
+                try {
+                    line = this.calculator.resolveEquipmentLine(item);
+                } catch (error) {
+                    line = { ...item, unitCost: parseFloat(item.unitCost) || 0, vendor: '', missing: true };
+                }
+
                 // Sanitize description to prevent XSS attacks
-                const rawDescription = item.description || 'Unknown Equipment';
+                const rawDescription = line.description || 'Unknown Equipment';
                 const description = DOMPurify ? DOMPurify.sanitize(rawDescription, {
                     ALLOWED_TAGS: [],  // Strip all HTML tags
                     KEEP_CONTENT: true  // Keep text content
                 }) : String(rawDescription).replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
-                const quantity = parseInt(item.quantity) || 0;
-                const unitCost = parseFloat(item.unitCost) || 0;
+                const quantity = parseInt(line.quantity) || 0;
+                const unitCost = parseFloat(line.unitCost) || 0;
                 const totalCost = unitCost * quantity;
 
                 // Create DOM elements instead of string concatenation
@@ -1580,7 +2228,14 @@ class ComponentManager {
 
                 const detailDiv = document.createElement('div');
                 detailDiv.className = 'text-sm text-gray-400';
-                detailDiv.textContent = `Qty: ${quantity} × ${this.calculator.formatCurrency(unitCost)}`;
+                const reference = item.sku ?
+                    [item.sku, line.vendor, line.missing ? 'not in catalogue' : ''].filter(Boolean).join(' · ') :
+                    'Custom';
+                detailDiv.textContent = `${reference} · Qty: ${quantity} × ${this.calculator.formatCurrency(unitCost)}`;
+                if (line.buy?.unitPrice != null) {
+                    const percent = rate => `${Math.round(rate * 1000) / 10}%`;
+                    detailDiv.textContent += ` · List ${this.calculator.formatCurrency(line.listPrice)}, buy −${percent(line.buy.discount)}, uplift ${percent(line.buy.uplift)}`;
+                }
 
                 leftDiv.appendChild(descDiv);
                 leftDiv.appendChild(detailDiv);
@@ -1616,6 +2271,78 @@ class ComponentManager {
         }
     }
 
+    renderEquipmentCatalogueRows(items) {
+        if (items.length === 0) {
+            return '<tr><td colspan="8" class="border border-gray-300 p-3 text-center text-gray-400">No catalogue items match</td></tr>';
+        }
+
+        return items.map(item => `
+            <tr class="hover:bg-gray-50">
+                <td class="border border-gray-300 p-2 font-mono text-xs">${HTMLEscape.escape(item.sku)}</td>
+                <td class="border border-gray-300 p-2">${HTMLEscape.escape(item.name)}</td>
+                <td class="border border-gray-300 p-2">${HTMLEscape.escape(item.vendor)}</td>
+                <td class="border border-gray-300 p-2">${HTMLEscape.escape(item.category)}</td>
+                <td class="border border-gray-300 p-2 text-right">${this.calculator.formatCurrency(item.listPrice)}</td>
+                <td class="border border-gray-300 p-2 text-right" title="${item.depreciationMethod.replace(/_/g, ' ')}">${item.usefulLifeMonths} mo</td>
+                <td class="border border-gray-300 p-1 text-center">
+                    <input type="number" class="equipment-catalogue-quantity w-16 p-1 border border-gray-300 rounded text-center"
+                           data-sku="${HTMLEscape.escape(item.sku)}" min="1" value="1">
+                </td>
+                <td class="border border-gray-300 p-1 text-center">
+                    <button type="button" data-sku="${HTMLEscape.escape(item.sku)}"
+                            class="equipment-catalogue-add bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700">
+                        <i class="fas fa-plus mr-1"></i>Add
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Show the catalogue items matching the search text, category and vendor filters
+    filterEquipmentCatalogue() {
+        const tableBody = document.getElementById('equipmentCatalogueTable');
+        if (!tableBody) return;
+
+        const search = (document.getElementById('equipmentCatalogueSearch')?.value || '').trim().toLowerCase();
+        const category = document.getElementById('equipmentCatalogueCategory')?.value || '';
+        const vendor = document.getElementById('equipmentCatalogueVendor')?.value || '';
+
+        const items = this.calculator.listEquipment().filter(item =>
+            (!category || item.category === category) &&
+            (!vendor || item.vendor === vendor) &&
+            (!search || [item.sku, item.name, item.vendor].some(text => text.toLowerCase().includes(search))));
+
+        tableBody.innerHTML = this.renderEquipmentCatalogueRows(items);
+    }
+
+    // Add a catalogue SKU as a capital line; its price follows the price book
+    addCatalogueEquipment(sku) {
+        const item = this.calculator.getEquipmentItem(sku);
+        if (!item) {
+            this.showNotification('Equipment is no longer in the catalogue.', 'error');
+            return;
+        }
+
+        const quantityInput = document.querySelector(`.equipment-catalogue-quantity[data-sku="${CSS.escape(sku)}"]`);
+        const quantity = parseInt(quantityInput?.value, 10) || 1;
+        if (quantity <= 0) {
+            this.showNotification('Quantity must be greater than 0.', 'error');
+            return;
+        }
+
+        const componentData = this.dataStore.getComponent('capital');
+        const equipment = [...(componentData.params.equipment || []), { sku, description: item.name, quantity }];
+
+        this.dataStore.updateComponentParams('capital', { ...componentData.params, equipment });
+        this.renderEquipmentList(equipment);
+        this.calculateComponent('capital');
+
+        if (quantityInput) {
+            quantityInput.value = '1';
+        }
+        this.showNotification(`${item.name} added`, 'success');
+    }
+
     addEquipment() {
         try {
             const descriptionInput = document.getElementById('equipmentDescription');
@@ -1837,15 +2564,9 @@ class ComponentManager {
             // Excel data
             for (let i = 1; i < data.length; i++) {
                 const row = data[i];
-                if (row && row.length >= 3) {
-                    const item = {
-                        description: row[0] || '',
-                        quantity: parseInt(row[1]) || 1,
-                        unitCost: parseFloat(row[2]) || 0
-                    };
-                    if (item.description && item.unitCost > 0) {
-                        equipment.push(item);
-                    }
+                if (row && row.length >= 2) {
+                    const item = this.createEquipmentItem(row[0], parseInt(row[1]) || 1, parseFloat(row[2]) || 0);
+                    if (item) equipment.push(item);
                 }
             }
         }
@@ -1854,23 +2575,40 @@ class ComponentManager {
     }
 
     parseEquipmentRow(headers, values) {
+        const skuIndex = headers.findIndex(h => h.includes('sku'));
         const descriptionIndex = headers.findIndex(h => h.includes('description') || h.includes('name'));
         const quantityIndex = headers.findIndex(h => h.includes('quantity') || h.includes('qty'));
         const costIndex = headers.findIndex(h => h.includes('cost') || h.includes('price'));
-        
-        if (descriptionIndex >= 0 && costIndex >= 0) {
-            return {
-                description: values[descriptionIndex] || '',
-                quantity: parseInt(values[quantityIndex]) || 1,
-                unitCost: parseFloat(values[costIndex]) || 0
-            };
+        const referenceIndex = skuIndex >= 0 && values[skuIndex] ? skuIndex : descriptionIndex;
+
+        if (referenceIndex >= 0) {
+            return this.createEquipmentItem(
+                values[referenceIndex],
+                parseInt(values[quantityIndex]) || 1,
+                costIndex >= 0 ? parseFloat(values[costIndex]) || 0 : 0
+            );
         }
         return null;
     }
 
+    // Uploaded line: a catalogue SKU (a cost overrides its list price) or a priced custom item
+    createEquipmentItem(reference, quantity, unitCost) {
+        const text = String(reference || '').trim();
+        const sku = text.toLowerCase().replace(/\s+/g, '_');
+        const catalogueItem = this.calculator.getEquipmentItem(sku);
+
+        if (catalogueItem) {
+            return unitCost > 0 ?
+                { sku, description: catalogueItem.name, quantity, unitCost } :
+                { sku, description: catalogueItem.name, quantity };
+        }
+        return text && unitCost > 0 ? { description: text, quantity, unitCost } : null;
+    }
+
     downloadEquipmentTemplate() {
         const templateData = [
-            ['Description', 'Quantity', 'Unit Cost (£)'],
+            ['SKU or Description', 'Quantity', 'Unit Cost (£, optional for SKUs)'],
+            ['switch_48port', '4', ''],
             ['Cisco Catalyst 9300 Switch', '2', '2500.00'],
             ['Fortinet FortiGate 100F Firewall', '1', '1200.00'],
             ['Aruba AP-515 Access Point', '5', '450.00']
@@ -1888,51 +2626,69 @@ class ComponentManager {
         const tableBody = document.getElementById('prtgDeviceTable');
         if (!tableBody) return;
 
-        const deviceTypes = [
-            'HP Aruba Switches',
-            'HP Aruba Wireless Controllers', 
-            'ClearPass',
-            'Airwave Management',
-            'Firewalls (Fortinet)',
-            'Other (i.e. 3rd Party Switch)'
-        ];
+        // Saved plan first, then the capital equipment list, then the template defaults
+        const params = this.dataStore.getComponent('prtg')?.params || {};
+        const rows = Array.isArray(params.devices) && params.devices.length > 0 ?
+            this.sensorPlanner.completeRows(params.devices) :
+            (this.getPRTGSeedRows() || this.sensorPlanner.createDefaultRows());
 
-        const monitoringTypes = [
-            'ping', 'cpuLoad', 'ram', 'uptime', 'portTraffic', 
-            'connectedAPs', 'connectedClients', 'sslSecurity', 
-            'sslCertificate', 'https', 'sntp', 'activeProcesses', 
-            'physicalMemory', 'swapMemory', 'loadAverage', 'softwareVersion'
-        ];
+        this.renderPRTGDeviceRows(tableBody, rows);
+        this.updatePRTGSensors();
+    }
+
+    // Planner rows seeded from the capital equipment list, or null when it has no monitored devices
+    getPRTGSeedRows() {
+        const equipment = this.dataStore.getComponent('capital')?.params?.equipment || [];
+        return this.sensorPlanner.seedFromEquipment(equipment, this.calculator.pricingData.capital.equipmentTypes);
+    }
+
+    seedPRTGFromEquipment() {
+        const tableBody = document.getElementById('prtgDeviceTable');
+        const rows = this.getPRTGSeedRows();
+        if (!tableBody || !rows) {
+            this.showNotification('No monitored devices found in the capital equipment list', 'warning');
+            return;
+        }
+
+        this.renderPRTGDeviceRows(tableBody, rows);
+        this.updatePRTGSensors();
+        this.showNotification('Device quantities seeded from capital equipment', 'success');
+    }
+
+    renderPRTGDeviceRows(tableBody, rows) {
+        const plan = this.sensorPlanner.plan(rows);
+        const monitorTypes = Object.keys(this.sensorPlanner.monitors);
 
         let tableHTML = '';
-        
-        deviceTypes.forEach(deviceType => {
+        plan.rows.forEach(row => {
             tableHTML += `
-                <tr class="hover:bg-gray-50">
-                    <td class="border border-gray-300 p-2 font-medium">${deviceType}</td>
+                <tr class="hover:bg-gray-50" data-device-type="${row.type}">
+                    <td class="border border-gray-300 p-2 font-medium">${HTMLEscape.escape(row.name)}</td>
+                    <td class="border border-gray-300 p-1 text-center">
+                        <input type="number" class="prtg-device-quantity w-16 p-1 border border-gray-300 rounded text-center"
+                               data-device-type="${row.type}" min="0" value="${row.quantity}"
+                               onchange="componentManager.updatePRTGSensors()">
+                    </td>
             `;
-            
-            monitoringTypes.forEach(monitorType => {
-                const isHighlighted = (deviceType === 'ClearPass' || deviceType === 'Firewalls (Fortinet)') && 
-                                    ['ram', 'uptime', 'portTraffic', 'connectedAPs', 'connectedClients', 
-                                     'sslSecurity', 'sslCertificate', 'https', 'sntp', 'activeProcesses', 
-                                     'physicalMemory', 'swapMemory', 'loadAverage', 'softwareVersion'].includes(monitorType);
-                
+
+            monitorTypes.forEach(monitorType => {
+                const perDevice = this.sensorPlanner.getSensorsPerMonitor(row.type, monitorType);
                 tableHTML += `
-                    <td class="border border-gray-300 p-1 text-center ${isHighlighted ? 'bg-yellow-100' : ''}">
+                    <td class="border border-gray-300 p-1 text-center">
                         <input type="checkbox" 
                                class="prtg-sensor-checkbox" 
-                               data-device="${deviceType}" 
+                               data-device-type="${row.type}" 
                                data-monitor="${monitorType}"
                                onchange="componentManager.updatePRTGSensors()"
-                               ${isHighlighted ? 'checked' : ''}>
+                               ${row.monitors.includes(monitorType) ? 'checked' : ''}>
+                        ${perDevice !== 1 ? `<div class="text-xs text-gray-500">×${perDevice}</div>` : ''}
                     </td>
                 `;
             });
-            
+
             tableHTML += `
                     <td class="border border-gray-300 p-2 text-center font-semibold">
-                        <span class="device-total" data-device="${deviceType}">0</span>
+                        <span class="device-total" data-device-type="${row.type}">0</span>
                     </td>
                 </tr>
             `;
@@ -1941,14 +2697,7 @@ class ComponentManager {
         // Add total row
         tableHTML += `
             <tr class="bg-gray-100 font-semibold">
-                <td class="border border-gray-300 p-2">Total Sensors Required</td>
-        `;
-        
-        monitoringTypes.forEach(() => {
-            tableHTML += '<td class="border border-gray-300 p-2 text-center">0</td>';
-        });
-        
-        tableHTML += `
+                <td class="border border-gray-300 p-2" colspan="${monitorTypes.length + 2}">Total Sensors Required</td>
                 <td class="border border-gray-300 p-2 text-center">
                     <span id="grandTotalSensors">0</span>
                 </td>
@@ -1956,70 +2705,89 @@ class ComponentManager {
         `;
 
         tableBody.innerHTML = tableHTML;
-        this.updatePRTGSensors();
+    }
+
+    // Read the planner table back into rows (quantity and ticked monitors per device type)
+    readPRTGDeviceRows() {
+        return Array.from(document.querySelectorAll('#prtgDeviceTable tr[data-device-type]')).map(tr => {
+            const type = tr.dataset.deviceType;
+            const quantityInput = tr.querySelector('.prtg-device-quantity');
+            return {
+                type,
+                quantity: Math.max(0, parseInt(quantityInput?.value, 10) || 0),
+                monitors: Array.from(tr.querySelectorAll('.prtg-sensor-checkbox:checked')).map(checkbox => checkbox.dataset.monitor)
+            };
+        });
     }
 
     updatePRTGSensors() {
         try {
-            const checkboxes = document.querySelectorAll('.prtg-sensor-checkbox');
-            if (!checkboxes || checkboxes.length === 0) {
-                console.warn('No PRTG sensor checkboxes found');
+            const rows = this.readPRTGDeviceRows();
+            if (rows.length === 0) {
+                console.warn('No PRTG device rows found');
                 return;
             }
 
-            const deviceTotals = {};
-            let grandTotal = 0;
-
-            // Initialize device totals
-            const deviceTypes = [
-                'HP Aruba Switches', 'HP Aruba Wireless Controllers', 'ClearPass',
-                'Airwave Management', 'Firewalls (Fortinet)', 'Other (i.e. 3rd Party Switch)'
-            ];
-            deviceTypes.forEach(device => deviceTotals[device] = 0);
-
-            // Count sensors for each device
-            checkboxes.forEach(checkbox => {
-                if (checkbox.checked) {
-                    const device = checkbox.dataset.device;
-                    if (device && deviceTotals.hasOwnProperty(device)) {
-                        deviceTotals[device] = (deviceTotals[device] || 0) + 1;
-                        grandTotal++;
-                    }
-                }
-            });
-
-            // Update device totals
-            Object.keys(deviceTotals).forEach(device => {
-                const totalElement = document.querySelector(`[data-device="${device}"].device-total`);
+            // Sensors per device type are quantity × the sensors of each ticked monitor
+            const plan = this.sensorPlanner.plan(rows);
+            plan.rows.forEach(row => {
+                const totalElement = document.querySelector(`.device-total[data-device-type="${row.type}"]`);
                 if (totalElement) {
-                    totalElement.textContent = deviceTotals[device];
+                    totalElement.textContent = row.sensors;
                 }
             });
 
             // Update grand total
             const grandTotalElement = document.getElementById('grandTotalSensors');
             if (grandTotalElement) {
-                grandTotalElement.textContent = grandTotal;
+                grandTotalElement.textContent = plan.totalSensors;
             }
 
             // Update total sensors count
             const totalSensorsElement = document.getElementById('totalSensorsCount');
             if (totalSensorsElement) {
-                totalSensorsElement.textContent = grandTotal;
+                totalSensorsElement.textContent = plan.totalSensors;
             }
 
             // Update component data and recalculate
             const componentData = this.dataStore.getComponent('prtg');
             if (componentData) {
-                const newParams = { ...componentData.params, sensors: grandTotal };
+                const newParams = { ...componentData.params, sensors: plan.totalSensors, devices: rows };
                 this.dataStore.updateComponentParams('prtg', newParams);
                 this.calculateComponent('prtg');
+                this.renderPRTGAdvice(newParams, this.sensorPlanner.listMonitors(plan));
             }
         } catch (error) {
             console.error('Error updating PRTG sensors:', error);
         }
     }
 
+    // Show licence tier warnings and the monitors that could be dropped to reach a cheaper tier
+    renderPRTGAdvice(params, monitors) {
+        const container = document.getElementById('prtgOptimiserAdvice');
+        if (!container) return;
+
+        const advice = this.prtgOptimiser.analyse(params, { monitors });
+        if (advice.error || advice.warnings.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <div class="font-semibold mb-1"><i class="fas fa-lightbulb mr-2"></i>Licence tier advice</div>
+                <ul class="list-disc ml-5">
+                    ${advice.warnings.map(warning => `<li>${warning.message}</li>`).join('')}
+                </ul>
+                ${advice.suggestedDrops.length > 0 ? `
+                    <div class="mt-2">Candidates to drop:
+                        ${advice.suggestedDrops.map(drop => HTMLEscape.escape(`${drop.device} - ${this.sensorPlanner.monitors[drop.monitor] || drop.monitor} (${drop.sensors ?? 1} sensors)`)).join(', ')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
     renderAssessmentConfig() {
         return `
             <div class="config-section">
@@ -2176,6 +2944,82 @@ class ComponentManager {
         `;
     }
 
+    renderLabourConfig() {
+        const { hourlyRates } = this.calculator.pricingData.support;
+        const { bundles } = this.calculator.pricingData.labour || PriceBook.DEFAULT.pricing.labour;
+        const roleNames = { l1_support: 'L1 Support', l2_support: 'L2 Support', l3_support: 'L3 Support', engineer: 'Engineer' };
+
+        return `
+            <div class="config-section">
+                <h3><i class="fas fa-user-clock"></i>Hours by Role</h3>
+                <div class="config-grid">
+                    ${Object.keys(hourlyRates).map(role => `
+                        <div class="form-group">
+                            <label class="form-label">${HTMLEscape.escape(roleNames[role] || role)} (${this.calculator.formatCurrency(hourlyRates[role])}/hour)</label>
+                            <input type="number" name="labourHours.${role}" class="form-input" min="0" step="0.5" placeholder="0">
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="config-section">
+                <h3><i class="fas fa-box"></i>Billing</h3>
+                <div class="config-grid">
+                    <div class="form-group">
+                        <label class="form-label">Billing</label>
+                        <select name="billing" class="form-input form-select">
+                            <option value="timeAndMaterials">Time and materials (billed as used)</option>
+                            <option value="prepaid">Pre-paid hour bundle</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Bundle</label>
+                        <select name="bundle" class="form-input form-select">
+                            <option value="auto">Best bundle for the hours</option>
+                            ${Object.keys(bundles).map(id => `
+                                <option value="${id}">${HTMLEscape.escape(bundles[id].name)} - ${Math.round(bundles[id].discountRate * 100)}% off, expires after ${bundles[id].expiryMonths} months</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Used Over (months)</label>
+                        <input type="number" name="usageMonths" class="form-input" min="1" max="60"
+                               placeholder="Contract term" data-tooltip="Hours are drawn down evenly over this period; bundles are bought again when their hours expire">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">Expected Utilisation (%)</label>
+                        <input type="number" name="utilisation" class="form-input" min="1" max="100" step="1" data-percent
+                               placeholder="100" data-tooltip="Share of bundled hours expected to be used; unused hours roll over up to the bundle limit or are forfeited">
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderComplianceConfig() {
+        const frameworks = this.calculator.getComplianceFrameworks();
+
+        return `
+            <div class="config-section">
+                <h3><i class="fas fa-clipboard-check"></i>Compliance Frameworks</h3>
+                <div class="config-grid">
+                    ${Object.keys(frameworks).map(id => `
+                        <label class="flex items-start gap-2">
+                            <input type="checkbox" name="frameworks" value="${id}" class="mr-2 mt-1">
+                            <span>
+                                <span class="font-medium">${HTMLEscape.escape(frameworks[id].name)}</span>
+                                <span class="block text-sm text-gray-500">
+                                    ${frameworks[id].readinessDays} readiness days, ${frameworks[id].auditDaysPerYear} audit days a year,
+                                    +${frameworks[id].extraSensors} PRTG sensors, +${(frameworks[id].supportUplift * 100).toFixed(1)}% support
+                                </span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
     renderEnhancedSupportConfig() {
         return `
             <div class="config-section">
@@ -2370,7 +3214,7 @@ class ComponentManager {
     // Get combined quote from all components
     getCombinedQuote() {
         const enabledComponents = this.dataStore.getEnabledComponents();
-        return this.calculator.calculateCombinedQuote(enabledComponents);
+        return this.calculator.calculateCombinedQuote(enabledComponents, this.dataStore.getQuoteOptions());
     }
 
     // Update pricing summary sidebar
@@ -2401,9 +3245,12 @@ class ComponentManager {
         const pricingHash = JSON.stringify({
             monthly: quote.totals.monthly,
             annual: quote.totals.annual,
-            threeYear: quote.totals.threeYear,
+            termTotal: quote.totals.termTotal,
+            termMonths: quote.term.months,
             oneTime: quote.totals.oneTime,
-            discount: quote.discounts?.monthlyDiscount || 0
+            discount: quote.discounts?.monthlyDiscount || 0,
+            tax: quote.tax,
+            currency: quote.currency
         });
 
         if (this.domCache.lastPricingHash === pricingHash) {
@@ -2414,19 +3261,23 @@ class ComponentManager {
 
         // Check if structure exists, update only values if possible
         const existingWrapper = pricingSummary.querySelector('.space-y-3');
+        const currency = quote.currency.code;
+        const cached = this.domCache.pricingElements;
+        const taxLabel = this.getTaxLabel(quote);
 
-        if (existingWrapper && this.domCache.pricingElements) {
+        // Currency, term and region changes alter labels and notes, so rebuild rather than patch
+        if (existingWrapper && cached && cached.currency === currency && cached.termMonths === quote.term.months && cached.taxLabel === taxLabel && cached.taxRegion === quote.tax?.region.id) {
             // Update existing elements (delta update)
-            this.domCache.pricingElements.monthly.textContent = this.calculator.formatCurrency(quote.totals.monthly);
-            this.domCache.pricingElements.annual.textContent = this.calculator.formatCurrency(quote.totals.annual);
-            this.domCache.pricingElements.threeYear.textContent = this.calculator.formatCurrency(quote.totals.threeYear);
+            this.domCache.pricingElements.monthly.textContent = this.calculator.formatCurrency(quote.totals.monthly, false, currency);
+            this.domCache.pricingElements.annual.textContent = this.calculator.formatCurrency(quote.totals.annual, false, currency);
+            this.domCache.pricingElements.termTotal.textContent = this.calculator.formatCurrency(quote.totals.termTotal, false, currency);
 
             // Handle optional one-time cost
             if (quote.totals.oneTime > 0) {
                 if (!this.domCache.pricingElements.oneTimeContainer) {
-                    this.createOneTimeCostElement(existingWrapper, quote.totals.oneTime);
+                    this.createOneTimeCostElement(existingWrapper, quote.totals.oneTime, currency);
                 } else {
-                    this.domCache.pricingElements.oneTime.textContent = this.calculator.formatCurrency(quote.totals.oneTime);
+                    this.domCache.pricingElements.oneTime.textContent = this.calculator.formatCurrency(quote.totals.oneTime, false, currency);
                 }
             } else if (this.domCache.pricingElements.oneTimeContainer) {
                 this.domCache.pricingElements.oneTimeContainer.remove();
@@ -2445,6 +3296,10 @@ class ComponentManager {
                 this.domCache.pricingElements.discountContainer = null;
             }
 
+            if (this.domCache.pricingElements.tax) {
+                this.domCache.pricingElements.tax.textContent = this.formatTaxAmounts(quote);
+            }
+
             return;
         }
 
@@ -2455,13 +3310,14 @@ class ComponentManager {
     buildPricingSummaryStructure(pricingSummary, quote) {
         const wrapper = document.createElement('div');
         wrapper.className = 'space-y-3';
+        const currency = quote.currency.code;
 
         // Cache elements for future delta updates
-        this.domCache.pricingElements = {};
+        this.domCache.pricingElements = { currency, termMonths: quote.term.months, taxLabel: this.getTaxLabel(quote), taxRegion: quote.tax?.region.id };
 
         // Monthly cost
         const monthlyDiv = this.createPricingItem(
-            this.calculator.formatCurrency(quote.totals.monthly),
+            this.calculator.formatCurrency(quote.totals.monthly, false, currency),
             'Monthly Cost',
             'text-2xl font-bold text-[var(--qolcom-green)]'
         );
@@ -2470,25 +3326,25 @@ class ComponentManager {
 
         // Annual cost
         const annualDiv = this.createPricingItem(
-            this.calculator.formatCurrency(quote.totals.annual),
+            this.calculator.formatCurrency(quote.totals.annual, false, currency),
             'Annual Cost',
             'text-lg font-semibold text-blue-400'
         );
         this.domCache.pricingElements.annual = annualDiv.querySelector('div:first-child');
         wrapper.appendChild(annualDiv);
 
-        // 3-Year cost
-        const threeYearDiv = this.createPricingItem(
-            this.calculator.formatCurrency(quote.totals.threeYear),
-            '3-Year Total',
+        // Contract term cost
+        const termTotalDiv = this.createPricingItem(
+            this.calculator.formatCurrency(quote.totals.termTotal, false, currency),
+            this.calculator.getTermLabel(quote.term.months),
             'text-lg font-semibold text-purple-400'
         );
-        this.domCache.pricingElements.threeYear = threeYearDiv.querySelector('div:first-child');
-        wrapper.appendChild(threeYearDiv);
+        this.domCache.pricingElements.termTotal = termTotalDiv.querySelector('div:first-child');
+        wrapper.appendChild(termTotalDiv);
 
         // One-time cost (optional)
         if (quote.totals.oneTime > 0) {
-            this.createOneTimeCostElement(wrapper, quote.totals.oneTime);
+            this.createOneTimeCostElement(wrapper, quote.totals.oneTime, currency);
         }
 
         // Discount (optional)
@@ -2496,6 +3352,19 @@ class ComponentManager {
             this.createDiscountElement(wrapper, quote.discounts.monthlyDiscount);
         }
 
+        // Tax itemised separately (totals above are net of tax)
+        if (this.domCache.pricingElements.taxLabel) {
+            this.createTaxElement(wrapper, quote);
+        }
+
+        // Exchange rate used (only when converted from the price book currency)
+        if (quote.currency.base !== currency) {
+            const rateDiv = document.createElement('div');
+            rateDiv.className = 'text-center text-xs text-gray-500';
+            rateDiv.textContent = `FX rate: ${CurrencyConverter.describeRate(quote.currency)}`;
+            wrapper.appendChild(rateDiv);
+        }
+
         pricingSummary.innerHTML = '';
         pricingSummary.appendChild(wrapper);
     }
@@ -2518,9 +3387,37 @@ class ComponentManager {
         return container;
     }
 
-    createOneTimeCostElement(wrapper, oneTime) {
+    getTaxLabel(quote) {
+        return quote.tax && quote.tax.rate > 0 ? this.calculator.describeTax(quote.tax) : '';
+    }
+
+    formatTaxAmounts(quote) {
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        return `Monthly: ${format(quote.tax.amounts.monthly)} · One-time: ${format(quote.tax.amounts.oneTime)}`;
+    }
+
+    createTaxElement(wrapper, quote) {
+        const taxDiv = document.createElement('div');
+        taxDiv.className = 'text-center';
+
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'text-sm font-semibold text-gray-300';
+        titleDiv.textContent = `${this.getTaxLabel(quote)} - ${quote.tax.region.name}`;
+
+        const amountsDiv = document.createElement('div');
+        amountsDiv.className = 'text-xs text-gray-400';
+        amountsDiv.textContent = this.formatTaxAmounts(quote);
+
+        taxDiv.appendChild(titleDiv);
+        taxDiv.appendChild(amountsDiv);
+
+        this.domCache.pricingElements.tax = amountsDiv;
+        wrapper.appendChild(taxDiv);
+    }
+
+    createOneTimeCostElement(wrapper, oneTime, currency) {
         const oneTimeDiv = this.createPricingItem(
-            this.calculator.formatCurrency(oneTime),
+            this.calculator.formatCurrency(oneTime, false, currency),
             'One-time Costs',
             'text-lg font-semibold text-orange-400'
         );
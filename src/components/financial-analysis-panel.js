@@ -0,0 +1,216 @@
+/**
+ * NaaS Pricing Calculator - Financial Analysis Panel
+ * Dashboard panel comparing the current quote with buying outright (TCO, NPV, payback, IRR),
+ * with a comparison mode laying out buy, finance and NaaS subscription side by side
+ */
+
+class FinancialAnalysisPanel {
+    /**
+     * Line colours of the comparison options in the cumulative spend chart
+     */
+    static OPTION_COLOURS = { buy: 'text-green-400', finance: 'text-blue-400', naas: 'text-purple-400' };
+
+    constructor(calculator, dataStore) {
+        this.calculator = calculator;
+        this.dataStore = dataStore;
+        this.analysis = new FinancialAnalysis(calculator);
+        this.mode = 'analysis';
+
+        this.container = document.getElementById('financialAnalysisContent');
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        if (!this.container) return;
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name === 'customerDiscountRate') {
+                const percent = parseFloat(e.target.value);
+                this.dataStore.updateProject({ customerDiscountRate: Number.isFinite(percent) ? percent / 100 : undefined });
+                this.render();
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const modeButton = e.target.closest('[data-analysis-mode]');
+            if (modeButton) {
+                this.mode = modeButton.dataset.analysisMode;
+                this.render();
+            } else if (e.target.closest('#exportComparisonPDF')) {
+                window.importExportManager?.exportComparisonPDF();
+            }
+        });
+    }
+
+    /**
+     * Analyse the enabled components using the project's quote options and discount rate
+     */
+    getAnalysis() {
+        return this.analysis.analyse(this.dataStore.getEnabledComponents(), this.dataStore.getQuoteOptions());
+    }
+
+    /**
+     * Buy, finance and NaaS subscription options for the enabled components
+     */
+    getComparison() {
+        return this.analysis.compareOwnership(this.dataStore.getEnabledComponents(), this.dataStore.getQuoteOptions());
+    }
+
+    render() {
+        if (!this.container) return;
+
+        if (Object.keys(this.dataStore.getEnabledComponents()).length === 0) {
+            this.container.innerHTML = '<p class="text-gray-400">Configure components to see the financial analysis</p>';
+            return;
+        }
+
+        try {
+            this.container.innerHTML = this.renderModeToggle() + (this.mode === 'comparison' ?
+                this.renderComparison(this.getComparison()) :
+                this.renderAnalysis(this.getAnalysis()));
+        } catch (error) {
+            console.error('Error rendering financial analysis:', error);
+            this.container.innerHTML = '<p class="text-red-400">Financial analysis unavailable</p>';
+        }
+    }
+
+    renderModeToggle() {
+        const button = (mode, label) => `
+            <button type="button" data-analysis-mode="${mode}"
+                    class="px-3 py-1 rounded-lg text-sm ${this.mode === mode ? 'bg-[var(--qolcom-green)] text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}">
+                ${label}
+            </button>
+        `;
+        return `
+            <div class="flex gap-2 mb-4" role="group" aria-label="Financial analysis mode">
+                ${button('analysis', 'NaaS vs Buy Outright')}
+                ${button('comparison', 'Buy vs Finance vs NaaS')}
+            </div>
+        `;
+    }
+
+    renderComparison(result) {
+        if (result.error) {
+            return `<p class="text-gray-400">${result.error}</p>`;
+        }
+
+        const format = amount => this.calculator.formatCurrency(amount, false, result.currency.code);
+        const cell = (option, content) => `<td class="py-2 pr-4 text-right ${option.id === result.cheapest ? 'font-semibold text-green-400' : ''}">${content}</td>`;
+        const row = (label, content) => `
+            <tr class="border-t border-gray-700">
+                <td class="py-2 pr-4">${label}</td>
+                ${result.options.map(option => cell(option, content(option))).join('')}
+            </tr>
+        `;
+        const breakeven = month => month ? `Month ${month}` : 'None in term';
+
+        return `
+            <p class="text-sm text-gray-400 mb-4">
+                Over a ${result.months}-month term: the capital lines bought outright or financed, each with the quote's
+                recurring services, against a bundled NaaS subscription for ${result.deviceCount} devices
+            </p>
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm text-gray-300">
+                    <thead>
+                        <tr class="text-gray-400">
+                            <th class="py-2 text-left">Measure</th>
+                            ${result.options.map(option => `<th class="py-2 pr-4 text-right ${FinancialAnalysisPanel.OPTION_COLOURS[option.id]}">${option.label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Total Cost', option => format(option.total))}
+                        ${row('Month 1', option => format(option.upfront))}
+                        ${row('Average Monthly', option => format(option.averageMonthly))}
+                        ${result.options[0].years.map((amount, index) => row(`Year ${index + 1}`, option => format(option.years[index]))).join('')}
+                        ${row('Buying Outright Breaks Even', option => option.id === 'buy' ? '-' : breakeven(result.breakeven[option.id]))}
+                    </tbody>
+                </table>
+            </div>
+            ${this.renderCumulativeChart(result)}
+            <div class="mt-4 text-right">
+                <button type="button" id="exportComparisonPDF" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+                    <i class="fas fa-file-pdf mr-2"></i>Export Comparison PDF
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Cumulative spend of each option by month, as an inline SVG line chart
+     */
+    renderCumulativeChart(result) {
+        const width = 600;
+        const height = 160;
+        const max = Math.max(...result.options.map(option => option.cumulative[option.cumulative.length - 1] || 0), 1);
+        const x = index => (result.months > 1 ? index / (result.months - 1) : 0) * width;
+        const y = amount => height - (amount / max) * height;
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" class="w-full h-40 mt-4" role="img" aria-label="Cumulative spend by month">
+                ${result.options.map(option => `
+                    <polyline fill="none" stroke="currentColor" stroke-width="2" class="${FinancialAnalysisPanel.OPTION_COLOURS[option.id]}"
+                              points="${option.cumulative.map((amount, index) => `${x(index).toFixed(1)},${y(amount).toFixed(1)}`).join(' ')}"></polyline>
+                `).join('')}
+            </svg>
+            <p class="text-xs text-gray-500 text-center">Cumulative spend, month 1 to ${result.months}</p>
+        `;
+    }
+
+    renderAnalysis(result) {
+        const format = amount => this.calculator.formatCurrency(amount, false, result.currency.code);
+        const row = (label, naas, outright) => `
+            <tr class="border-t border-gray-700">
+                <td class="py-2 pr-4">${label}</td>
+                <td class="py-2 pr-4 text-right">${naas}</td>
+                <td class="py-2 text-right">${outright}</td>
+            </tr>
+        `;
+
+        return `
+            <div class="flex flex-wrap items-end gap-4 mb-4">
+                <div class="form-group">
+                    <label class="form-label" for="customerDiscountRate">Customer Discount Rate (%)</label>
+                    <input type="number" id="customerDiscountRate" name="customerDiscountRate" class="form-input w-32"
+                           min="0" max="100" step="0.1" value="${(result.discountRate * 100).toFixed(1)}">
+                </div>
+                <p class="text-sm text-gray-400 mb-2">Over a ${result.months}-month term, cash flows discounted monthly</p>
+            </div>
+            <div class="overflow-x-auto">
+                <table class="w-full text-sm text-gray-300">
+                    <thead>
+                        <tr class="text-gray-400">
+                            <th class="py-2 text-left">Measure</th>
+                            <th class="py-2 text-right">NaaS (as quoted)</th>
+                            <th class="py-2 text-right">Buy Outright</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${row('Total Cost of Ownership', format(result.naas.tco), format(result.outright.tco))}
+                        ${row('Net Present Value of Costs', format(result.naas.npv), format(result.outright.npv))}
+                    </tbody>
+                </table>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 text-center">
+                <div>
+                    <div class="text-lg font-semibold ${result.npvAdvantage >= 0 ? 'text-green-400' : 'text-red-400'}">${format(result.npvAdvantage)}</div>
+                    <div class="text-sm text-gray-400">NPV Advantage of NaaS</div>
+                </div>
+                <div>
+                    <div class="text-lg font-semibold text-blue-400">${result.paybackMonth ? `Month ${result.paybackMonth}` : 'None in term'}</div>
+                    <div class="text-sm text-gray-400">Payback of Buying Outright</div>
+                </div>
+                <div>
+                    <div class="text-lg font-semibold text-purple-400">${result.irr === null ? 'N/A' : `${(result.irr * 100).toFixed(1)}%`}</div>
+                    <div class="text-sm text-gray-400">Implied NaaS Financing Rate (IRR)</div>
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FinancialAnalysisPanel;
+} else {
+    window.FinancialAnalysisPanel = FinancialAnalysisPanel;
+}
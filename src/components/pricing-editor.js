@@ -0,0 +1,551 @@
+/**
+ * NaaS Pricing Calculator - Pricing Editor
+ * In-app editing of price books with draft storage, validation, preview and publish
+ */
+
+class PricingEditor {
+    /**
+     * Representative quote used to preview the impact of a draft price book
+     */
+    static SAMPLE_QUOTE = {
+        prtg: { enabled: true, params: { sensors: 250, locations: 5, alertRecipients: 10, serviceLevel: 'enhanced' } },
+        capital: { enabled: true, params: { equipment: [{ description: 'Core Switch', quantity: 2, unitCost: 2400 }], financing: true, termMonths: 36 } },
+        support: { enabled: true, params: { level: 'enhanced', deviceCount: 20 } },
+        onboarding: { enabled: true, params: { complexity: 'standard', sites: 3 } },
+        pbsFoundation: { enabled: true, params: { users: 50, locations: 3 } },
+        assessment: { enabled: true, params: { complexity: 'standard', deviceCount: 20, siteCount: 1 } },
+        admin: { enabled: true, params: { annualReviews: 1, technicalDays: 2 } },
+        labour: { enabled: true, params: { hours: { l2_support: 20, engineer: 16 } } },
+        compliance: { enabled: true, params: { frameworks: ['iso_27001'] } },
+        enhancedSupport: { enabled: true, params: { level: 'premium', deviceCount: 20 } },
+        naasStandard: { enabled: true, params: { package: 'standard', deviceCount: 20 } }
+    };
+
+    constructor(calculator, dataStore) {
+        this.calculator = calculator;
+        this.dataStore = dataStore;
+
+        this.draft = null;
+        this.records = [];
+        this.validation = null;
+        this.preview = null;
+        this.previewStale = true;
+
+        this.container = document.getElementById('pricingEditorContent');
+        this.bindEvents();
+    }
+
+    get storage() {
+        return this.dataStore?.storageManager || null;
+    }
+
+    bindEvents() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'new-draft':
+                    this.startDraft(this.calculator.priceBook);
+                    break;
+                case 'validate':
+                    this.validateDraft();
+                    this.render();
+                    break;
+                case 'preview':
+                    this.previewDraft();
+                    break;
+                case 'save-draft':
+                    this.saveDraft();
+                    break;
+                case 'publish':
+                    this.publishDraft();
+                    break;
+                case 'load-record':
+                    this.loadRecord(button.dataset.key);
+                    break;
+                case 'delete-record':
+                    this.deleteRecord(button.dataset.key);
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.dataset.path || e.target.dataset.field) {
+                this.handleInput(e.target);
+            }
+        });
+    }
+
+    /**
+     * Apply the published price book effective today, if one has been stored
+     */
+    async loadPublishedPriceBook() {
+        if (!this.storage || !(await this.dataStore.ensureInitialized())) {
+            return null;
+        }
+
+        try {
+            const published = await this.storage.getPriceBooks({ status: 'published' });
+            const books = published
+                .map(record => record.book)
+                .filter(book => PriceBook.validate(book).isValid);
+
+            const effective = PriceBook.selectEffective(books);
+            if (effective) {
+                this.applyPriceBook(effective);
+            }
+            return effective;
+        } catch (error) {
+            console.error('PricingEditor: Failed to load published price books:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Render the editor when the pricing view is shown
+     */
+    async initialize() {
+        await this.refreshRecords();
+        if (!this.draft) {
+            this.startDraft(this.calculator.priceBook, false);
+        }
+        this.render();
+    }
+
+    async refreshRecords() {
+        if (!this.storage) {
+            this.records = [];
+            return;
+        }
+
+        try {
+            this.records = await this.storage.getPriceBooks();
+        } catch (error) {
+            console.error('PricingEditor: Failed to load price books:', error);
+            this.records = [];
+        }
+    }
+
+    /**
+     * Start a new draft as a copy of an existing price book
+     */
+    startDraft(baseBook, render = true) {
+        const draft = PriceBook.clone(baseBook);
+        draft.version = `${baseBook.version}-draft`;
+        draft.effectiveFrom = new Date().toISOString().slice(0, 10);
+        draft.effectiveTo = null;
+        this.fillOptionalSections(draft, baseBook);
+
+        this.draft = draft;
+        this.markDirty();
+
+        if (render) {
+            this.render();
+        }
+    }
+
+    markDirty() {
+        this.validation = null;
+        this.preview = null;
+        this.previewStale = true;
+    }
+
+    handleInput(input) {
+        if (!this.draft) return;
+
+        if (input.dataset.field) {
+            const value = input.value.trim();
+            if (input.dataset.field === 'effectiveTo') {
+                this.draft.effectiveTo = value || null;
+            } else if (input.dataset.field === 'currency') {
+                this.draft.currency = value.toUpperCase();
+            } else {
+                this.draft[input.dataset.field] = value;
+            }
+        } else {
+            const path = input.dataset.path.split('.');
+            const key = path.pop();
+            const target = path.reduce((node, segment) => node[segment], this.draft);
+            target[key] = input.type === 'number' ? parseFloat(input.value) : input.value;
+        }
+
+        this.markDirty();
+        this.renderStatus();
+    }
+
+    /**
+     * Validate the draft, including clashes with already published versions
+     */
+    validateDraft() {
+        const validation = PriceBook.validate(this.draft);
+        const key = `${this.draft.id}@${this.draft.version}`;
+
+        if (this.records.some(record => record.key === key && record.status === 'published')) {
+            validation.errors.push(`Version ${this.draft.version} of ${this.draft.id} has already been published`);
+            validation.isValid = false;
+        }
+
+        this.validation = validation;
+        return validation;
+    }
+
+    /**
+     * Price the sample quote with the active and draft books side by side
+     */
+    previewDraft() {
+        const validation = this.validateDraft();
+        if (!validation.isValid) {
+            this.render();
+            this.notify('Fix validation errors before previewing', 'error');
+            return null;
+        }
+
+        const current = new NaaSCalculator(this.calculator.priceBook).calculateCombinedQuote(PricingEditor.SAMPLE_QUOTE);
+        const proposed = new NaaSCalculator(this.draft).calculateCombinedQuote(PricingEditor.SAMPLE_QUOTE);
+
+        const rows = Object.keys(proposed.components).map(type => ({
+            type,
+            current: current.components[type]?.totals || {},
+            proposed: proposed.components[type].totals
+        }));
+
+        this.preview = { rows, current: current.totals, proposed: proposed.totals };
+        this.previewStale = false;
+        this.render();
+        return this.preview;
+    }
+
+    async saveDraft() {
+        if (!this.storage) {
+            this.notify('Storage is not available', 'error');
+            return null;
+        }
+
+        const validation = this.validateDraft();
+        if (!validation.isValid) {
+            this.render();
+            this.notify('Draft has validation errors', 'error');
+            return null;
+        }
+
+        try {
+            const record = await this.storage.savePriceBook({ status: 'draft', book: this.draft });
+            await this.refreshRecords();
+            this.render();
+            this.notify(`Draft ${this.draft.version} saved`, 'success');
+            return record;
+        } catch (error) {
+            console.error('PricingEditor: Failed to save draft:', error);
+            this.notify('Failed to save draft', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Publish a validated, previewed draft and make it active if it is effective today
+     */
+    async publishDraft() {
+        if (this.previewStale) {
+            this.notify('Preview the draft against the sample quote before publishing', 'warning');
+            return null;
+        }
+        if (!this.validateDraft().isValid) {
+            this.render();
+            return null;
+        }
+        if (!this.storage) {
+            this.notify('Storage is not available', 'error');
+            return null;
+        }
+
+        try {
+            const record = await this.storage.savePriceBook({
+                status: 'published',
+                book: this.draft,
+                publishedAt: new Date().toISOString()
+            });
+
+            if (PriceBook.isEffective(this.draft)) {
+                this.applyPriceBook(this.draft);
+            }
+
+            this.notify(`Price book ${this.draft.id} v${this.draft.version} published`, 'success');
+            this.draft = null;
+            await this.initialize();
+            return record;
+        } catch (error) {
+            console.error('PricingEditor: Failed to publish price book:', error);
+            this.notify('Failed to publish price book', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Give a draft every optional section so older books show the shipped values for editing
+     */
+    fillOptionalSections(draft, book) {
+        const defaultPRTG = PriceBook.DEFAULT.pricing.prtg;
+        draft.costBasis = PriceBook.clone(PriceBook.getCostBasis(book));
+        draft.costBasis.onboardingDays = draft.costBasis.onboardingDays || PriceBook.clone(PriceBook.DEFAULT.costBasis.onboardingDays);
+        draft.guardrails = PriceBook.clone(PriceBook.getGuardrails(book));
+        draft.contingency = PriceBook.clone(PriceBook.getContingency(book));
+        draft.regions = PriceBook.clone(PriceBook.getRegions(book));
+        draft.hardware = PriceBook.clone(PriceBook.getHardware(book));
+        draft.slas = PriceBook.clone(PriceBook.getSlas(book));
+        draft.pricing.prtg.pricingMode = draft.pricing.prtg.pricingMode || defaultPRTG.pricingMode;
+        draft.pricing.prtg.sensorBands = draft.pricing.prtg.sensorBands || PriceBook.clone(defaultPRTG.sensorBands);
+        draft.pricing.support.coverage = draft.pricing.support.coverage || PriceBook.clone(PriceBook.DEFAULT.pricing.support.coverage);
+        draft.pricing.labour = draft.pricing.labour || PriceBook.clone(PriceBook.DEFAULT.pricing.labour);
+        draft.pricing.compliance = draft.pricing.compliance || PriceBook.clone(PriceBook.DEFAULT.pricing.compliance);
+    }
+
+    loadRecord(key) {
+        const record = this.records.find(item => item.key === key);
+        if (!record) return;
+
+        if (record.status === 'published') {
+            this.startDraft(record.book);
+        } else {
+            this.draft = PriceBook.clone(record.book);
+            this.fillOptionalSections(this.draft, record.book);
+            this.markDirty();
+            this.render();
+        }
+    }
+
+    async deleteRecord(key) {
+        const record = this.records.find(item => item.key === key);
+        if (!record || record.status !== 'draft' || !this.storage) return;
+
+        try {
+            await this.storage.deletePriceBook(key);
+            await this.refreshRecords();
+            this.render();
+        } catch (error) {
+            console.error('PricingEditor: Failed to delete draft:', error);
+            this.notify('Failed to delete draft', 'error');
+        }
+    }
+
+    /**
+     * Make a price book active for every calculator in the app
+     */
+    applyPriceBook(book) {
+        PriceBook.setActive(book);
+        this.calculator.loadPriceBook(book);
+
+        if (window.componentManager?.currentComponent) {
+            window.componentManager.calculateComponent(window.componentManager.currentComponent);
+        }
+    }
+
+    render() {
+        if (!this.container || !this.draft) return;
+
+        const active = this.calculator.getPriceBookReference();
+
+        this.container.innerHTML = `
+            <div class="flex flex-col lg:flex-row gap-6">
+                <div class="lg:w-80 flex-shrink-0 space-y-4">
+                    <div class="bg-[#1f2937] rounded-xl shadow-md p-4 border border-gray-700">
+                        <h3 class="text-lg font-semibold text-gray-200 mb-2">Active Price Book</h3>
+                        <p class="text-gray-300 text-sm">${HTMLEscape.escape(active.id)} v${HTMLEscape.escape(active.version)}</p>
+                        <p class="text-gray-400 text-xs">${HTMLEscape.escape(active.currency)} · effective from ${HTMLEscape.escape(active.effectiveFrom)}</p>
+                    </div>
+                    <div class="bg-[#1f2937] rounded-xl shadow-md p-4 border border-gray-700">
+                        <h3 class="text-lg font-semibold text-gray-200 mb-3">Stored Price Books</h3>
+                        ${this.renderRecords()}
+                        <button type="button" data-action="new-draft"
+                                class="mt-3 w-full bg-gray-600 hover:bg-gray-500 text-white text-sm font-medium py-2 px-3 rounded-lg">
+                            New Draft from Active
+                        </button>
+                    </div>
+                </div>
+                <div class="flex-1 space-y-6">
+                    ${this.renderHeader()}
+                    <div id="pricingEditorStatus">${this.renderStatusContent()}</div>
+                    ${PriceBook.REQUIRED_SECTIONS.map(section => this.renderSection(section)).join('')}
+                    ${this.renderSection('labour', 'pre-paid hour bundles for time-and-materials labour')}
+                    ${this.renderSection('compliance', 'readiness and audit days, PRTG sensors and support uplift by framework')}
+                    ${this.renderPolicySection('costBasis', 'fas fa-coins', 'internal cost of goods, never shown to customers')}
+                    ${this.renderPolicySection('guardrails', 'fas fa-shield-alt', 'quotes breaching these need approval')}
+                    ${this.renderPolicySection('contingency', 'fas fa-exclamation-triangle', 'risk contingency caps as a share of quote value by project complexity')}
+                    ${this.renderPolicySection('regions', 'fas fa-globe-europe', 'labour multipliers and tax rates by delivery region')}
+                    ${this.renderPolicySection('hardware', 'fas fa-percentage', 'distributor buy discounts and sell uplifts by vendor and category')}
+                    ${this.renderPolicySection('slas', 'fas fa-stopwatch', 'response targets, availability and service credits by support level')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderRecords() {
+        if (this.records.length === 0) {
+            return '<p class="text-gray-400 text-sm">No drafts or published price books yet.</p>';
+        }
+
+        return `<ul class="space-y-2">${this.records.map(record => `
+            <li class="flex items-center justify-between text-sm">
+                <span class="text-gray-300">
+                    ${HTMLEscape.escape(record.book.version)}
+                    <span class="text-xs ${record.status === 'published' ? 'text-green-400' : 'text-yellow-400'}">${record.status}</span>
+                </span>
+                <span class="space-x-2">
+                    <button type="button" data-action="load-record" data-key="${HTMLEscape.escape(record.key)}" class="text-blue-400 hover:text-blue-300">Edit</button>
+                    ${record.status === 'draft' ? `<button type="button" data-action="delete-record" data-key="${HTMLEscape.escape(record.key)}" class="text-red-400 hover:text-red-300">Delete</button>` : ''}
+                </span>
+            </li>
+        `).join('')}</ul>`;
+    }
+
+    renderHeader() {
+        const field = (name, label, type = 'text') => `
+            <div class="form-group">
+                <label class="form-label">${label}</label>
+                <input type="${type}" data-field="${name}" class="form-input" value="${HTMLEscape.escape(this.draft[name] || '')}">
+            </div>
+        `;
+
+        return `
+            <div class="config-section">
+                <h3><i class="fas fa-book"></i>Draft Price Book</h3>
+                <div class="config-grid">
+                    ${field('id', 'Price Book ID')}
+                    ${field('version', 'Version')}
+                    ${field('name', 'Name')}
+                    ${field('currency', 'Currency')}
+                    ${field('effectiveFrom', 'Effective From', 'date')}
+                    ${field('effectiveTo', 'Effective To', 'date')}
+                    ${this.renderField('rates.APR_RATE', this.draft.rates.APR_RATE)}
+                    ${this.renderField('rates.CPI_RATE', this.draft.rates.CPI_RATE)}
+                </div>
+                <div class="flex flex-wrap gap-3 mt-4">
+                    <button type="button" data-action="validate" class="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-lg">Validate</button>
+                    <button type="button" data-action="preview" class="bg-blue-600 hover:bg-blue-500 text-white font-medium py-2 px-4 rounded-lg">Preview Sample Quote</button>
+                    <button type="button" data-action="save-draft" class="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-lg">Save Draft</button>
+                    <button type="button" data-action="publish" class="bg-[var(--qolcom-green)] hover:bg-opacity-80 text-white font-medium py-2 px-4 rounded-lg">Publish</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderStatus() {
+        const status = document.getElementById('pricingEditorStatus');
+        if (status) {
+            status.innerHTML = this.renderStatusContent();
+        }
+    }
+
+    renderStatusContent() {
+        let html = '';
+
+        if (this.validation) {
+            html += this.validation.isValid ?
+                '<div class="p-3 rounded-lg bg-green-900 bg-opacity-30 border border-green-600 text-green-200 text-sm">Draft is valid</div>' :
+                `<div class="p-3 rounded-lg bg-red-900 bg-opacity-30 border border-red-600 text-red-200 text-sm">
+                    <strong>Validation errors</strong>
+                    <ul class="list-disc ml-5 mt-1">${this.validation.errors.map(error => `<li>${HTMLEscape.escape(error)}</li>`).join('')}</ul>
+                </div>`;
+        }
+
+        if (this.preview && !this.previewStale) {
+            const format = (value) => this.calculator.formatCurrency(value || 0);
+            const row = (label, current, proposed) => `
+                <tr class="border-t border-gray-700">
+                    <td class="py-1 pr-4">${label}</td>
+                    <td class="py-1 pr-4 text-right">${format(current.monthly)}</td>
+                    <td class="py-1 pr-4 text-right">${format(proposed.monthly)}</td>
+                    <td class="py-1 pr-4 text-right">${format(current.threeYear)}</td>
+                    <td class="py-1 text-right">${format(proposed.threeYear)}</td>
+                </tr>
+            `;
+
+            html += `
+                <div class="mt-4 p-4 rounded-lg bg-[#1f2937] border border-gray-700 text-sm text-gray-300 overflow-x-auto">
+                    <h4 class="font-semibold text-gray-200 mb-2">Sample Quote Preview</h4>
+                    <table class="w-full">
+                        <thead>
+                            <tr class="text-gray-400">
+                                <th class="text-left">Component</th>
+                                <th class="text-right">Monthly (Active)</th>
+                                <th class="text-right">Monthly (Draft)</th>
+                                <th class="text-right">3-Year (Active)</th>
+                                <th class="text-right">3-Year (Draft)</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.preview.rows.map(item => row(item.type, item.current, item.proposed)).join('')}
+                            ${row('<strong>Total</strong>', this.preview.current, this.preview.proposed)}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
+    renderSection(section, note = null) {
+        return `
+            <div class="config-section">
+                <h3><i class="fas fa-tags"></i>${section}${note ? ` <span class="text-sm font-normal text-gray-400">(${note})</span>` : ''}</h3>
+                <div class="config-grid">
+                    ${this.renderFields(this.draft.pricing[section], `pricing.${section}`)}
+                </div>
+            </div>
+        `;
+    }
+
+    renderPolicySection(section, icon, note) {
+        return `
+            <div class="config-section">
+                <h3><i class="${icon}"></i>${section} <span class="text-sm font-normal text-gray-400">(${note})</span></h3>
+                <div class="config-grid">
+                    ${this.renderFields(this.draft[section], section)}
+                </div>
+            </div>
+        `;
+    }
+
+    renderFields(node, path) {
+        return Object.keys(node).map(key => {
+            const value = node[key];
+            const childPath = `${path}.${key}`;
+            if (value && typeof value === 'object') {
+                return this.renderFields(value, childPath);
+            }
+            return this.renderField(childPath, value);
+        }).join('');
+    }
+
+    renderField(path, value) {
+        const label = path.split('.').slice(path.startsWith('pricing.') ? 2 : 1).join(' › ');
+        const input = typeof value === 'number' ?
+            `<input type="number" step="any" min="0" data-path="${path}" class="form-input" value="${value}">` :
+            `<input type="text" data-path="${path}" class="form-input" value="${HTMLEscape.escape(value)}">`;
+
+        return `
+            <div class="form-group">
+                <label class="form-label">${HTMLEscape.escape(label)}</label>
+                ${input}
+            </div>
+        `;
+    }
+
+    notify(message, type = 'info') {
+        if (window.app?.showNotification) {
+            window.app.showNotification(message, type);
+        } else {
+            console.log(`PricingEditor: ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PricingEditor;
+} else {
+    window.PricingEditor = PricingEditor;
+}
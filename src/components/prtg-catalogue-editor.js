@@ -0,0 +1,459 @@
+/**
+ * NaaS Pricing Calculator - PRTG Catalogue Editor
+ * In-app editing of the PRTG device-type and monitor catalogue with storage and JSON import/export
+ */
+
+class PRTGCatalogueEditor {
+    /**
+     * Settings key the saved catalogue is stored under
+     */
+    static SETTING_KEY = 'prtgCatalogue';
+
+    constructor(planner, dataStore) {
+        this.planner = planner;
+        this.dataStore = dataStore;
+
+        this.draft = null;
+        this.errors = [];
+        this.dirty = false;
+
+        this.container = document.getElementById('prtgCatalogueContent');
+        this.bindEvents();
+    }
+
+    get storage() {
+        return this.dataStore?.storageManager || null;
+    }
+
+    bindEvents() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'add-device-type':
+                    this.addDeviceType(this.container.querySelector('[name="newDeviceTypeName"]')?.value);
+                    break;
+                case 'remove-device-type':
+                    this.removeDeviceType(button.dataset.type);
+                    break;
+                case 'move-device-type':
+                    this.moveDeviceType(button.dataset.type, parseInt(button.dataset.direction, 10));
+                    break;
+                case 'add-monitor':
+                    this.addMonitor(this.container.querySelector('[name="newMonitorLabel"]')?.value);
+                    break;
+                case 'remove-monitor':
+                    this.removeMonitor(button.dataset.monitor);
+                    break;
+                case 'save-catalogue':
+                    this.saveCatalogue();
+                    break;
+                case 'reset-catalogue':
+                    this.resetCatalogue();
+                    break;
+                case 'export-catalogue':
+                    this.exportCatalogue();
+                    break;
+                case 'import-catalogue':
+                    this.container.querySelector('[name="prtgCatalogueFile"]')?.click();
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name === 'prtgCatalogueFile') {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) {
+                    this.importCatalogue(file);
+                }
+            } else if (e.target.dataset.type || e.target.dataset.monitorLabel) {
+                this.handleInput(e.target);
+            }
+        });
+    }
+
+    /**
+     * Apply the saved catalogue, if one has been stored
+     */
+    async loadStoredCatalogue() {
+        if (!this.storage || !(await this.dataStore.ensureInitialized())) {
+            return null;
+        }
+
+        try {
+            const catalogue = await this.storage.getSetting(PRTGCatalogueEditor.SETTING_KEY);
+            if (catalogue && PRTGSensorPlanner.validate(catalogue).isValid) {
+                this.planner.loadCatalogue(catalogue);
+                return catalogue;
+            }
+            return null;
+        } catch (error) {
+            console.error('PRTGCatalogueEditor: Failed to load the saved catalogue:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Render the editor when the pricing view is shown, starting from the catalogue in use
+     */
+    initialize() {
+        if (!this.draft) {
+            this.setDraft(this.planner.catalogue, false);
+        }
+        this.render();
+    }
+
+    setDraft(catalogue, dirty = true) {
+        this.draft = PRTGSensorPlanner.clone(catalogue);
+        this.errors = [];
+        this.dirty = dirty;
+    }
+
+    markDirty() {
+        this.errors = [];
+        this.dirty = true;
+    }
+
+    handleInput(input) {
+        if (!this.draft) return;
+
+        if (input.dataset.monitorLabel) {
+            this.draft.monitors[input.dataset.monitorLabel] = input.value.trim();
+            this.markDirty();
+            this.render();
+            return;
+        }
+
+        const deviceType = this.draft.deviceTypes[input.dataset.type];
+        if (!deviceType) return;
+
+        const monitor = input.dataset.monitor;
+        if (input.dataset.field === 'defaultMonitor') {
+            deviceType.monitors = Object.keys(this.draft.monitors).filter(id =>
+                id === monitor ? input.checked : deviceType.monitors.includes(id));
+        } else if (input.dataset.field === 'sensors') {
+            const sensors = Number(input.value);
+            if (sensors === 1) {
+                delete deviceType.sensorsPerMonitor[monitor];
+            } else {
+                deviceType.sensorsPerMonitor[monitor] = sensors;
+            }
+        } else if (input.dataset.field === 'defaultQuantity') {
+            deviceType.defaultQuantity = Number(input.value);
+        } else if (input.dataset.field === 'keywords') {
+            const keywords = input.value.split(',').map(keyword => keyword.trim()).filter(Boolean);
+            if (keywords.length > 0) {
+                deviceType.keywords = keywords;
+            } else {
+                delete deviceType.keywords;
+            }
+        } else if (input.dataset.field === 'category' && !input.value.trim()) {
+            delete deviceType[input.dataset.field];
+        } else {
+            deviceType[input.dataset.field] = input.value.trim();
+        }
+
+        this.markDirty();
+        this.renderStatus();
+    }
+
+    /**
+     * Id for a new entry built from its name, unique within the existing ids
+     */
+    createId(name, existing, prefix) {
+        const base = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        const id = PRTGSensorPlanner.ID_PATTERN.test(base) ? base : `${prefix}_${base || 'new'}`;
+
+        let unique = id;
+        for (let suffix = 2; existing[unique]; suffix++) {
+            unique = `${id}_${suffix}`;
+        }
+        return unique;
+    }
+
+    /**
+     * Add a device type at the top of the catalogue, so it is matched before the general types
+     */
+    addDeviceType(name) {
+        if (!this.draft || !name || !name.trim()) {
+            this.notify('Enter a name for the new device type', 'warning');
+            return;
+        }
+
+        const type = this.createId(name, this.draft.deviceTypes, 'device');
+        this.draft.deviceTypes = {
+            [type]: {
+                name: name.trim(),
+                defaultQuantity: 0,
+                monitors: ['ping', 'uptime'].filter(id => this.draft.monitors[id]),
+                sensorsPerMonitor: {}
+            },
+            ...this.draft.deviceTypes
+        };
+        this.markDirty();
+        this.render();
+    }
+
+    removeDeviceType(type) {
+        if (!this.draft?.deviceTypes[type]) return;
+
+        delete this.draft.deviceTypes[type];
+        this.markDirty();
+        this.render();
+    }
+
+    /**
+     * Move a device type up (-1) or down (1); order sets the table rows and matching priority
+     */
+    moveDeviceType(type, direction) {
+        const types = Object.keys(this.draft?.deviceTypes || {});
+        const from = types.indexOf(type);
+        const to = from + direction;
+        if (from === -1 || to < 0 || to >= types.length) return;
+
+        [types[from], types[to]] = [types[to], types[from]];
+        this.draft.deviceTypes = Object.fromEntries(types.map(id => [id, this.draft.deviceTypes[id]]));
+        this.markDirty();
+        this.render();
+    }
+
+    addMonitor(label) {
+        if (!this.draft || !label || !label.trim()) {
+            this.notify('Enter a label for the new monitor', 'warning');
+            return;
+        }
+
+        const id = this.createId(label, this.draft.monitors, 'monitor');
+        this.draft.monitors[id] = label.trim();
+        this.markDirty();
+        this.render();
+    }
+
+    /**
+     * Remove a monitor from the catalogue and from every device type using it
+     */
+    removeMonitor(monitor) {
+        if (!this.draft?.monitors[monitor]) return;
+
+        delete this.draft.monitors[monitor];
+        Object.values(this.draft.deviceTypes).forEach(deviceType => {
+            deviceType.monitors = deviceType.monitors.filter(id => id !== monitor);
+            delete deviceType.sensorsPerMonitor[monitor];
+        });
+        this.markDirty();
+        this.render();
+    }
+
+    /**
+     * Validate the draft, store it and make it the catalogue in use
+     */
+    async saveCatalogue() {
+        const validation = PRTGSensorPlanner.validate(this.draft);
+        if (!validation.isValid) {
+            this.errors = validation.errors;
+            this.render();
+            this.notify('Catalogue has validation errors', 'error');
+            return null;
+        }
+
+        this.planner.loadCatalogue(this.draft);
+        this.dirty = false;
+
+        if (!this.storage) {
+            this.render();
+            this.notify('Catalogue applied, but storage is not available to keep it', 'warning');
+            return null;
+        }
+
+        try {
+            const setting = await this.storage.setSetting(PRTGCatalogueEditor.SETTING_KEY, this.draft);
+            this.render();
+            this.notify('PRTG catalogue saved', 'success');
+            return setting;
+        } catch (error) {
+            console.error('PRTGCatalogueEditor: Failed to save catalogue:', error);
+            this.render();
+            this.notify('Catalogue applied, but it could not be saved', 'error');
+            return null;
+        }
+    }
+
+    resetCatalogue() {
+        this.setDraft(PRTGSensorPlanner.DEFAULT_CATALOGUE);
+        this.render();
+        this.notify('Shipped catalogue restored - save to apply it', 'info');
+    }
+
+    exportCatalogue() {
+        if (!this.draft) return;
+
+        const blob = new Blob([PRTGSensorPlanner.toJSON(this.draft)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `prtg-catalogue-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Replace the draft with a catalogue read from a JSON file
+     */
+    async importCatalogue(file) {
+        try {
+            const catalogue = PRTGSensorPlanner.fromJSON(await file.text());
+            this.setDraft(catalogue);
+            this.render();
+            this.notify(`Imported ${Object.keys(catalogue.deviceTypes).length} device types - save to apply them`, 'success');
+            return catalogue;
+        } catch (error) {
+            console.error('PRTGCatalogueEditor: Failed to import catalogue:', error);
+            this.notify(`Could not import catalogue: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    render() {
+        if (!this.container || !this.draft) return;
+
+        const monitorIds = Object.keys(this.draft.monitors);
+
+        this.container.innerHTML = `
+            <div class="config-section">
+                <h3><i class="fas fa-satellite-dish"></i>PRTG Device Catalogue <span class="text-sm font-normal text-gray-400">(device types and monitors offered in the PRTG sensor planner)</span></h3>
+                <div class="flex flex-wrap gap-3 mb-4">
+                    <button type="button" data-action="save-catalogue" class="bg-[var(--qolcom-green)] hover:bg-opacity-80 text-white font-medium py-2 px-4 rounded-lg">Save Catalogue</button>
+                    <button type="button" data-action="export-catalogue" class="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-lg">Export JSON</button>
+                    <button type="button" data-action="import-catalogue" class="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-lg">Import JSON</button>
+                    <button type="button" data-action="reset-catalogue" class="bg-gray-600 hover:bg-gray-500 text-white font-medium py-2 px-4 rounded-lg">Restore Shipped Catalogue</button>
+                    <input type="file" name="prtgCatalogueFile" accept=".json,application/json" class="hidden">
+                </div>
+                <div id="prtgCatalogueStatus">${this.renderStatusContent()}</div>
+
+                <h4 class="font-semibold text-gray-200 mt-4 mb-2">Monitors</h4>
+                <div class="config-grid">
+                    ${monitorIds.map(id => `
+                        <div class="form-group">
+                            <label class="form-label">${HTMLEscape.escape(id)}</label>
+                            <div class="flex gap-2">
+                                <input type="text" data-monitor-label="${HTMLEscape.escape(id)}" class="form-input" value="${HTMLEscape.escape(this.draft.monitors[id])}">
+                                <button type="button" data-action="remove-monitor" data-monitor="${HTMLEscape.escape(id)}" class="text-red-400 hover:text-red-300" aria-label="Remove monitor">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="flex gap-2 mt-2">
+                    <input type="text" name="newMonitorLabel" class="form-input" placeholder="New monitor label">
+                    <button type="button" data-action="add-monitor" class="bg-blue-600 hover:bg-blue-500 text-white text-sm font-medium py-2 px-3 rounded-lg">Add Monitor</button>
+                </div>
+
+                <h4 class="font-semibold text-gray-200 mt-6 mb-1">Device Types</h4>
+                <p class="text-sm text-gray-400 mb-2">Capital equipment is matched against the types top to bottom, so keep specific types above general ones</p>
+                <div class="flex gap-2 mb-4">
+                    <input type="text" name="newDeviceTypeName" class="form-input" placeholder="New device type, e.g. Cisco Meraki Switches">
+                    <button type="button" data-action="add-device-type" class="bg-blue-600 hover:bg-blue-500 text-white text-sm font-medium py-2 px-3 rounded-lg">Add Device Type</button>
+                </div>
+                <div class="space-y-4">
+                    ${Object.keys(this.draft.deviceTypes).map(type => this.renderDeviceType(type, monitorIds)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    renderDeviceType(type, monitorIds) {
+        const deviceType = this.draft.deviceTypes[type];
+        const field = (name, label, value, inputType = 'text') => `
+            <div class="form-group">
+                <label class="form-label">${label}</label>
+                <input type="${inputType}" ${inputType === 'number' ? 'min="0" step="1"' : ''} data-type="${HTMLEscape.escape(type)}" data-field="${name}"
+                       class="form-input" value="${HTMLEscape.escape(value)}">
+            </div>
+        `;
+
+        return `
+            <div class="p-4 rounded-lg border border-gray-700">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm text-gray-400">${HTMLEscape.escape(type)}</span>
+                    <span class="space-x-2">
+                        <button type="button" data-action="move-device-type" data-type="${HTMLEscape.escape(type)}" data-direction="-1" class="text-gray-400 hover:text-gray-200" aria-label="Move up"><i class="fas fa-arrow-up"></i></button>
+                        <button type="button" data-action="move-device-type" data-type="${HTMLEscape.escape(type)}" data-direction="1" class="text-gray-400 hover:text-gray-200" aria-label="Move down"><i class="fas fa-arrow-down"></i></button>
+                        <button type="button" data-action="remove-device-type" data-type="${HTMLEscape.escape(type)}" class="text-red-400 hover:text-red-300">Remove</button>
+                    </span>
+                </div>
+                <div class="config-grid">
+                    ${field('name', 'Name', deviceType.name)}
+                    ${field('category', 'Equipment Category', deviceType.category || '')}
+                    ${field('keywords', 'Description Keywords (comma separated)', (deviceType.keywords || []).join(', '))}
+                    ${field('defaultQuantity', 'Default Quantity', deviceType.defaultQuantity, 'number')}
+                </div>
+                <table class="w-full text-sm text-gray-300 mt-3">
+                    <thead>
+                        <tr class="text-gray-400">
+                            <th class="py-1 text-left">Monitor</th>
+                            <th class="py-1 text-center">Ticked by Default</th>
+                            <th class="py-1 text-center">Sensors per Device</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${monitorIds.map(monitor => `
+                            <tr class="border-t border-gray-700">
+                                <td class="py-1">${HTMLEscape.escape(this.draft.monitors[monitor])}</td>
+                                <td class="py-1 text-center">
+                                    <input type="checkbox" data-type="${HTMLEscape.escape(type)}" data-field="defaultMonitor" data-monitor="${HTMLEscape.escape(monitor)}"
+                                           ${deviceType.monitors.includes(monitor) ? 'checked' : ''}>
+                                </td>
+                                <td class="py-1 text-center">
+                                    <input type="number" min="0" step="1" data-type="${HTMLEscape.escape(type)}" data-field="sensors" data-monitor="${HTMLEscape.escape(monitor)}"
+                                           class="form-input w-20" value="${HTMLEscape.escape(deviceType.sensorsPerMonitor[monitor] ?? 1)}">
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderStatus() {
+        const status = document.getElementById('prtgCatalogueStatus');
+        if (status) {
+            status.innerHTML = this.renderStatusContent();
+        }
+    }
+
+    renderStatusContent() {
+        if (this.errors.length > 0) {
+            return `<div class="p-3 rounded-lg bg-red-900 bg-opacity-30 border border-red-600 text-red-200 text-sm">
+                <strong>Validation errors</strong>
+                <ul class="list-disc ml-5 mt-1">${this.errors.map(error => `<li>${HTMLEscape.escape(error)}</li>`).join('')}</ul>
+            </div>`;
+        }
+        if (this.dirty) {
+            return '<div class="p-3 rounded-lg bg-yellow-900 bg-opacity-30 border border-yellow-600 text-yellow-200 text-sm">Unsaved changes - save the catalogue to use them in the sensor planner</div>';
+        }
+        return '';
+    }
+
+    notify(message, type = 'info') {
+        if (window.app?.showNotification) {
+            window.app.showNotification(message, type);
+        } else {
+            console.log(`PRTGCatalogueEditor: ${message}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PRTGCatalogueEditor;
+} else {
+    window.PRTGCatalogueEditor = PRTGCatalogueEditor;
+}
@@ -10,7 +10,7 @@ class QuoteWizard {
     constructor(calculator) {
         this.calculator = calculator;
         this.currentStep = 1;
-        this.totalSteps = 18; // 1 project + 15 components + 1 contract terms + 1 review
+        this.totalSteps = 20; // 1 project + 17 components + 1 contract terms + 1 review
         this.dataStore = window.quoteDataStore;
 
         // Initialize wizard data structure
@@ -23,7 +23,7 @@ class QuoteWizard {
                 sites: 1,
                 primaryLocation: '',
                 totalUsers: 100,
-                complexity: 'medium'
+                complexity: AppConfig.DEFAULT_PROJECT_COMPLEXITY
             }
         };
 
@@ -44,8 +44,10 @@ class QuoteWizard {
             14: { title: 'Dynamics 5 Year', subtitle: '5-year dynamic pricing options', icon: 'fas fa-calendar' },
             15: { title: 'NaaS Standard', subtitle: 'Standard NaaS package', icon: 'fas fa-layer-group' },
             16: { title: 'NaaS Enhanced', subtitle: 'Enhanced NaaS package', icon: 'fas fa-layer-group' },
-            17: { title: 'Contract Terms', subtitle: 'Set contract duration and terms', icon: 'fas fa-file-contract' },
-            18: { title: 'Quote Review', subtitle: 'Review and finalize your quote', icon: 'fas fa-check-circle' }
+            17: { title: 'Labour (T&M)', subtitle: 'Time-and-materials hours and pre-paid bundles', icon: 'fas fa-user-clock' },
+            18: { title: 'Compliance', subtitle: 'Framework readiness, audit support and monitoring uplift', icon: 'fas fa-clipboard-check' },
+            19: { title: 'Contract Terms', subtitle: 'Set contract duration and terms', icon: 'fas fa-file-contract' },
+            20: { title: 'Quote Review', subtitle: 'Review and finalize your quote', icon: 'fas fa-check-circle' }
         };
 
         this.bindWizardEvents();
@@ -101,6 +103,23 @@ class QuoteWizard {
                 this.nextStep();
             }
         });
+
+        // Approve a quote that breaches the pricing guardrails
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#approveQuote')) {
+                this.approveQuote();
+            }
+        });
+
+        // Risk register rows on the review step
+        document.addEventListener('click', (e) => {
+            if (!this.dataStore || !e.target.closest('#wizardContent')) return;
+            if (e.target.closest('#addRisk')) {
+                this.addRisk();
+            } else if (e.target.dataset.removeRisk !== undefined) {
+                this.removeRisk(parseInt(e.target.dataset.removeRisk, 10));
+            }
+        });
     }
 
     skipComponent(componentType) {
@@ -345,9 +364,15 @@ class QuoteWizard {
                 content = this.renderComponentStep('naasEnhanced');
                 break;
             case 17:
-                content = this.renderContractStep();
+                content = this.renderComponentStep('labour');
                 break;
             case 18:
+                content = this.renderComponentStep('compliance');
+                break;
+            case 19:
+                content = this.renderContractStep();
+                break;
+            case 20:
                 content = this.renderReviewStep();
                 break;
         }
@@ -357,7 +382,7 @@ class QuoteWizard {
         wizardContent.innerHTML = header + content + navigation;
         
         // Initialize component-specific functionality after rendering
-        if (step >= 3 && step <= 16) {
+        if (step >= 3 && step <= 18) {
             this.initializeWizardComponent(step);
         }
         
@@ -379,6 +404,8 @@ class QuoteWizard {
             assessment: 'plagiarism',
             admin: 'admin_panel_settings',
             otherCosts: 'add_business',
+            labour: 'engineering',
+            compliance: 'policy',
             enhancedSupport: 'verified_user',
             dynamics1Year: 'schedule',
             dynamics3Year: 'schedule',
@@ -432,6 +459,12 @@ class QuoteWizard {
                 case 'otherCosts':
                     configHTML = window.componentManager.renderOtherCostsConfig();
                     break;
+                case 'labour':
+                    configHTML = window.componentManager.renderLabourConfig();
+                    break;
+                case 'compliance':
+                    configHTML = window.componentManager.renderComplianceConfig();
+                    break;
                 case 'enhancedSupport':
                     configHTML = window.componentManager.renderEnhancedSupportConfig();
                     break;
@@ -488,6 +521,8 @@ class QuoteWizard {
             assessment: { icon: 'text-gray-400', bg: 'bg-gray-700', tag: 'text-gray-300' },
             admin: { icon: 'text-slate-400', bg: 'bg-slate-700', tag: 'text-slate-300' },
             otherCosts: { icon: 'text-orange-400', bg: 'bg-orange-900 bg-opacity-50', tag: 'text-orange-300' },
+            labour: { icon: 'text-amber-400', bg: 'bg-amber-900 bg-opacity-50', tag: 'text-amber-300' },
+            compliance: { icon: 'text-emerald-400', bg: 'bg-emerald-900 bg-opacity-50', tag: 'text-emerald-300' },
             enhancedSupport: { icon: 'text-red-400', bg: 'bg-red-900 bg-opacity-50', tag: 'text-red-300' },
             dynamics1Year: { icon: 'text-blue-400', bg: 'bg-blue-900 bg-opacity-50', tag: 'text-blue-300' },
             dynamics3Year: { icon: 'text-blue-400', bg: 'bg-blue-900 bg-opacity-50', tag: 'text-blue-300' },
@@ -668,6 +703,30 @@ class QuoteWizard {
                                 <option value="enterprise" ${projectData.budget === 'enterprise' ? 'selected' : ''}>Enterprise (£500k+)</option>
                             </select>
                         </div>
+                        <div class="form-group">
+                            <label class="form-label">Contract Term</label>
+                            <select name="contractTermMonths" class="form-input form-select">
+                                ${AppConfig.CONTRACT_TERM_OPTIONS.map(months => `
+                                    <option value="${months}" ${(projectData.contractTermMonths || AppConfig.DEFAULT_TERM_MONTHS) === months ? 'selected' : ''}>${months / 12} year${months === 12 ? '' : 's'} (${months} months)</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Quote Currency</label>
+                            <select name="currency" class="form-input form-select">
+                                ${AppConfig.SUPPORTED_CURRENCIES.map(code => `
+                                    <option value="${code}" ${(projectData.currency || AppConfig.DEFAULT_CURRENCY) === code ? 'selected' : ''}>${code}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label">Customer Segment</label>
+                            <select name="customerSegment" class="form-input form-select">
+                                ${AppConfig.CUSTOMER_SEGMENTS.map(segment => `
+                                    <option value="${segment}" ${(projectData.customerSegment || AppConfig.DEFAULT_CUSTOMER_SEGMENT) === segment ? 'selected' : ''}>${segment.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</option>
+                                `).join('')}
+                            </select>
+                        </div>
                     </div>
                 </div>
 
@@ -682,6 +741,14 @@ class QuoteWizard {
                             <label class="form-label">Primary Location</label>
                             <input type="text" name="primaryLocation" class="form-input" placeholder="New York, NY" value="${projectData.primaryLocation || ''}">
                         </div>
+                        <div class="form-group">
+                            <label class="form-label">Delivery Region</label>
+                            <select name="region" class="form-input form-select">
+                                ${Object.entries(this.calculator.regions.catalogue).map(([id, region]) => `
+                                    <option value="${id}" ${(projectData.region || this.calculator.regions.defaultRegion) === id ? 'selected' : ''}>${HTMLEscape.escape(region.name)}</option>
+                                `).join('')}
+                            </select>
+                        </div>
                         <div class="form-group">
                             <label class="form-label">Total Users</label>
                             <input type="number" name="totalUsers" class="form-input" min="1" placeholder="100" value="${projectData.totalUsers || 100}">
@@ -963,21 +1030,36 @@ class QuoteWizard {
         `;
     }
 
-    renderReviewStep() {
-        // Calculate final quote using data from dataStore
-        let componentsData = {};
+    getReviewComponents() {
         if (this.dataStore) {
             // Get enabled components from dataStore
-            componentsData = this.dataStore.getEnabledComponents();
-        } else {
-            // Fallback to wizardData (less reliable)
-            Object.keys(this.wizardData).forEach(key => {
-                if (key !== 'project' && this.wizardData[key] && this.wizardData[key].enabled) {
-                    componentsData[key] = this.wizardData[key];
-                }
-            });
+            return this.dataStore.getEnabledComponents();
+        }
+
+        // Fallback to wizardData (less reliable)
+        const componentsData = {};
+        Object.keys(this.wizardData).forEach(key => {
+            if (key !== 'project' && this.wizardData[key] && this.wizardData[key].enabled) {
+                componentsData[key] = this.wizardData[key];
+            }
+        });
+        return componentsData;
+    }
+
+    getQuoteOptions() {
+        if (this.dataStore) {
+            return this.dataStore.getQuoteOptions();
         }
-        const quote = this.calculator.calculateCombinedQuote(componentsData);
+        return QuoteDataStore.buildQuoteOptions(this.wizardData.project || {});
+    }
+
+    renderReviewStep() {
+        // Calculate final quote using data from dataStore
+        const componentsData = this.getReviewComponents();
+        const quoteOptions = this.getQuoteOptions();
+        const quote = this.calculator.calculateCombinedQuote(componentsData, quoteOptions);
+        const cashFlow = this.calculator.calculateCashFlowSchedule(componentsData, quoteOptions);
+        const currency = quote.currency.code;
         
         return `
             <div class="space-y-6">
@@ -987,22 +1069,29 @@ class QuoteWizard {
                     <div class="bg-gradient-to-r from-green-50 to-blue-50 rounded-lg p-6">
                         <div class="grid grid-cols-1 md:grid-cols-4 gap-6 text-center">
                             <div>
-                                <div class="text-2xl font-bold text-gray-900">${this.calculator.formatCurrency(quote.totals.oneTime)}</div>
+                                <div class="text-2xl font-bold text-gray-900">${this.calculator.formatCurrency(quote.totals.oneTime, false, currency)}</div>
                                 <div class="text-sm text-gray-600">One-time Costs</div>
+                                ${quote.contingency.amount > 0 ? `
+                                <div class="text-xs text-gray-500">Includes ${this.calculator.formatCurrency(quote.contingency.amount, false, currency)} risk contingency</div>
+                                ` : ''}
                             </div>
                             <div>
-                                <div class="text-2xl font-bold text-green-600">${this.calculator.formatCurrency(quote.totals.monthly)}</div>
+                                <div class="text-2xl font-bold text-green-600">${this.calculator.formatCurrency(quote.totals.monthly, false, currency)}</div>
                                 <div class="text-sm text-gray-600">Monthly Cost</div>
                             </div>
                             <div>
-                                <div class="text-2xl font-bold text-blue-600">${this.calculator.formatCurrency(quote.totals.annual)}</div>
+                                <div class="text-2xl font-bold text-blue-600">${this.calculator.formatCurrency(quote.totals.annual, false, currency)}</div>
                                 <div class="text-sm text-gray-600">Annual Cost</div>
                             </div>
                             <div>
-                                <div class="text-2xl font-bold text-purple-600">${this.calculator.formatCurrency(quote.totals.threeYear)}</div>
-                                <div class="text-sm text-gray-600">3-Year Total</div>
+                                <div class="text-2xl font-bold text-purple-600">${this.calculator.formatCurrency(quote.totals.termTotal, false, currency)}</div>
+                                <div class="text-sm text-gray-600">${this.calculator.getTermLabel(quote.term.months)}</div>
                             </div>
                         </div>
+                        ${this.renderTaxSummary(quote)}
+                        ${quote.currency.base !== currency ? `
+                        <div class="text-xs text-gray-500 text-center mt-4">FX rate: ${CurrencyConverter.describeRate(quote.currency)}</div>
+                        ` : ''}
                     </div>
                 </div>
 
@@ -1014,6 +1103,18 @@ class QuoteWizard {
                     </div>
                 </div>
 
+                <!-- Contract Term Breakdown -->
+                <div class="config-section">
+                    <h3><i class="fas fa-calendar-alt"></i>Contract Term Breakdown</h3>
+                    ${this.renderTermBreakdown(quote)}
+                </div>
+
+                <!-- Cash Flow Schedule -->
+                <div class="config-section">
+                    <h3><i class="fas fa-money-bill-wave"></i>Cash Flow Schedule</h3>
+                    ${this.renderCashFlowSchedule(cashFlow)}
+                </div>
+
                 <!-- Discounts Applied -->
                 ${quote.discounts && (quote.discounts.monthlyDiscount > 0 || quote.discounts.annualDiscount > 0) ? `
                 <div class="config-section">
@@ -1033,10 +1134,29 @@ class QuoteWizard {
                                 <div class="text-sm text-gray-600">Term Discount</div>
                             </div>
                         </div>
+                        ${this.renderDiscountReasons(quote)}
                     </div>
                 </div>
                 ` : ''}
 
+                <!-- Risk Register and Contingency -->
+                <div class="config-section">
+                    <h3><i class="fas fa-exclamation-triangle"></i>Risk Register &amp; Contingency</h3>
+                    ${this.renderRiskRegister(quote)}
+                </div>
+
+                <!-- Manual Adjustments and Approval -->
+                <div class="config-section">
+                    <h3><i class="fas fa-user-check"></i>Adjustments &amp; Approval</h3>
+                    ${this.renderApproval(quote)}
+                </div>
+
+                <!-- Gross Margin (internal) -->
+                <div class="config-section">
+                    <h3><i class="fas fa-percentage"></i>Gross Margin <span class="text-sm font-normal text-gray-500">(internal, not included in exports)</span></h3>
+                    ${this.renderMarginSummary(quote)}
+                </div>
+
                 <!-- Actions -->
                 <div class="config-section">
                     <h3><i class="fas fa-rocket"></i>Next Steps</h3>
@@ -1080,17 +1200,321 @@ class QuoteWizard {
                                 <div class="text-sm text-gray-600">${componentInfo.description}</div>
                             </div>
                         </div>
-                        <div class="text-right">
-                            <div class="font-medium text-green-600">${this.calculator.formatCurrency(component.totals.monthly)}/month</div>
-                            <div class="text-sm text-gray-500">${this.calculator.formatCurrency(component.totals.threeYear)} 3-year total</div>
+                        <div class="flex items-center gap-4">
+                            <label class="text-xs text-gray-500 text-right">
+                                Manual discount %
+                                <input type="number" name="manualAdjustment-${componentType}" class="form-input w-20 text-right"
+                                       step="0.5" min="-100" max="100" value="${((quote.adjustments.components[componentType] || 0) * 100).toFixed(1)}">
+                            </label>
+                            <div class="text-right">
+                                <div class="font-medium text-green-600">${this.calculator.formatCurrency(component.totals.monthly, false, quote.currency.code)}/month</div>
+                                <div class="text-sm text-gray-500">${this.calculator.formatCurrency(component.totals.termTotal, false, quote.currency.code)} ${this.calculator.getTermLabel(quote.term.months).toLowerCase()}</div>
+                            </div>
                         </div>
                     </div>
                 `;
             }
         });
+
+        if (quote.contingency.amount > 0) {
+            html += `
+                <div class="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+                    <div class="flex items-center">
+                        <div class="bg-yellow-100 p-2 rounded-lg mr-3">
+                            <i class="fas fa-exclamation-triangle text-yellow-600"></i>
+                        </div>
+                        <div>
+                            <div class="font-medium text-gray-900">Risk Contingency</div>
+                            <div class="text-sm text-gray-600">Expected cost of delivery risks, not discounted</div>
+                        </div>
+                    </div>
+                    <div class="text-right">
+                        <div class="font-medium text-green-600">${this.calculator.formatCurrency(quote.contingency.amount, false, quote.currency.code)} one-time</div>
+                    </div>
+                </div>
+            `;
+        }
         return html;
     }
 
+    /**
+     * Editable risk register with each risk's expected loss and treatment, and the capped
+     * contingency it adds to the quote
+     */
+    renderRiskRegister(quote) {
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        const toQuoteCurrency = amount => CurrencyConverter.round(amount * quote.currency.rate);
+        const contingency = quote.contingency;
+        const risks = this.dataStore ? this.dataStore.getProject().riskRegister || [] : [];
+
+        const rows = risks.map((risk, index) => {
+            const priced = contingency.risks[index];
+            return `
+                <tr class="border-t border-gray-200">
+                    <td class="py-2 pr-2"><input type="text" name="risk-${index}-name" class="form-input" maxlength="100" value="${HTMLEscape.escape(risk.name)}" placeholder="Risk"></td>
+                    <td class="py-2 pr-2"><input type="number" name="risk-${index}-probability" class="form-input w-20 text-right" step="5" min="0" max="100" value="${parseFloat((risk.probability * 100).toFixed(2))}"></td>
+                    <td class="py-2 pr-2"><input type="number" name="risk-${index}-impact" class="form-input w-28 text-right" step="100" min="0" value="${toQuoteCurrency(risk.impact)}"></td>
+                    <td class="py-2 pr-2"><input type="number" name="risk-${index}-mitigationCost" class="form-input w-28 text-right" step="100" min="0" value="${risk.mitigationCost === null || risk.mitigationCost === undefined ? '' : toQuoteCurrency(risk.mitigationCost)}" placeholder="None"></td>
+                    <td class="py-2 pr-2 text-right">${priced ? format(priced.expectedLoss) : ''}</td>
+                    <td class="py-2 pr-2">${priced ? (priced.treatment === 'mitigate' ? 'Mitigate' : 'Accept') : ''}</td>
+                    <td class="py-2 pr-2 text-right font-medium">${priced ? format(priced.amount) : ''}</td>
+                    <td class="py-2 text-right">
+                        <button type="button" data-remove-risk="${index}" class="text-red-600 hover:text-red-800" title="Remove risk">
+                            <i class="fas fa-trash" data-remove-risk="${index}"></i>
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="space-y-4">
+                <p class="text-sm text-gray-600">
+                    Each risk is carried at the cheaper of its expected loss (probability &times; impact) and its mitigation cost.
+                    Probability is a percentage; impact and mitigation are in ${HTMLEscape.escape(quote.currency.code)}. Leave mitigation blank when the risk cannot be mitigated.
+                </p>
+                ${risks.length > 0 ? `
+                <div class="overflow-x-auto">
+                    <table class="w-full text-sm">
+                        <thead>
+                            <tr class="text-gray-600">
+                                <th class="py-2 text-left">Risk</th>
+                                <th class="py-2 text-right">Probability %</th>
+                                <th class="py-2 text-right">Impact (${HTMLEscape.escape(quote.currency.code)})</th>
+                                <th class="py-2 text-right">Mitigation (${HTMLEscape.escape(quote.currency.code)})</th>
+                                <th class="py-2 text-right">Expected Loss</th>
+                                <th class="py-2 text-left">Treatment</th>
+                                <th class="py-2 text-right">Contingency</th>
+                                <th class="py-2"></th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ` : ''}
+                <button type="button" id="addRisk" class="bg-gray-100 text-gray-700 font-medium py-2 px-4 rounded-lg hover:bg-gray-200">
+                    <i class="fas fa-plus mr-2"></i>Add Risk
+                </button>
+                <div class="bg-yellow-50 rounded-lg p-4 text-sm text-gray-700">
+                    Expected value ${format(contingency.expectedValue)}, capped at ${(contingency.capRate * 100).toFixed(1)}% of
+                    ${format(contingency.quoteValue)} for ${HTMLEscape.escape(contingency.complexity)} projects (${format(contingency.cap)}).
+                    <strong>${format(contingency.amount)}</strong> is added as a one-time contingency${contingency.capped ? ', limited by the cap' : ''}.
+                </div>
+            </div>
+        `;
+    }
+
+    renderTermBreakdown(quote) {
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        const rows = quote.term.years.map(row => `
+            <tr class="border-t border-gray-200">
+                <td class="py-2">Year ${row.year}${row.months < 12 ? ` (${row.months} months)` : ''}</td>
+                <td class="py-2 text-right">${format(row.oneTime)}</td>
+                <td class="py-2 text-right">${format(row.recurring)}</td>
+                <td class="py-2 text-right text-green-600">-${format(row.discount)}</td>
+                <td class="py-2 text-right font-medium">${format(row.total)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-gray-600">
+                        <th class="py-2 text-left">Year</th>
+                        <th class="py-2 text-right">One-time</th>
+                        <th class="py-2 text-right">Recurring</th>
+                        <th class="py-2 text-right">Discount</th>
+                        <th class="py-2 text-right">Total</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr class="border-t-2 border-gray-300 font-bold">
+                        <td class="py-2" colspan="4">${this.calculator.getTermLabel(quote.term.months)}</td>
+                        <td class="py-2 text-right">${format(quote.totals.termTotal)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+        `;
+    }
+
+    renderApproval(quote) {
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        const guardrails = quote.guardrails;
+        const statusBanner = {
+            not_required: '<div class="p-3 rounded-lg bg-green-50 text-green-700 text-sm"><i class="fas fa-check-circle mr-2"></i>Within pricing guardrails, no approval needed</div>',
+            pending: '<div class="p-3 rounded-lg bg-yellow-50 text-yellow-800 text-sm"><i class="fas fa-exclamation-triangle mr-2"></i><strong>Requires approval</strong>: PDF export is blocked until this quote is approved</div>',
+            approved: `<div class="p-3 rounded-lg bg-blue-50 text-blue-700 text-sm"><i class="fas fa-user-check mr-2"></i>Approved by ${HTMLEscape.escape(guardrails.approval?.approvedBy)} on ${new Date(guardrails.approval?.approvedAt).toLocaleDateString()}</div>`
+        }[guardrails.status];
+
+        return `
+            <div class="space-y-4">
+                <div class="flex flex-wrap items-end gap-4">
+                    <div class="form-group">
+                        <label class="form-label">Whole-quote manual discount % (negative for markup)</label>
+                        <input type="number" name="quoteManualAdjustment" class="form-input w-32"
+                               step="0.5" min="-100" max="100" value="${(quote.adjustments.quote * 100).toFixed(1)}">
+                    </div>
+                    <p class="text-sm text-gray-600 mb-2">
+                        Applied after automatic discounts: ${format(quote.adjustments.amounts.term)} off the ${this.calculator.getTermLabel(quote.term.months).toLowerCase()}
+                    </p>
+                </div>
+                ${statusBanner}
+                ${guardrails.breaches.length > 0 ? `
+                    <ul class="list-disc ml-6 text-sm text-gray-700">
+                        ${guardrails.breaches.map(breach => `<li>${HTMLEscape.escape(breach.message)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                ${guardrails.status === 'pending' ? `
+                    <div class="flex flex-wrap items-end gap-4">
+                        <div class="form-group">
+                            <label class="form-label" for="approverName">Approver</label>
+                            <input type="text" id="approverName" class="form-input" maxlength="100" placeholder="Approver name">
+                        </div>
+                        <button type="button" id="approveQuote" class="bg-blue-600 text-white font-medium py-2 px-4 rounded-lg hover:bg-blue-700 mb-2">
+                            <i class="fas fa-check mr-2"></i>Mark Approved
+                        </button>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Tax itemised on the one-time and recurring totals, with the tax-inclusive figures
+     */
+    renderTaxSummary(quote) {
+        if (!quote.tax || quote.tax.rate <= 0) return '';
+
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        const label = HTMLEscape.escape(this.calculator.describeTax(quote.tax));
+        return `
+            <div class="grid grid-cols-1 md:grid-cols-4 gap-6 text-center mt-4 pt-4 border-t border-gray-200">
+                <div>
+                    <div class="text-sm text-gray-600">${label}: ${format(quote.tax.amounts.oneTime)}</div>
+                    <div class="text-xs text-gray-500">Incl. tax: ${format(quote.totalsWithTax.oneTime)}</div>
+                </div>
+                <div>
+                    <div class="text-sm text-gray-600">${label}: ${format(quote.tax.amounts.monthly)}</div>
+                    <div class="text-xs text-gray-500">Incl. tax: ${format(quote.totalsWithTax.monthly)}</div>
+                </div>
+                <div>
+                    <div class="text-sm text-gray-600">${label}: ${format(quote.tax.amounts.annual)}</div>
+                    <div class="text-xs text-gray-500">Incl. tax: ${format(quote.totalsWithTax.annual)}</div>
+                </div>
+                <div>
+                    <div class="text-sm text-gray-600">${label}: ${format(quote.tax.amounts.termTotal)}</div>
+                    <div class="text-xs text-gray-500">Incl. tax: ${format(quote.totalsWithTax.termTotal)}</div>
+                </div>
+            </div>
+            <div class="text-xs text-gray-500 text-center mt-2">Prices exclude tax; ${HTMLEscape.escape(quote.tax.label)} for ${HTMLEscape.escape(quote.tax.region.name)} shown separately</div>
+        `;
+    }
+
+    renderDiscountReasons(quote) {
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        const rows = quote.discounts.reasons.map(reason => `
+            <tr class="border-t border-green-100">
+                <td class="py-1">${HTMLEscape.escape(reason.name)}</td>
+                <td class="py-1 text-right">${reason.type === 'percent' ? `${(reason.value * 100).toFixed(1)}%` : format(reason.value)}</td>
+                <td class="py-1 text-right">${reason.amounts.monthly !== undefined ? format(reason.amounts.monthly) : '—'}</td>
+                <td class="py-1 text-right">${reason.amounts.term !== undefined ? format(reason.amounts.term) : '—'}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="w-full text-sm mt-4">
+                <thead>
+                    <tr class="text-gray-600">
+                        <th class="py-1 text-left">Rule</th>
+                        <th class="py-1 text-right">Discount</th>
+                        <th class="py-1 text-right">Monthly Saving</th>
+                        <th class="py-1 text-right">Term Saving</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderMarginSummary(quote) {
+        const format = amount => this.calculator.formatCurrency(amount, false, quote.currency.code);
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+        const row = (label, figures, classes = '') => `
+            <tr class="border-t border-gray-200 ${classes}">
+                <td class="py-2">${label}</td>
+                <td class="py-2 text-right">${format(figures.price)}</td>
+                <td class="py-2 text-right">${format(figures.cost)}</td>
+                <td class="py-2 text-right">${format(figures.margin)}</td>
+                <td class="py-2 text-right ${figures.marginRate < 0 ? 'text-red-600' : ''}">${percent(figures.marginRate)}</td>
+            </tr>
+        `;
+
+        const componentRows = Object.keys(quote.components)
+            .filter(type => quote.components[type].costing)
+            .map(type => row(componentManager.components[type]?.name || type, quote.components[type].costing.totals))
+            .join('');
+
+        return `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-gray-600">
+                        <th class="py-2 text-left">${this.calculator.getTermLabel(quote.term.months)}</th>
+                        <th class="py-2 text-right">Price</th>
+                        <th class="py-2 text-right">Cost</th>
+                        <th class="py-2 text-right">Margin</th>
+                        <th class="py-2 text-right">Margin %</th>
+                    </tr>
+                </thead>
+                <tbody>${componentRows}</tbody>
+                <tfoot>
+                    ${row('Before discounts', quote.margin.beforeDiscount, 'border-t-2 border-gray-300 font-medium')}
+                    ${row('After discounts', quote.margin.afterDiscount, 'font-bold')}
+                </tfoot>
+            </table>
+        `;
+    }
+
+    renderCashFlowSchedule(cashFlow) {
+        const format = amount => this.calculator.formatCurrency(amount, true, cashFlow.currency.code);
+        const names = cashFlow.componentTypes.map(type => componentManager.components[type]?.name || type);
+        const hasContingency = cashFlow.totals.contingency > 0;
+
+        const rows = cashFlow.rows.map(row => `
+            <tr class="border-t border-gray-200">
+                <td class="py-1 pr-3">${row.month}</td>
+                ${cashFlow.componentTypes.map(type => `<td class="py-1 pr-3 text-right">${format(row.components[type])}</td>`).join('')}
+                <td class="py-1 pr-3 text-right text-green-600">-${format(row.discount)}</td>
+                ${hasContingency ? `<td class="py-1 pr-3 text-right">${format(row.contingency)}</td>` : ''}
+                <td class="py-1 pr-3 text-right font-medium">${format(row.total)}</td>
+                <td class="py-1 text-right text-gray-500">${format(row.cumulative)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <details class="bg-gray-50 rounded-lg p-4">
+                <summary class="cursor-pointer font-medium text-gray-900">
+                    ${cashFlow.months} monthly payments totalling ${format(cashFlow.totals.total)}
+                </summary>
+                <div class="overflow-x-auto mt-4">
+                    <table class="w-full text-xs">
+                        <thead>
+                            <tr class="text-gray-600">
+                                <th class="py-1 pr-3 text-left">Month</th>
+                                ${names.map(name => `<th class="py-1 pr-3 text-right">${name}</th>`).join('')}
+                                <th class="py-1 pr-3 text-right">Discount</th>
+                                ${hasContingency ? '<th class="py-1 pr-3 text-right">Contingency</th>' : ''}
+                                <th class="py-1 pr-3 text-right">Total</th>
+                                <th class="py-1 text-right">Cumulative</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+    }
+
     renderNavigation() {
         const prevDisabled = this.currentStep === 1;
         const nextLabel = this.currentStep === this.totalSteps ? 'Generate Quote' : 'Next Step';
@@ -1123,9 +1547,9 @@ class QuoteWizard {
                 return this.validateProjectStep();
             case 2:
                 return true; // Help step can always be skipped
-            case 17:
+            case 19:
                 return this.validateContractStep();
-            case 18:
+            case 20:
                 return true; // Review step doesn't need validation
             default:
                 return true; // Component steps don't need validation
@@ -1200,7 +1624,23 @@ class QuoteWizard {
             return;
         }
 
-        if (name.startsWith('project') || ['projectName', 'customerName', 'timeline', 'budget', 'sites', 'primaryLocation', 'totalUsers', 'complexity'].includes(name)) {
+        // Manual adjustments re-price the review step once the value is committed
+        if (name === 'quoteManualAdjustment' || name.startsWith('manualAdjustment-')) {
+            if (e.type === 'change') {
+                this.updateManualAdjustment(name, value);
+            }
+            return;
+        }
+
+        if (name.startsWith('risk-')) {
+            if (e.type === 'change') {
+                const [, index, field] = name.split('-');
+                this.updateRisk(parseInt(index, 10), field, input.value);
+            }
+            return;
+        }
+
+        if (name.startsWith('project') || ['projectName', 'customerName', 'timeline', 'budget', 'sites', 'primaryLocation', 'totalUsers', 'complexity', 'currency', 'contractTermMonths', 'customerSegment', 'region'].includes(name)) {
             const currentProject = this.dataStore.getProject();
             this.dataStore.updateProject({ ...currentProject, [name]: value });
         } else if (name.startsWith('enable-')) {
@@ -1228,6 +1668,81 @@ class QuoteWizard {
         this.updateLivePricing();
     }
 
+    /**
+     * Store a manual discount entered as a percentage (negative for a markup)
+     */
+    updateManualAdjustment(name, percent) {
+        const rate = percent / 100;
+        if (name === 'quoteManualAdjustment') {
+            this.dataStore.updateProject({ manualAdjustment: rate });
+        } else {
+            this.dataStore.updateComponent(name.replace('manualAdjustment-', ''), { manualAdjustment: rate });
+        }
+        this.renderStep(this.currentStep);
+    }
+
+    /**
+     * Change one field of a risk register entry; probability is entered as a percentage and a
+     * blank mitigation cost means the risk cannot be mitigated. Amounts are entered in the quote
+     * currency and held in the price book currency, like every other price the calculator uses.
+     */
+    updateRisk(index, field, rawValue) {
+        const risks = [...(this.dataStore.getProject().riskRegister || [])];
+        if (!risks[index]) return;
+
+        const baseCurrency = this.calculator.priceBook.currency;
+        const quoteCurrency = this.dataStore.getQuoteOptions().currency || baseCurrency;
+        const toBaseCurrency = amount => this.calculator.currencyConverter.convert(amount, quoteCurrency, baseCurrency);
+
+        let value = rawValue;
+        if (field === 'probability') {
+            value = (parseFloat(rawValue) || 0) / 100;
+        } else if (field === 'mitigationCost') {
+            value = rawValue === '' ? null : toBaseCurrency(parseFloat(rawValue) || 0);
+        } else if (field === 'impact') {
+            value = toBaseCurrency(parseFloat(rawValue) || 0);
+        }
+
+        risks[index] = { ...risks[index], [field]: value };
+        this.dataStore.updateProject({ riskRegister: risks });
+        this.renderStep(this.currentStep);
+    }
+
+    addRisk() {
+        const risks = this.dataStore.getProject().riskRegister || [];
+        this.dataStore.updateProject({
+            riskRegister: [...risks, { name: '', probability: 0.1, impact: 0, mitigationCost: null }]
+        });
+        this.renderStep(this.currentStep);
+    }
+
+    removeRisk(index) {
+        const risks = (this.dataStore.getProject().riskRegister || []).filter((risk, position) => position !== index);
+        this.dataStore.updateProject({ riskRegister: risks });
+        this.renderStep(this.currentStep);
+    }
+
+    /**
+     * Record approval of the quote as currently priced; any later price change voids it
+     */
+    approveQuote() {
+        const approvedBy = document.getElementById('approverName')?.value.trim();
+        if (!approvedBy) {
+            this.showValidationError('Enter the approver name to approve this quote.');
+            return;
+        }
+
+        const quote = this.calculator.calculateCombinedQuote(this.getReviewComponents(), this.getQuoteOptions());
+        this.dataStore.updateProject({
+            approval: {
+                approvedBy,
+                approvedAt: new Date().toISOString(),
+                fingerprint: quote.guardrails.fingerprint
+            }
+        });
+        this.renderStep(this.currentStep);
+    }
+
     getCurrentStepComponent() {
         // Get the component type for the current step
         const stepComponentMap = {
@@ -1244,7 +1759,9 @@ class QuoteWizard {
             13: 'dynamics3Year',
             14: 'dynamics5Year',
             15: 'naasStandard',
-            16: 'naasEnhanced'
+            16: 'naasEnhanced',
+            17: 'labour',
+            18: 'compliance'
         };
         
         return stepComponentMap[this.currentStep] || null;
@@ -1321,13 +1838,16 @@ class QuoteWizard {
                 
                 switch (componentType) {
                     case 'prtg':
-                        result = this.calculator.calculatePRTG(params);
+                        result = this.calculator.calculatePRTG(params, { complianceData: enabledComponents.compliance });
                         break;
                     case 'capital':
                         result = this.calculator.calculateCapital(params);
                         break;
                     case 'support':
-                        result = this.calculator.calculateSupport(params);
+                        result = this.calculator.calculateSupport(params, {
+                            capitalData: enabledComponents.capital,
+                            complianceData: enabledComponents.compliance
+                        });
                         break;
                     case 'onboarding':
                         result = this.calculator.calculateOnboarding(params);
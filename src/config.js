@@ -76,8 +76,25 @@ const AppConfig = {
     DEFAULT_APR_RATE: 0.05,
     DEFAULT_CPI_RATE: 0.03,
     DEFAULT_TERM_MONTHS: 36,
+    CONTRACT_TERM_OPTIONS: [12, 24, 36, 48, 60],
+    DEFAULT_CUSTOMER_DISCOUNT_RATE: 0.08,
     MONTHS_PER_YEAR: 12,
 
+    // Customer segments (discount rules may target a segment)
+    CUSTOMER_SEGMENTS: ['commercial', 'enterprise', 'public_sector', 'education'],
+    DEFAULT_CUSTOMER_SEGMENT: 'commercial',
+
+    // Project complexity levels (risk contingency caps are set per level)
+    PROJECT_COMPLEXITY_LEVELS: ['simple', 'standard', 'complex', 'enterprise'],
+    DEFAULT_PROJECT_COMPLEXITY: 'standard',
+
+    // Currency
+    DEFAULT_CURRENCY: 'GBP',
+    SUPPORTED_CURRENCIES: ['GBP', 'EUR', 'USD'],
+
+    // PRTG licence optimiser
+    PRTG_TIER_MARGIN: 0.1, // Sensor counts within 10% of a tier ceiling get a boundary warning
+
     // Discount thresholds
     DISCOUNT_THRESHOLD_TIER1: 1500,
     DISCOUNT_THRESHOLD_TIER2: 3000,
@@ -104,7 +121,7 @@ const AppConfig = {
 
     // IndexedDB
     INDEXEDDB_NAME: 'NaaSCalculatorDB',
-    INDEXEDDB_VERSION: 2,
+    INDEXEDDB_VERSION: 3,
 
     // LocalStorage keys
     LOCALSTORAGE_KEY_QUOTE_DATA: 'naas_quote_data',
@@ -114,6 +131,7 @@ const AppConfig = {
     LOCALSTORAGE_KEY_FULL_QUOTE: 'naas_full_quote',
     LOCALSTORAGE_KEY_SAVED_COMPONENTS: 'naas_saved_components',
     LOCALSTORAGE_KEY_FULL_QUOTES: 'naas_full_quotes',
+    LOCALSTORAGE_KEY_PRICE_BOOKS: 'naas_price_books',
     LOCALSTORAGE_PREFIX_TEMP: 'naas_temp_',
     LOCALSTORAGE_PREFIX_TEST: 'naas_test_',
     LOCALSTORAGE_PREFIX_COMPONENT_TEMP: 'component_',
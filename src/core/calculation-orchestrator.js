@@ -211,7 +211,13 @@ class CalculationOrchestrator {
             return { totals: { monthly: 0, annual: 0, threeYear: 0, oneTime: 0 } };
         }
 
-        const params = componentData.params;
+        // Price with the project's contract term and delivery region, as the combined quote does
+        const { termMonths, region } = this.dataStore.getQuoteOptions();
+        const params = {
+            ...componentData.params,
+            contractTermMonths: this.calculator.resolveTermMonths(termMonths),
+            region
+        };
         const context = this.buildCalculationContext(componentType);
 
         switch (componentType) {
@@ -233,6 +239,10 @@ class CalculationOrchestrator {
                 return this.calculator.calculateAdmin(params, context);
             case 'otherCosts':
                 return this.calculator.calculateOtherCosts(params, context);
+            case 'labour':
+                return this.calculator.calculateLabour(params, context);
+            case 'compliance':
+                return this.calculator.calculateCompliance(params, context);
             case 'enhancedSupport':
                 return this.calculator.calculateEnhancedSupport(params, context);
             case 'dynamics1Year':
@@ -260,8 +270,11 @@ class CalculationOrchestrator {
         };
 
         try {
-            // Inject specific dependencies using dependency graph
-            const deps = this.dependencyGraph.getDependencies(componentType);
+            // Inject specific dependencies using dependency graph, and optional ones when enabled
+            const deps = [
+                ...this.dependencyGraph.getDependencies(componentType),
+                ...this.dependencyGraph.getOptionalDependencies(componentType)
+            ];
 
             for (const dep of deps) {
                 if (dep === '*') {
@@ -343,9 +356,9 @@ class CalculationOrchestrator {
      * @returns {number} Dependency level (0-4), or 999 if unknown
      *
      * @description Dependency levels:
-     * - Level 0: Independent (help, assessment, admin, otherCosts)
-     * - Level 1: Base infrastructure (prtg, capital, onboarding, pbsFoundation)
-     * - Level 2: Services (support depends on capital)
+     * - Level 0: Independent (help, assessment, admin, otherCosts, labour, compliance)
+     * - Level 1: Base infrastructure (prtg, capital, onboarding, pbsFoundation; prtg takes compliance sensors)
+     * - Level 2: Services (support depends on capital, with any compliance uplift)
      * - Level 3: Enhanced services (enhancedSupport, naasStandard, naasEnhanced)
      * - Level 4: Contract pricing (dynamics depends on all active components)
      */
@@ -4,16 +4,37 @@
  */
 
 class NaaSCalculator {
-    constructor() {
+    constructor(priceBook = PriceBook.getActive()) {
         // Configuration constants based on Excel spreadsheet
         this.config = {
-            // Financial rates
+            // Financial rates (overridden by the loaded price book)
             APR_RATE: 0.05, // 5% Annual Percentage Rate for capital equipment
             CPI_RATE: 0.03, // 3% Consumer Price Index for support cost escalation
             MONTHS_PER_YEAR: 12,
             
             // Default contract terms
             DEFAULT_TERM_MONTHS: 36,
+
+            // PRTG monthly service covers this many locations and alert recipients before scaling up
+            PRTG_INCLUDED_LOCATIONS: 5,
+            PRTG_INCLUDED_ALERT_RECIPIENTS: 10,
+
+            // Lifecycle of equipment the catalogue gives none for (custom lines, older price books)
+            DEFAULT_EQUIPMENT_LIFE_MONTHS: 60,
+            DEFAULT_DEPRECIATION_METHOD: 'straight_line',
+
+            // Capital financing: a loan repays in full, a lease leaves a residual (FMV) value with the
+            // lessor and a balloon loan pays the residual with the last instalment
+            FINANCING_STRUCTURES: ['loan', 'lease', 'balloon'],
+            PAYMENT_TIMINGS: ['arrears', 'advance'],
+
+            // Labour is billed as used (time and materials) or from pre-paid hour bundles, and
+            // costed at the engineer day cost spread over a working day
+            LABOUR_BILLING: ['timeAndMaterials', 'prepaid'],
+            LABOUR_HOURS_PER_DAY: 8,
+
+            // Days a support coverage window can include, Monday first
+            COVERAGE_DAYS: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
             
             // Component defaults
             defaults: {
@@ -41,160 +62,182 @@ class NaaSCalculator {
             }
         };
 
-        // Component pricing data (replicated from Excel sheets)
-        this.pricingData = {
-            prtg: {
-                baseLicense: {
-                    up_to_100: 2340,
-                    up_to_500: 5850,
-                    up_to_1000: 11700,
-                    up_to_2500: 23400,
-                    unlimited: 46800
-                },
-                setupCosts: {
-                    standard: 1500,
-                    enhanced: 2500,
-                    enterprise: 4000
-                },
-                monthlyService: {
-                    standard: {
-                        up_to_100: 250,
-                        up_to_500: 450,
-                        up_to_1000: 750,
-                        up_to_2500: 1200,
-                        unlimited: 2000
-                    },
-                    enhanced: {
-                        up_to_100: 450,
-                        up_to_500: 750,
-                        up_to_1000: 1200,
-                        up_to_2500: 1800,
-                        unlimited: 3000
-                    }
-                }
-            },
-            capital: {
-                equipmentTypes: {
-                    'router_small': { cost: 2500, category: 'Router' },
-                    'router_medium': { cost: 8500, category: 'Router' },
-                    'router_large': { cost: 18500, category: 'Router' },
-                    'switch_24port': { cost: 1200, category: 'Switch' },
-                    'switch_48port': { cost: 2400, category: 'Switch' },
-                    'firewall_small': { cost: 3500, category: 'Firewall' },
-                    'firewall_medium': { cost: 12000, category: 'Firewall' },
-                    'firewall_large': { cost: 25000, category: 'Firewall' },
-                    'wireless_ap': { cost: 450, category: 'Wireless' },
-                    'wireless_controller': { cost: 2800, category: 'Wireless' }
-                }
-            },
-            support: {
-                hourlyRates: {
-                    l1_support: 85,
-                    l2_support: 125,
-                    l3_support: 185,
-                    engineer: 225
-                },
-                packages: {
-                    basic: {
-                        hours: '8x5',
-                        monthlyBase: 500,
-                        perDeviceMonthly: 25
-                    },
-                    standard: {
-                        hours: '12x5',
-                        monthlyBase: 750,
-                        perDeviceMonthly: 35
-                    },
-                    enhanced: {
-                        hours: '24x7',
-                        monthlyBase: 1200,
-                        perDeviceMonthly: 50
-                    }
-                }
-            },
-            onboarding: {
-                baseImplementation: {
-                    simple: 2500,
-                    standard: 4500,
-                    complex: 8500,
-                    enterprise: 15000
-                },
-                assessment: {
-                    network: 1500,
-                    security: 2000,
-                    comprehensive: 3500
-                },
-                perSite: {
-                    simple: 500,
-                    standard: 1000,
-                    complex: 2000
-                }
-            },
-            pbsFoundation: {
-                baseMonthly: 200,
-                perUserMonthly: 25,
-                perLocationMonthly: 100,
-                features: {
-                    'advanced_reporting': 150,
-                    'api_access': 100,
-                    'sso_integration': 200,
-                    'custom_branding': 75,
-                    'multi_tenant': 300,
-                    'advanced_analytics': 125
-                }
-            },
-            assessment: {
-                baseCosts: {
-                    simple: 2500,
-                    standard: 4500,
-                    complex: 8500,
-                    enterprise: 15000
-                },
-                deviceMultiplier: {
-                    base: 10,
-                    factor: 1.0
-                },
-                reportCost: 500
-            },
-            admin: {
-                reviewCosts: {
-                    annual: 650,
-                    quarterly: 650,
-                    biAnnual: 650
-                },
-                technicalRates: {
-                    technicalDay: 1250,
-                    l3EngineeringDay: 950
-                },
-                serviceCosts: {
-                    reportingService: 450,
-                    backupService: 50
-                }
-            },
-            enhancedSupport: {
-                baseCosts: {
-                    enhanced: 1200,
-                    premium: 2000,
-                    enterprise: 3500
-                },
-                perDeviceCost: 50,
-                escalationRate: 0.03
-            },
-            naas: {
-                baseCosts: {
-                    standard: 800,
-                    enhanced: 1200
-                },
-                perDeviceCost: 40,
-                escalationRate: 0.03
+        // Component pricing data is sourced from a versioned price book
+        this.priceBook = null;
+        this.pricingData = {};
+        this.costBasis = {};
+        this.discountRules = null;
+        this.guardrails = {};
+        this.contingency = {};
+        this.regions = {};
+        this.hardware = {};
+        this.slas = {};
+        this.loadPriceBook(priceBook);
+
+        // Quotes are calculated in the price book currency and converted for presentation
+        this.currencyConverter = new CurrencyConverter();
+    }
+
+    /**
+     * Load a price book, replacing pricing data and financial rates
+     */
+    loadPriceBook(book) {
+        const validation = PriceBook.validate(book);
+        if (!validation.isValid) {
+            throw new Error(`Invalid price book: ${validation.errors.join('; ')}`);
+        }
+
+        if (!PriceBook.isEffective(book)) {
+            console.warn(`Price book ${book.id}@${book.version} is not effective today`);
+        }
+
+        this.priceBook = PriceBook.clone(book);
+        this.pricingData = this.priceBook.pricing;
+        this.costBasis = PriceBook.clone(PriceBook.getCostBasis(this.priceBook));
+        this.discountRules = new DiscountRules(this.priceBook.discountRules || DiscountRules.DEFAULT);
+        this.guardrails = { ...PriceBook.getGuardrails(this.priceBook) };
+        this.contingency = PriceBook.clone(PriceBook.getContingency(this.priceBook));
+        this.regions = PriceBook.clone(PriceBook.getRegions(this.priceBook));
+        this.hardware = PriceBook.clone(PriceBook.getHardware(this.priceBook));
+        this.slas = PriceBook.clone(PriceBook.getSlas(this.priceBook));
+        this.config.APR_RATE = this.priceBook.rates.APR_RATE;
+        this.config.CPI_RATE = this.priceBook.rates.CPI_RATE;
+
+        return this.getPriceBookReference();
+    }
+
+    /**
+     * Get the id/version reference of the loaded price book
+     */
+    getPriceBookReference() {
+        return PriceBook.getReference(this.priceBook);
+    }
+
+    /**
+     * Record which price book produced a calculation result
+     */
+    withPriceBook(result) {
+        result.priceBook = this.getPriceBookReference();
+        return result;
+    }
+
+    /**
+     * Resolve the contract term in months, falling back when the value is not a positive whole number
+     */
+    resolveTermMonths(termMonths, fallback = this.config.DEFAULT_TERM_MONTHS) {
+        return Number.isInteger(termMonths) && termMonths > 0 ? termMonths : fallback;
+    }
+
+    /**
+     * Spread a component's costs over the contract term.
+     * chargeForMonth(month, year) returns the recurring charge for that contract month;
+     * one-time costs fall in month 1. Produces per-year rows and the per-month charges
+     * used by the cash-flow schedule.
+     */
+    buildTermSchedule(termMonths, oneTime, chargeForMonth = () => 0) {
+        const years = [];
+        const monthlyCharges = [];
+        let termTotal = oneTime;
+
+        for (let month = 1; month <= termMonths; month++) {
+            const year = Math.ceil(month / 12);
+            const charge = chargeForMonth(month, year);
+
+            if (!years[year - 1]) {
+                years[year - 1] = { year, months: 0, oneTime: year === 1 ? oneTime : 0, recurring: 0, total: 0 };
             }
+            years[year - 1].months++;
+            years[year - 1].recurring += charge;
+
+            monthlyCharges.push(this.roundToCents(charge));
+            termTotal += charge;
+        }
+
+        years.forEach(row => {
+            row.total = Math.round(row.oneTime + row.recurring);
+            row.recurring = Math.round(row.recurring);
+        });
+
+        return {
+            termTotal: Math.round(termTotal),
+            term: { months: termMonths, years, monthlyCharges }
         };
     }
 
+    roundToCents(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Label for a contract term total, e.g. "5-Year Total" or "18-Month Total"
+     */
+    getTermLabel(termMonths) {
+        return termMonths % 12 === 0 ? `${termMonths / 12}-Year Total` : `${termMonths}-Month Total`;
+    }
+
+    /**
+     * Price, cost and gross margin of a single figure; marginRate is a fraction of price
+     */
+    calculateMargin(price, cost) {
+        const margin = price - cost;
+        return {
+            price: this.roundToCents(price),
+            cost: this.roundToCents(cost),
+            margin: this.roundToCents(margin),
+            marginRate: price > 0 ? margin / price : 0
+        };
+    }
+
+    /**
+     * Delivery region by id, falling back to the price book's default region
+     */
+    getRegion(regionId) {
+        const id = this.regions.catalogue[regionId] ? regionId : this.regions.defaultRegion;
+        return { id, taxLabel: 'Tax', ...this.regions.catalogue[id] };
+    }
+
     /**
-     * Calculate PRTG Monitoring costs
+     * Share of sell price that a service line costs to deliver
      */
-    calculatePRTG(params) {
+    getServiceCostRatio(section) {
+        return this.costBasis.serviceCostRatios[section] ?? 0;
+    }
+
+    /**
+     * Attach cost, price and margin per breakdown line. Lines are { line, basis, price, cost }
+     * with basis 'oneTime', 'monthly' or 'annual'. Over the contract term one-time lines count
+     * once and recurring cost follows the component's recurring charges, so escalation and
+     * financing move cost in the same proportion as price.
+     */
+    withCosting(result, lines) {
+        const monthlyEquivalent = line => line.basis === 'annual' ? line.price / 12 : line.price;
+        const monthlyCostEquivalent = line => line.basis === 'annual' ? line.cost / 12 : line.cost;
+        const recurring = lines.filter(line => line.basis !== 'oneTime');
+        const recurringPrice = recurring.reduce((total, line) => total + monthlyEquivalent(line), 0);
+        const recurringCost = recurring.reduce((total, line) => total + monthlyCostEquivalent(line), 0);
+
+        const oneTimeCost = lines
+            .filter(line => line.basis === 'oneTime')
+            .reduce((total, line) => total + line.cost, 0);
+        const recurringTermPrice = result.totals.termTotal - result.totals.oneTime;
+        const termCost = oneTimeCost + (recurringPrice > 0 ? recurringTermPrice * recurringCost / recurringPrice : 0);
+
+        result.costing = {
+            lines: lines.map(line => ({
+                line: line.line,
+                basis: line.basis,
+                ...this.calculateMargin(line.price, line.cost)
+            })),
+            totals: this.calculateMargin(result.totals.termTotal, termCost)
+        };
+        return result;
+    }
+
+    /**
+     * Calculate PRTG Monitoring costs. context.complianceData is the compliance component,
+     * whose frameworks add sensors to the licence.
+     */
+    calculatePRTG(params, context = {}) {
         try {
             // Input validation
             if (!params || typeof params !== 'object') {
@@ -205,7 +248,8 @@ class NaaSCalculator {
                 sensors = this.config.defaults.prtg.sensors,
                 locations = this.config.defaults.prtg.locations,
                 alertRecipients = this.config.defaults.prtg.alertRecipients,
-                serviceLevel = this.config.defaults.prtg.serviceLevel
+                serviceLevel = this.config.defaults.prtg.serviceLevel,
+                contractTermMonths
             } = params;
 
             // Validate inputs
@@ -222,54 +266,135 @@ class NaaSCalculator {
                 throw new Error('Invalid service level. Must be standard, enhanced, or enterprise');
             }
 
-        // Determine sensor tier
-        let sensorTier;
-        if (sensors <= 100) sensorTier = 'up_to_100';
-        else if (sensors <= 500) sensorTier = 'up_to_500';
-        else if (sensors <= 1000) sensorTier = 'up_to_1000';
-        else if (sensors <= 2500) sensorTier = 'up_to_2500';
-        else sensorTier = 'unlimited';
+        // Price the licence under the price book's pricing mode, including compliance sensors
+        const complianceSensors = this.getComplianceEffects(context.complianceData).extraSensors;
+        const licensedSensors = sensors + complianceSensors;
+        const pricingMode = this.pricingData.prtg.pricingMode || 'step';
+        const license = this.priceSensorBands(licensedSensors, this.pricingData.prtg.baseLicense, pricingMode);
+        const sensorTier = license.tier;
 
         // Calculate costs
-        const licenseCost = this.pricingData.prtg.baseLicense[sensorTier];
+        const licenseCost = license.amount;
         const setupCost = this.pricingData.prtg.setupCosts[serviceLevel] || this.pricingData.prtg.setupCosts.standard;
         const monthlyService = this.pricingData.prtg.monthlyService[serviceLevel][sensorTier];
 
         // Additional costs based on complexity
-        const locationMultiplier = Math.max(1, locations / 5);
-        const alertMultiplier = Math.max(1, alertRecipients / 10);
+        const locationMultiplier = Math.max(1, locations / this.config.PRTG_INCLUDED_LOCATIONS);
+        const alertMultiplier = Math.max(1, alertRecipients / this.config.PRTG_INCLUDED_ALERT_RECIPIENTS);
         
         const totalMonthlyService = Math.round(monthlyService * locationMultiplier * alertMultiplier);
         const annualLicense = licenseCost;
         const oneTimeSetup = setupCost;
-
-        return {
+        const schedule = this.buildTermSchedule(
+            this.resolveTermMonths(contractTermMonths),
+            oneTimeSetup,
+            () => totalMonthlyService + annualLicense / 12
+        );
+
+        const prtgCostRatio = this.getServiceCostRatio('prtg');
+        const result = this.withPriceBook({
             breakdown: {
                 annualLicense,
                 oneTimeSetup,
-                monthlyService: totalMonthlyService
+                monthlyService: totalMonthlyService,
+                sensorBands: license.bands
             },
             totals: {
                 oneTime: oneTimeSetup,
                 monthly: totalMonthlyService + Math.round(annualLicense / 12),
                 annual: annualLicense + (totalMonthlyService * 12),
-                threeYear: (annualLicense * 3) + (totalMonthlyService * 36) + oneTimeSetup
+                threeYear: (annualLicense * 3) + (totalMonthlyService * 36) + oneTimeSetup,
+                termTotal: schedule.termTotal
             },
+            term: schedule.term,
             metadata: {
                 sensorTier,
-                sensors,
+                pricingMode,
+                sensors: licensedSensors,
+                complianceSensors,
                 locations,
                 serviceLevel
             }
-        };
+        });
+
+        return this.withCosting(result, [
+            { line: 'annualLicense', basis: 'annual', price: annualLicense, cost: this.priceSensorBands(licensedSensors, this.costBasis.prtgLicense, pricingMode).amount },
+            { line: 'oneTimeSetup', basis: 'oneTime', price: oneTimeSetup, cost: oneTimeSetup * prtgCostRatio },
+            { line: 'monthlyService', basis: 'monthly', price: totalMonthlyService, cost: totalMonthlyService * prtgCostRatio }
+        ]);
         } catch (error) {
             console.error('Error in calculatePRTG:', error);
-            return {
+            return this.withPriceBook({
                 error: error.message,
-                totals: { monthly: 0, annual: 0, threeYear: 0, oneTime: 0 },
+                totals: { monthly: 0, annual: 0, threeYear: 0, termTotal: 0, oneTime: 0 },
                 breakdown: { error: true }
-            };
+            });
+        }
+    }
+
+    /**
+     * Sensor ceiling of each PRTG licence tier from the price book
+     */
+    getPRTGSensorBands() {
+        return this.pricingData.prtg.sensorBands || PriceBook.DEFAULT.pricing.prtg.sensorBands;
+    }
+
+    /**
+     * PRTG licence tier covering a sensor count; anything above the last ceiling is unlimited
+     */
+    getPRTGSensorTier(sensors) {
+        const ceilings = this.getPRTGSensorBands();
+        return PriceBook.PRTG_SENSOR_TIERS.find(tier => tier !== 'unlimited' && sensors <= ceilings[tier]) || 'unlimited';
+    }
+
+    /**
+     * Price a sensor count against per-tier prices (licence sell prices or costs).
+     * 'step' charges the full price of the covering tier. 'graduated' charges the sensors in
+     * each band at that band's marginal rate, so the price matches the step price at every
+     * ceiling and rises smoothly in between. 'prorated' charges the covering tier in proportion
+     * to the sensors used, never less than the tier below. Sensors above the unlimited ceiling
+     * add nothing. Returns { tier, amount, bands: [{ tier, ceiling, sensors, rate, amount }] }.
+     */
+    priceSensorBands(sensors, tierPrices, mode = 'step') {
+        const ceilings = this.getPRTGSensorBands();
+        const tiers = PriceBook.PRTG_SENSOR_TIERS;
+        const tier = this.getPRTGSensorTier(sensors);
+
+        if (mode === 'graduated') {
+            const bands = [];
+            let floor = 0;
+            let previousPrice = 0;
+            let amount = 0;
+
+            for (const band of tiers) {
+                if (sensors <= floor) break;
+                const ceiling = ceilings[band];
+                const rate = (tierPrices[band] - previousPrice) / (ceiling - floor);
+                const inBand = band === 'unlimited' ? sensors - floor : Math.min(sensors, ceiling) - floor;
+                const bandAmount = (Math.min(sensors, ceiling) - floor) * rate;
+
+                amount += bandAmount;
+                bands.push({ tier: band, ceiling, sensors: inBand, rate: this.roundToCents(rate), amount: this.roundToCents(bandAmount) });
+                floor = ceiling;
+                previousPrice = tierPrices[band];
+            }
+
+            return { tier, amount: this.roundToCents(amount), bands };
         }
+
+        let amount = tierPrices[tier];
+        if (mode === 'prorated') {
+            const index = tiers.indexOf(tier);
+            const lowerPrice = index > 0 ? tierPrices[tiers[index - 1]] : 0;
+            amount = Math.max(lowerPrice, tierPrices[tier] * Math.min(sensors, ceilings[tier]) / ceilings[tier]);
+        }
+
+        amount = this.roundToCents(amount);
+        return {
+            tier,
+            amount,
+            bands: [{ tier, ceiling: ceilings[tier], sensors, rate: this.roundToCents(amount / sensors), amount }]
+        };
     }
 
     /**
@@ -286,7 +411,14 @@ class NaaSCalculator {
                 equipment = [],
                 financing = true,
                 termMonths = this.config.DEFAULT_TERM_MONTHS,
-                downPayment = 0
+                downPayment = 0,
+                financingStructure = 'loan',
+                residualRate = 0,
+                paymentTiming = 'arrears',
+                deferralMonths = 0,
+                aprOverride = null,
+                includeRefresh = true,
+                contractTermMonths
             } = params;
 
             // Validate inputs
@@ -302,102 +434,203 @@ class NaaSCalculator {
             if (typeof downPayment !== 'number' || downPayment < 0) {
                 throw new Error('Down payment must be a non-negative number');
             }
+            if (!this.config.FINANCING_STRUCTURES.includes(financingStructure)) {
+                throw new Error(`Financing structure must be one of ${this.config.FINANCING_STRUCTURES.join(', ')}`);
+            }
+            if (financingStructure !== 'loan' && (typeof residualRate !== 'number' || residualRate < 0 || residualRate >= 1)) {
+                throw new Error('Residual value must be at least 0% and below 100% of the amount financed');
+            }
+            if (!this.config.PAYMENT_TIMINGS.includes(paymentTiming)) {
+                throw new Error(`Payment timing must be one of ${this.config.PAYMENT_TIMINGS.join(', ')}`);
+            }
+            if (!Number.isInteger(deferralMonths) || deferralMonths < 0) {
+                throw new Error('Deferral months must be a non-negative whole number');
+            }
+            if (aprOverride !== null && (typeof aprOverride !== 'number' || aprOverride < 0 || aprOverride >= 1)) {
+                throw new Error('APR override must be at least 0 and below 1');
+            }
 
         let totalEquipmentCost = 0;
         const equipmentBreakdown = [];
 
-        // Calculate total equipment cost
+        // Calculate total equipment cost; the buy side of each line stays internal to costing
+        const buyPrices = [];
         equipment.forEach(item => {
-            const { description, quantity = 1, unitCost = 0 } = item;
-            const totalCost = unitCost * quantity;
-            
-            totalEquipmentCost += totalCost;
-            equipmentBreakdown.push({
-                description,
-                quantity,
-                unitCost,
-                totalCost,
-                category: 'Custom Equipment'
-            });
+            const { buy, ...line } = this.resolveEquipmentLine(item);
+            totalEquipmentCost += line.totalCost;
+            equipmentBreakdown.push(line);
+            buyPrices.push(buy);
         });
 
+        const contractTerm = this.resolveTermMonths(contractTermMonths);
+
+        // Equipment is bought in full up front, whether or not the customer finances it
+        const equipmentLines = equipmentBreakdown.map((item, index) => ({
+            line: item.description,
+            basis: 'oneTime',
+            price: item.totalCost,
+            cost: buyPrices[index].total
+        }));
+        const vendorSummary = this.summariseEquipmentByVendor(equipmentBreakdown);
+        const withVendorCosting = result => {
+            result.vendorSummary = vendorSummary;
+            result.costing.vendors = this.summariseEquipmentCostByVendor(equipmentBreakdown, buyPrices);
+            return result;
+        };
+
         if (totalEquipmentCost === 0) {
-            return {
+            const schedule = this.buildTermSchedule(contractTerm, 0);
+            return withVendorCosting(this.withCosting(this.withPriceBook({
                 breakdown: equipmentBreakdown,
-                totals: { oneTime: 0, monthly: 0, annual: 0, threeYear: 0 },
+                totals: { oneTime: 0, monthly: 0, annual: 0, threeYear: 0, termTotal: 0 },
+                term: schedule.term,
                 financing: null
-            };
+            }), equipmentLines));
         }
 
+        // Lines whose useful life runs out before the contract ends are bought again
+        const lifecycle = this.planEquipmentLifecycle(equipmentBreakdown, contractTerm, includeRefresh);
+        lifecycle.refreshes.forEach(refresh => {
+            equipmentLines.push({
+                line: `${refresh.description} (refresh, month ${refresh.month})`,
+                basis: 'oneTime',
+                price: refresh.totalCost,
+                cost: buyPrices[refresh.index].total
+            });
+        });
+        const refreshForMonth = month => lifecycle.refreshes
+            .filter(refresh => refresh.month === month)
+            .reduce((total, refresh) => total + refresh.totalCost, 0);
+        const refreshWithin = months => lifecycle.refreshes
+            .filter(refresh => refresh.month <= months)
+            .reduce((total, refresh) => total + refresh.totalCost, 0);
+
         let financingDetails = null;
         let monthlyPayment = 0;
+        const paymentsByMonth = {};
 
         if (financing && totalEquipmentCost > downPayment) {
             const loanAmount = totalEquipmentCost - downPayment;
-            const monthlyRate = this.config.APR_RATE / this.config.MONTHS_PER_YEAR;
-            
-            // PMT function equivalent: PMT(rate, nper, pv)
-            if (monthlyRate > 0) {
-                monthlyPayment = (loanAmount * monthlyRate * Math.pow(1 + monthlyRate, termMonths)) / 
-                               (Math.pow(1 + monthlyRate, termMonths) - 1);
-            } else {
-                monthlyPayment = loanAmount / termMonths;
-            }
+            const apr = aprOverride ?? this.config.APR_RATE;
+            const residualValue = financingStructure === 'loan' ? 0 : this.roundToCents(loanAmount * residualRate);
+            const amortisation = this.buildAmortisationSchedule(loanAmount, apr, termMonths, {
+                residualValue,
+                balloon: financingStructure === 'balloon',
+                paymentTiming,
+                deferralMonths
+            });
+            monthlyPayment = amortisation.payment;
+            amortisation.rows.forEach(row => {
+                paymentsByMonth[row.month] = row.payment;
+            });
 
             financingDetails = {
                 loanAmount,
                 termMonths,
-                apr: this.config.APR_RATE,
+                apr,
+                structure: financingStructure,
+                paymentTiming,
+                deferralMonths,
+                residualValue,
+                balloonPayment: financingStructure === 'balloon' ? residualValue : 0,
                 monthlyPayment: Math.round(monthlyPayment),
-                totalInterest: Math.round((monthlyPayment * termMonths) - loanAmount),
-                totalPayments: Math.round(monthlyPayment * termMonths)
+                totalInterest: Math.round(amortisation.totalInterest),
+                totalPayments: Math.round(amortisation.totalPayments),
+                amortisation: amortisation.rows
             };
         }
 
-        return {
+        // Repayments stop at the end of the financing term, even if the contract runs longer;
+        // refreshes are paid in full in the month they fall, outside the financing
+        const paymentWithin = months => Object.keys(paymentsByMonth)
+            .filter(month => month <= months)
+            .reduce((total, month) => total + paymentsByMonth[month], 0);
+        const schedule = this.buildTermSchedule(
+            contractTerm,
+            financing ? downPayment : totalEquipmentCost,
+            month => (paymentsByMonth[month] || 0) + refreshForMonth(month)
+        );
+        schedule.term.years.forEach(row => {
+            row.refresh = Math.round(lifecycle.refreshes
+                .filter(refresh => refresh.year === row.year)
+                .reduce((total, refresh) => total + refresh.totalCost, 0));
+        });
+
+        return withVendorCosting(this.withCosting(this.withPriceBook({
             breakdown: equipmentBreakdown,
             totals: {
                 oneTime: financing ? downPayment : totalEquipmentCost,
                 monthly: Math.round(monthlyPayment),
                 annual: Math.round(monthlyPayment * 12),
-                threeYear: financing ? 
-                    Math.round(downPayment + (monthlyPayment * Math.min(36, termMonths))) : 
-                    totalEquipmentCost
+                threeYear: (financing ? 
+                    Math.round(downPayment + paymentWithin(36)) : 
+                    totalEquipmentCost) + Math.round(refreshWithin(36)),
+                termTotal: schedule.termTotal
             },
+            term: schedule.term,
             financing: financingDetails,
+            refresh: lifecycle.refreshes.map(({ index, ...refresh }) => refresh),
+            depreciation: lifecycle.depreciation,
             metadata: {
                 totalEquipmentCost,
+                refreshCost: this.roundToCents(refreshWithin(contractTerm)),
                 financing,
                 termMonths
             }
-        };
+        }), equipmentLines));
         } catch (error) {
             console.error('Error in calculateCapital:', error);
-            return {
+            return this.withPriceBook({
                 error: error.message,
-                totals: { monthly: 0, annual: 0, threeYear: 0, oneTime: 0 },
+                totals: { monthly: 0, annual: 0, threeYear: 0, termTotal: 0, oneTime: 0 },
                 breakdown: { error: true }
-            };
+            });
         }
     }
 
     /**
-     * Calculate Support Services costs with CPI escalation
+     * Calculate Support Services costs with CPI escalation. context.capitalData classes the
+     * supported devices; context.complianceData adds its frameworks' support uplift.
      */
-    calculateSupport(params) {
+    calculateSupport(params, context = {}) {
         const {
             level = 'enhanced',
-            deviceCount = 10,
+            deviceCount: requestedDeviceCount = 10,
             customHours = null,
             includeEscalation = true,
-            termMonths = this.config.DEFAULT_TERM_MONTHS
+            termMonths = this.config.DEFAULT_TERM_MONTHS,
+            contractTermMonths
         } = params;
 
         const supportPackage = this.pricingData.support.packages[level] || this.pricingData.support.packages.standard;
-        
+
+        // Devices are classed from the capital equipment list; any beyond it are unclassified
+        const deviceClasses = this.priceSupportDevices(supportPackage, context.capitalData?.params?.equipment || [], requestedDeviceCount);
+        const deviceCount = deviceClasses.reduce((total, entry) => total + entry.devices, 0);
+
         const baseMonthly = supportPackage.monthlyBase;
-        const deviceMonthly = supportPackage.perDeviceMonthly * deviceCount;
-        const totalMonthly = baseMonthly + deviceMonthly;
+        const deviceMonthly = deviceClasses.reduce((total, entry) => total + entry.monthly, 0);
+
+        // Custom coverage windows adjust the price up or down relative to the package's own hours;
+        // a narrower window never discounts more than the package base. A window that sets no days
+        // or hours is not a window at all, so the package hours stand.
+        const coverageWindows = customHours === null || customHours === undefined ? [] :
+            (Array.isArray(customHours) ? customHours : [customHours]).filter(window =>
+                window && ['days', 'start', 'end'].some(key => window[key] !== undefined && window[key] !== null));
+        let coverage = null;
+        if (coverageWindows.length > 0) {
+            try {
+                coverage = this.priceSupportCoverage(supportPackage, coverageWindows, deviceCount);
+            } catch (error) {
+                return this.handleCalculationError('calculateSupport', error);
+            }
+        }
+        const coverageAdjustment = coverage ? Math.max(coverage.adjustment, -baseMonthly) : 0;
+
+        // Compliance frameworks add evidence gathering and logging review to the support effort
+        const compliance = this.getComplianceEffects(context.complianceData);
+        const complianceUplift = this.roundToCents((baseMonthly + deviceMonthly + coverageAdjustment) * compliance.supportUplift);
+        const totalMonthly = baseMonthly + deviceMonthly + coverageAdjustment + complianceUplift;
 
         let escalatedCosts = [];
         let totalWithEscalation = 0;
@@ -420,26 +653,278 @@ class NaaSCalculator {
             }
         }
 
-        return {
+        const schedule = this.buildTermSchedule(
+            this.resolveTermMonths(contractTermMonths, termMonths),
+            0,
+            (month, year) => includeEscalation ?
+                totalMonthly * Math.pow(1 + this.config.CPI_RATE, year - 1) :
+                totalMonthly
+        );
+
+        const supportCostRatio = this.getServiceCostRatio('support');
+        return this.withCosting(this.withPriceBook({
+            sla: this.describeSla('support', level, schedule.term),
             breakdown: {
                 baseMonthly,
                 deviceMonthly,
                 deviceCount,
-                totalMonthly
+                coverageAdjustment,
+                complianceUplift,
+                totalMonthly,
+                deviceClasses,
+                coverage
             },
             escalation: includeEscalation ? escalatedCosts : null,
             totals: {
                 oneTime: 0,
                 monthly: totalMonthly,
                 annual: totalMonthly * 12,
-                threeYear: includeEscalation ? Math.round(totalWithEscalation) : totalMonthly * termMonths
+                threeYear: includeEscalation ? Math.round(totalWithEscalation) : totalMonthly * termMonths,
+                termTotal: schedule.termTotal
             },
+            term: schedule.term,
             metadata: {
                 level,
                 hours: supportPackage.hours,
                 deviceCount,
-                includeEscalation
+                includeEscalation,
+                complianceFrameworks: compliance.frameworks,
+                complianceUpliftRate: compliance.supportUplift
+            }
+        }), [
+            { line: 'baseMonthly', basis: 'monthly', price: baseMonthly, cost: baseMonthly * supportCostRatio },
+            { line: 'deviceMonthly', basis: 'monthly', price: deviceMonthly, cost: deviceMonthly * supportCostRatio },
+            ...(coverage ? [{ line: 'coverageAdjustment', basis: 'monthly', price: coverageAdjustment, cost: coverageAdjustment * supportCostRatio }] : []),
+            ...(complianceUplift > 0 ? [{ line: 'complianceUplift', basis: 'monthly', price: complianceUplift, cost: complianceUplift * supportCostRatio }] : [])
+        ]);
+    }
+
+    /**
+     * Price custom coverage windows against the package's own hours. customHours is one window or
+     * a list of them, each { days, start, end, bankHolidays, devices }: days as 'mon-sat' or
+     * 'mon,wed,fri', hours from 0 to 24. A window with devices covers that many devices; the one
+     * without covers the rest, and devices left over stay on the package hours. Each window's
+     * adjustment is its difference from the package coverage, scaled by its share of devices.
+     */
+    priceSupportCoverage(supportPackage, customHours, deviceCount) {
+        const windows = (Array.isArray(customHours) ? customHours : [customHours]).map(window => this.resolveCoverageWindow(window));
+        const assigned = windows.reduce((total, window) => total + (window.devices || 0), 0);
+
+        if (windows.length === 0) {
+            throw new Error('Add at least one coverage window');
+        }
+        if (windows.filter(window => window.devices === null).length > 1) {
+            throw new Error('Only one coverage window may cover the remaining devices');
+        }
+        if (assigned > deviceCount) {
+            throw new Error(`Coverage windows cover ${assigned} devices but only ${deviceCount} are supported`);
+        }
+
+        const baseline = this.priceCoverageWindow(this.getPackageCoverage(supportPackage));
+        const priced = windows.map(window => {
+            const devices = window.devices ?? deviceCount - assigned;
+            const share = deviceCount > 0 ? devices / deviceCount : 1;
+            const pricedWindow = this.priceCoverageWindow(window);
+            return {
+                ...pricedWindow,
+                devices,
+                share,
+                adjustment: this.roundToCents((pricedWindow.monthly - baseline.monthly) * share)
+            };
+        });
+
+        return {
+            baseline,
+            windows: priced,
+            adjustment: this.roundToCents(priced.reduce((total, window) => total + window.adjustment, 0))
+        };
+    }
+
+    /**
+     * Normalise a coverage window, throwing when its days or hours are not usable
+     */
+    resolveCoverageWindow(window) {
+        if (!window || typeof window !== 'object') {
+            throw new Error('Coverage window must be an object');
+        }
+
+        const { days = 'mon-fri', start = 0, end = 24, bankHolidays = false, devices = null } = window;
+        if (typeof start !== 'number' || typeof end !== 'number' || start < 0 || end > 24 || start >= end) {
+            throw new Error('Coverage hours must start before they end, between 0 and 24');
+        }
+        if (devices !== null && (!Number.isInteger(devices) || devices < 1)) {
+            throw new Error('Coverage window devices must be a positive whole number');
+        }
+
+        return { days: this.parseCoverageDays(days), start, end, bankHolidays: Boolean(bankHolidays), devices };
+    }
+
+    /**
+     * Days covered by a list or string of days and ranges, e.g. 'mon-fri,sun', in week order
+     */
+    parseCoverageDays(days) {
+        const names = this.config.COVERAGE_DAYS;
+        const covered = new Set();
+        const tokens = (Array.isArray(days) ? days : String(days).split(',')).filter(token => String(token).trim());
+
+        tokens.forEach(token => {
+            const [from, to = from] = String(token).trim().toLowerCase().split('-').map(day => names.indexOf(day.trim().slice(0, 3)));
+            if (from === -1 || to === -1 || to < from) {
+                throw new Error(`Unknown coverage days '${token}'`);
+            }
+            names.slice(from, to + 1).forEach(day => covered.add(day));
+        });
+
+        if (covered.size === 0) {
+            throw new Error('Coverage window must include at least one day');
+        }
+        return names.filter(day => covered.has(day));
+    }
+
+    /**
+     * Coverage window of a package's 'HxD' hours: the first D days of the week, H hours centred on
+     * the business day (24 hours from midnight), with bank holidays covered by seven-day packages
+     */
+    getPackageCoverage(supportPackage) {
+        const match = /^(\d+)x([1-7])$/.exec(supportPackage.hours || '');
+        if (!match) {
+            throw new Error(`Support package hours '${supportPackage.hours}' are not in HxD form`);
+        }
+
+        const { businessDayStart, businessDayEnd } = this.getCoverageRates();
+        const hoursPerDay = Math.min(24, Number(match[1]));
+        const dayCount = Number(match[2]);
+        const start = Math.min(24 - hoursPerDay, Math.max(0, (businessDayStart + businessDayEnd - hoursPerDay) / 2));
+
+        return this.resolveCoverageWindow({
+            days: this.config.COVERAGE_DAYS.slice(0, dayCount),
+            start,
+            end: start + hoursPerDay,
+            bankHolidays: dayCount === 7
+        });
+    }
+
+    /**
+     * Coverage pricing of the loaded price book, falling back to the shipped card for older books
+     */
+    getCoverageRates() {
+        return this.pricingData.support.coverage || PriceBook.DEFAULT.pricing.support.coverage;
+    }
+
+    /**
+     * Monthly charge for a coverage window. Weekday hours inside the business day count once,
+     * other hours at the out-of-hours multiplier. Bank holidays fall on weekdays: covered ones are
+     * charged at the bank holiday multiplier for the whole window, uncovered ones are dropped.
+     */
+    priceCoverageWindow(window) {
+        const rates = this.getCoverageRates();
+        const hourlyRates = this.pricingData.support.hourlyRates;
+        const blendedRate = Object.entries(rates.staffingMix).reduce((total, [role, share]) => {
+            if (hourlyRates[role] === undefined) {
+                throw new Error(`Coverage staffing mix names unknown rate '${role}'`);
+            }
+            return total + hourlyRates[role] * share;
+        }, 0);
+
+        const length = window.end - window.start;
+        const businessHours = Math.max(0, Math.min(window.end, rates.businessDayEnd) - Math.max(window.start, rates.businessDayStart));
+        const weekdayHours = businessHours + (length - businessHours) * rates.outOfHoursMultiplier;
+        const weekdays = window.days.filter(day => !['sat', 'sun'].includes(day)).length;
+        const weeklyHours = weekdays * weekdayHours + (window.days.length - weekdays) * length * rates.outOfHoursMultiplier;
+
+        const coveredBankHolidays = rates.bankHolidaysPerYear * weekdays / 5;
+        const annualHours = weeklyHours * 52 - coveredBankHolidays * weekdayHours +
+            (window.bankHolidays ? rates.bankHolidaysPerYear * length * rates.bankHolidayMultiplier : 0);
+
+        return {
+            ...window,
+            label: this.describeCoverageWindow(window),
+            hoursPerWeek: length * window.days.length,
+            monthly: this.roundToCents(annualHours / 12 * blendedRate * rates.effortRatio)
+        };
+    }
+
+    /**
+     * Readable coverage window, e.g. "Mon-Sat 07:00-19:00, bank holidays included"
+     */
+    describeCoverageWindow(window) {
+        const names = this.config.COVERAGE_DAYS;
+        const title = day => day.charAt(0).toUpperCase() + day.slice(1);
+        const time = hours => `${String(Math.floor(hours)).padStart(2, '0')}:${String(Math.round((hours % 1) * 60)).padStart(2, '0')}`;
+
+        // Group consecutive days into ranges
+        const ranges = [];
+        window.days.forEach(day => {
+            const last = ranges[ranges.length - 1];
+            if (last && names.indexOf(day) === names.indexOf(last[last.length - 1]) + 1) {
+                last.push(day);
+            } else {
+                ranges.push([day]);
             }
+        });
+        const days = ranges.map(range => range.length > 1 ? `${title(range[0])}-${title(range[range.length - 1])}` : title(range[0])).join(', ');
+
+        return `${days} ${time(window.start)}-${time(window.end)}, bank holidays ${window.bankHolidays ? 'included' : 'excluded'}`;
+    }
+
+    /**
+     * Support devices per equipment category with the package's rate for each. Catalogue lines
+     * take their SKU's category; custom lines, unknown SKUs and categories the package has no rate
+     * for are unclassified and charged perDeviceMonthly. deviceCount is the size of the supported
+     * estate, so devices beyond the equipment list are added as unclassified.
+     */
+    priceSupportDevices(supportPackage, equipment, deviceCount) {
+        const rates = supportPackage.perDeviceByCategory || {};
+        const counts = {};
+        let listed = 0;
+
+        equipment.forEach(item => {
+            const quantity = item.quantity ?? 1;
+            const category = item.sku ? this.getEquipmentItem(item.sku)?.category : null;
+            const key = category && rates[category] !== undefined ? category : 'Unclassified';
+            counts[key] = (counts[key] || 0) + quantity;
+            listed += quantity;
+        });
+        if (deviceCount > listed) {
+            counts.Unclassified = (counts.Unclassified || 0) + deviceCount - listed;
+        }
+
+        return Object.keys(counts)
+            .sort((a, b) => (a === 'Unclassified') - (b === 'Unclassified'))
+            .map(category => {
+                const rate = category === 'Unclassified' ? supportPackage.perDeviceMonthly : rates[category];
+                return { category, devices: counts[category], rate, monthly: rate * counts[category] };
+            });
+    }
+
+    /**
+     * SLA assigned to a support level: P1-P4 targets, availability commitment, credit schedule and
+     * the most that could be credited back in each contract year (that year's charges at the
+     * credit cap). Null when the level has no tier assigned.
+     */
+    describeSla(component, level, term) {
+        const tierId = this.slas.assignments?.[component]?.[level];
+        const tier = tierId ? this.slas.tiers?.[tierId] : null;
+        if (!tier) {
+            return null;
+        }
+
+        const exposure = term.years.map(row => ({
+            year: row.year,
+            charges: this.roundToCents(row.total),
+            maxCredit: this.roundToCents(row.total * tier.maxCreditRate)
+        }));
+
+        return {
+            tier: tierId,
+            name: tier.name,
+            hours: tier.hours,
+            availability: tier.availability,
+            priorities: PriceBook.SLA_PRIORITIES.map(priority => ({ priority, ...tier.priorities[priority] })),
+            credits: [...tier.credits].sort((a, b) => b.availabilityBelow - a.availabilityBelow),
+            maxCreditRate: tier.maxCreditRate,
+            exposure,
+            maxAnnualExposure: Math.max(0, ...exposure.map(row => row.maxCredit))
         };
     }
 
@@ -452,20 +937,25 @@ class NaaSCalculator {
             sites = 1,
             includeAssessment = true,
             assessmentType = 'comprehensive',
-            customServices = []
+            customServices = [],
+            contractTermMonths,
+            region
         } = params;
 
-        const baseImplementation = this.pricingData.onboarding.baseImplementation[complexity] || 
-                                 this.pricingData.onboarding.baseImplementation.standard;
+        // Engineer time is priced at the delivery region's labour rate
+        const { labourMultiplier } = this.getRegion(region);
+
+        const baseImplementation = (this.pricingData.onboarding.baseImplementation[complexity] || 
+                                 this.pricingData.onboarding.baseImplementation.standard) * labourMultiplier;
         
-        const perSiteCost = this.pricingData.onboarding.perSite[complexity] || 
-                           this.pricingData.onboarding.perSite.standard;
+        const perSiteCost = (this.pricingData.onboarding.perSite[complexity] || 
+                           this.pricingData.onboarding.perSite.standard) * labourMultiplier;
         
         const additionalSites = Math.max(0, sites - 1);
         const sitesCost = additionalSites * perSiteCost;
         
         const assessmentCost = includeAssessment ? 
-            (this.pricingData.onboarding.assessment[assessmentType] || 0) : 0;
+            (this.pricingData.onboarding.assessment[assessmentType] || 0) * labourMultiplier : 0;
 
         let customServicesCost = 0;
         customServices.forEach(service => {
@@ -473,8 +963,17 @@ class NaaSCalculator {
         });
 
         const totalCost = baseImplementation + sitesCost + assessmentCost + customServicesCost;
-
-        return {
+        const schedule = this.buildTermSchedule(this.resolveTermMonths(contractTermMonths), totalCost);
+
+        // Engineer days are costed at the engineer day cost; custom services have no days behind
+        // them so they keep the service cost ratio
+        const onboardingDays = this.costBasis.onboardingDays || PriceBook.DEFAULT.costBasis.onboardingDays;
+        const engineerDayCost = this.costBasis.engineerDayCost * labourMultiplier;
+        const implementationDays = onboardingDays.baseImplementation[complexity] ?? onboardingDays.baseImplementation.standard;
+        const siteDays = additionalSites * (onboardingDays.perSite[complexity] ?? onboardingDays.perSite.standard);
+        const assessmentDays = includeAssessment ? onboardingDays.assessment[assessmentType] || 0 : 0;
+        const onboardingCostRatio = this.getServiceCostRatio('onboarding');
+        return this.withCosting(this.withPriceBook({
             breakdown: {
                 baseImplementation,
                 additionalSites,
@@ -486,15 +985,24 @@ class NaaSCalculator {
                 oneTime: totalCost,
                 monthly: 0,
                 annual: 0,
-                threeYear: totalCost
+                threeYear: totalCost,
+                termTotal: schedule.termTotal
             },
+            term: schedule.term,
             metadata: {
                 complexity,
                 sites,
                 includeAssessment,
-                assessmentType
+                assessmentType,
+                region: this.getRegion(region).id,
+                labourMultiplier
             }
-        };
+        }), [
+            { line: 'baseImplementation', basis: 'oneTime', price: baseImplementation, cost: implementationDays * engineerDayCost },
+            { line: 'sitesCost', basis: 'oneTime', price: sitesCost, cost: siteDays * engineerDayCost },
+            { line: 'assessment', basis: 'oneTime', price: assessmentCost, cost: assessmentDays * engineerDayCost },
+            { line: 'customServices', basis: 'oneTime', price: customServicesCost, cost: customServicesCost * onboardingCostRatio }
+        ]);
     }
 
     /**
@@ -504,7 +1012,8 @@ class NaaSCalculator {
         const {
             users = 10,
             locations = 1,
-            features = ['basic']
+            features = ['basic'],
+            contractTermMonths
         } = params;
 
         const baseMonthly = this.pricingData.pbsFoundation.baseMonthly;
@@ -518,55 +1027,93 @@ class NaaSCalculator {
 
         const totalMonthly = baseMonthly + (perUserMonthly * users) + 
                            (perLocationMonthly * (locations - 1)) + featuresCost;
+        const schedule = this.buildTermSchedule(
+            this.resolveTermMonths(contractTermMonths),
+            0,
+            () => totalMonthly
+        );
+
+        const breakdown = {
+            baseMonthly,
+            userCost: perUserMonthly * users,
+            locationCost: perLocationMonthly * (locations - 1),
+            featuresCost
+        };
+        const pbsCostRatio = this.getServiceCostRatio('pbsFoundation');
 
-        return {
-            breakdown: {
-                baseMonthly,
-                userCost: perUserMonthly * users,
-                locationCost: perLocationMonthly * (locations - 1),
-                featuresCost
-            },
+        return this.withCosting(this.withPriceBook({
+            breakdown,
             totals: {
                 oneTime: 0,
                 monthly: totalMonthly,
                 annual: totalMonthly * 12,
-                threeYear: totalMonthly * 36
+                threeYear: totalMonthly * 36,
+                termTotal: schedule.termTotal
             },
+            term: schedule.term,
             metadata: {
                 users,
                 locations,
                 features
             }
-        };
+        }), Object.keys(breakdown).map(line => ({
+            line,
+            basis: 'monthly',
+            price: breakdown[line],
+            cost: breakdown[line] * pbsCostRatio
+        })));
     }
 
     /**
-     * Calculate combined quote with discounts
+     * Calculate combined quote with discounts.
+     * Pass options.termMonths to total every component over the quote's contract term,
+     * and options.currency to convert every figure from the price book currency.
+     * A component's manualAdjustment and options.manualAdjustment are discount rates
+     * (negative for a markup) applied after the automatic discounts; options.approval is
+     * the recorded approval checked against the pricing guardrails. options.region selects
+     * the delivery region that sets labour rates and the tax itemised on the totals.
+     * options.risks is the project's risk register and options.complexity its complexity
+     * level; their contingency is added to the totals as an undiscounted one-time line.
      */
-    calculateCombinedQuote(components) {
+    calculateCombinedQuote(components, options = {}) {
         const results = {};
+        const componentAdjustments = {};
+        const termMonths = this.resolveTermMonths(options.termMonths);
         let totalOneTime = 0;
         let totalMonthly = 0;
         let totalAnnual = 0;
         let totalThreeYear = 0;
+        let totalTerm = 0;
+        let totalTermCost = 0;
+
+        // Compliance frameworks feed extra sensors into PRTG and an uplift into support
+        const complianceData = components.compliance?.enabled ? components.compliance : null;
 
         // Calculate each component
         Object.keys(components).forEach(componentType => {
             if (components[componentType] && components[componentType].enabled) {
-                const params = components[componentType].params || {};
+                const params = { ...(components[componentType].params || {}), contractTermMonths: termMonths, region: options.region };
                 
                 switch (componentType) {
-                    case 'help':
-                        results[componentType] = { totals: { monthly: 0, annual: 0, threeYear: 0, oneTime: 0 } };
+                    case 'help': {
+                        const schedule = this.buildTermSchedule(termMonths, 0);
+                        results[componentType] = {
+                            totals: { monthly: 0, annual: 0, threeYear: 0, termTotal: 0, oneTime: 0 },
+                            term: schedule.term
+                        };
                         break;
+                    }
                     case 'prtg':
-                        results[componentType] = this.calculatePRTG(params);
+                        results[componentType] = this.calculatePRTG(params, { complianceData });
                         break;
                     case 'capital':
                         results[componentType] = this.calculateCapital(params);
                         break;
                     case 'support':
-                        results[componentType] = this.calculateSupport(params);
+                        results[componentType] = this.calculateSupport(params, {
+                            capitalData: components.capital?.enabled ? components.capital : null,
+                            complianceData
+                        });
                         break;
                     case 'onboarding':
                         results[componentType] = this.calculateOnboarding(params);
@@ -583,6 +1130,12 @@ class NaaSCalculator {
                     case 'otherCosts':
                         results[componentType] = this.calculateOtherCosts(params);
                         break;
+                    case 'labour':
+                        results[componentType] = this.calculateLabour(params);
+                        break;
+                    case 'compliance':
+                        results[componentType] = this.calculateCompliance(params);
+                        break;
                     case 'enhancedSupport':
                         results[componentType] = this.calculateEnhancedSupport(params);
                         break;
@@ -598,91 +1151,411 @@ class NaaSCalculator {
                 }
 
                 if (results[componentType]) {
+                    const adjustment = this.resolveAdjustment(components[componentType].manualAdjustment);
+                    if (adjustment !== 0) {
+                        componentAdjustments[componentType] = adjustment;
+                    }
+
                     totalOneTime += results[componentType].totals.oneTime || 0;
                     totalMonthly += results[componentType].totals.monthly || 0;
                     totalAnnual += results[componentType].totals.annual || 0;
                     totalThreeYear += results[componentType].totals.threeYear || 0;
+                    totalTerm += results[componentType].totals.termTotal || 0;
+                    totalTermCost += results[componentType].costing?.totals.cost || 0;
                 }
             }
         });
 
         // Apply volume discounts
-        const discounts = this.calculateVolumeDiscounts(totalMonthly, Object.keys(results).length);
-        
-        return {
+        const discounts = this.calculateVolumeDiscounts(totalMonthly, Object.keys(results).length, {
+            annualTotal: totalAnnual,
+            termTotal: totalTerm,
+            components: Object.keys(results),
+            termMonths,
+            segment: options.segment,
+            date: options.date
+        });
+
+        // Manual adjustments come off after the automatic discounts
+        const adjustments = {
+            quote: this.resolveAdjustment(options.manualAdjustment),
+            components: componentAdjustments
+        };
+        const reduction = period => this.getAdjustmentReduction(results, adjustments, result => result.totals[period] || 0);
+        const automaticTerm = Math.round(totalTerm * (1 - discounts.termDiscount));
+        const discountedTerm = Math.round(this.applyDiscounts(totalTerm, reduction('termTotal'), discounts.termDiscount));
+        adjustments.amounts = {
+            oneTime: this.roundToCents(reduction('oneTime')),
+            monthly: this.roundToCents(reduction('monthly') * (1 - discounts.monthlyDiscount)),
+            annual: this.roundToCents(reduction('annual') * (1 - discounts.annualDiscount)),
+            term: automaticTerm - discountedTerm
+        };
+
+        // Risk contingency is sized on the quote value before discounts and never discounted
+        const contingency = this.calculateContingency(options.risks, options.complexity, totalTerm);
+        const termYears = this.combineTermYears(results, termMonths, discounts.termDiscount, adjustments);
+        if (termYears.length > 0) {
+            termYears[0].oneTime += contingency.amount;
+            termYears[0].total += contingency.amount;
+        }
+        
+        const quote = this.withPriceBook({
             components: results,
             subtotals: {
-                oneTime: totalOneTime,
+                oneTime: totalOneTime + contingency.amount,
                 monthly: totalMonthly,
                 annual: totalAnnual,
-                threeYear: totalThreeYear
+                threeYear: totalThreeYear + contingency.amount,
+                termTotal: totalTerm + contingency.amount
             },
             discounts,
+            adjustments,
+            contingency,
             totals: {
-                oneTime: totalOneTime,
-                monthly: Math.round(totalMonthly * (1 - discounts.monthlyDiscount)),
-                annual: Math.round(totalAnnual * (1 - discounts.annualDiscount)),
-                threeYear: Math.round(totalThreeYear * (1 - discounts.termDiscount))
+                oneTime: this.roundToCents(totalOneTime - reduction('oneTime') + contingency.amount),
+                monthly: Math.round(this.applyDiscounts(totalMonthly, reduction('monthly'), discounts.monthlyDiscount)),
+                annual: Math.round(this.applyDiscounts(totalAnnual, reduction('annual'), discounts.annualDiscount)),
+                threeYear: Math.round(this.applyDiscounts(totalThreeYear, reduction('threeYear'), discounts.termDiscount)) + contingency.amount,
+                termTotal: discountedTerm + contingency.amount
+            },
+            term: {
+                months: termMonths,
+                years: termYears
+            },
+            // Blended gross margin over the contract term; internal only, never exported to customers
+            margin: {
+                beforeDiscount: this.calculateMargin(totalTerm, totalTermCost),
+                afterDiscount: this.calculateMargin(discountedTerm, totalTermCost)
             }
+        });
+        quote.tax = this.calculateTax(quote.totals, options.region);
+        quote.totalsWithTax = {
+            oneTime: this.roundToCents(quote.totals.oneTime + quote.tax.amounts.oneTime),
+            monthly: this.roundToCents(quote.totals.monthly + quote.tax.amounts.monthly),
+            annual: this.roundToCents(quote.totals.annual + quote.tax.amounts.annual),
+            termTotal: this.roundToCents(quote.totals.termTotal + quote.tax.amounts.termTotal)
         };
+        quote.guardrails = this.evaluateGuardrails(quote, options.approval);
+
+        return this.currencyConverter.convertQuote(quote, this.priceBook.currency, options.currency || this.priceBook.currency);
     }
 
     /**
-     * Calculate volume discounts based on total monthly cost and component count
+     * Expected-value contingency for a risk register of { name, probability, impact,
+     * mitigationCost }. Each risk is carried at the cheaper of its expected loss
+     * (probability x impact) and its mitigation cost; a risk without a mitigation cost
+     * carries its expected loss. The total is capped at the complexity level's share of
+     * quoteValue. Risks with a probability outside 0-1 or a negative impact are left out.
      */
-    calculateVolumeDiscounts(monthlyTotal, componentCount) {
-        let monthlyDiscount = 0;
-        let annualDiscount = 0;
-        let termDiscount = 0;
+    calculateContingency(risks = [], complexity = 'standard', quoteValue = 0) {
+        const capRates = this.contingency.capRates;
+        const level = capRates[complexity] !== undefined ? complexity : 'standard';
+        const capRate = capRates[level];
+        const cap = this.roundToCents(Math.max(0, quoteValue) * capRate);
 
-        // Monthly total discounts
-        if (monthlyTotal >= 5000) monthlyDiscount = 0.10; // 10% for £5k+
-        else if (monthlyTotal >= 3000) monthlyDiscount = 0.075; // 7.5% for £3k+
-        else if (monthlyTotal >= 1500) monthlyDiscount = 0.05; // 5% for £1.5k+
+        const rows = (Array.isArray(risks) ? risks : []).map(risk => this.resolveRisk(risk)).filter(Boolean);
+        const expectedValue = this.roundToCents(rows.reduce((total, risk) => total + risk.amount, 0));
+        const amount = Math.min(expectedValue, cap);
 
-        // Bundle discounts (additional discount for multiple components)
-        if (componentCount >= 4) monthlyDiscount += 0.05; // Additional 5% for 4+ components
-        else if (componentCount >= 3) monthlyDiscount += 0.025; // Additional 2.5% for 3+ components
+        return {
+            complexity: level,
+            capRate,
+            quoteValue,
+            cap,
+            expectedValue,
+            capped: expectedValue > cap,
+            amount,
+            risks: rows
+        };
+    }
 
-        // Annual payment discount
-        annualDiscount = monthlyDiscount + 0.02; // Additional 2% for annual payment
+    /**
+     * One risk register entry with its expected loss and the cheaper treatment, or null when
+     * its probability or impact is invalid
+     */
+    resolveRisk(risk) {
+        const probability = parseFloat(risk?.probability);
+        const impact = parseFloat(risk?.impact);
+        if (!(probability >= 0 && probability <= 1) || !(impact >= 0)) {
+            return null;
+        }
 
-        // 3-year term discount
-        termDiscount = annualDiscount + 0.03; // Additional 3% for 3-year commitment
+        const mitigation = parseFloat(risk.mitigationCost);
+        const mitigationCost = mitigation >= 0 ? mitigation : null;
+        const expectedLoss = this.roundToCents(probability * impact);
+        const mitigate = mitigationCost !== null && mitigationCost < expectedLoss;
 
-        // Cap discounts at reasonable levels
-        monthlyDiscount = Math.min(monthlyDiscount, 0.20);
-        annualDiscount = Math.min(annualDiscount, 0.25);
-        termDiscount = Math.min(termDiscount, 0.30);
+        return {
+            name: risk.name || 'Unnamed risk',
+            probability,
+            impact,
+            mitigationCost,
+            expectedLoss,
+            treatment: mitigate ? 'mitigate' : 'accept',
+            amount: mitigate ? mitigationCost : expectedLoss
+        };
+    }
 
+    /**
+     * VAT/sales tax due on discounted quote totals in the delivery region. Quote totals
+     * stay net of tax; the tax is itemised on one-time and recurring figures.
+     */
+    calculateTax(totals, regionId) {
+        const region = this.getRegion(regionId);
+        const taxOf = amount => this.roundToCents((amount || 0) * region.taxRate);
         return {
-            monthlyDiscount,
-            annualDiscount,
-            termDiscount,
-            reasons: {
-                volumeDiscount: monthlyTotal >= 1500,
-                bundleDiscount: componentCount >= 3,
-                annualPayment: true,
-                termCommitment: true
+            region: { id: region.id, name: region.name },
+            label: region.taxLabel,
+            rate: region.taxRate,
+            amounts: {
+                oneTime: taxOf(totals.oneTime),
+                monthly: taxOf(totals.monthly),
+                annual: taxOf(totals.annual),
+                termTotal: taxOf(totals.termTotal)
             }
         };
     }
 
     /**
-     * Format currency values
+     * Label for a quote's tax line, e.g. "VAT (20%)" or "Sales tax (8.875%)"
+     */
+    describeTax(tax) {
+        return `${tax.label} (${parseFloat((tax.rate * 100).toFixed(3))}%)`;
+    }
+
+    /**
+     * Copy of a combined quote or component result without the internal cost and margin
+     * figures, for customer-facing output
+     */
+    toCustomerQuote(quote) {
+        const { margin, costing, guardrails, ...customerQuote } = quote;
+        if (quote.components) {
+            customerQuote.components = {};
+            Object.keys(quote.components).forEach(componentType => {
+                customerQuote.components[componentType] = this.toCustomerQuote(quote.components[componentType]);
+            });
+        }
+        return customerQuote;
+    }
+
+    /**
+     * Manual adjustment rate between -1 (100% markup) and 1 (100% discount), or 0 when unset
+     */
+    resolveAdjustment(rate) {
+        const value = parseFloat(rate);
+        return Number.isFinite(value) && value >= -1 && value <= 1 ? value : 0;
+    }
+
+    /**
+     * Amount the manual adjustments take off a subtotal (negative for a markup).
+     * amountOf(result, type) picks the figure to adjust from each component result.
+     */
+    getAdjustmentReduction(results, adjustments, amountOf) {
+        return Object.keys(results).reduce((total, type) => {
+            const factor = (1 - (adjustments.components[type] || 0)) * (1 - adjustments.quote);
+            return total + amountOf(results[type], type) * (1 - factor);
+        }, 0);
+    }
+
+    /**
+     * Subtotal after the automatic discount rate and the manual adjustment reduction
+     */
+    applyDiscounts(subtotal, reduction, discountRate) {
+        return subtotal * (1 - discountRate) - reduction * (1 - discountRate);
+    }
+
+    /**
+     * Sum the per-year rows of every component, applying the term discount and any
+     * manual adjustments to each year
+     */
+    combineTermYears(results, termMonths, termDiscount, adjustments = { quote: 0, components: {} }) {
+        return this.buildTermSchedule(termMonths, 0).term.years.map(row => {
+            let oneTime = 0;
+            let recurring = 0;
+            const yearOf = result => result.term?.years.find(entry => entry.year === row.year);
+
+            Object.values(results).forEach(result => {
+                const componentYear = yearOf(result);
+                if (componentYear) {
+                    oneTime += componentYear.oneTime;
+                    recurring += componentYear.recurring;
+                }
+            });
+
+            const subtotal = oneTime + recurring;
+            const reduction = this.getAdjustmentReduction(results, adjustments, result => {
+                const componentYear = yearOf(result);
+                return componentYear ? componentYear.oneTime + componentYear.recurring : 0;
+            });
+            const total = Math.round(this.applyDiscounts(subtotal, reduction, termDiscount));
+            return {
+                year: row.year,
+                months: row.months,
+                oneTime,
+                recurring,
+                discount: subtotal - total,
+                total
+            };
+        });
+    }
+
+    /**
+     * Check a quote against the floor-margin and maximum-discount guardrails. A quote that
+     * breaches them needs approval; an approval only counts while its fingerprint matches
+     * the quote, so any later price change needs approving again.
+     */
+    evaluateGuardrails(quote, approval = null) {
+        const { floorMarginRate, maxDiscountRate } = this.guardrails;
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+        const discountOf = (price, discounted) => price > 0 ? 1 - discounted / price : 0;
+        const breaches = [];
+
+        const discountRate = discountOf(quote.subtotals.termTotal, quote.totals.termTotal);
+        if (discountRate > maxDiscountRate + 1e-9) {
+            breaches.push({
+                type: 'discount',
+                message: `Total discount of ${percent(discountRate)} exceeds the ${percent(maxDiscountRate)} maximum`
+            });
+        }
+
+        Object.keys(quote.adjustments.components).forEach(type => {
+            const factor = (1 - quote.adjustments.components[type]) * (1 - quote.adjustments.quote);
+            const componentDiscount = 1 - (1 - quote.discounts.termDiscount) * factor;
+            if (componentDiscount > maxDiscountRate + 1e-9) {
+                breaches.push({
+                    type: 'discount',
+                    component: type,
+                    message: `Discount of ${percent(componentDiscount)} on ${type} exceeds the ${percent(maxDiscountRate)} maximum`
+                });
+            }
+        });
+
+        const marginRate = quote.margin.afterDiscount.marginRate;
+        if (quote.subtotals.termTotal > 0 && marginRate < floorMarginRate) {
+            breaches.push({
+                type: 'margin',
+                message: `Gross margin of ${percent(marginRate)} is below the ${percent(floorMarginRate)} floor`
+            });
+        }
+
+        const fingerprint = this.getQuoteFingerprint(quote);
+        const requiresApproval = breaches.length > 0;
+        const approved = requiresApproval && !!approval && approval.fingerprint === fingerprint;
+
+        return {
+            floorMarginRate,
+            maxDiscountRate,
+            discountRate,
+            marginRate,
+            breaches,
+            requiresApproval,
+            status: !requiresApproval ? 'not_required' : (approved ? 'approved' : 'pending'),
+            approval: approved ? { ...approval } : null,
+            fingerprint
+        };
+    }
+
+    /**
+     * Short hash of everything that sets a quote's price, used to tie an approval to it
+     */
+    getQuoteFingerprint(quote) {
+        const source = JSON.stringify({
+            priceBook: quote.priceBook,
+            months: quote.term.months,
+            subtotals: quote.subtotals,
+            totals: quote.totals,
+            adjustments: quote.adjustments
+        });
+
+        let hash = 5381;
+        for (let i = 0; i < source.length; i++) {
+            hash = ((hash * 33) ^ source.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * Month-by-month cash flow for the combined quote. One-time costs land in month 1,
+     * recurring charges follow each component's schedule (financing repayments, CPI
+     * step-ups at each anniversary) and the term discount and manual adjustments are
+     * applied to every month. The risk contingency is added undiscounted to month 1.
      */
-    formatCurrency(amount, includeCents = false) {
+    calculateCashFlowSchedule(components, options = {}) {
+        const quote = this.calculateCombinedQuote(components, options);
+        const termDiscount = quote.discounts.termDiscount;
+        const componentTypes = Object.keys(quote.components).filter(type => quote.components[type].term);
+        const rows = [];
+        const totals = { subtotal: 0, discount: 0, contingency: 0, total: 0 };
+
+        for (let month = 1; month <= quote.term.months; month++) {
+            const amounts = {};
+            let subtotal = 0;
+
+            componentTypes.forEach(type => {
+                const term = quote.components[type].term;
+                const oneTime = month === 1 ? term.years[0].oneTime : 0;
+                amounts[type] = this.roundToCents(oneTime + (term.monthlyCharges[month - 1] || 0));
+                subtotal += amounts[type];
+            });
+
+            const reduction = this.getAdjustmentReduction(quote.components, quote.adjustments, (result, type) => amounts[type] || 0);
+            const discount = this.roundToCents(subtotal - this.applyDiscounts(subtotal, reduction, termDiscount));
+            const contingency = month === 1 ? quote.contingency.amount : 0;
+            const total = this.roundToCents(subtotal - discount + contingency);
+
+            totals.subtotal = this.roundToCents(totals.subtotal + subtotal);
+            totals.discount = this.roundToCents(totals.discount + discount);
+            totals.contingency = this.roundToCents(totals.contingency + contingency);
+            totals.total = this.roundToCents(totals.total + total);
+
+            rows.push({
+                month,
+                year: Math.ceil(month / 12),
+                components: amounts,
+                subtotal: this.roundToCents(subtotal),
+                discount,
+                contingency,
+                total,
+                cumulative: totals.total
+            });
+        }
+
+        return {
+            months: quote.term.months,
+            currency: quote.currency,
+            priceBook: quote.priceBook,
+            termDiscount,
+            componentTypes,
+            rows,
+            totals
+        };
+    }
+
+    /**
+     * Calculate discounts from the loaded discount rules. The context adds the annual and term
+     * totals, component types, contract term, customer segment and quote date (ISO) that rule
+     * conditions may test; each rule that fires is listed in reasons with its amounts.
+     */
+    calculateVolumeDiscounts(monthlyTotal, componentCount, context = {}) {
+        return this.discountRules.evaluate({ ...context, monthlyTotal, componentCount });
+    }
+
+    /**
+     * Format currency values (defaults to the price book currency)
+     */
+    formatCurrency(amount, includeCents = false, currency = this.priceBook.currency) {
         const options = {
             style: 'currency',
-            currency: 'GBP',
+            currency,
             minimumFractionDigits: includeCents ? 2 : 0,
             maximumFractionDigits: includeCents ? 2 : 0
         };
         try {
-            return new Intl.NumberFormat('en-GB', options).format(amount);
+            return new Intl.NumberFormat(CurrencyConverter.LOCALES[currency] || 'en-GB', options).format(amount);
         } catch (error) {
             // Fallback to manual formatting if Intl.NumberFormat fails
-            return `£${amount.toLocaleString('en-GB', { minimumFractionDigits: includeCents ? 2 : 0, maximumFractionDigits: includeCents ? 2 : 0 })}`;
+            const symbol = { GBP: '£', EUR: '€', USD: '$' }[currency] || `${currency} `;
+            return `${symbol}${amount.toLocaleString('en-GB', { minimumFractionDigits: includeCents ? 2 : 0, maximumFractionDigits: includeCents ? 2 : 0 })}`;
         }
     }
 
@@ -691,27 +1564,315 @@ class NaaSCalculator {
      */
     handleCalculationError(functionName, error) {
         console.error(`Error in ${functionName}:`, error);
-        return {
+        return this.withPriceBook({
             error: error.message,
-            totals: { monthly: 0, annual: 0, threeYear: 0, oneTime: 0 },
+            totals: { monthly: 0, annual: 0, threeYear: 0, termTotal: 0, oneTime: 0 },
             breakdown: { error: true }
+        });
+    }
+
+    /**
+     * Equipment catalogue of the loaded price book as { sku, name, vendor, category, listPrice }.
+     * The capital picker and the import validator both read SKUs from here.
+     */
+    listEquipment() {
+        return Object.keys(this.pricingData.capital.equipmentTypes).map(sku => this.getEquipmentItem(sku));
+    }
+
+    /**
+     * Catalogue entry for a SKU, or null when the price book does not list it
+     */
+    getEquipmentItem(sku) {
+        const item = this.pricingData.capital.equipmentTypes[sku];
+        if (!item) return null;
+
+        return {
+            sku,
+            name: item.name || sku.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+            vendor: item.vendor || '',
+            category: item.category,
+            listPrice: item.cost,
+            usefulLifeMonths: item.usefulLifeMonths ?? this.config.DEFAULT_EQUIPMENT_LIFE_MONTHS,
+            depreciationMethod: item.depreciationMethod ?? this.config.DEFAULT_DEPRECIATION_METHOD
+        };
+    }
+
+    /**
+     * Hardware rate for a vendor and category: the vendor rate, else the category rate, else the default.
+     * kind is 'buyDiscounts' or 'sellUplifts'.
+     */
+    getHardwareRate(kind, vendor, category) {
+        const rates = this.hardware[kind];
+        return rates.vendors?.[vendor] ?? rates.categories?.[category] ?? rates.default;
+    }
+
+    /**
+     * Price a capital equipment line. Lines with a SKU take the catalogue name, vendor, category and
+     * list price; lines without one are custom. A line with a list price is bought at list less the
+     * distributor discount and sold at the buy price plus the uplift (buyDiscount and uplift on the
+     * line override the price book rates, unitCost overrides the sell price). Custom lines priced
+     * only by unitCost are costed at the equipment cost ratio. The buy side is returned under buy.
+     */
+    resolveEquipmentLine(item) {
+        const quantity = item.quantity ?? 1;
+        let line;
+
+        if (item.sku) {
+            const catalogueItem = this.getEquipmentItem(item.sku);
+            if (!catalogueItem) {
+                throw new Error(`Equipment SKU '${item.sku}' is not in the catalogue`);
+            }
+            line = {
+                sku: item.sku,
+                description: item.description || catalogueItem.name,
+                vendor: catalogueItem.vendor,
+                category: catalogueItem.category,
+                listPrice: item.listPrice ?? catalogueItem.listPrice,
+                usefulLifeMonths: this.resolveTermMonths(item.usefulLifeMonths, catalogueItem.usefulLifeMonths),
+                depreciationMethod: item.depreciationMethod ?? catalogueItem.depreciationMethod
+            };
+        } else {
+            line = {
+                sku: null,
+                description: item.description,
+                vendor: item.vendor || '',
+                category: 'Custom Equipment',
+                listPrice: item.listPrice ?? null,
+                usefulLifeMonths: this.resolveTermMonths(item.usefulLifeMonths, this.config.DEFAULT_EQUIPMENT_LIFE_MONTHS),
+                depreciationMethod: item.depreciationMethod ?? this.config.DEFAULT_DEPRECIATION_METHOD
+            };
+        }
+
+        if (line.listPrice === null) {
+            const unitCost = item.unitCost ?? 0;
+            return {
+                ...line,
+                quantity,
+                unitCost,
+                totalCost: unitCost * quantity,
+                buy: { discount: null, uplift: null, unitPrice: null, total: unitCost * quantity * this.costBasis.equipmentCostRatio }
+            };
+        }
+
+        const discount = item.buyDiscount ?? this.getHardwareRate('buyDiscounts', line.vendor, line.category);
+        const uplift = item.uplift ?? this.getHardwareRate('sellUplifts', line.vendor, line.category);
+        const unitBuyPrice = this.roundToCents(line.listPrice * (1 - discount));
+        const unitCost = item.unitCost ?? this.roundToCents(unitBuyPrice * (1 + uplift));
+
+        return {
+            ...line,
+            quantity,
+            unitCost,
+            totalCost: this.roundToCents(unitCost * quantity),
+            buy: { discount, uplift, unitPrice: unitBuyPrice, total: this.roundToCents(unitBuyPrice * quantity) }
         };
     }
 
     /**
-     * Get equipment catalog for dropdowns
+     * Amortise a financed amount over termMonths instalments at an annual rate. options:
+     * residualValue left at the end (a lease) or paid with the last instalment when balloon is set;
+     * paymentTiming 'advance' pays each instalment at the start of its period rather than the end;
+     * deferralMonths delays the first instalment, with interest added to the balance meanwhile.
+     * Rows give interest, principal and balance per month; deferred months repay no principal.
+     */
+    buildAmortisationSchedule(amount, apr, termMonths, options = {}) {
+        const { residualValue = 0, balloon = false, paymentTiming = 'arrears', deferralMonths = 0 } = options;
+        const rate = apr / this.config.MONTHS_PER_YEAR;
+        const inAdvance = paymentTiming === 'advance';
+        const rows = [];
+        let balance = amount;
+
+        for (let month = 1; month <= deferralMonths; month++) {
+            const interest = balance * rate;
+            rows.push({ period: 0, month, openingBalance: balance, payment: 0, interest, principal: -interest, closingBalance: balance + interest });
+            balance += interest;
+        }
+
+        // PMT with a future value, as an annuity due when paid in advance
+        const growth = Math.pow(1 + rate, termMonths);
+        let payment = rate > 0 ?
+            (balance * growth - residualValue) * rate / (growth - 1) :
+            (balance - residualValue) / termMonths;
+        if (inAdvance && rate > 0) {
+            payment /= 1 + rate;
+        }
+
+        for (let period = 1; period <= termMonths; period++) {
+            const openingBalance = balance;
+            const interest = (inAdvance ? openingBalance - payment : openingBalance) * rate;
+            const finalPayment = period === termMonths && balloon ? residualValue : 0;
+            balance = openingBalance + interest - payment - finalPayment;
+            rows.push({
+                period,
+                month: deferralMonths + period,
+                openingBalance,
+                payment: payment + finalPayment,
+                interest,
+                principal: payment + finalPayment - interest,
+                closingBalance: Math.abs(balance) < 0.005 ? 0 : balance
+            });
+        }
+
+        const totalPayments = rows.reduce((total, row) => total + row.payment, 0);
+        return {
+            payment,
+            totalPayments,
+            totalInterest: rows.reduce((total, row) => total + row.interest, 0),
+            rows: rows.map(row => ({
+                ...row,
+                openingBalance: this.roundToCents(row.openingBalance),
+                payment: this.roundToCents(row.payment),
+                interest: this.roundToCents(row.interest),
+                principal: this.roundToCents(row.principal),
+                closingBalance: this.roundToCents(row.closingBalance)
+            }))
+        };
+    }
+
+    /**
+     * Plan refreshes of the equipment lines over the contract term and depreciate every purchase.
+     * A line is bought again at today's price each time its useful life runs out before the term
+     * ends. Depreciation is by contract year: additions bought, depreciation charged and the
+     * book value left at the year end.
+     */
+    planEquipmentLifecycle(lines, termMonths, includeRefresh = true) {
+        const purchases = [];
+        const refreshes = [];
+
+        lines.forEach((line, index) => {
+            purchases.push({ line, month: 1 });
+            if (!includeRefresh) return;
+
+            for (let month = line.usefulLifeMonths + 1; month <= termMonths; month += line.usefulLifeMonths) {
+                purchases.push({ line, month });
+                refreshes.push({
+                    index,
+                    month,
+                    year: Math.ceil(month / 12),
+                    sku: line.sku,
+                    description: line.description,
+                    quantity: line.quantity,
+                    totalCost: line.totalCost
+                });
+            }
+        });
+
+        const monthlyAdditions = new Array(termMonths).fill(0);
+        const monthlyDepreciation = new Array(termMonths).fill(0);
+        purchases.forEach(({ line, month }) => {
+            monthlyAdditions[month - 1] += line.totalCost;
+            this.getMonthlyDepreciation(line.totalCost, line.usefulLifeMonths, line.depreciationMethod).forEach((charge, offset) => {
+                if (month + offset <= termMonths) {
+                    monthlyDepreciation[month + offset - 1] += charge;
+                }
+            });
+        });
+
+        const years = [];
+        let bookValue = 0;
+        for (let month = 1; month <= termMonths; month++) {
+            const year = Math.ceil(month / 12);
+            if (!years[year - 1]) {
+                years[year - 1] = { year, months: 0, additions: 0, depreciation: 0, bookValue: 0 };
+            }
+            years[year - 1].months++;
+            years[year - 1].additions += monthlyAdditions[month - 1];
+            years[year - 1].depreciation += monthlyDepreciation[month - 1];
+            bookValue += monthlyAdditions[month - 1] - monthlyDepreciation[month - 1];
+            years[year - 1].bookValue = bookValue;
+        }
+
+        return {
+            refreshes,
+            depreciation: {
+                lines: lines.map(line => ({
+                    sku: line.sku,
+                    description: line.description,
+                    cost: line.totalCost,
+                    usefulLifeMonths: line.usefulLifeMonths,
+                    depreciationMethod: line.depreciationMethod
+                })),
+                years: years.map(row => ({
+                    ...row,
+                    additions: this.roundToCents(row.additions),
+                    depreciation: this.roundToCents(row.depreciation),
+                    bookValue: this.roundToCents(Math.max(0, row.bookValue))
+                }))
+            }
+        };
+    }
+
+    /**
+     * Depreciation charged in each month of an asset's useful life. Straight line writes the
+     * cost off evenly; reducing balance writes off twice the straight-line rate of the opening
+     * book value each year of life and the remainder in the final year, so both reach nil.
+     */
+    getMonthlyDepreciation(cost, usefulLifeMonths, method = 'straight_line') {
+        if (method !== 'reducing_balance') {
+            return new Array(usefulLifeMonths).fill(cost / usefulLifeMonths);
+        }
+
+        const annualRate = Math.min(1, 24 / usefulLifeMonths);
+        const charges = [];
+        let bookValue = cost;
+
+        for (let start = 0; start < usefulLifeMonths; start += 12) {
+            const months = Math.min(12, usefulLifeMonths - start);
+            const yearCharge = start + months >= usefulLifeMonths ? bookValue : bookValue * annualRate * months / 12;
+            bookValue -= yearCharge;
+            charges.push(...new Array(months).fill(yearCharge / months));
+        }
+        return charges;
+    }
+
+    /**
+     * Customer-facing totals of the equipment lines per vendor (custom lines without one as 'Other')
+     */
+    summariseEquipmentByVendor(lines) {
+        const vendors = {};
+        lines.forEach(line => {
+            const vendor = line.vendor || 'Other';
+            vendors[vendor] = vendors[vendor] || { vendor, lineCount: 0, quantity: 0, listTotal: 0, sellTotal: 0 };
+            vendors[vendor].lineCount += 1;
+            vendors[vendor].quantity += line.quantity;
+            vendors[vendor].listTotal += line.listPrice === null ? line.totalCost : line.listPrice * line.quantity;
+            vendors[vendor].sellTotal += line.totalCost;
+        });
+        return Object.values(vendors).map(summary => ({
+            ...summary,
+            listTotal: this.roundToCents(summary.listTotal),
+            sellTotal: this.roundToCents(summary.sellTotal)
+        }));
+    }
+
+    /**
+     * Buy cost and margin of the equipment lines per vendor, for internal costing only
+     */
+    summariseEquipmentCostByVendor(lines, buyPrices) {
+        const vendors = {};
+        lines.forEach((line, index) => {
+            const vendor = line.vendor || 'Other';
+            vendors[vendor] = vendors[vendor] || { price: 0, cost: 0 };
+            vendors[vendor].price += line.totalCost;
+            vendors[vendor].cost += buyPrices[index].total;
+        });
+        return Object.keys(vendors).map(vendor => ({ vendor, ...this.calculateMargin(vendors[vendor].price, vendors[vendor].cost) }));
+    }
+
+    /**
+     * Get equipment catalog for dropdowns, grouped by category
      */
     getEquipmentCatalog() {
         const catalog = {};
-        Object.keys(this.pricingData.capital.equipmentTypes).forEach(key => {
-            const item = this.pricingData.capital.equipmentTypes[key];
+        this.listEquipment().forEach(item => {
             if (!catalog[item.category]) {
                 catalog[item.category] = [];
             }
             catalog[item.category].push({
-                id: key,
-                name: key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-                cost: item.cost
+                id: item.sku,
+                name: item.name,
+                vendor: item.vendor,
+                cost: item.listPrice
             });
         });
         return catalog;
@@ -722,17 +1883,23 @@ class NaaSCalculator {
             complexity = 'standard',
             deviceCount = 10,
             siteCount = 1,
-            includeReport = true
+            includeReport = true,
+            contractTermMonths,
+            region
         } = params;
 
-        const baseCost = this.pricingData.assessment.baseCosts[complexity] || this.pricingData.assessment.baseCosts.standard;
+        const { labourMultiplier } = this.getRegion(region);
+        const baseCost = (this.pricingData.assessment.baseCosts[complexity] || this.pricingData.assessment.baseCosts.standard) * labourMultiplier;
         const deviceMultiplier = Math.max(1, deviceCount / this.pricingData.assessment.deviceMultiplier.base);
         const siteMultiplier = Math.max(1, siteCount);
         const reportCost = includeReport ? this.pricingData.assessment.reportCost : 0;
 
         const oneTimeCost = (baseCost * deviceMultiplier * siteMultiplier) + reportCost;
+        const schedule = this.buildTermSchedule(this.resolveTermMonths(contractTermMonths), oneTimeCost);
 
-        return {
+        const assessmentCostRatio = this.getServiceCostRatio('assessment');
+        const scaledBaseCost = baseCost * deviceMultiplier * siteMultiplier;
+        return this.withCosting(this.withPriceBook({
             breakdown: {
                 baseCost,
                 deviceMultiplier,
@@ -744,9 +1911,18 @@ class NaaSCalculator {
                 monthly: 0,
                 annual: 0,
                 threeYear: 0,
+                termTotal: schedule.termTotal,
                 oneTime: oneTimeCost
+            },
+            term: schedule.term,
+            metadata: {
+                region: this.getRegion(region).id,
+                labourMultiplier
             }
-        };
+        }), [
+            { line: 'baseCost', basis: 'oneTime', price: scaledBaseCost, cost: scaledBaseCost * assessmentCostRatio },
+            { line: 'reportCost', basis: 'oneTime', price: reportCost, cost: reportCost * assessmentCostRatio }
+        ]);
     }
 
     calculateAdmin(params) {
@@ -757,18 +1933,26 @@ class NaaSCalculator {
             technicalDays = 0,
             l3EngineeringDays = 0,
             reportingService = 0,
-            backupService = 0
+            backupService = 0,
+            contractTermMonths,
+            region
         } = params;
 
+        // Technical and L3 engineering days are priced and costed at the region's labour rate
+        const { labourMultiplier } = this.getRegion(region);
         const reviewCost = (annualReviews + quarterlyReviews + biAnnualReviews) * this.pricingData.admin.reviewCosts.annual;
-        const technicalCost = technicalDays * this.pricingData.admin.technicalRates.technicalDay;
-        const engineeringCost = l3EngineeringDays * this.pricingData.admin.technicalRates.l3EngineeringDay;
+        const technicalCost = technicalDays * this.pricingData.admin.technicalRates.technicalDay * labourMultiplier;
+        const engineeringCost = l3EngineeringDays * this.pricingData.admin.technicalRates.l3EngineeringDay * labourMultiplier;
         const reportingCost = reportingService * this.pricingData.admin.serviceCosts.reportingService;
         const backupCost = backupService * this.pricingData.admin.serviceCosts.backupService;
 
         const totalOneTime = reviewCost + technicalCost + engineeringCost + reportingCost + backupCost;
+        const schedule = this.buildTermSchedule(this.resolveTermMonths(contractTermMonths), totalOneTime);
 
-        return {
+        // Engineering days are costed at the engineer day cost, everything else by ratio
+        const adminCostRatio = this.getServiceCostRatio('admin');
+        const engineerDayCost = this.costBasis.engineerDayCost * labourMultiplier;
+        return this.withCosting(this.withPriceBook({
             breakdown: {
                 reviewCost,
                 technicalCost,
@@ -780,13 +1964,25 @@ class NaaSCalculator {
                 monthly: 0,
                 annual: 0,
                 threeYear: 0,
+                termTotal: schedule.termTotal,
                 oneTime: totalOneTime
+            },
+            term: schedule.term,
+            metadata: {
+                region: this.getRegion(region).id,
+                labourMultiplier
             }
-        };
+        }), [
+            { line: 'reviewCost', basis: 'oneTime', price: reviewCost, cost: reviewCost * adminCostRatio },
+            { line: 'technicalCost', basis: 'oneTime', price: technicalCost, cost: technicalDays * engineerDayCost },
+            { line: 'engineeringCost', basis: 'oneTime', price: engineeringCost, cost: l3EngineeringDays * engineerDayCost },
+            { line: 'reportingCost', basis: 'oneTime', price: reportingCost, cost: reportingCost * adminCostRatio },
+            { line: 'backupCost', basis: 'oneTime', price: backupCost, cost: backupCost * adminCostRatio }
+        ]);
     }
 
     calculateOtherCosts(params) {
-        const { items = [] } = params;
+        const { items = [], contractTermMonths } = params;
         
         let totalCost = 0;
         const breakdown = [];
@@ -802,14 +1998,286 @@ class NaaSCalculator {
             });
         });
 
-        return {
+        const schedule = this.buildTermSchedule(this.resolveTermMonths(contractTermMonths), totalCost);
+
+        const otherCostRatio = this.getServiceCostRatio('otherCosts');
+        return this.withCosting(this.withPriceBook({
             breakdown,
             totals: {
                 monthly: 0,
                 annual: 0,
                 threeYear: 0,
+                termTotal: schedule.termTotal,
                 oneTime: totalCost
+            },
+            term: schedule.term
+        }), breakdown.map(item => ({
+            line: item.description,
+            basis: 'oneTime',
+            price: item.totalCost,
+            cost: item.totalCost * otherCostRatio
+        })));
+    }
+
+    /**
+     * Calculate time-and-materials labour from hours per role at the support hourly rate card.
+     * Billed as used, the hours are a one-time charge. Pre-paid, they are bought in bundles (the
+     * named bundle, or with 'auto' the best discount the hours qualify for); a bundle's hours
+     * expire, so hours drawn down over more than its expiry period are bought again each period.
+     */
+    calculateLabour(params) {
+        try {
+            if (!params || typeof params !== 'object') {
+                throw new Error('Invalid parameters provided to calculateLabour');
             }
+
+            const {
+                hours = {},
+                billing = 'timeAndMaterials',
+                bundle = 'auto',
+                usageMonths,
+                utilisation = 1,
+                contractTermMonths,
+                region
+            } = params;
+
+            const termMonths = this.resolveTermMonths(contractTermMonths);
+            const months = this.resolveTermMonths(usageMonths, termMonths);
+            const hourlyRates = this.pricingData.support.hourlyRates;
+
+            if (!this.config.LABOUR_BILLING.includes(billing)) {
+                throw new Error(`Labour billing must be one of ${this.config.LABOUR_BILLING.join(', ')}`);
+            }
+            if (!hours || typeof hours !== 'object') {
+                throw new Error('Labour hours must be an object of hours per role');
+            }
+            Object.keys(hours).forEach(role => {
+                if (hourlyRates[role] === undefined) {
+                    throw new Error(`Unknown labour role '${role}'`);
+                }
+                if (typeof hours[role] !== 'number' || hours[role] < 0) {
+                    throw new Error(`Hours for '${role}' must be a non-negative number`);
+                }
+            });
+            if (months > termMonths) {
+                throw new Error('Labour hours must be used within the contract term');
+            }
+            if (typeof utilisation !== 'number' || utilisation <= 0 || utilisation > 1) {
+                throw new Error('Utilisation must be above 0 and at most 1');
+            }
+
+            // Hours are priced and costed at the region's labour rate
+            const { labourMultiplier } = this.getRegion(region);
+            const hourCost = this.costBasis.engineerDayCost / this.config.LABOUR_HOURS_PER_DAY * labourMultiplier;
+            const roles = Object.keys(hourlyRates)
+                .filter(role => hours[role] > 0)
+                .map(role => {
+                    const rate = hourlyRates[role] * labourMultiplier;
+                    return { role, hours: hours[role], rate, amount: this.roundToCents(hours[role] * rate) };
+                });
+            const totalHours = roles.reduce((total, line) => total + line.hours, 0);
+            const labourValue = roles.reduce((total, line) => total + line.amount, 0);
+
+            const plan = billing === 'prepaid' && totalHours > 0 ?
+                this.planLabourBundles(totalHours, labourValue, bundle, months, utilisation) :
+                null;
+            const purchases = plan ? plan.purchases : [];
+            const oneTime = plan ? purchases[0].price : labourValue;
+            const purchaseForMonth = month => purchases.find(purchase => purchase.month === month && month > 1)?.price || 0;
+            const schedule = this.buildTermSchedule(termMonths, oneTime, purchaseForMonth);
+
+            const billedHours = plan ? purchases.reduce((total, purchase) => total + purchase.hours, 0) : totalHours;
+            const usedHours = plan ? purchases.reduce((total, purchase) => total + purchase.usedHours, 0) : totalHours;
+            const forfeitedHours = plan ? purchases.reduce((total, purchase) => total + purchase.forfeitedHours, 0) : 0;
+            const averageRate = totalHours > 0 ? labourValue / totalHours : 0;
+
+            return this.withCosting(this.withPriceBook({
+                breakdown: {
+                    labourValue,
+                    bundleSaving: plan ? this.roundToCents(billedHours * averageRate - schedule.termTotal) : 0,
+                    roles
+                },
+                labour: {
+                    billing,
+                    totalHours,
+                    usageMonths: months,
+                    utilisation,
+                    bundle: plan ? plan.bundle : null,
+                    purchases,
+                    usedHours: this.roundToCents(usedHours),
+                    forfeitedHours: this.roundToCents(forfeitedHours),
+                    effectiveRate: usedHours > 0 ? this.roundToCents(schedule.termTotal / usedHours) : 0
+                },
+                totals: {
+                    oneTime,
+                    monthly: 0,
+                    annual: 0,
+                    threeYear: this.roundToCents(oneTime + purchases
+                        .filter(purchase => purchase.month > 1 && purchase.month <= 36)
+                        .reduce((total, purchase) => total + purchase.price, 0)),
+                    termTotal: schedule.termTotal
+                },
+                term: schedule.term,
+                metadata: {
+                    region: this.getRegion(region).id,
+                    labourMultiplier
+                }
+            }), plan ?
+                purchases.map(purchase => ({ line: `Bundle (month ${purchase.month})`, basis: 'oneTime', price: purchase.price, cost: purchase.hours * hourCost })) :
+                roles.map(line => ({ line: line.role, basis: 'oneTime', price: line.amount, cost: line.hours * hourCost })));
+        } catch (error) {
+            return this.handleCalculationError('calculateLabour', error);
+        }
+    }
+
+    /**
+     * Plan pre-paid bundle purchases for hours drawn down evenly over usageMonths. Each purchase
+     * covers the bundle's expiry period; of the hours left unused (1 - utilisation), up to the
+     * rollover share carries into the next purchase, which buys that many fewer hours, and the
+     * rest is forfeited. The last purchase rolls nothing over.
+     */
+    planLabourBundles(totalHours, labourValue, bundleId, usageMonths, utilisation) {
+        const { bundles, rolloverRate } = this.pricingData.labour || PriceBook.DEFAULT.pricing.labour;
+        const firstWindowHours = bundle => totalHours * Math.min(bundle.expiryMonths, usageMonths) / usageMonths;
+
+        let id = bundleId;
+        if (bundleId === 'auto') {
+            id = Object.keys(bundles)
+                .filter(key => firstWindowHours(bundles[key]) >= bundles[key].minHours)
+                .sort((a, b) => bundles[b].discountRate - bundles[a].discountRate)[0];
+            if (!id) {
+                throw new Error(`No pre-paid bundle applies to ${totalHours} hours over ${usageMonths} months`);
+            }
+        } else if (!bundles[bundleId]) {
+            throw new Error(`Unknown labour bundle '${bundleId}'`);
+        } else if (firstWindowHours(bundles[bundleId]) < bundles[bundleId].minHours) {
+            throw new Error(`${bundles[bundleId].name} needs at least ${bundles[bundleId].minHours} hours a purchase`);
+        }
+
+        const bundle = { id, ...bundles[id] };
+        const hourPrice = labourValue / totalHours * (1 - bundle.discountRate);
+        const count = Math.ceil(usageMonths / bundle.expiryMonths);
+        const purchases = [];
+        let rolledInHours = 0;
+
+        for (let index = 0; index < count; index++) {
+            const windowMonths = Math.min(bundle.expiryMonths, usageMonths - index * bundle.expiryMonths);
+            const planned = totalHours * windowMonths / usageMonths;
+            const bought = Math.max(0, planned - rolledInHours);
+            const unused = planned * (1 - utilisation);
+            const rolledOverHours = index < count - 1 ? Math.min(unused, planned * rolloverRate) : 0;
+
+            purchases.push({
+                month: 1 + index * bundle.expiryMonths,
+                hours: this.roundToCents(bought),
+                rolledInHours: this.roundToCents(rolledInHours),
+                usedHours: this.roundToCents(planned - unused),
+                rolledOverHours: this.roundToCents(rolledOverHours),
+                forfeitedHours: this.roundToCents(unused - rolledOverHours),
+                price: this.roundToCents(bought * hourPrice)
+            });
+            rolledInHours = rolledOverHours;
+        }
+
+        return { bundle, purchases };
+    }
+
+    /**
+     * Calculate compliance framework costs. Each selected framework adds one-time readiness work
+     * and monthly audit support, both engineer days at the admin technical day rate in the
+     * delivery region. Its extra PRTG sensors and support uplift are priced by those components
+     * (see getComplianceEffects).
+     */
+    calculateCompliance(params) {
+        try {
+            if (!params || typeof params !== 'object') {
+                throw new Error('Invalid parameters provided to calculateCompliance');
+            }
+
+            const { frameworks = [], contractTermMonths, region } = params;
+            const catalogue = this.getComplianceFrameworks();
+
+            if (!Array.isArray(frameworks)) {
+                throw new Error('Compliance frameworks must be a list of framework ids');
+            }
+            frameworks.forEach(id => {
+                if (!catalogue[id]) {
+                    throw new Error(`Unknown compliance framework '${id}'`);
+                }
+            });
+
+            const { labourMultiplier } = this.getRegion(region);
+            const dayRate = this.pricingData.admin.technicalRates.technicalDay * labourMultiplier;
+            const dayCost = this.costBasis.engineerDayCost * labourMultiplier;
+            const selected = [...new Set(frameworks)].map(id => {
+                const framework = catalogue[id];
+                return {
+                    id,
+                    name: framework.name,
+                    readiness: this.roundToCents(framework.readinessDays * dayRate),
+                    auditMonthly: this.roundToCents(framework.auditDaysPerYear * dayRate / 12),
+                    extraSensors: framework.extraSensors,
+                    supportUplift: framework.supportUplift
+                };
+            });
+
+            const sum = key => selected.reduce((total, framework) => total + framework[key], 0);
+            const readiness = this.roundToCents(sum('readiness'));
+            const auditSupport = this.roundToCents(sum('auditMonthly'));
+            const readinessDays = selected.reduce((total, framework) => total + catalogue[framework.id].readinessDays, 0);
+            const auditDaysPerYear = selected.reduce((total, framework) => total + catalogue[framework.id].auditDaysPerYear, 0);
+            const schedule = this.buildTermSchedule(this.resolveTermMonths(contractTermMonths), readiness, () => auditSupport);
+
+            return this.withCosting(this.withPriceBook({
+                breakdown: {
+                    readiness,
+                    auditSupport,
+                    frameworks: selected
+                },
+                totals: {
+                    oneTime: readiness,
+                    monthly: auditSupport,
+                    annual: this.roundToCents(auditSupport * 12),
+                    threeYear: this.roundToCents(readiness + auditSupport * 36),
+                    termTotal: schedule.termTotal
+                },
+                term: schedule.term,
+                metadata: {
+                    frameworks: selected.map(framework => framework.id),
+                    extraSensors: sum('extraSensors'),
+                    supportUplift: sum('supportUplift'),
+                    region: this.getRegion(region).id,
+                    labourMultiplier
+                }
+            }), [
+                { line: 'readiness', basis: 'oneTime', price: readiness, cost: readinessDays * dayCost },
+                { line: 'auditSupport', basis: 'monthly', price: auditSupport, cost: auditDaysPerYear * dayCost / 12 }
+            ]);
+        } catch (error) {
+            return this.handleCalculationError('calculateCompliance', error);
+        }
+    }
+
+    /**
+     * Compliance frameworks of the loaded price book, falling back to the shipped catalogue
+     */
+    getComplianceFrameworks() {
+        return (this.pricingData.compliance || PriceBook.DEFAULT.pricing.compliance).frameworks;
+    }
+
+    /**
+     * Extra PRTG sensors and support uplift rate from the compliance component's selected
+     * frameworks; nothing without compliance data. Unknown framework ids add nothing.
+     */
+    getComplianceEffects(complianceData) {
+        const catalogue = this.getComplianceFrameworks();
+        const selected = Array.isArray(complianceData?.params?.frameworks) ? complianceData.params.frameworks : [];
+        const frameworks = [...new Set(selected)].filter(id => catalogue[id]);
+
+        return {
+            frameworks,
+            extraSensors: frameworks.reduce((total, id) => total + catalogue[id].extraSensors, 0),
+            supportUplift: frameworks.reduce((total, id) => total + catalogue[id].supportUplift, 0)
         };
     }
 
@@ -818,7 +2286,8 @@ class NaaSCalculator {
             level = 'enhanced',
             deviceCount = 10,
             termMonths = 36,
-            includeEscalation = true
+            includeEscalation = true,
+            contractTermMonths
         } = params;
 
         const baseMonthly = this.pricingData.enhancedSupport.baseCosts[level] || this.pricingData.enhancedSupport.baseCosts.enhanced;
@@ -835,7 +2304,17 @@ class NaaSCalculator {
             threeYearCost = monthlyCost * 12 * ((1 + cpiRate) + Math.pow(1 + cpiRate, 2) + Math.pow(1 + cpiRate, 3));
         }
 
-        return {
+        // Escalation is applied from the first contract year, matching the three-year figure
+        const escalationRate = this.pricingData.enhancedSupport.escalationRate;
+        const schedule = this.buildTermSchedule(
+            this.resolveTermMonths(contractTermMonths, termMonths),
+            0,
+            (month, year) => monthlyCost * (includeEscalation ? Math.pow(1 + escalationRate, year) : 1)
+        );
+
+        const enhancedSupportCostRatio = this.getServiceCostRatio('enhancedSupport');
+        return this.withCosting(this.withPriceBook({
+            sla: this.describeSla('enhancedSupport', level, schedule.term),
             breakdown: {
                 baseMonthly,
                 deviceCost,
@@ -847,9 +2326,14 @@ class NaaSCalculator {
                 monthly: monthlyCost,
                 annual: annualCost,
                 threeYear: threeYearCost,
+                termTotal: schedule.termTotal,
                 oneTime: 0
-            }
-        };
+            },
+            term: schedule.term
+        }), [
+            { line: 'baseMonthly', basis: 'monthly', price: baseMonthly, cost: baseMonthly * enhancedSupportCostRatio },
+            { line: 'deviceCost', basis: 'monthly', price: deviceCost, cost: deviceCost * enhancedSupportCostRatio }
+        ]);
     }
 
     calculateDynamics(params, componentType) {
@@ -859,7 +2343,8 @@ class NaaSCalculator {
             aprRate = 0.05,
             baseMonthly = 0,
             deviceCount = 10,
-            includeEscalation = true
+            includeEscalation = true,
+            contractTermMonths
         } = params;
 
         // Extract term from component type (1Year, 3Year, 5Year)
@@ -885,6 +2370,12 @@ class NaaSCalculator {
             annualCost = monthlyCost * 12 * (1 + cpiRate);
         }
 
+        const schedule = this.buildTermSchedule(
+            this.resolveTermMonths(contractTermMonths, actualTermMonths),
+            0,
+            (month, year) => monthlyCost * (includeEscalation ? Math.pow(1 + cpiRate, year - 1) : 1)
+        );
+
         // Calculate financing if applicable
         let financingDetails = null;
         if (baseMonthly > 0) {
@@ -905,7 +2396,8 @@ class NaaSCalculator {
             }
         }
 
-        return {
+        const dynamicsCostRatio = this.getServiceCostRatio('dynamics');
+        return this.withCosting(this.withPriceBook({
             breakdown: {
                 termYears,
                 termMonths: actualTermMonths,
@@ -923,9 +2415,14 @@ class NaaSCalculator {
                 monthly: monthlyCost,
                 annual: annualCost,
                 threeYear: termYears === 3 ? totalTermCost : (annualCost * 3),
+                termTotal: schedule.termTotal,
                 oneTime: 0
-            }
-        };
+            },
+            term: schedule.term
+        }), [
+            { line: 'baseMonthly', basis: 'monthly', price: baseMonthly, cost: baseMonthly * dynamicsCostRatio },
+            { line: 'deviceCost', basis: 'monthly', price: deviceCost, cost: deviceCost * dynamicsCostRatio }
+        ]);
     }
 
     calculateNaaS(params, componentType) {
@@ -933,7 +2430,8 @@ class NaaSCalculator {
             package: packageType = 'standard',
             deviceCount = 10,
             termMonths = 36,
-            includeEscalation = true
+            includeEscalation = true,
+            contractTermMonths
         } = params;
 
         const baseMonthly = this.pricingData.naas.baseCosts[packageType] || this.pricingData.naas.baseCosts.standard;
@@ -949,7 +2447,15 @@ class NaaSCalculator {
             threeYearCost = monthlyCost * 12 * ((1 + cpiRate) + Math.pow(1 + cpiRate, 2) + Math.pow(1 + cpiRate, 3));
         }
 
-        return {
+        const escalationRate = this.pricingData.naas.escalationRate;
+        const schedule = this.buildTermSchedule(
+            this.resolveTermMonths(contractTermMonths, termMonths),
+            0,
+            (month, year) => monthlyCost * (includeEscalation ? Math.pow(1 + escalationRate, year) : 1)
+        );
+
+        const naasCostRatio = this.getServiceCostRatio('naas');
+        return this.withCosting(this.withPriceBook({
             breakdown: {
                 baseMonthly,
                 deviceCost,
@@ -961,9 +2467,14 @@ class NaaSCalculator {
                 monthly: monthlyCost,
                 annual: annualCost,
                 threeYear: threeYearCost,
+                termTotal: schedule.termTotal,
                 oneTime: 0
-            }
-        };
+            },
+            term: schedule.term
+        }), [
+            { line: 'baseMonthly', basis: 'monthly', price: baseMonthly, cost: baseMonthly * naasCostRatio },
+            { line: 'deviceCost', basis: 'monthly', price: deviceCost, cost: deviceCost * naasCostRatio }
+        ]);
     }
 }
 
@@ -0,0 +1,236 @@
+/**
+ * NaaS Pricing Calculator - Currency Converter
+ * Local FX rate table used to present quotes in the customer's currency
+ */
+
+class CurrencyConverter {
+    /**
+     * Rate table shipped with the application: units of each currency per one unit of base
+     */
+    static DEFAULT_TABLE = {
+        base: 'GBP',
+        asOf: '2024-06-28',
+        rates: {
+            GBP: 1,
+            EUR: 1.18,
+            USD: 1.26
+        }
+    };
+
+    /**
+     * Locale used when formatting each supported currency
+     */
+    static LOCALES = {
+        GBP: 'en-GB',
+        EUR: 'en-IE',
+        USD: 'en-US'
+    };
+
+    /**
+     * Result fields that hold money and are converted; every other number (counts, hours, months,
+     * rates and percentages) is left as it is. A new money field must be added here to convert.
+     */
+    static MONEY_KEYS = [
+        'additions', 'adjustment', 'amount', 'annual', 'annualLicense', 'assessment',
+        'auditMonthly', 'auditSupport', 'backupCost', 'balloonPayment', 'baseCost',
+        'baseImplementation', 'baseMonthly', 'bookValue', 'bundleSaving', 'cap', 'charges',
+        'closingBalance', 'complianceUplift', 'cost', 'coverageAdjustment', 'customServices',
+        'depreciation', 'deviceCost', 'deviceMonthly', 'discount', 'effectiveRate',
+        'engineeringCost', 'expectedLoss', 'expectedValue', 'featuresCost', 'impact', 'interest',
+        'labourValue', 'listPrice', 'listTotal', 'loanAmount', 'locationCost', 'margin',
+        'maxAnnualExposure', 'maxCredit', 'mitigationCost', 'monthly', 'monthlyCharges',
+        'monthlyCost', 'monthlyPayment', 'monthlyRate', 'monthlyService', 'oneTime', 'oneTimeSetup',
+        'openingBalance', 'payment', 'price', 'principal', 'quoteValue', 'rate', 'readiness',
+        'recurring', 'refresh', 'reportCost', 'reportingCost', 'residualValue', 'reviewCost',
+        'sellTotal', 'sitesCost', 'technicalCost', 'term', 'termTotal', 'threeYear', 'total',
+        'totalCost', 'totalInterest', 'totalMonthly', 'totalPayments', 'unitCost', 'userCost'
+    ];
+
+    constructor(table = CurrencyConverter.DEFAULT_TABLE) {
+        this.table = null;
+        this.loadTable(table);
+    }
+
+    /**
+     * Load an FX rate table, replacing the current one
+     */
+    loadTable(table) {
+        const validation = CurrencyConverter.validateTable(table);
+        if (!validation.isValid) {
+            throw new Error(`Invalid FX rate table: ${validation.errors.join('; ')}`);
+        }
+        this.table = JSON.parse(JSON.stringify(table));
+        return this.table;
+    }
+
+    /**
+     * Validate base currency, as-of date and rates of an FX table
+     */
+    static validateTable(table) {
+        const errors = [];
+
+        if (!table || typeof table !== 'object') {
+            return { isValid: false, errors: ['FX rate table must be an object'] };
+        }
+        if (typeof table.base !== 'string' || !/^[A-Z]{3}$/.test(table.base)) {
+            errors.push('Base currency must be a three-letter ISO 4217 code');
+        }
+        if (typeof table.asOf !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(table.asOf)) {
+            errors.push('asOf must be an ISO date (YYYY-MM-DD)');
+        }
+        if (!table.rates || typeof table.rates !== 'object') {
+            errors.push('Rates are required');
+        } else {
+            Object.entries(table.rates).forEach(([code, rate]) => {
+                if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+                    errors.push(`Rate for ${code} must be a positive number`);
+                }
+            });
+            if (table.rates[table.base] !== 1) {
+                errors.push('Base currency rate must be 1');
+            }
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Currencies with a rate in the loaded table
+     */
+    getSupportedCurrencies() {
+        return Object.keys(this.table.rates);
+    }
+
+    /**
+     * Exchange rate to convert an amount in one currency into another
+     */
+    getRate(from, to) {
+        if (from === to) return 1;
+        const fromRate = this.table.rates[from];
+        const toRate = this.table.rates[to];
+        if (!fromRate || !toRate) {
+            throw new Error(`No FX rate available for ${from} to ${to}`);
+        }
+        return toRate / fromRate;
+    }
+
+    /**
+     * Convert a single amount between currencies
+     */
+    convert(amount, from, to) {
+        return CurrencyConverter.round(amount * this.getRate(from, to));
+    }
+
+    /**
+     * Details of the rate used for a conversion, stamped onto converted quotes
+     */
+    getRateInfo(from, to) {
+        return {
+            code: to,
+            base: from,
+            rate: this.getRate(from, to),
+            asOf: this.table.asOf
+        };
+    }
+
+    /**
+     * Convert every monetary figure of a combined quote into the target currency.
+     * Discount, adjustment and tax rates, guardrails, metadata and the price book reference are left untouched.
+     */
+    convertQuote(quote, from, to) {
+        const rate = this.getRate(from, to);
+        const converted = {
+            ...quote,
+            components: {},
+            subtotals: CurrencyConverter.convertValue(quote.subtotals, rate),
+            discounts: CurrencyConverter.convertDiscounts(quote.discounts, rate),
+            adjustments: quote.adjustments && {
+                ...quote.adjustments,
+                amounts: CurrencyConverter.convertValue(quote.adjustments.amounts, rate)
+            },
+            contingency: quote.contingency && CurrencyConverter.convertValue(quote.contingency, rate),
+            totals: CurrencyConverter.convertValue(quote.totals, rate),
+            tax: quote.tax && {
+                ...quote.tax,
+                amounts: CurrencyConverter.convertValue(quote.tax.amounts, rate)
+            },
+            totalsWithTax: quote.totalsWithTax && CurrencyConverter.convertValue(quote.totalsWithTax, rate),
+            term: CurrencyConverter.convertValue(quote.term, rate),
+            margin: CurrencyConverter.convertValue(quote.margin, rate),
+            currency: this.getRateInfo(from, to)
+        };
+
+        Object.keys(quote.components || {}).forEach(componentType => {
+            converted.components[componentType] = this.convertResult(quote.components[componentType], rate);
+        });
+
+        return converted;
+    }
+
+    /**
+     * Convert the monetary sections of a single component calculation result
+     */
+    convertResult(result, rate) {
+        const converted = { ...result };
+        ['totals', 'breakdown', 'financing', 'escalation', 'term', 'costing', 'vendorSummary', 'refresh', 'depreciation', 'sla', 'labour'].forEach(section => {
+            if (result[section]) {
+                converted[section] = CurrencyConverter.convertValue(result[section], rate);
+            }
+        });
+        return converted;
+    }
+
+    /**
+     * Convert the amounts of each discount reason; discount rates are left untouched
+     */
+    static convertDiscounts(discounts, rate) {
+        if (!discounts || !Array.isArray(discounts.reasons)) return discounts;
+        return {
+            ...discounts,
+            reasons: discounts.reasons.map(reason => ({
+                ...reason,
+                value: reason.type === 'fixed' ? CurrencyConverter.round(reason.value * rate) : reason.value,
+                amounts: CurrencyConverter.convertValue(reason.amounts, rate)
+            }))
+        };
+    }
+
+    /**
+     * Human-readable description of the rate used, e.g. "1 GBP = 1.1800 EUR (as of 2024-06-28)"
+     */
+    static describeRate(info) {
+        if (!info) return '';
+        return `1 ${info.base} = ${info.rate.toFixed(4)} ${info.code} (as of ${info.asOf})`;
+    }
+
+    /**
+     * Convert the money fields of a value; numbers in an array take the array's own key
+     */
+    static convertValue(value, rate, key = null) {
+        if (typeof value === 'number') {
+            return CurrencyConverter.MONEY_KEYS.includes(key) ? CurrencyConverter.round(value * rate) : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => CurrencyConverter.convertValue(item, rate, key));
+        }
+        if (value && typeof value === 'object') {
+            const converted = {};
+            Object.keys(value).forEach(childKey => {
+                converted[childKey] = CurrencyConverter.convertValue(value[childKey], rate, childKey);
+            });
+            return converted;
+        }
+        return value;
+    }
+
+    static round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyConverter;
+} else {
+    window.CurrencyConverter = CurrencyConverter;
+}
@@ -32,10 +32,25 @@ class DependencyGraph {
                 category: 'flexible',
                 description: 'Additional costs and custom services'
             },
+            'labour': {
+                dependencies: [],
+                level: 0,
+                category: 'services',
+                description: 'Time-and-materials labour and pre-paid hour bundles'
+            },
+            'compliance': {
+                dependencies: [],
+                level: 0,
+                category: 'compliance',
+                description: 'Industry compliance readiness and audit support',
+                provides: ['extraSensors', 'supportUplift']
+            },
 
             // Level 1: Base infrastructure and core services
+            // optionalDependencies feed a component when enabled but are not required by it
             'prtg': {
                 dependencies: [],
+                optionalDependencies: ['compliance'],
                 level: 1,
                 category: 'monitoring',
                 description: 'PRTG network monitoring setup and licensing',
@@ -66,11 +81,12 @@ class DependencyGraph {
             // Level 2: Services that depend on base infrastructure
             'support': {
                 dependencies: ['capital'],
+                optionalDependencies: ['compliance'],
                 level: 2,
                 category: 'services',
                 description: '24/7 support and maintenance services',
                 requires: {
-                    'capital': ['deviceCount']
+                    'capital': ['deviceCount', 'equipmentList']
                 },
                 provides: ['supportLevel', 'supportCoverage']
             },
@@ -156,6 +172,17 @@ class DependencyGraph {
         return [...component.dependencies];
     }
 
+    /**
+     * Get the components that feed a component when enabled without being required by it
+     */
+    getOptionalDependencies(componentType) {
+        const component = this.graph[componentType];
+        if (!component) {
+            throw new Error(`Unknown component type: ${componentType}`);
+        }
+        return [...(component.optionalDependencies || [])];
+    }
+
     /**
      * Get the dependency level of a component
      */
@@ -175,7 +202,7 @@ class DependencyGraph {
 
         for (const [type, component] of Object.entries(this.graph)) {
             // Use Set for O(1) lookups instead of O(n) includes
-            const depSet = new Set(component.dependencies);
+            const depSet = new Set([...component.dependencies, ...(component.optionalDependencies || [])]);
             if (depSet.has(componentType) ||
                 (depSet.has('*') && componentType !== type)) {
                 dependents.push(type);
@@ -213,8 +240,8 @@ class DependencyGraph {
             visited.add(componentType);
             recursionStack.add(componentType);
 
-            // Visit dependencies first
-            const dependencies = this.getDependencies(componentType);
+            // Visit dependencies first, including optional ones that are enabled
+            const dependencies = [...this.getDependencies(componentType), ...this.getOptionalDependencies(componentType)];
             for (const dep of dependencies) {
                 if (dep === '*') {
                     // Handle wildcard dependencies (all other active components)
@@ -267,7 +294,7 @@ class DependencyGraph {
             visited.add(componentType);
             recursionStack.add(componentType);
 
-            const dependencies = this.getDependencies(componentType);
+            const dependencies = [...this.getDependencies(componentType), ...this.getOptionalDependencies(componentType)];
             for (const dep of dependencies) {
                 if (dep === '*') {
                     // Check all other components for cycles
@@ -458,6 +485,15 @@ class DependencyGraph {
                     });
                 }
             }
+            for (const dependency of component.optionalDependencies || []) {
+                if (componentTypeSet.has(dependency)) {
+                    edges.push({
+                        from: dependency,
+                        to: componentType,
+                        type: 'optional'
+                    });
+                }
+            }
         }
 
         return { nodes, edges };
@@ -477,6 +513,8 @@ class DependencyGraph {
             'assessment': 'Platform Assessment',
             'admin': 'Admin Services',
             'otherCosts': 'Other Costs',
+            'labour': 'Labour (T&M)',
+            'compliance': 'Compliance',
             'enhancedSupport': 'Enhanced Support',
             'dynamics1Year': 'Dynamics 1 Year',
             'dynamics3Year': 'Dynamics 3 Year',
@@ -516,7 +554,10 @@ class DependencyGraph {
         for (const edge of visualization.edges) {
             const fromId = edge.from.replace(/[^a-zA-Z0-9]/g, '_');
             const toId = edge.to.replace(/[^a-zA-Z0-9]/g, '_');
-            const edgeStyle = edge.type === 'wildcard' ? '-.->|depends on all|' : '-->';
+            const edgeStyle = {
+                wildcard: '-.->|depends on all|',
+                optional: '-.->|when enabled|'
+            }[edge.type] || '-->';
             mermaid += `    ${fromId} ${edgeStyle} ${toId}\n`;
         }
 
@@ -541,7 +582,7 @@ class DependencyGraph {
         }
 
         const totalEdges = Object.values(this.graph)
-            .reduce((sum, component) => sum + component.dependencies.length, 0);
+            .reduce((sum, component) => sum + component.dependencies.length + (component.optionalDependencies || []).length, 0);
 
         return {
             totalComponents: components.length,
@@ -0,0 +1,259 @@
+/**
+ * NaaS Pricing Calculator - Discount Rules
+ * Data-driven discount rules evaluated against a combined quote
+ */
+
+class DiscountRules {
+    /**
+     * Quote periods a discount can apply to
+     */
+    static PERIODS = ['monthly', 'annual', 'term'];
+
+    /**
+     * Rule set shipped with the application (the original volume, bundle, annual and term discounts).
+     * Rules are applied in ascending order; only the first rule to fire in a group applies.
+     */
+    static DEFAULT = {
+        caps: {
+            monthly: 0.20,
+            annual: 0.25,
+            term: 0.30
+        },
+        rules: [
+            {
+                id: 'volume-5000',
+                name: 'Volume discount (5k+ monthly)',
+                order: 10,
+                group: 'volume',
+                conditions: { minMonthlyTotal: 5000 },
+                action: { type: 'percent', value: 0.10, periods: ['monthly', 'annual', 'term'] }
+            },
+            {
+                id: 'volume-3000',
+                name: 'Volume discount (3k+ monthly)',
+                order: 11,
+                group: 'volume',
+                conditions: { minMonthlyTotal: 3000 },
+                action: { type: 'percent', value: 0.075, periods: ['monthly', 'annual', 'term'] }
+            },
+            {
+                id: 'volume-1500',
+                name: 'Volume discount (1.5k+ monthly)',
+                order: 12,
+                group: 'volume',
+                conditions: { minMonthlyTotal: 1500 },
+                action: { type: 'percent', value: 0.05, periods: ['monthly', 'annual', 'term'] }
+            },
+            {
+                id: 'bundle-4',
+                name: 'Bundle discount (4+ components)',
+                order: 20,
+                group: 'bundle',
+                conditions: { minComponentCount: 4 },
+                action: { type: 'percent', value: 0.05, periods: ['monthly', 'annual', 'term'] }
+            },
+            {
+                id: 'bundle-3',
+                name: 'Bundle discount (3+ components)',
+                order: 21,
+                group: 'bundle',
+                conditions: { minComponentCount: 3 },
+                action: { type: 'percent', value: 0.025, periods: ['monthly', 'annual', 'term'] }
+            },
+            {
+                id: 'annual-payment',
+                name: 'Annual payment',
+                order: 30,
+                conditions: {},
+                action: { type: 'percent', value: 0.02, periods: ['annual', 'term'] }
+            },
+            {
+                id: 'term-commitment',
+                name: 'Term commitment',
+                order: 40,
+                conditions: {},
+                action: { type: 'percent', value: 0.03, periods: ['term'] }
+            }
+        ]
+    };
+
+    constructor(ruleSet = DiscountRules.DEFAULT) {
+        this.ruleSet = null;
+        this.loadRules(ruleSet);
+    }
+
+    /**
+     * Load a rule set, replacing the current one
+     */
+    loadRules(ruleSet) {
+        const validation = DiscountRules.validate(ruleSet);
+        if (!validation.isValid) {
+            throw new Error(`Invalid discount rules: ${validation.errors.join('; ')}`);
+        }
+        this.ruleSet = JSON.parse(JSON.stringify(ruleSet));
+        this.ruleSet.rules.sort((a, b) => a.order - b.order);
+        return this.ruleSet;
+    }
+
+    /**
+     * Validate caps, conditions and actions of a rule set
+     */
+    static validate(ruleSet) {
+        const errors = [];
+
+        if (!ruleSet || typeof ruleSet !== 'object') {
+            return { isValid: false, errors: ['Discount rules must be an object'] };
+        }
+
+        if (!ruleSet.caps || typeof ruleSet.caps !== 'object') {
+            errors.push('Discount caps are required');
+        } else {
+            DiscountRules.PERIODS.forEach(period => {
+                const cap = ruleSet.caps[period];
+                if (typeof cap !== 'number' || cap < 0 || cap > 1) {
+                    errors.push(`Cap for ${period} must be a number between 0 and 1`);
+                }
+            });
+        }
+
+        if (!Array.isArray(ruleSet.rules)) {
+            errors.push('Rules must be an array');
+            return { isValid: false, errors };
+        }
+
+        const ids = new Set();
+        ruleSet.rules.forEach((rule, index) => {
+            const label = rule && rule.id ? `Rule '${rule.id}'` : `Rule ${index + 1}`;
+
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (typeof rule.id !== 'string' || !rule.id.trim()) {
+                errors.push(`${label} needs an id`);
+            } else if (ids.has(rule.id)) {
+                errors.push(`${label} is defined more than once`);
+            } else {
+                ids.add(rule.id);
+            }
+            if (typeof rule.name !== 'string' || !rule.name.trim()) {
+                errors.push(`${label} needs a name`);
+            }
+            if (typeof rule.order !== 'number' || !Number.isFinite(rule.order)) {
+                errors.push(`${label} needs a numeric order`);
+            }
+            if (rule.conditions !== undefined && (typeof rule.conditions !== 'object' || rule.conditions === null)) {
+                errors.push(`${label} conditions must be an object`);
+            }
+
+            const action = rule.action;
+            if (!action || typeof action !== 'object') {
+                errors.push(`${label} needs an action`);
+                return;
+            }
+            if (!['percent', 'fixed'].includes(action.type)) {
+                errors.push(`${label} action type must be percent or fixed`);
+            }
+            if (typeof action.value !== 'number' || action.value < 0 || (action.type === 'percent' && action.value > 1)) {
+                errors.push(`${label} action value must be a non-negative number (at most 1 for percent)`);
+            }
+            if (!Array.isArray(action.periods) || action.periods.length === 0 ||
+                action.periods.some(period => !DiscountRules.PERIODS.includes(period))) {
+                errors.push(`${label} action periods must be a list of ${DiscountRules.PERIODS.join(', ')}`);
+            }
+            if (action.maxAmount !== undefined && (typeof action.maxAmount !== 'number' || action.maxAmount < 0)) {
+                errors.push(`${label} action maxAmount must be a non-negative number`);
+            }
+        });
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Apply every matching rule to a quote context:
+     * { monthlyTotal, annualTotal, termTotal, componentCount, components, termMonths, segment, date }.
+     * Fixed amounts are turned into rates of the period total, and each rule is limited to
+     * whatever headroom the period cap leaves after the rules before it.
+     */
+    evaluate(context) {
+        const monthlyTotal = context.monthlyTotal || 0;
+        const bases = {
+            monthly: monthlyTotal,
+            annual: context.annualTotal ?? monthlyTotal * 12,
+            term: context.termTotal ?? monthlyTotal * 36
+        };
+        const rates = { monthly: 0, annual: 0, term: 0 };
+        const firedGroups = new Set();
+        const reasons = [];
+
+        this.ruleSet.rules.forEach(rule => {
+            if (rule.group && firedGroups.has(rule.group)) return;
+            if (!DiscountRules.matches(rule.conditions || {}, context)) return;
+
+            const applied = {};
+            const amounts = {};
+
+            rule.action.periods.forEach(period => {
+                const base = bases[period];
+                let rate = rule.action.type === 'percent' ? rule.action.value : (base > 0 ? Math.min(rule.action.value, base) / base : 0);
+                if (rule.action.maxAmount !== undefined && base > 0) {
+                    rate = Math.min(rate, rule.action.maxAmount / base);
+                }
+                rate = Math.max(0, Math.min(rate, this.ruleSet.caps[period] - rates[period]));
+
+                rates[period] += rate;
+                applied[period] = rate;
+                amounts[period] = Math.round(base * rate * 100) / 100;
+            });
+
+            if (rule.group) {
+                firedGroups.add(rule.group);
+            }
+
+            reasons.push({
+                id: rule.id,
+                name: rule.name,
+                type: rule.action.type,
+                value: rule.action.value,
+                rates: applied,
+                amounts
+            });
+        });
+
+        return {
+            monthlyDiscount: rates.monthly,
+            annualDiscount: rates.annual,
+            termDiscount: rates.term,
+            reasons
+        };
+    }
+
+    /**
+     * Check whether every condition of a rule holds for the quote context
+     */
+    static matches(conditions, context) {
+        const monthlyTotal = context.monthlyTotal || 0;
+        const components = context.components || [];
+
+        if (conditions.minMonthlyTotal !== undefined && monthlyTotal < conditions.minMonthlyTotal) return false;
+        if (conditions.maxMonthlyTotal !== undefined && monthlyTotal >= conditions.maxMonthlyTotal) return false;
+        if (conditions.minComponentCount !== undefined && (context.componentCount || 0) < conditions.minComponentCount) return false;
+        if (conditions.requiredComponents && !conditions.requiredComponents.every(type => components.includes(type))) return false;
+        if (conditions.minTermMonths !== undefined && (context.termMonths || 0) < conditions.minTermMonths) return false;
+        if (conditions.segments && !conditions.segments.includes(context.segment)) return false;
+
+        // Date windows are inclusive ISO dates, compared as strings
+        const date = context.date || new Date().toISOString().slice(0, 10);
+        if (conditions.validFrom && date < conditions.validFrom) return false;
+        if (conditions.validTo && date > conditions.validTo) return false;
+
+        return true;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiscountRules;
+} else {
+    window.DiscountRules = DiscountRules;
+}
@@ -0,0 +1,232 @@
+/**
+ * NaaS Pricing Calculator - Financial Analysis
+ * Discounted cash-flow comparison of the NaaS quote against buying outright
+ */
+
+class FinancialAnalysis {
+    /**
+     * NaaS subscription component types; the bundled option uses the quote's own package when it has one
+     */
+    static NAAS_TYPES = ['naasStandard', 'naasEnhanced'];
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Compare the quote as configured (NaaS, capital financed) with the customer buying
+     * the equipment outright. Cash flows come from the combined quote's cash-flow schedule
+     * and are discounted monthly at the customer's annual discount rate.
+     */
+    analyse(components, options = {}) {
+        const discountRate = options.discountRate ?? AppConfig.DEFAULT_CUSTOMER_DISCOUNT_RATE;
+        const monthlyRate = FinancialAnalysis.toMonthlyRate(discountRate);
+
+        const naasSchedule = this.calculator.calculateCashFlowSchedule(components, options);
+        const outrightSchedule = this.calculator.calculateCashFlowSchedule(FinancialAnalysis.toOutrightPurchase(components), options);
+
+        const naasFlows = naasSchedule.rows.map(row => row.total);
+        const outrightFlows = outrightSchedule.rows.map(row => row.total);
+
+        // What the customer keeps each month by choosing NaaS over buying outright
+        const savings = outrightFlows.map((amount, index) => amount - naasFlows[index]);
+        const monthlyIrr = FinancialAnalysis.irr(savings);
+
+        const naasNpv = FinancialAnalysis.npv(monthlyRate, naasFlows);
+        const outrightNpv = FinancialAnalysis.npv(monthlyRate, outrightFlows);
+
+        return {
+            discountRate,
+            months: naasSchedule.months,
+            currency: naasSchedule.currency,
+            naas: {
+                tco: naasSchedule.totals.total,
+                npv: this.calculator.roundToCents(naasNpv)
+            },
+            outright: {
+                tco: outrightSchedule.totals.total,
+                npv: this.calculator.roundToCents(outrightNpv)
+            },
+            npvAdvantage: this.calculator.roundToCents(outrightNpv - naasNpv),
+            paybackMonth: FinancialAnalysis.paybackMonth(savings),
+            irr: monthlyIrr === null ? null : Math.pow(1 + monthlyIrr, 12) - 1
+        };
+    }
+
+    /**
+     * Lay the quote out three ways over the contract term: the capital lines bought outright or
+     * financed through calculateCapital, each alongside the quote's recurring services, and a
+     * fully bundled NaaS subscription (calculateNaaS) sized to the equipment's device count.
+     * Each option has its total, up-front and average monthly cost and its monthly, cumulative
+     * and yearly spend. Breakeven is the month from which buying outright has cost no more
+     * than financing or the subscription (null when it never does within the term).
+     */
+    compareOwnership(components, options = {}) {
+        const capital = components.capital;
+        const equipment = capital?.enabled ? capital.params?.equipment || [] : [];
+        if (equipment.length === 0) {
+            return { error: 'Add capital equipment to the quote to compare buying, financing and NaaS' };
+        }
+
+        const services = {};
+        Object.keys(components).forEach(type => {
+            if (type !== 'capital' && !FinancialAnalysis.NAAS_TYPES.includes(type)) {
+                services[type] = components[type];
+            }
+        });
+        const naasType = FinancialAnalysis.NAAS_TYPES.find(type => components[type]?.enabled) || 'naasStandard';
+        const deviceCount = equipment.reduce((total, item) => total + (item.quantity ?? 1), 0);
+        const withCapital = params => ({ ...services, capital: { ...capital, params: { ...capital.params, ...params } } });
+
+        const scenarios = [
+            { id: 'buy', label: 'Buy Outright + Support', components: FinancialAnalysis.toOutrightPurchase(withCapital({})) },
+            { id: 'finance', label: 'Finance + Support', components: withCapital({ financing: true }) },
+            {
+                id: 'naas',
+                label: 'NaaS Subscription',
+                components: {
+                    [naasType]: {
+                        enabled: true,
+                        params: { ...(components[naasType]?.params || {}), package: naasType === 'naasEnhanced' ? 'enhanced' : 'standard', deviceCount }
+                    }
+                }
+            }
+        ];
+
+        let months = 0;
+        let currency = null;
+        const results = scenarios.map(({ id, label, components: scenario }) => {
+            const schedule = this.calculator.calculateCashFlowSchedule(scenario, options);
+            const monthly = schedule.rows.map(row => row.total);
+            months = schedule.months;
+            currency = schedule.currency;
+
+            const years = [];
+            schedule.rows.forEach(row => {
+                years[row.year - 1] = this.calculator.roundToCents((years[row.year - 1] || 0) + row.total);
+            });
+
+            return {
+                id,
+                label,
+                total: schedule.totals.total,
+                upfront: monthly[0] || 0,
+                averageMonthly: this.calculator.roundToCents(schedule.totals.total / schedule.months),
+                monthly,
+                cumulative: schedule.rows.map(row => row.cumulative),
+                years
+            };
+        });
+
+        const [buy] = results;
+        const breakevenAgainst = option => FinancialAnalysis.paybackMonth(buy.monthly.map((amount, index) => amount - option.monthly[index]));
+
+        return {
+            months,
+            currency,
+            deviceCount,
+            options: results,
+            breakeven: {
+                finance: breakevenAgainst(results[1]),
+                naas: breakevenAgainst(results[2])
+            },
+            cheapest: results.reduce((best, option) => option.total < best.total ? option : best).id
+        };
+    }
+
+    /**
+     * Same components with capital equipment paid for up front instead of financed
+     */
+    static toOutrightPurchase(components) {
+        const outright = { ...components };
+        if (outright.capital && outright.capital.enabled) {
+            outright.capital = {
+                ...outright.capital,
+                params: { ...(outright.capital.params || {}), financing: false, downPayment: 0 }
+            };
+        }
+        return outright;
+    }
+
+    /**
+     * Equivalent monthly rate for an annual discount rate
+     */
+    static toMonthlyRate(annualRate) {
+        return Math.pow(1 + annualRate, 1 / 12) - 1;
+    }
+
+    /**
+     * Net present value of monthly cash flows paid in advance (month 1 is undiscounted)
+     */
+    static npv(monthlyRate, cashFlows) {
+        return cashFlows.reduce((total, amount, index) => total + amount / Math.pow(1 + monthlyRate, index), 0);
+    }
+
+    /**
+     * Monthly internal rate of return, or null when the cash flows never change sign
+     * and the IRR is therefore undefined
+     */
+    static irr(cashFlows, tolerance = 1e-7, maxIterations = 200) {
+        const hasPositive = cashFlows.some(amount => amount > 0.005);
+        const hasNegative = cashFlows.some(amount => amount < -0.005);
+        if (!hasPositive || !hasNegative) {
+            return null;
+        }
+
+        // Bisection is slower than Newton's method but cannot diverge
+        let low = -0.99;
+        let high = 1;
+        let npvLow = FinancialAnalysis.npv(low, cashFlows);
+        const npvHigh = FinancialAnalysis.npv(high, cashFlows);
+
+        if (Math.sign(npvLow) === Math.sign(npvHigh)) {
+            return null;
+        }
+
+        for (let i = 0; i < maxIterations; i++) {
+            const mid = (low + high) / 2;
+            const npvMid = FinancialAnalysis.npv(mid, cashFlows);
+
+            if (Math.abs(npvMid) < tolerance || (high - low) / 2 < tolerance) {
+                return mid;
+            }
+
+            if (Math.sign(npvMid) === Math.sign(npvLow)) {
+                low = mid;
+                npvLow = npvMid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    /**
+     * Month in which buying outright has paid back its up-front premium over NaaS,
+     * i.e. cumulative NaaS spend catches up with cumulative outright spend.
+     * Null when buying outright never costs more up front or never pays back in the term.
+     */
+    static paybackMonth(savings) {
+        let cumulative = 0;
+        let invested = false;
+
+        for (let index = 0; index < savings.length; index++) {
+            cumulative += savings[index];
+            if (cumulative > 0.005) {
+                invested = true;
+            } else if (invested) {
+                return index + 1;
+            }
+        }
+
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FinancialAnalysis;
+} else {
+    window.FinancialAnalysis = FinancialAnalysis;
+}
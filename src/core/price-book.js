@@ -0,0 +1,998 @@
+/**
+ * NaaS Pricing Calculator - Price Book
+ * Versioned, JSON-serialisable rate card consumed by NaaSCalculator
+ */
+
+class PriceBook {
+    /**
+     * Pricing sections every price book must provide
+     */
+    static REQUIRED_SECTIONS = [
+        'prtg',
+        'capital',
+        'support',
+        'onboarding',
+        'pbsFoundation',
+        'assessment',
+        'admin',
+        'enhancedSupport',
+        'naas'
+    ];
+
+    /**
+     * PRTG licence pricing modes
+     */
+    static PRTG_PRICING_MODES = ['step', 'graduated', 'prorated'];
+
+    /**
+     * PRTG licence tiers, smallest first
+     */
+    static PRTG_SENSOR_TIERS = ['up_to_100', 'up_to_500', 'up_to_1000', 'up_to_2500', 'unlimited'];
+
+    /**
+     * Depreciation methods for capital equipment
+     */
+    static DEPRECIATION_METHODS = ['straight_line', 'reducing_balance'];
+
+    /**
+     * Incident priorities every SLA tier sets targets for
+     */
+    static SLA_PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+
+    /**
+     * Pricing keys added after price books were first saved; books without them use the shipped
+     * values. A * segment matches any key, e.g. every equipment SKU.
+     */
+    static OPTIONAL_PRICING_KEYS = [
+        'prtg.pricingMode',
+        'prtg.sensorBands',
+        'capital.equipmentTypes.*.name',
+        'capital.equipmentTypes.*.vendor',
+        'capital.equipmentTypes.*.usefulLifeMonths',
+        'capital.equipmentTypes.*.depreciationMethod',
+        'support.packages.*.perDeviceByCategory',
+        'support.packages.*.perDeviceByCategory.*',
+        'support.coverage',
+        'labour',
+        'compliance',
+        'costBasis.onboardingDays'
+    ];
+
+    /**
+     * Price book shipped with the application (mirrors the Excel rate card)
+     */
+    static DEFAULT = {
+        id: 'naas-standard',
+        version: '2024.1',
+        name: 'NaaS Standard Price Book',
+        currency: 'GBP',
+        effectiveFrom: '2024-01-01',
+        effectiveTo: null,
+        rates: {
+            APR_RATE: 0.05, // 5% Annual Percentage Rate for capital equipment
+            CPI_RATE: 0.03 // 3% Consumer Price Index for support cost escalation
+        },
+        pricing: {
+            prtg: {
+                baseLicense: {
+                    up_to_100: 2340,
+                    up_to_500: 5850,
+                    up_to_1000: 11700,
+                    up_to_2500: 23400,
+                    unlimited: 46800
+                },
+                setupCosts: {
+                    standard: 1500,
+                    enhanced: 2500,
+                    enterprise: 4000
+                },
+                monthlyService: {
+                    standard: {
+                        up_to_100: 250,
+                        up_to_500: 450,
+                        up_to_1000: 750,
+                        up_to_2500: 1200,
+                        unlimited: 2000
+                    },
+                    enhanced: {
+                        up_to_100: 450,
+                        up_to_500: 750,
+                        up_to_1000: 1200,
+                        up_to_2500: 1800,
+                        unlimited: 3000
+                    }
+                },
+                // Licence pricing: 'step' charges the whole tier, 'graduated' charges the sensors
+                // in each band at that band's marginal rate, 'prorated' charges the tier pro rata
+                pricingMode: 'step',
+                // Sensor ceiling of each licence tier; graduated and prorated pricing reach the
+                // unlimited price at its ceiling
+                sensorBands: {
+                    up_to_100: 100,
+                    up_to_500: 500,
+                    up_to_1000: 1000,
+                    up_to_2500: 2500,
+                    unlimited: 5000
+                }
+            },
+            capital: {
+                // Hardware catalogue keyed by SKU; cost is the list price per unit, and the useful
+                // life (months) and depreciation method drive refresh planning
+                equipmentTypes: {
+                    'router_small': { name: 'Branch Router (Small)', vendor: 'Cisco', cost: 2500, category: 'Router', usefulLifeMonths: 60, depreciationMethod: 'straight_line' },
+                    'router_medium': { name: 'Branch Router (Medium)', vendor: 'Cisco', cost: 8500, category: 'Router', usefulLifeMonths: 60, depreciationMethod: 'straight_line' },
+                    'router_large': { name: 'Aggregation Router', vendor: 'Cisco', cost: 18500, category: 'Router', usefulLifeMonths: 84, depreciationMethod: 'straight_line' },
+                    'switch_24port': { name: 'Aruba CX 24-Port Access Switch', vendor: 'HPE Aruba', cost: 1200, category: 'Switch', usefulLifeMonths: 84, depreciationMethod: 'straight_line' },
+                    'switch_48port': { name: 'Aruba CX 48-Port Access Switch', vendor: 'HPE Aruba', cost: 2400, category: 'Switch', usefulLifeMonths: 84, depreciationMethod: 'straight_line' },
+                    'firewall_small': { name: 'FortiGate Firewall (Small)', vendor: 'Fortinet', cost: 3500, category: 'Firewall', usefulLifeMonths: 48, depreciationMethod: 'reducing_balance' },
+                    'firewall_medium': { name: 'FortiGate Firewall (Medium)', vendor: 'Fortinet', cost: 12000, category: 'Firewall', usefulLifeMonths: 60, depreciationMethod: 'reducing_balance' },
+                    'firewall_large': { name: 'FortiGate Firewall (Large)', vendor: 'Fortinet', cost: 25000, category: 'Firewall', usefulLifeMonths: 60, depreciationMethod: 'reducing_balance' },
+                    'wireless_ap': { name: 'Aruba Indoor Access Point', vendor: 'HPE Aruba', cost: 450, category: 'Wireless', usefulLifeMonths: 48, depreciationMethod: 'straight_line' },
+                    'wireless_controller': { name: 'Aruba Mobility Controller', vendor: 'HPE Aruba', cost: 2800, category: 'Wireless', usefulLifeMonths: 60, depreciationMethod: 'straight_line' }
+                }
+            },
+            support: {
+                hourlyRates: {
+                    l1_support: 85,
+                    l2_support: 125,
+                    l3_support: 185,
+                    engineer: 225
+                },
+                // Custom coverage windows are priced against the package's own hours. Every covered
+                // hour is charged at effortRatio of the blended hourly rate (staffing mix of the rate
+                // card); hours outside the business day and at weekends carry the out-of-hours
+                // multiplier and covered bank holidays the bank holiday multiplier.
+                coverage: {
+                    staffingMix: { l1_support: 0.6, l2_support: 0.25, l3_support: 0.1, engineer: 0.05 },
+                    effortRatio: 0.02,
+                    businessDayStart: 8,
+                    businessDayEnd: 18,
+                    outOfHoursMultiplier: 1.5,
+                    bankHolidayMultiplier: 2,
+                    bankHolidaysPerYear: 8
+                },
+                // perDeviceMonthly is the rate for devices whose equipment category has no rate of its own
+                packages: {
+                    basic: {
+                        hours: '8x5',
+                        monthlyBase: 500,
+                        perDeviceMonthly: 25,
+                        perDeviceByCategory: { Router: 30, Switch: 20, Firewall: 40, Wireless: 12 }
+                    },
+                    standard: {
+                        hours: '12x5',
+                        monthlyBase: 750,
+                        perDeviceMonthly: 35,
+                        perDeviceByCategory: { Router: 42, Switch: 28, Firewall: 55, Wireless: 18 }
+                    },
+                    enhanced: {
+                        hours: '24x7',
+                        monthlyBase: 1200,
+                        perDeviceMonthly: 50,
+                        perDeviceByCategory: { Router: 60, Switch: 40, Firewall: 80, Wireless: 25 }
+                    }
+                }
+            },
+            onboarding: {
+                baseImplementation: {
+                    simple: 2500,
+                    standard: 4500,
+                    complex: 8500,
+                    enterprise: 15000
+                },
+                assessment: {
+                    network: 1500,
+                    security: 2000,
+                    comprehensive: 3500
+                },
+                perSite: {
+                    simple: 500,
+                    standard: 1000,
+                    complex: 2000
+                }
+            },
+            pbsFoundation: {
+                baseMonthly: 200,
+                perUserMonthly: 25,
+                perLocationMonthly: 100,
+                features: {
+                    'advanced_reporting': 150,
+                    'api_access': 100,
+                    'sso_integration': 200,
+                    'custom_branding': 75,
+                    'multi_tenant': 300,
+                    'advanced_analytics': 125
+                }
+            },
+            assessment: {
+                baseCosts: {
+                    simple: 2500,
+                    standard: 4500,
+                    complex: 8500,
+                    enterprise: 15000
+                },
+                deviceMultiplier: {
+                    base: 10,
+                    factor: 1.0
+                },
+                reportCost: 500
+            },
+            admin: {
+                reviewCosts: {
+                    annual: 650,
+                    quarterly: 650,
+                    biAnnual: 650
+                },
+                technicalRates: {
+                    technicalDay: 1250,
+                    l3EngineeringDay: 950
+                },
+                serviceCosts: {
+                    reportingService: 450,
+                    backupService: 50
+                }
+            },
+            // Time-and-materials labour is charged per hour at the support rate card. A pre-paid
+            // bundle needs minHours per purchase for its discount; bundled hours expire expiryMonths
+            // after purchase, and up to rolloverRate of a purchase carries into the next one.
+            labour: {
+                bundles: {
+                    block_20: { name: '20 Hour Block', minHours: 20, discountRate: 0.05, expiryMonths: 6 },
+                    block_50: { name: '50 Hour Block', minHours: 50, discountRate: 0.10, expiryMonths: 12 },
+                    block_100: { name: '100 Hour Block', minHours: 100, discountRate: 0.15, expiryMonths: 12 }
+                },
+                rolloverRate: 0.25
+            },
+            // Compliance frameworks: readiness and yearly audit support are engineer days at the
+            // admin technical day rate; extraSensors are added to PRTG and supportUplift to support
+            compliance: {
+                frameworks: {
+                    pci_dss: { name: 'PCI DSS', readinessDays: 8, auditDaysPerYear: 6, extraSensors: 40, supportUplift: 0.10 },
+                    iso_27001: { name: 'ISO 27001', readinessDays: 6, auditDaysPerYear: 4, extraSensors: 25, supportUplift: 0.05 },
+                    cyber_essentials: { name: 'Cyber Essentials', readinessDays: 2, auditDaysPerYear: 1, extraSensors: 10, supportUplift: 0.02 },
+                    nhs_dspt: { name: 'NHS DSPT', readinessDays: 4, auditDaysPerYear: 2, extraSensors: 20, supportUplift: 0.05 }
+                }
+            },
+            enhancedSupport: {
+                baseCosts: {
+                    enhanced: 1200,
+                    premium: 2000,
+                    enterprise: 3500
+                },
+                perDeviceCost: 50,
+                escalationRate: 0.03
+            },
+            naas: {
+                baseCosts: {
+                    standard: 800,
+                    enhanced: 1200
+                },
+                perDeviceCost: 40,
+                escalationRate: 0.03
+            }
+        },
+        // Internal cost of goods behind the sell prices above, used for margin reporting only
+        costBasis: {
+            equipmentCostRatio: 0.82, // Buy price as a share of equipment sell price
+            engineerDayCost: 480, // Fully loaded cost of an engineer day
+            // Engineer days behind each onboarding line, costed at the engineer day cost
+            onboardingDays: {
+                baseImplementation: {
+                    simple: 2.5,
+                    standard: 4.5,
+                    complex: 9,
+                    enterprise: 16
+                },
+                assessment: {
+                    network: 1.5,
+                    security: 2,
+                    comprehensive: 3.5
+                },
+                perSite: {
+                    simple: 0.5,
+                    standard: 1,
+                    complex: 2
+                }
+            },
+            prtgLicense: {
+                up_to_100: 1640,
+                up_to_500: 4100,
+                up_to_1000: 8190,
+                up_to_2500: 16380,
+                unlimited: 32760
+            },
+            // Delivery cost as a share of sell price for service lines
+            serviceCostRatios: {
+                prtg: 0.45,
+                support: 0.55,
+                onboarding: 0.5,
+                pbsFoundation: 0.35,
+                assessment: 0.5,
+                admin: 0.4,
+                otherCosts: 0.9,
+                enhancedSupport: 0.55,
+                dynamics: 0.6,
+                naas: 0.6
+            }
+        },
+        // Quotes below the margin floor or above the discount ceiling need approval
+        guardrails: {
+            floorMarginRate: 0.15,
+            maxDiscountRate: 0.30
+        },
+        // Risk contingency is capped at a share of the quote value set by project complexity
+        contingency: {
+            capRates: {
+                simple: 0.05,
+                standard: 0.08,
+                complex: 0.12,
+                enterprise: 0.15
+            }
+        },
+        // Delivery regions: engineer day rates scale by labourMultiplier, taxRate is VAT/sales tax
+        regions: {
+            defaultRegion: 'uk',
+            catalogue: {
+                uk: { name: 'United Kingdom', labourMultiplier: 1, taxRate: 0.20, taxLabel: 'VAT' },
+                'uk-london': { name: 'London', labourMultiplier: 1.15, taxRate: 0.20, taxLabel: 'VAT' },
+                ie: { name: 'Ireland', labourMultiplier: 1.05, taxRate: 0.23, taxLabel: 'VAT' },
+                de: { name: 'Germany', labourMultiplier: 1.1, taxRate: 0.19, taxLabel: 'VAT' },
+                fr: { name: 'France', labourMultiplier: 1.1, taxRate: 0.20, taxLabel: 'VAT' },
+                nl: { name: 'Netherlands', labourMultiplier: 1.1, taxRate: 0.21, taxLabel: 'VAT' },
+                'us-ny': { name: 'New York, US', labourMultiplier: 1.3, taxRate: 0.08875, taxLabel: 'Sales tax' },
+                'us-tx': { name: 'Texas, US', labourMultiplier: 1.15, taxRate: 0.0825, taxLabel: 'Sales tax' }
+            }
+        },
+        // Catalogue hardware is bought at list price less a distributor discount and sold at the
+        // buy price plus an uplift. A vendor rate wins over a category rate, which wins over the default.
+        hardware: {
+            buyDiscounts: {
+                default: 0.20,
+                vendors: { Cisco: 0.35, 'HPE Aruba': 0.40, Fortinet: 0.30 },
+                categories: { Router: 0.25, Switch: 0.30, Firewall: 0.25, Wireless: 0.30 }
+            },
+            sellUplifts: {
+                default: 0.25,
+                vendors: { Fortinet: 0.20 },
+                categories: { Router: 0.25, Switch: 0.25, Firewall: 0.20, Wireless: 0.25 }
+            }
+        },
+        // Service levels: P1-P4 response and resolution targets in hours, the monthly availability
+        // commitment and the service credit (share of the monthly charge) owed when availability
+        // falls below each threshold, capped at maxCreditRate of a year's charges
+        slas: {
+            tiers: {
+                bronze: {
+                    name: 'Bronze',
+                    hours: '8x5',
+                    availability: 0.995,
+                    priorities: {
+                        P1: { responseHours: 4, resolutionHours: 24 },
+                        P2: { responseHours: 8, resolutionHours: 48 },
+                        P3: { responseHours: 16, resolutionHours: 80 },
+                        P4: { responseHours: 40, resolutionHours: 160 }
+                    },
+                    credits: [
+                        { availabilityBelow: 0.995, creditRate: 0.05 },
+                        { availabilityBelow: 0.99, creditRate: 0.10 }
+                    ],
+                    maxCreditRate: 0.10
+                },
+                silver: {
+                    name: 'Silver',
+                    hours: '12x5',
+                    availability: 0.997,
+                    priorities: {
+                        P1: { responseHours: 2, resolutionHours: 12 },
+                        P2: { responseHours: 4, resolutionHours: 24 },
+                        P3: { responseHours: 8, resolutionHours: 48 },
+                        P4: { responseHours: 24, resolutionHours: 120 }
+                    },
+                    credits: [
+                        { availabilityBelow: 0.997, creditRate: 0.05 },
+                        { availabilityBelow: 0.995, creditRate: 0.10 },
+                        { availabilityBelow: 0.99, creditRate: 0.15 }
+                    ],
+                    maxCreditRate: 0.15
+                },
+                gold: {
+                    name: 'Gold',
+                    hours: '24x7',
+                    availability: 0.999,
+                    priorities: {
+                        P1: { responseHours: 1, resolutionHours: 4 },
+                        P2: { responseHours: 2, resolutionHours: 8 },
+                        P3: { responseHours: 4, resolutionHours: 24 },
+                        P4: { responseHours: 8, resolutionHours: 72 }
+                    },
+                    credits: [
+                        { availabilityBelow: 0.999, creditRate: 0.05 },
+                        { availabilityBelow: 0.997, creditRate: 0.10 },
+                        { availabilityBelow: 0.995, creditRate: 0.20 }
+                    ],
+                    maxCreditRate: 0.20
+                },
+                platinum: {
+                    name: 'Platinum',
+                    hours: '24x7',
+                    availability: 0.9995,
+                    priorities: {
+                        P1: { responseHours: 0.25, resolutionHours: 2 },
+                        P2: { responseHours: 0.5, resolutionHours: 4 },
+                        P3: { responseHours: 2, resolutionHours: 12 },
+                        P4: { responseHours: 4, resolutionHours: 48 }
+                    },
+                    credits: [
+                        { availabilityBelow: 0.9995, creditRate: 0.10 },
+                        { availabilityBelow: 0.999, creditRate: 0.15 },
+                        { availabilityBelow: 0.995, creditRate: 0.25 }
+                    ],
+                    maxCreditRate: 0.25
+                }
+            },
+            assignments: {
+                support: { basic: 'bronze', standard: 'silver', enhanced: 'gold' },
+                enhancedSupport: { enhanced: 'gold', premium: 'platinum', enterprise: 'platinum' }
+            }
+        }
+    };
+
+    /**
+     * Currently active price book shared by every calculator instance
+     */
+    static active = null;
+
+    /**
+     * Deep copy of the shipped default price book
+     */
+    static createDefault() {
+        return PriceBook.clone(PriceBook.DEFAULT);
+    }
+
+    /**
+     * Get the active price book, falling back to the shipped default
+     */
+    static getActive() {
+        return PriceBook.active || PriceBook.DEFAULT;
+    }
+
+    /**
+     * Make a validated price book the active one for new calculators
+     */
+    static setActive(book) {
+        const validation = PriceBook.validate(book);
+        if (!validation.isValid) {
+            throw new Error(`Invalid price book: ${validation.errors.join('; ')}`);
+        }
+        PriceBook.active = PriceBook.clone(book);
+        return PriceBook.active;
+    }
+
+    /**
+     * Parse a price book from its JSON representation
+     */
+    static fromJSON(json) {
+        const book = typeof json === 'string' ? JSON.parse(json) : json;
+        const validation = PriceBook.validate(book);
+        if (!validation.isValid) {
+            throw new Error(`Invalid price book: ${validation.errors.join('; ')}`);
+        }
+        return PriceBook.clone(book);
+    }
+
+    /**
+     * Serialise a price book to JSON
+     */
+    static toJSON(book) {
+        return JSON.stringify(book, null, 2);
+    }
+
+    /**
+     * Validate price book header fields and pricing sections
+     */
+    static validate(book) {
+        const errors = [];
+
+        if (!book || typeof book !== 'object') {
+            return { isValid: false, errors: ['Price book must be an object'] };
+        }
+
+        if (typeof book.id !== 'string' || !book.id.trim()) {
+            errors.push('Price book id is required');
+        }
+        if (typeof book.version !== 'string' || !book.version.trim()) {
+            errors.push('Price book version is required');
+        }
+        if (typeof book.currency !== 'string' || !/^[A-Z]{3}$/.test(book.currency)) {
+            errors.push('Currency must be a three-letter ISO 4217 code');
+        }
+
+        const effectiveFrom = PriceBook.parseDate(book.effectiveFrom);
+        if (!effectiveFrom) {
+            errors.push('effectiveFrom must be an ISO date (YYYY-MM-DD)');
+        }
+        if (book.effectiveTo !== null && book.effectiveTo !== undefined) {
+            const effectiveTo = PriceBook.parseDate(book.effectiveTo);
+            if (!effectiveTo) {
+                errors.push('effectiveTo must be an ISO date (YYYY-MM-DD) or null');
+            } else if (effectiveFrom && effectiveTo < effectiveFrom) {
+                errors.push('effectiveTo must not be before effectiveFrom');
+            }
+        }
+
+        if (!book.rates || typeof book.rates !== 'object') {
+            errors.push('Rates section is required');
+        } else {
+            ['APR_RATE', 'CPI_RATE'].forEach(rate => {
+                const value = book.rates[rate];
+                if (typeof value !== 'number' || value < 0 || value > 1) {
+                    errors.push(`Rate ${rate} must be a number between 0 and 1`);
+                }
+            });
+        }
+
+        if (!book.pricing || typeof book.pricing !== 'object') {
+            errors.push('Pricing section is required');
+        } else {
+            PriceBook.REQUIRED_SECTIONS.forEach(section => {
+                if (!book.pricing[section] || typeof book.pricing[section] !== 'object') {
+                    errors.push(`Pricing section '${section}' is missing`);
+                } else {
+                    errors.push(...PriceBook.validateShape(
+                        book.pricing[section],
+                        PriceBook.DEFAULT.pricing[section],
+                        section
+                    ));
+                }
+            });
+
+            const prtg = book.pricing.prtg;
+            if (prtg && prtg.pricingMode !== undefined && !PriceBook.PRTG_PRICING_MODES.includes(prtg.pricingMode)) {
+                errors.push(`'prtg.pricingMode' must be one of ${PriceBook.PRTG_PRICING_MODES.join(', ')}`);
+            }
+            if (prtg && prtg.sensorBands) {
+                const ceilings = PriceBook.PRTG_SENSOR_TIERS.map(tier => prtg.sensorBands[tier]);
+                if (ceilings.some((ceiling, index) => !(ceiling > (index > 0 ? ceilings[index - 1] : 0)))) {
+                    errors.push("'prtg.sensorBands' ceilings must be positive and increase from one tier to the next");
+                }
+            }
+
+            const equipmentTypes = book.pricing.capital?.equipmentTypes;
+            if (equipmentTypes && typeof equipmentTypes === 'object') {
+                errors.push(...PriceBook.validateEquipmentLifecycle(equipmentTypes));
+            }
+
+            // Labour hours are billed at the support hourly rate card
+            const hourlyRates = book.pricing.support?.hourlyRates;
+            if (hourlyRates && typeof hourlyRates === 'object') {
+                Object.keys(hourlyRates).forEach(role => {
+                    if (typeof hourlyRates[role] !== 'number' || !(hourlyRates[role] > 0)) {
+                        errors.push(`'support.hourlyRates.${role}' must be a positive number`);
+                    }
+                });
+            }
+
+            if (book.pricing.labour !== undefined) {
+                errors.push(...PriceBook.validateLabour(book.pricing.labour));
+            }
+
+            if (book.pricing.compliance !== undefined) {
+                errors.push(...PriceBook.validateComplianceFrameworks(book.pricing.compliance));
+            }
+        }
+
+        // Price books saved before cost basis and guardrails were introduced fall back to the shipped ones
+        if (book.costBasis !== undefined) {
+            errors.push(...PriceBook.validateShape(book.costBasis, PriceBook.DEFAULT.costBasis, 'costBasis'));
+        }
+
+        if (book.guardrails !== undefined) {
+            errors.push(...PriceBook.validateShape(book.guardrails, PriceBook.DEFAULT.guardrails, 'guardrails'));
+            ['floorMarginRate', 'maxDiscountRate'].forEach(rate => {
+                if (book.guardrails && book.guardrails[rate] > 1) {
+                    errors.push(`'guardrails.${rate}' must be between 0 and 1`);
+                }
+            });
+        }
+
+        if (book.contingency !== undefined) {
+            errors.push(...PriceBook.validateShape(book.contingency, PriceBook.DEFAULT.contingency, 'contingency'));
+            Object.keys(book.contingency?.capRates || {}).forEach(level => {
+                if (book.contingency.capRates[level] > 1) {
+                    errors.push(`'contingency.capRates.${level}' must be between 0 and 1`);
+                }
+            });
+        }
+
+        if (book.regions !== undefined) {
+            errors.push(...PriceBook.validateRegions(book.regions));
+        }
+
+        if (book.hardware !== undefined) {
+            errors.push(...PriceBook.validateHardware(book.hardware));
+        }
+
+        if (book.slas !== undefined) {
+            errors.push(...PriceBook.validateSlas(book.slas));
+        }
+
+        // Books without discount rules use the shipped rule set
+        if (book.discountRules !== undefined) {
+            errors.push(...DiscountRules.validate(book.discountRules).errors.map(error => `discountRules: ${error}`));
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Cost basis of a price book, falling back to the shipped default
+     */
+    static getCostBasis(book) {
+        return book.costBasis || PriceBook.DEFAULT.costBasis;
+    }
+
+    /**
+     * Approval guardrails of a price book, falling back to the shipped default
+     */
+    static getGuardrails(book) {
+        return book.guardrails || PriceBook.DEFAULT.guardrails;
+    }
+
+    /**
+     * Validate pre-paid labour bundles: a name, positive minimum hours, a discount rate between 0
+     * and 1 and a whole number of months before the hours expire; the rollover rate is 0 to 1
+     */
+    static validateLabour(labour) {
+        const bundles = labour?.bundles;
+        if (!bundles || typeof bundles !== 'object' || Array.isArray(bundles)) {
+            return ["'labour.bundles' is missing"];
+        }
+
+        const errors = [];
+        if (typeof labour.rolloverRate !== 'number' || !(labour.rolloverRate >= 0 && labour.rolloverRate <= 1)) {
+            errors.push("'labour.rolloverRate' must be between 0 and 1");
+        }
+        Object.keys(bundles).forEach(id => {
+            const bundle = bundles[id];
+            const path = `labour.bundles.${id}`;
+            if (!bundle || typeof bundle !== 'object') {
+                errors.push(`'${path}' must be an object`);
+                return;
+            }
+            if (typeof bundle.name !== 'string' || !bundle.name.trim()) {
+                errors.push(`'${path}.name' must be a non-empty string`);
+            }
+            if (typeof bundle.minHours !== 'number' || !(bundle.minHours > 0)) {
+                errors.push(`'${path}.minHours' must be a positive number`);
+            }
+            if (typeof bundle.discountRate !== 'number' || !(bundle.discountRate >= 0 && bundle.discountRate <= 1)) {
+                errors.push(`'${path}.discountRate' must be between 0 and 1`);
+            }
+            if (!Number.isInteger(bundle.expiryMonths) || bundle.expiryMonths < 1) {
+                errors.push(`'${path}.expiryMonths' must be a positive whole number of months`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Validate compliance frameworks: a name, non-negative readiness and audit days and extra
+     * sensors, and a support uplift between 0 and 1
+     */
+    static validateComplianceFrameworks(compliance) {
+        const frameworks = compliance?.frameworks;
+        if (!frameworks || typeof frameworks !== 'object' || Array.isArray(frameworks)) {
+            return ["'compliance.frameworks' is missing"];
+        }
+
+        const errors = [];
+        Object.keys(frameworks).forEach(id => {
+            const framework = frameworks[id];
+            const path = `compliance.frameworks.${id}`;
+            if (!framework || typeof framework !== 'object') {
+                errors.push(`'${path}' must be an object`);
+                return;
+            }
+            if (typeof framework.name !== 'string' || !framework.name.trim()) {
+                errors.push(`'${path}.name' must be a non-empty string`);
+            }
+            ['readinessDays', 'auditDaysPerYear', 'extraSensors'].forEach(key => {
+                if (typeof framework[key] !== 'number' || !(framework[key] >= 0)) {
+                    errors.push(`'${path}.${key}' must be a non-negative number`);
+                }
+            });
+            if (typeof framework.supportUplift !== 'number' || !(framework.supportUplift >= 0 && framework.supportUplift <= 1)) {
+                errors.push(`'${path}.supportUplift' must be between 0 and 1`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Contingency caps by project complexity, falling back to the shipped default
+     */
+    static getContingency(book) {
+        return book.contingency || PriceBook.DEFAULT.contingency;
+    }
+
+    /**
+     * Region catalogue of a price book, falling back to the shipped default
+     */
+    static getRegions(book) {
+        return book.regions || PriceBook.DEFAULT.regions;
+    }
+
+    /**
+     * SLA tiers and their assignment to support levels, falling back to the shipped default
+     */
+    static getSlas(book) {
+        return book.slas || PriceBook.DEFAULT.slas;
+    }
+
+    /**
+     * Validate SLA tiers: an availability commitment above 0 and at most 1, response and
+     * resolution hours for every priority (response no later than resolution), credit bands and
+     * a cap between 0 and 1. Every assignment must name a defined tier.
+     */
+    static validateSlas(slas) {
+        const errors = [];
+
+        if (!slas || typeof slas !== 'object' || !slas.tiers || typeof slas.tiers !== 'object') {
+            return ["'slas.tiers' is missing"];
+        }
+        const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+
+        Object.entries(slas.tiers).forEach(([id, tier]) => {
+            const path = `slas.tiers.${id}`;
+            if (!tier || typeof tier !== 'object') {
+                errors.push(`'${path}' must be an object`);
+                return;
+            }
+            if (typeof tier.name !== 'string' || !tier.name.trim()) {
+                errors.push(`'${path}.name' must be a non-empty string`);
+            }
+            if (!isRate(tier.availability) || tier.availability === 0) {
+                errors.push(`'${path}.availability' must be above 0 and at most 1`);
+            }
+            PriceBook.SLA_PRIORITIES.forEach(priority => {
+                const target = tier.priorities?.[priority];
+                if (!target || !(target.responseHours > 0) || !(target.resolutionHours > 0)) {
+                    errors.push(`'${path}.priorities.${priority}' needs positive responseHours and resolutionHours`);
+                } else if (target.responseHours > target.resolutionHours) {
+                    errors.push(`'${path}.priorities.${priority}' response must not be later than resolution`);
+                }
+            });
+            if (!Array.isArray(tier.credits)) {
+                errors.push(`'${path}.credits' must be an array`);
+            } else {
+                tier.credits.forEach((band, index) => {
+                    if (!band || !isRate(band.availabilityBelow) || !isRate(band.creditRate)) {
+                        errors.push(`'${path}.credits.${index}' needs availabilityBelow and creditRate between 0 and 1`);
+                    }
+                });
+            }
+            if (!isRate(tier.maxCreditRate)) {
+                errors.push(`'${path}.maxCreditRate' must be between 0 and 1`);
+            }
+        });
+
+        Object.entries(slas.assignments || {}).forEach(([component, levels]) => {
+            Object.entries(levels || {}).forEach(([level, tier]) => {
+                if (!slas.tiers[tier]) {
+                    errors.push(`'slas.assignments.${component}.${level}' names unknown SLA tier '${tier}'`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Hardware buy discounts and sell uplifts of a price book, falling back to the shipped default
+     */
+    static getHardware(book) {
+        return book.hardware || PriceBook.DEFAULT.hardware;
+    }
+
+    /**
+     * Validate hardware rates: buy discounts between 0 and 1 (a discount of 1 would make the
+     * hardware free) and non-negative sell uplifts, each with a default and vendor/category overrides
+     */
+    static validateHardware(hardware) {
+        const errors = [];
+
+        if (!hardware || typeof hardware !== 'object') {
+            return ["'hardware' must be an object"];
+        }
+
+        [
+            { key: 'buyDiscounts', isValid: rate => rate >= 0 && rate < 1, message: 'must be at least 0 and below 1' },
+            { key: 'sellUplifts', isValid: rate => rate >= 0, message: 'must be a non-negative number' }
+        ].forEach(({ key, isValid, message }) => {
+            const rates = hardware[key];
+            const check = (rate, path) => {
+                if (typeof rate !== 'number' || !Number.isFinite(rate) || !isValid(rate)) {
+                    errors.push(`'${path}' ${message}`);
+                }
+            };
+
+            if (!rates || typeof rates !== 'object') {
+                errors.push(`'hardware.${key}' is missing`);
+                return;
+            }
+            check(rates.default, `hardware.${key}.default`);
+            ['vendors', 'categories'].forEach(group => {
+                if (rates[group] === undefined) return;
+                if (!rates[group] || typeof rates[group] !== 'object') {
+                    errors.push(`'hardware.${key}.${group}' must be an object`);
+                    return;
+                }
+                Object.entries(rates[group]).forEach(([name, rate]) => check(rate, `hardware.${key}.${group}.${name}`));
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate equipment lifecycles: a useful life is a whole number of months and the
+     * depreciation method one of DEPRECIATION_METHODS (both optional per SKU)
+     */
+    static validateEquipmentLifecycle(equipmentTypes) {
+        const errors = [];
+
+        Object.entries(equipmentTypes).forEach(([sku, item]) => {
+            if (!item || typeof item !== 'object') return;
+            const path = `capital.equipmentTypes.${sku}`;
+
+            if (item.usefulLifeMonths !== undefined && !(Number.isInteger(item.usefulLifeMonths) && item.usefulLifeMonths > 0)) {
+                errors.push(`'${path}.usefulLifeMonths' must be a positive whole number of months`);
+            }
+            if (item.depreciationMethod !== undefined && !PriceBook.DEPRECIATION_METHODS.includes(item.depreciationMethod)) {
+                errors.push(`'${path}.depreciationMethod' must be one of ${PriceBook.DEPRECIATION_METHODS.join(', ')}`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a region catalogue: every region needs a name, a positive labour
+     * multiplier and a tax rate between 0 and 1, and the default region must exist
+     */
+    static validateRegions(regions) {
+        const errors = [];
+
+        if (!regions || typeof regions !== 'object' || !regions.catalogue || typeof regions.catalogue !== 'object') {
+            return ["'regions.catalogue' is missing"];
+        }
+
+        Object.entries(regions.catalogue).forEach(([id, region]) => {
+            const path = `regions.catalogue.${id}`;
+            if (!region || typeof region !== 'object') {
+                errors.push(`'${path}' must be an object`);
+                return;
+            }
+            if (typeof region.name !== 'string' || !region.name.trim()) {
+                errors.push(`'${path}.name' must be a non-empty string`);
+            }
+            if (typeof region.labourMultiplier !== 'number' || !Number.isFinite(region.labourMultiplier) || region.labourMultiplier <= 0) {
+                errors.push(`'${path}.labourMultiplier' must be a positive number`);
+            }
+            if (typeof region.taxRate !== 'number' || region.taxRate < 0 || region.taxRate > 1) {
+                errors.push(`'${path}.taxRate' must be between 0 and 1`);
+            }
+            if (region.taxLabel !== undefined && typeof region.taxLabel !== 'string') {
+                errors.push(`'${path}.taxLabel' must be a string`);
+            }
+        });
+
+        if (!regions.catalogue[regions.defaultRegion]) {
+            errors.push(`Default region '${regions.defaultRegion}' is not in the region catalogue`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a pricing section against the shipped book so no tier or rate goes missing.
+     * Extra keys (e.g. new equipment types) are allowed; every reference key must be
+     * present with the same type, and prices must be finite, non-negative numbers.
+     */
+    static validateShape(value, reference, path) {
+        const errors = [];
+
+        if (typeof reference === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                errors.push(`'${path}' must be a non-negative number`);
+            }
+            return errors;
+        }
+
+        if (typeof reference === 'string') {
+            if (typeof value !== 'string' || !value.trim()) {
+                errors.push(`'${path}' must be a non-empty string`);
+            }
+            return errors;
+        }
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`'${path}' is missing`);
+            return errors;
+        }
+
+        Object.keys(reference).forEach(key => {
+            if (!(key in value)) {
+                if (PriceBook.isOptionalPricingKey(`${path}.${key}`)) return;
+                errors.push(`'${path}.${key}' is missing`);
+            } else {
+                errors.push(...PriceBook.validateShape(value[key], reference[key], `${path}.${key}`));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Whether a pricing key path may be left out of a saved book
+     */
+    static isOptionalPricingKey(path) {
+        const segments = path.split('.');
+        return PriceBook.OPTIONAL_PRICING_KEYS.some(pattern => {
+            const parts = pattern.split('.');
+            return parts.length === segments.length && parts.every((part, index) => part === '*' || part === segments[index]);
+        });
+    }
+
+    /**
+     * Check whether a price book is effective on the given date
+     */
+    static isEffective(book, date = new Date()) {
+        const day = PriceBook.parseDate(date instanceof Date ? date.toISOString().slice(0, 10) : date);
+        const from = PriceBook.parseDate(book.effectiveFrom);
+        const to = book.effectiveTo ? PriceBook.parseDate(book.effectiveTo) : null;
+
+        if (!day || !from) return false;
+        return day >= from && (!to || day <= to);
+    }
+
+    /**
+     * Pick the most recent price book effective on the given date
+     */
+    static selectEffective(books, date = new Date()) {
+        return books
+            .filter(book => PriceBook.isEffective(book, date))
+            .sort((a, b) => PriceBook.parseDate(b.effectiveFrom) - PriceBook.parseDate(a.effectiveFrom))[0] || null;
+    }
+
+    /**
+     * Lightweight reference stamped onto calculation results
+     */
+    static getReference(book) {
+        return {
+            id: book.id,
+            version: book.version,
+            currency: book.currency,
+            effectiveFrom: book.effectiveFrom
+        };
+    }
+
+    static parseDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return null;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    static clone(book) {
+        return JSON.parse(JSON.stringify(book));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceBook;
+} else {
+    window.PriceBook = PriceBook;
+}
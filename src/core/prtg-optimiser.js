@@ -0,0 +1,159 @@
+/**
+ * NaaS Pricing Calculator - PRTG Licence Optimiser
+ * Spots PRTG configurations sitting just past a licence tier or service threshold
+ */
+
+class PRTGOptimiser {
+    /**
+     * Device-table monitors in the order they are suggested for dropping (least valuable first)
+     */
+    static DROP_PRIORITY = [
+        'softwareVersion',
+        'loadAverage',
+        'swapMemory',
+        'physicalMemory',
+        'activeProcesses',
+        'sntp',
+        'https',
+        'sslCertificate',
+        'sslSecurity',
+        'connectedClients',
+        'connectedAPs',
+        'portTraffic',
+        'ram',
+        'cpuLoad',
+        'uptime',
+        'ping'
+    ];
+
+    constructor(calculator) {
+        this.calculator = calculator;
+    }
+
+    /**
+     * Inspect PRTG parameters for licence savings. Reports the nearest cheaper tier and its
+     * saving, the cost of the next tier up, and savings from trimming locations or alert
+     * recipients to what the monthly service includes. options.margin is the share of a tier
+     * ceiling counted as close to the boundary; options.monitors lists the ticked device-table
+     * monitors as { device, monitor, sensors } (one sensor when unset) to suggest drops from.
+     */
+    analyse(params, options = {}) {
+        const margin = options.margin ?? AppConfig.PRTG_TIER_MARGIN;
+        const current = this.calculator.calculatePRTG(params);
+        if (current.error) {
+            return { error: current.error, warnings: [], suggestedDrops: [] };
+        }
+
+        const { sensors, sensorTier: tier } = current.metadata;
+        const ceilings = this.calculator.getPRTGSensorBands();
+        const tiers = PriceBook.PRTG_SENSOR_TIERS;
+        const index = tiers.indexOf(tier);
+        const savingFrom = changes => this.getSaving(current, { ...params, ...changes });
+        const format = amount => this.calculator.formatCurrency(amount);
+
+        const result = {
+            sensors,
+            tier,
+            margin,
+            annualCost: current.totals.annual,
+            cheaperTier: null,
+            nextTier: null,
+            warnings: [],
+            suggestedDrops: []
+        };
+
+        // Nearest cheaper tier: the tier below, reached by trimming down to its ceiling
+        if (index > 0) {
+            const lowerTier = tiers[index - 1];
+            const ceiling = ceilings[lowerTier];
+            const saving = savingFrom({ sensors: ceiling });
+
+            if (saving.annual > 0) {
+                const sensorsToDrop = sensors - ceiling;
+                result.cheaperTier = { tier: lowerTier, ceiling, sensorsToDrop, annualSaving: saving.annual, termSaving: saving.term };
+
+                if (sensorsToDrop <= ceiling * margin) {
+                    result.suggestedDrops = PRTGOptimiser.suggestDrops(options.monitors || [], sensorsToDrop);
+                    result.warnings.push({
+                        type: 'above_boundary',
+                        message: `${sensorsToDrop} sensor${sensorsToDrop === 1 ? '' : 's'} over the ${ceiling}-sensor tier: dropping ${sensorsToDrop === 1 ? 'it' : 'them'} saves ${format(saving.annual)} a year`
+                    });
+                }
+            }
+        }
+
+        // Next tier up: warn when a few more sensors would tip the licence over
+        if (tier !== 'unlimited') {
+            const ceiling = ceilings[tier];
+            const headroom = ceiling - sensors;
+            const annualIncrease = -savingFrom({ sensors: ceiling + 1 }).annual;
+            result.nextTier = { tier: tiers[index + 1], ceiling, headroom, annualIncrease };
+
+            if (headroom <= ceiling * margin && annualIncrease > 0) {
+                result.warnings.push({
+                    type: 'below_boundary',
+                    message: `Only ${headroom} sensor${headroom === 1 ? '' : 's'} below the ${ceiling}-sensor ceiling: going over adds ${format(annualIncrease)} a year`
+                });
+            }
+        }
+
+        // Locations and alert recipients beyond what the monthly service includes scale it up
+        [
+            { key: 'locations', included: this.calculator.config.PRTG_INCLUDED_LOCATIONS, label: 'locations' },
+            { key: 'alertRecipients', included: this.calculator.config.PRTG_INCLUDED_ALERT_RECIPIENTS, label: 'alert recipients' }
+        ].forEach(({ key, included, label }) => {
+            const value = params[key] ?? this.calculator.config.defaults.prtg[key];
+            if (value > included) {
+                const saving = savingFrom({ [key]: included });
+                if (saving.annual > 0) {
+                    result.warnings.push({
+                        type: key,
+                        message: `${value} ${label} exceed the ${included} included: trimming to ${included} saves ${format(saving.annual)} a year`
+                    });
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Annual and term saving of an alternative PRTG configuration over the current one
+     */
+    getSaving(current, params) {
+        const alternative = this.calculator.calculatePRTG(params);
+        if (alternative.error) {
+            return { annual: 0, term: 0 };
+        }
+        return {
+            annual: this.calculator.roundToCents(current.totals.annual - alternative.totals.annual),
+            term: this.calculator.roundToCents(current.totals.termTotal - alternative.totals.termTotal)
+        };
+    }
+
+    /**
+     * Pick the ticked monitors to drop, least valuable first, until enough sensors are freed
+     */
+    static suggestDrops(monitors, count) {
+        const rank = monitor => {
+            const position = PRTGOptimiser.DROP_PRIORITY.indexOf(monitor.monitor);
+            return position === -1 ? PRTGOptimiser.DROP_PRIORITY.length : position;
+        };
+        const drops = [];
+        let freed = 0;
+
+        for (const monitor of [...monitors].sort((a, b) => rank(a) - rank(b))) {
+            if (freed >= count) break;
+            drops.push(monitor);
+            freed += monitor.sensors ?? 1;
+        }
+        return drops;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PRTGOptimiser;
+} else {
+    window.PRTGOptimiser = PRTGOptimiser;
+}
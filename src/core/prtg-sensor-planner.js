@@ -0,0 +1,363 @@
+/**
+ * NaaS Pricing Calculator - PRTG Sensor Planner
+ * Turns device quantities and a catalogue of device types and monitors into the PRTG sensor count
+ */
+
+class PRTGSensorPlanner {
+    /**
+     * Catalogue shipped with the application. monitors lists every monitor in device-table
+     * column order. Each device type has the monitors ticked by default and the sensors each
+     * monitor uses per device (1 unless listed); category links it to capital equipment
+     * categories and keywords match free-text equipment descriptions (see matchesKeyword).
+     * Device types are matched in catalogue order, so specific types go above general ones.
+     */
+    static DEFAULT_CATALOGUE = {
+        version: 1,
+        monitors: {
+            ping: 'Ping',
+            cpuLoad: 'CPU Load',
+            ram: 'RAM',
+            uptime: 'Uptime',
+            portTraffic: 'Port Traffic',
+            connectedAPs: 'Connected APs',
+            connectedClients: 'Connected Clients',
+            sslSecurity: 'SSL Security',
+            sslCertificate: 'SSL Certificate',
+            https: 'HTTPS',
+            sntp: 'SNTP',
+            activeProcesses: 'Active Processes',
+            physicalMemory: 'Physical Memory',
+            swapMemory: 'Swap Memory',
+            loadAverage: 'Load Average',
+            softwareVersion: 'Software Version'
+        },
+        deviceTypes: {
+            aruba_switch: {
+                name: 'HP Aruba Switches',
+                category: 'Switch',
+                keywords: ['aruba switch', 'cx'],
+                defaultQuantity: 1,
+                monitors: ['ping', 'cpuLoad', 'uptime', 'portTraffic'],
+                sensorsPerMonitor: { portTraffic: 4 }
+            },
+            clearpass: {
+                name: 'ClearPass',
+                keywords: ['clearpass'],
+                defaultQuantity: 1,
+                monitors: ['ram', 'uptime', 'portTraffic', 'connectedAPs', 'connectedClients', 'sslSecurity', 'sslCertificate',
+                    'https', 'sntp', 'activeProcesses', 'physicalMemory', 'swapMemory', 'loadAverage', 'softwareVersion'],
+                sensorsPerMonitor: {}
+            },
+            airwave: {
+                name: 'Airwave Management',
+                keywords: ['airwave'],
+                defaultQuantity: 1,
+                monitors: ['ping', 'uptime', 'https'],
+                sensorsPerMonitor: {}
+            },
+            aruba_controller: {
+                name: 'HP Aruba Wireless Controllers',
+                keywords: ['controller', 'gateway'],
+                defaultQuantity: 1,
+                monitors: ['ping', 'cpuLoad', 'uptime', 'connectedAPs', 'connectedClients'],
+                sensorsPerMonitor: {}
+            },
+            fortinet_firewall: {
+                name: 'Firewalls (Fortinet)',
+                category: 'Firewall',
+                keywords: ['fortinet', 'fortigate', 'firewall'],
+                defaultQuantity: 1,
+                monitors: ['ram', 'uptime', 'portTraffic', 'connectedAPs', 'connectedClients', 'sslSecurity', 'sslCertificate',
+                    'https', 'sntp', 'activeProcesses', 'physicalMemory', 'swapMemory', 'loadAverage', 'softwareVersion'],
+                sensorsPerMonitor: { portTraffic: 2 }
+            },
+            router: {
+                name: 'Routers',
+                category: 'Router',
+                keywords: ['router'],
+                defaultQuantity: 0,
+                monitors: ['ping', 'cpuLoad', 'uptime', 'portTraffic'],
+                sensorsPerMonitor: { portTraffic: 2 }
+            },
+            wireless_ap: {
+                name: 'Wireless Access Points',
+                category: 'Wireless',
+                keywords: ['access point', 'ap', 'wireless'],
+                defaultQuantity: 0,
+                monitors: ['ping', 'uptime', 'connectedClients'],
+                sensorsPerMonitor: {}
+            },
+            other_switch: {
+                name: 'Other (i.e. 3rd Party Switch)',
+                keywords: ['switch'],
+                defaultQuantity: 1,
+                monitors: ['ping', 'uptime'],
+                sensorsPerMonitor: { portTraffic: 4 }
+            }
+        }
+    };
+
+    /**
+     * Monitor and device type ids: a letter followed by letters, digits or underscores
+     */
+    static ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+    constructor(catalogue = PRTGSensorPlanner.DEFAULT_CATALOGUE) {
+        this.catalogue = null;
+        this.loadCatalogue(catalogue);
+    }
+
+    /**
+     * Load a catalogue, replacing the current one
+     */
+    loadCatalogue(catalogue) {
+        const validation = PRTGSensorPlanner.validate(catalogue);
+        if (!validation.isValid) {
+            throw new Error(`Invalid PRTG catalogue: ${validation.errors.join('; ')}`);
+        }
+        this.catalogue = PRTGSensorPlanner.clone(catalogue);
+        return this.catalogue;
+    }
+
+    get monitors() {
+        return this.catalogue.monitors;
+    }
+
+    get deviceTypes() {
+        return this.catalogue.deviceTypes;
+    }
+
+    /**
+     * Validate monitor labels and every device type's name, quantity, monitors and sensor counts
+     */
+    static validate(catalogue) {
+        const errors = [];
+
+        if (!catalogue || typeof catalogue !== 'object') {
+            return { isValid: false, errors: ['PRTG catalogue must be an object'] };
+        }
+
+        const monitors = catalogue.monitors;
+        if (!monitors || typeof monitors !== 'object' || Object.keys(monitors).length === 0) {
+            errors.push('At least one monitor is required');
+        } else {
+            Object.entries(monitors).forEach(([id, label]) => {
+                if (!PRTGSensorPlanner.ID_PATTERN.test(id)) {
+                    errors.push(`Monitor id '${id}' must start with a letter and use only letters, digits and underscores`);
+                }
+                if (typeof label !== 'string' || !label.trim()) {
+                    errors.push(`'monitors.${id}' must be a non-empty label`);
+                }
+            });
+        }
+
+        const deviceTypes = catalogue.deviceTypes;
+        if (!deviceTypes || typeof deviceTypes !== 'object' || Object.keys(deviceTypes).length === 0) {
+            errors.push('At least one device type is required');
+            return { isValid: false, errors };
+        }
+
+        const isMonitor = id => Boolean(monitors && typeof monitors === 'object' && Object.prototype.hasOwnProperty.call(monitors, id));
+        const isCount = value => Number.isInteger(value) && value >= 0;
+
+        Object.entries(deviceTypes).forEach(([type, deviceType]) => {
+            const path = `deviceTypes.${type}`;
+            if (!PRTGSensorPlanner.ID_PATTERN.test(type)) {
+                errors.push(`Device type id '${type}' must start with a letter and use only letters, digits and underscores`);
+            }
+            if (!deviceType || typeof deviceType !== 'object') {
+                errors.push(`'${path}' must be an object`);
+                return;
+            }
+            if (typeof deviceType.name !== 'string' || !deviceType.name.trim()) {
+                errors.push(`'${path}.name' must be a non-empty string`);
+            }
+            if (deviceType.category !== undefined && typeof deviceType.category !== 'string') {
+                errors.push(`'${path}.category' must be a string`);
+            }
+            if (deviceType.keywords !== undefined && (!Array.isArray(deviceType.keywords) ||
+                deviceType.keywords.some(keyword => PRTGSensorPlanner.words(keyword).length === 0))) {
+                errors.push(`'${path}.keywords' must be a list of words or phrases`);
+            }
+            if (deviceType.match !== undefined) {
+                errors.push(`'${path}.match' patterns are no longer supported, list keywords instead`);
+            }
+            if (!isCount(deviceType.defaultQuantity)) {
+                errors.push(`'${path}.defaultQuantity' must be a whole number of zero or more`);
+            }
+            if (!Array.isArray(deviceType.monitors)) {
+                errors.push(`'${path}.monitors' must be an array`);
+            } else {
+                deviceType.monitors.filter(id => !isMonitor(id)).forEach(id => {
+                    errors.push(`'${path}.monitors' lists unknown monitor '${id}'`);
+                });
+            }
+            if (!deviceType.sensorsPerMonitor || typeof deviceType.sensorsPerMonitor !== 'object') {
+                errors.push(`'${path}.sensorsPerMonitor' must be an object`);
+            } else {
+                Object.entries(deviceType.sensorsPerMonitor).forEach(([id, sensors]) => {
+                    if (!isMonitor(id)) {
+                        errors.push(`'${path}.sensorsPerMonitor' lists unknown monitor '${id}'`);
+                    } else if (!isCount(sensors)) {
+                        errors.push(`'${path}.sensorsPerMonitor.${id}' must be a whole number of zero or more`);
+                    }
+                });
+            }
+        });
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Parse a catalogue from its JSON representation
+     */
+    static fromJSON(json) {
+        const catalogue = typeof json === 'string' ? JSON.parse(json) : json;
+        const validation = PRTGSensorPlanner.validate(catalogue);
+        if (!validation.isValid) {
+            throw new Error(`Invalid PRTG catalogue: ${validation.errors.join('; ')}`);
+        }
+        return PRTGSensorPlanner.clone(catalogue);
+    }
+
+    /**
+     * Serialise a catalogue to JSON
+     */
+    static toJSON(catalogue) {
+        return JSON.stringify(catalogue, null, 2);
+    }
+
+    static clone(catalogue) {
+        return JSON.parse(JSON.stringify(catalogue));
+    }
+
+    /**
+     * Planner row for a device type with its default monitors
+     */
+    createRow(type, quantity = this.deviceTypes[type].defaultQuantity) {
+        return {
+            type,
+            quantity,
+            monitors: [...this.deviceTypes[type].monitors]
+        };
+    }
+
+    /**
+     * One row per device type at its default quantity
+     */
+    createDefaultRows() {
+        return Object.keys(this.deviceTypes).map(type => this.createRow(type));
+    }
+
+    /**
+     * Saved rows brought in line with the catalogue: one row per device type in catalogue
+     * order, keeping saved quantities and monitors. Types added since start at zero and
+     * rows for types no longer in the catalogue are dropped.
+     */
+    completeRows(rows = []) {
+        return Object.keys(this.deviceTypes).map(type => rows.find(row => row.type === type) || this.createRow(type, 0));
+    }
+
+    /**
+     * Sensors a single monitor uses on one device of the given type
+     */
+    getSensorsPerMonitor(type, monitor) {
+        return this.deviceTypes[type]?.sensorsPerMonitor[monitor] ?? 1;
+    }
+
+    /**
+     * Total the sensors of each row (quantity × sensors of its ticked monitors).
+     * Rows for unknown device types or monitors are ignored.
+     */
+    plan(rows = []) {
+        const planned = rows
+            .filter(row => this.deviceTypes[row.type])
+            .map(row => {
+                const quantity = Math.max(0, parseInt(row.quantity, 10) || 0);
+                const monitors = (row.monitors || []).filter(monitor => this.monitors[monitor]);
+                const sensorsPerDevice = monitors.reduce((total, monitor) => total + this.getSensorsPerMonitor(row.type, monitor), 0);
+                return {
+                    type: row.type,
+                    name: this.deviceTypes[row.type].name,
+                    quantity,
+                    monitors,
+                    sensorsPerDevice,
+                    sensors: quantity * sensorsPerDevice
+                };
+            });
+
+        return {
+            rows: planned,
+            totalSensors: planned.reduce((total, row) => total + row.sensors, 0)
+        };
+    }
+
+    /**
+     * Monitors of a plan as { device, monitor, sensors }, for suggesting which to drop
+     */
+    listMonitors(plan) {
+        return plan.rows.flatMap(row => row.monitors.map(monitor => ({
+            device: row.name,
+            monitor,
+            sensors: row.quantity * this.getSensorsPerMonitor(row.type, monitor)
+        }))).filter(entry => entry.sensors > 0);
+    }
+
+    /**
+     * Device type for a capital equipment item: by its catalogue category when it has a
+     * catalogue SKU, otherwise by matching its description. Returns null when unmonitored.
+     */
+    classifyEquipment(item, equipmentTypes = {}) {
+        const category = item.category || equipmentTypes[item.sku]?.category;
+        const byCategory = Object.keys(this.deviceTypes)
+            .find(type => category && this.deviceTypes[type].category === category);
+        if (byCategory) return byCategory;
+
+        const words = PRTGSensorPlanner.words(item.description);
+        return Object.keys(this.deviceTypes).find(type => (this.deviceTypes[type].keywords || [])
+            .some(keyword => PRTGSensorPlanner.matchesKeyword(words, keyword))) || null;
+    }
+
+    /**
+     * Whether description words contain every word of a keyword, each as a whole word in the
+     * singular or plural: 'aruba switch' matches 'Aruba 2930F Switches' but 'ap' not 'Appliance'
+     */
+    static matchesKeyword(words, keyword) {
+        const terms = PRTGSensorPlanner.words(keyword);
+        return terms.length > 0 && terms.every(term =>
+            words.some(word => word === term || word === `${term}s` || word === `${term}es`));
+    }
+
+    /**
+     * Lower-case words of a text, splitting letters from digits so 'CX6300' gives 'cx' and '6300'
+     */
+    static words(text) {
+        return typeof text === 'string' ? text.toLowerCase().match(/[a-z]+|\d+/g) || [] : [];
+    }
+
+    /**
+     * Planner rows with quantities taken from the capital equipment list. Every device type
+     * gets a row; types with no matching equipment start at zero. Returns null when nothing
+     * in the list is a monitored device.
+     */
+    seedFromEquipment(equipment = [], equipmentTypes = {}) {
+        const quantities = {};
+        equipment.forEach(item => {
+            const type = this.classifyEquipment(item, equipmentTypes);
+            if (type) {
+                quantities[type] = (quantities[type] || 0) + (parseInt(item.quantity, 10) || 1);
+            }
+        });
+
+        if (Object.keys(quantities).length === 0) return null;
+
+        return Object.keys(this.deviceTypes).map(type => this.createRow(type, quantities[type] || 0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PRTGSensorPlanner;
+} else {
+    window.PRTGSensorPlanner = PRTGSensorPlanner;
+}
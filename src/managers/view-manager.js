@@ -13,7 +13,8 @@ class ViewManager {
             dashboard: 'Overview of available components and recent quotes',
             components: 'Configure individual pricing components',
             wizard: 'Step-by-step comprehensive quote builder',
-            history: 'View and manage saved quotes'
+            history: 'View and manage saved quotes',
+            pricing: 'Edit, preview and publish price books'
         };
 
         // View names for announcements
@@ -21,7 +22,8 @@ class ViewManager {
             dashboard: 'Dashboard view',
             components: 'Components view',
             wizard: 'Full Quote Builder view',
-            history: 'Quote History view'
+            history: 'Quote History view',
+            pricing: 'Price Book Editor view'
         };
     }
 
@@ -109,6 +111,9 @@ class ViewManager {
 
             // View-specific initialization
             switch (viewName) {
+                case 'dashboard':
+                    this.app.financialAnalysisPanel?.render();
+                    break;
                 case 'components':
                     this.app.initializeComponentsView();
                     break;
@@ -120,6 +125,10 @@ class ViewManager {
                 case 'history':
                     this.app.loadHistory();
                     break;
+                case 'pricing':
+                    this.app.pricingEditor?.initialize();
+                    this.app.prtgCatalogueEditor?.initialize();
+                    break;
             }
 
         } catch (error) {
@@ -283,7 +292,7 @@ class ViewManager {
      * @param {string} viewName - The view name to show on Enter/Space
      */
     handleTabNavigation(e, viewName) {
-        const tabs = ['dashboard', 'components', 'wizard', 'history'];
+        const tabs = ['dashboard', 'components', 'wizard', 'history', 'pricing'];
         const currentIndex = tabs.indexOf(viewName);
 
         switch (e.key) {
@@ -325,7 +334,7 @@ class ViewManager {
 
             case 'End':
                 e.preventDefault();
-                document.getElementById('historyBtn')?.focus();
+                document.getElementById('pricingBtn')?.focus();
                 break;
         }
     }
@@ -369,6 +378,14 @@ class ViewManager {
             this.handleTabNavigation(e, 'history');
         });
 
+        const pricingBtn = document.getElementById('pricingBtn');
+        this.app.addManagedEventListener(pricingBtn, 'click', () => {
+            this.showView('pricing');
+        });
+        this.app.addManagedEventListener(pricingBtn, 'keydown', (e) => {
+            this.handleTabNavigation(e, 'pricing');
+        });
+
         // Mobile menu toggle
         const mobileMenuBtn = document.getElementById('mobileMenuBtn');
         this.app.addManagedEventListener(mobileMenuBtn, 'click', () => {
@@ -402,6 +419,12 @@ class ViewManager {
             this.hideMobileMenu();
         });
 
+        const mobilePricingBtn = document.getElementById('mobilePricingBtn');
+        this.app.addManagedEventListener(mobilePricingBtn, 'click', () => {
+            this.showView('pricing');
+            this.hideMobileMenu();
+        });
+
         // Global keyboard navigation
         this.app.addManagedEventListener(document, 'keydown', (e) => {
             // Escape to close mobile menu
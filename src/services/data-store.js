@@ -48,7 +48,15 @@ class QuoteDataStore {
                 sites: 1,
                 primaryLocation: '',
                 totalUsers: 100,
-                complexity: 'medium'
+                complexity: AppConfig.DEFAULT_PROJECT_COMPLEXITY,
+                currency: AppConfig.DEFAULT_CURRENCY,
+                contractTermMonths: AppConfig.DEFAULT_TERM_MONTHS,
+                customerDiscountRate: AppConfig.DEFAULT_CUSTOMER_DISCOUNT_RATE,
+                customerSegment: AppConfig.DEFAULT_CUSTOMER_SEGMENT,
+                region: null,
+                manualAdjustment: 0,
+                riskRegister: [],
+                approval: null
             },
             components: {
                 help: componentDefaults(),
@@ -60,6 +68,8 @@ class QuoteDataStore {
                 assessment: componentDefaults(),
                 admin: componentDefaults(),
                 otherCosts: componentDefaults(),
+                labour: componentDefaults(),
+                compliance: componentDefaults(),
                 enhancedSupport: componentDefaults(),
                 dynamics1Year: componentDefaults(),
                 dynamics3Year: componentDefaults(),
@@ -234,9 +244,55 @@ class QuoteDataStore {
         }
 
         if (projectData.complexity !== undefined) {
-            const validComplexity = ['low', 'medium', 'high'];
-            validated.complexity = validComplexity.includes(projectData.complexity) ?
-                projectData.complexity : 'medium';
+            validated.complexity = AppConfig.PROJECT_COMPLEXITY_LEVELS.includes(projectData.complexity) ?
+                projectData.complexity : AppConfig.DEFAULT_PROJECT_COMPLEXITY;
+        }
+
+        if (projectData.currency !== undefined) {
+            validated.currency = AppConfig.SUPPORTED_CURRENCIES.includes(projectData.currency) ?
+                projectData.currency : AppConfig.DEFAULT_CURRENCY;
+        }
+
+        if (projectData.customerSegment !== undefined) {
+            validated.customerSegment = AppConfig.CUSTOMER_SEGMENTS.includes(projectData.customerSegment) ?
+                projectData.customerSegment : AppConfig.DEFAULT_CUSTOMER_SEGMENT;
+        }
+
+        // Delivery region id from the price book's region catalogue; null uses the book's default
+        if (projectData.region !== undefined) {
+            validated.region = projectData.region ? this.sanitizeString(projectData.region, AppConfig.MAX_STRING_LENGTH_MEDIUM) : null;
+        }
+
+        // Whole-quote manual discount (negative for a markup), applied after automatic discounts
+        if (projectData.manualAdjustment !== undefined) {
+            validated.manualAdjustment = this.validateAdjustment(projectData.manualAdjustment);
+        }
+
+        // Delivery risks priced into the quote's contingency line
+        if (projectData.riskRegister !== undefined) {
+            validated.riskRegister = this.validateRiskRegister(projectData.riskRegister);
+        }
+
+        // Approval of a quote that breaches the pricing guardrails, tied to the quote fingerprint
+        if (projectData.approval !== undefined) {
+            const approval = projectData.approval;
+            validated.approval = approval && typeof approval === 'object' && typeof approval.fingerprint === 'string' ? {
+                approvedBy: this.sanitizeString(approval.approvedBy, AppConfig.MAX_STRING_LENGTH_SHORT),
+                approvedAt: this.sanitizeString(approval.approvedAt, AppConfig.MAX_STRING_LENGTH_MEDIUM),
+                fingerprint: this.sanitizeString(approval.fingerprint, AppConfig.MAX_STRING_LENGTH_MEDIUM)
+            } : null;
+        }
+
+        if (projectData.contractTermMonths !== undefined) {
+            const termMonths = parseInt(projectData.contractTermMonths, 10);
+            validated.contractTermMonths = AppConfig.CONTRACT_TERM_OPTIONS.includes(termMonths) ?
+                termMonths : AppConfig.DEFAULT_TERM_MONTHS;
+        }
+
+        if (projectData.customerDiscountRate !== undefined) {
+            const rate = parseFloat(projectData.customerDiscountRate);
+            validated.customerDiscountRate = Number.isFinite(rate) && rate >= 0 && rate <= 1 ?
+                rate : AppConfig.DEFAULT_CUSTOMER_DISCOUNT_RATE;
         }
 
         // Numeric validation
@@ -254,6 +310,30 @@ class QuoteDataStore {
         return { ...this.data.project };
     }
 
+    /**
+     * Options for NaaSCalculator.calculateCombinedQuote taken from the project settings
+     */
+    getQuoteOptions() {
+        return QuoteDataStore.buildQuoteOptions(this.data.project);
+    }
+
+    /**
+     * Quote options from project settings; the one place that maps project fields to options
+     */
+    static buildQuoteOptions(project = {}) {
+        return {
+            currency: project.currency,
+            termMonths: project.contractTermMonths,
+            segment: project.customerSegment,
+            region: project.region,
+            manualAdjustment: project.manualAdjustment,
+            approval: project.approval,
+            complexity: project.complexity,
+            risks: project.riskRegister,
+            discountRate: project.customerDiscountRate
+        };
+    }
+
     // Component data methods with validation
     updateComponent(type, componentData) {
         try {
@@ -315,9 +395,47 @@ class QuoteDataStore {
             }
         }
 
+        // Per-component manual discount (negative for a markup)
+        if (componentData.manualAdjustment !== undefined) {
+            validated.manualAdjustment = this.validateAdjustment(componentData.manualAdjustment);
+        }
+
         return validated;
     }
 
+    /**
+     * Manual adjustment rate between -1 (100% markup) and 1 (100% discount), 0 when invalid
+     */
+    validateAdjustment(value) {
+        const rate = parseFloat(value);
+        return Number.isFinite(rate) && rate >= -1 && rate <= 1 ? rate : 0;
+    }
+
+    /**
+     * Risk register entries with a name, a probability between 0 and 1, a non-negative impact
+     * and a mitigation cost (null when the risk cannot be mitigated)
+     */
+    validateRiskRegister(risks) {
+        if (!Array.isArray(risks)) return [];
+
+        const amountOf = value => {
+            const amount = parseFloat(value);
+            return Number.isFinite(amount) && amount >= 0 ? amount : null;
+        };
+        return risks
+            .filter(risk => risk && typeof risk === 'object')
+            .slice(0, AppConfig.MAX_ARRAY_SIZE_SHORT)
+            .map(risk => {
+                const probability = parseFloat(risk.probability);
+                return {
+                    name: this.sanitizeString(risk.name, AppConfig.MAX_STRING_LENGTH_SHORT),
+                    probability: Number.isFinite(probability) && probability >= 0 && probability <= 1 ? probability : 0,
+                    impact: amountOf(risk.impact) ?? 0,
+                    mitigationCost: amountOf(risk.mitigationCost)
+                };
+            });
+    }
+
     /**
      * Validate business rules for component interactions
      */
@@ -364,10 +482,16 @@ class QuoteDataStore {
         this.updateComponent(type, { enabled });
     }
 
-    // Update component parameters
+    // Update component parameters; a null or undefined value removes that parameter
     updateComponentParams(type, params) {
         const currentData = this.getComponent(type);
-        this.updateComponent(type, { ...currentData, params: { ...currentData.params, ...params } });
+        const merged = { ...currentData.params, ...params };
+        Object.keys(params).forEach(key => {
+            if (params[key] === null || params[key] === undefined) {
+                delete merged[key];
+            }
+        });
+        this.updateComponent(type, { ...currentData, params: merged });
     }
 
     // Get all enabled components
@@ -391,7 +515,15 @@ class QuoteDataStore {
                 sites: 1,
                 primaryLocation: '',
                 totalUsers: 100,
-                complexity: 'medium'
+                complexity: AppConfig.DEFAULT_PROJECT_COMPLEXITY,
+                currency: AppConfig.DEFAULT_CURRENCY,
+                contractTermMonths: AppConfig.DEFAULT_TERM_MONTHS,
+                customerDiscountRate: AppConfig.DEFAULT_CUSTOMER_DISCOUNT_RATE,
+                customerSegment: AppConfig.DEFAULT_CUSTOMER_SEGMENT,
+                region: null,
+                manualAdjustment: 0,
+                riskRegister: [],
+                approval: null
             },
             components: {
                 help: { enabled: false, params: {} },
@@ -403,6 +535,8 @@ class QuoteDataStore {
                 assessment: { enabled: false, params: {} },
                 admin: { enabled: false, params: {} },
                 otherCosts: { enabled: false, params: {} },
+                labour: { enabled: false, params: {} },
+                compliance: { enabled: false, params: {} },
                 enhancedSupport: { enabled: false, params: {} },
                 dynamics1Year: { enabled: false, params: {} },
                 dynamics3Year: { enabled: false, params: {} },
@@ -451,8 +585,8 @@ class QuoteDataStore {
                 sanitized[key] = value;
             } else if (Array.isArray(value) && value.length < AppConfig.MAX_ARRAY_SIZE) {
                 sanitized[key] = value.slice(0, AppConfig.MAX_ARRAY_SIZE_SHORT); // Limit array size
-            } else if (typeof value === 'object') {
-                sanitized[key] = this.sanitizeObject(value, maxDepth - 1);
+            } else if (value !== null && typeof value === 'object') {
+                sanitized[key] = this.sanitizeObject(value, maxDepth - 1); // null values are left out
             }
         }
         return sanitized;
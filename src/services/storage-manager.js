@@ -16,7 +16,8 @@ class StorageManager {
             quotes: 'quotes',
             components: 'components',
             history: 'history',
-            settings: 'settings'
+            settings: 'settings',
+            priceBooks: 'priceBooks'
         };
 
         // Concurrency control
@@ -263,6 +264,15 @@ class StorageManager {
                         keyPath: 'key'
                     });
                 }
+
+                // Price books store - for draft and published rate cards
+                if (!db.objectStoreNames.contains(this.stores.priceBooks)) {
+                    const priceBooksStore = db.createObjectStore(this.stores.priceBooks, {
+                        keyPath: 'key'
+                    });
+                    priceBooksStore.createIndex('status', 'status', { unique: false });
+                    priceBooksStore.createIndex('timestamp', 'timestamp', { unique: false });
+                }
             };
         });
     }
@@ -371,7 +381,7 @@ class StorageManager {
     }
 
     /**
-     * Save setting
+     * Save (insert or replace) a setting
      */
     async setSetting(key, value) {
         const setting = {
@@ -381,7 +391,7 @@ class StorageManager {
         };
 
         if (this.isIndexedDBSupported && this.db) {
-            return this.saveToIndexedDB(this.stores.settings, setting);
+            return this.putToIndexedDB(this.stores.settings, setting);
         } else {
             localStorage.setItem(`naas_setting_${key}`, JSON.stringify(setting));
             return setting;
@@ -389,17 +399,66 @@ class StorageManager {
     }
 
     /**
-     * Get setting
+     * Get setting value, or null when it has never been saved
      */
     async getSetting(key) {
         if (this.isIndexedDBSupported && this.db) {
-            return this.getFromIndexedDB(this.stores.settings, key);
+            const setting = await this.getFromIndexedDB(this.stores.settings, key);
+            return setting ? setting.value : null;
         } else {
             const stored = localStorage.getItem(`naas_setting_${key}`);
             return stored ? JSON.parse(stored).value : null;
         }
     }
 
+    /**
+     * Save (insert or replace) a price book record keyed by id@version
+     */
+    async savePriceBook(record) {
+        const priceBook = {
+            ...record,
+            key: record.key || `${record.book.id}@${record.book.version}`,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.isIndexedDBSupported && this.db) {
+            return this.putToIndexedDB(this.stores.priceBooks, priceBook);
+        } else {
+            const priceBooks = this.getPriceBooksFromLocalStorage().filter(item => item.key !== priceBook.key);
+            priceBooks.unshift(priceBook);
+            localStorage.setItem(AppConfig.LOCALSTORAGE_KEY_PRICE_BOOKS, JSON.stringify(priceBooks));
+            return priceBook;
+        }
+    }
+
+    /**
+     * Get price book records, optionally filtered by status (draft/published)
+     */
+    async getPriceBooks(options = {}) {
+        const { status } = options;
+
+        const records = this.isIndexedDBSupported && this.db ?
+            await this.getAllFromIndexedDB(this.stores.priceBooks) :
+            this.getPriceBooksFromLocalStorage();
+
+        return records
+            .filter(record => !status || record.status === status)
+            .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    }
+
+    /**
+     * Delete a price book record
+     */
+    async deletePriceBook(key) {
+        if (this.isIndexedDBSupported && this.db) {
+            return this.deleteFromIndexedDB(this.stores.priceBooks, key);
+        } else {
+            const priceBooks = this.getPriceBooksFromLocalStorage().filter(item => item.key !== key);
+            localStorage.setItem(AppConfig.LOCALSTORAGE_KEY_PRICE_BOOKS, JSON.stringify(priceBooks));
+            return true;
+        }
+    }
+
     /**
      * Get quotes with optional filtering
      */
@@ -584,6 +643,94 @@ class StorageManager {
         });
     }
 
+    async putToIndexedDB(storeName, data) {
+        return this.queueOperation(async () => {
+            if (!this.db || this.connectionState !== 'connected') {
+                throw new Error('Database not available');
+            }
+
+            return new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+
+                transaction.onerror = (event) => {
+                    this.handleTransactionError('Transaction failed during put', event.target.error);
+                    reject(new Error(`Transaction failed for ${storeName}: ${event.target.error?.message || 'Unknown error'}`));
+                };
+
+                try {
+                    const store = transaction.objectStore(storeName);
+                    const request = store.put(data);
+
+                    request.onsuccess = () => {
+                        resolve(data);
+                    };
+
+                    request.onerror = () => {
+                        this.handleTransactionError('Put request failed', request.error);
+                        reject(new Error(`Failed to put to ${storeName}: ${request.error?.message || 'Put failed'}`));
+                    };
+                } catch (error) {
+                    this.handleTransactionError('Exception during put operation', error);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    async getAllFromIndexedDB(storeName) {
+        return this.queueOperation(async () => {
+            if (!this.db || this.connectionState !== 'connected') {
+                throw new Error('Database not available');
+            }
+
+            return new Promise((resolve, reject) => {
+                try {
+                    const transaction = this.db.transaction([storeName], 'readonly');
+                    const request = transaction.objectStore(storeName).getAll();
+
+                    request.onsuccess = () => {
+                        resolve(request.result || []);
+                    };
+
+                    request.onerror = () => {
+                        this.handleTransactionError('GetAll request failed', request.error);
+                        reject(new Error(`Failed to read ${storeName}: ${request.error?.message || 'GetAll failed'}`));
+                    };
+                } catch (error) {
+                    this.handleTransactionError('Exception during getAll operation', error);
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    async deleteFromIndexedDB(storeName, key) {
+        return this.queueOperation(async () => {
+            if (!this.db || this.connectionState !== 'connected') {
+                throw new Error('Database not available');
+            }
+
+            return new Promise((resolve, reject) => {
+                try {
+                    const transaction = this.db.transaction([storeName], 'readwrite');
+                    const request = transaction.objectStore(storeName).delete(key);
+
+                    request.onsuccess = () => {
+                        resolve(true);
+                    };
+
+                    request.onerror = () => {
+                        this.handleTransactionError('Delete request failed', request.error);
+                        reject(new Error(`Failed to delete from ${storeName}: ${request.error?.message || 'Delete failed'}`));
+                    };
+                } catch (error) {
+                    this.handleTransactionError('Exception during delete operation', error);
+                    reject(error);
+                }
+            });
+        });
+    }
+
     getQuotesFromIndexedDB(options) {
         return this.queueOperation(async () => {
             if (!this.db || this.connectionState !== 'connected') {
@@ -748,11 +895,21 @@ class StorageManager {
         }
     }
 
+    getPriceBooksFromLocalStorage() {
+        try {
+            const stored = localStorage.getItem(AppConfig.LOCALSTORAGE_KEY_PRICE_BOOKS);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.error('Failed to get price books from localStorage:', error);
+            return [];
+        }
+    }
+
     cleanupLocalStorage() {
         const keys = Object.keys(localStorage);
         keys.forEach(key => {
             if (key.startsWith('naas_') &&
-                !['naas_quotes_list', 'naas_components_list'].includes(key)) {
+                !['naas_quotes_list', 'naas_components_list', AppConfig.LOCALSTORAGE_KEY_PRICE_BOOKS].includes(key)) {
                 localStorage.removeItem(key);
             }
         });
@@ -29,7 +29,7 @@ export class DataValidator {
       properties: {
         id: { type: 'string', minLength: 1 },
         name: { type: 'string', minLength: 1 },
-        type: { type: 'string', enum: ['prtg', 'capital', 'support', 'onboarding', 'assessment', 'admin', 'otherCosts', 'enhancedSupport'] },
+        type: { type: 'string', enum: ['prtg', 'capital', 'support', 'onboarding', 'assessment', 'admin', 'otherCosts', 'labour', 'compliance', 'enhancedSupport'] },
         params: { type: 'object' },
         results: { type: 'object' },
         timestamp: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}' }
@@ -0,0 +1,25 @@
+/**
+ * NaaS Pricing Calculator - HTML Escaping
+ * Escapes user-editable text (catalogue names, risk names, price book fields) for HTML templates
+ */
+
+class HTMLEscape {
+    /**
+     * Escape a value for use in element content or a quoted attribute; null and undefined give ''
+     */
+    static escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTMLEscape;
+} else {
+    window.HTMLEscape = HTMLEscape;
+}
@@ -12,7 +12,7 @@ class ImportExportManager {
 
         // Initialize validator with error handling
         try {
-            this.validator = new ImportValidator();
+            this.validator = new ImportValidator(calculator);
         } catch (error) {
             console.error('Failed to initialize import validator:', error);
             this.validator = null;
@@ -399,11 +399,11 @@ class ImportExportManager {
                 
             case 'capital':
                 // For capital equipment, expect multiple rows
-                params.equipment = data.map(row => ({
-                    type: row.type || row.Type || 'router_small',
-                    quantity: parseInt(row.quantity || row.Quantity) || 1,
-                    customCost: parseFloat(row.cost || row.Cost) || null
-                }));
+                params.equipment = data.map(row => this.createEquipmentLine(
+                    row.sku || row.SKU || row.type || row.Type || row.description || row.Description,
+                    parseInt(row.quantity || row.Quantity) || 1,
+                    parseFloat(row.cost || row.Cost || row.unitCost || row['Unit Cost']) || null
+                ));
                 break;
                 
             case 'support':
@@ -495,27 +495,30 @@ class ImportExportManager {
         // Look for equipment data in rows
         for (const row of jsonData) {
             if (row.length >= 3 && typeof row[0] === 'string') {
-                const type = row[0].toLowerCase().replace(/\s+/g, '_');
-                const quantity = parseInt(row[1]) || 1;
-                const cost = parseFloat(row[2]) || null;
-                
-                // Try to match to known equipment types
-                const knownTypes = Object.keys(this.calculator.pricingData.capital.equipmentTypes);
-                const matchedType = knownTypes.find(t => 
-                    t.includes(type) || type.includes(t.split('_')[0])
-                ) || 'router_small';
-                
-                equipment.push({
-                    type: matchedType,
-                    quantity,
-                    customCost: cost
-                });
+                equipment.push(this.createEquipmentLine(row[0], parseInt(row[1]) || 1, parseFloat(row[2]) || null));
             }
         }
         
         return equipment;
     }
 
+    /**
+     * Capital line for an imported row: a catalogue SKU when the first cell names one,
+     * otherwise a custom item described by that cell. A cost on the row overrides list price.
+     */
+    createEquipmentLine(reference, quantity, cost) {
+        const text = String(reference || '').trim();
+        const sku = text.toLowerCase().replace(/\s+/g, '_');
+        const line = this.calculator.getEquipmentItem(sku) ?
+            { sku, quantity } :
+            { description: text || 'Imported Equipment', quantity };
+
+        if (cost !== null) {
+            line.unitCost = cost;
+        }
+        return line;
+    }
+
     applyImportedData(importedData) {
         // Apply imported data to appropriate components
         Object.keys(importedData).forEach(componentType => {
@@ -552,6 +555,10 @@ class ImportExportManager {
             } else if (exportType === 'csv') {
                 this.exportCSV(includeCurrent, includeHistory, includeComponents);
             } else if (exportType === 'pdf') {
+                if (this.isPDFExportBlocked()) {
+                    this.showNotification('This quote breaches the pricing guardrails and must be approved before exporting to PDF.', 'error');
+                    return;
+                }
                 this.exportPDF(includeCurrent, includeHistory, includeComponents);
             }
 
@@ -568,6 +575,7 @@ class ImportExportManager {
 
         if (includeCurrent) {
             this.addCurrentQuoteToWorkbook(wb);
+            this.addCashFlowToWorkbook(wb);
         }
 
         if (includeComponents) {
@@ -588,13 +596,18 @@ class ImportExportManager {
 
     addCurrentQuoteToWorkbook(wb) {
         const currentData = this.getCurrentQuoteData();
+        const termLabel = this.calculator.getTermLabel(currentData.term.months);
         
         // Summary sheet
         const summaryData = [
             ['NaaS Pricing Quote Summary'],
             ['Generated:', new Date().toLocaleDateString()],
+            ['Price Book:', this.formatPriceBookReference(currentData.priceBook)],
+            ['Currency:', currentData.currency.code],
+            ['FX Rate:', this.formatExchangeRate(currentData.currency)],
+            ['Contract Term:', `${currentData.term.months} months`],
             [''],
-            ['Component', 'One-time Cost', 'Monthly Cost', 'Annual Cost', '3-Year Total']
+            ['Component', 'One-time Cost', 'Monthly Cost', 'Annual Cost', '3-Year Total', termLabel]
         ];
 
         Object.keys(currentData.components || {}).forEach(componentType => {
@@ -605,12 +618,49 @@ class ImportExportManager {
                 component.totals.oneTime,
                 component.totals.monthly,
                 component.totals.annual,
-                component.totals.threeYear
+                component.totals.threeYear,
+                component.totals.termTotal
             ]);
         });
 
+        // Risk contingency is a one-time line of its own, outside every component
+        const contingency = currentData.contingency;
+        if (contingency.amount > 0) {
+            summaryData.push(['Risk Contingency', contingency.amount, 0, 0, contingency.amount, contingency.amount]);
+        }
+
         summaryData.push(['']);
-        summaryData.push(['TOTALS', currentData.totals.oneTime, currentData.totals.monthly, currentData.totals.annual, currentData.totals.threeYear]);
+        summaryData.push(['TOTALS', currentData.totals.oneTime, currentData.totals.monthly, currentData.totals.annual, currentData.totals.threeYear, currentData.totals.termTotal]);
+
+        // Tax is itemised separately; the totals above are net of tax
+        const tax = currentData.tax;
+        summaryData.push([this.calculator.describeTax(tax), tax.amounts.oneTime, tax.amounts.monthly, tax.amounts.annual, '', tax.amounts.termTotal]);
+        summaryData.push(['TOTALS INCL. TAX', currentData.totalsWithTax.oneTime, currentData.totalsWithTax.monthly, currentData.totalsWithTax.annual, '', currentData.totalsWithTax.termTotal]);
+
+        // Discount rules that fired, with what each saves
+        summaryData.push(['']);
+        summaryData.push(['Discount', 'Rate', 'Monthly Saving', 'Annual Saving', 'Term Saving']);
+        currentData.discounts.reasons.forEach(reason => {
+            summaryData.push([reason.name, this.formatDiscountValue(reason, currentData.currency.code), reason.amounts.monthly ?? '', reason.amounts.annual ?? '', reason.amounts.term ?? '']);
+        });
+
+        // Risk register behind the contingency line
+        if (contingency.risks.length > 0) {
+            summaryData.push(['']);
+            summaryData.push(['Risk', 'Probability', 'Impact', 'Mitigation Cost', 'Expected Loss', 'Treatment', 'Contingency']);
+            contingency.risks.forEach(risk => {
+                summaryData.push([risk.name, `${(risk.probability * 100).toFixed(1)}%`, risk.impact, risk.mitigationCost ?? '', risk.expectedLoss, risk.treatment, risk.amount]);
+            });
+            summaryData.push(['Expected Value', '', '', '', '', '', contingency.expectedValue]);
+            summaryData.push([`Cap (${(contingency.capRate * 100).toFixed(1)}% for ${contingency.complexity})`, '', '', '', '', '', contingency.cap]);
+        }
+
+        // Per-year rows over the contract term
+        summaryData.push(['']);
+        summaryData.push(['Year', 'Months', 'One-time Cost', 'Recurring Cost', 'Discount', 'Total']);
+        currentData.term.years.forEach(row => {
+            summaryData.push([`Year ${row.year}`, row.months, row.oneTime, row.recurring, row.discount, row.total]);
+        });
 
         const summaryWs = XLSX.utils.aoa_to_sheet(summaryData);
         XLSX.utils.book_append_sheet(wb, summaryWs, 'Quote Summary');
@@ -621,6 +671,161 @@ class ImportExportManager {
             const sheetName = componentManager?.components[componentType]?.name || componentType;
             XLSX.utils.book_append_sheet(wb, componentWs, sheetName);
         });
+
+        const capital = currentData.components?.capital;
+        if (Array.isArray(capital?.breakdown) && capital.breakdown.length > 0) {
+            this.addBillOfMaterialsToWorkbook(wb, capital);
+            this.addDepreciationToWorkbook(wb, capital);
+        }
+        if (capital?.financing?.amortisation) {
+            this.addAmortisationToWorkbook(wb, capital.financing);
+        }
+        this.addServiceLevelsToWorkbook(wb, currentData.components || {});
+    }
+
+    /**
+     * SLA of each support component: P1-P4 targets, availability, credit bands and the maximum credit per contract year
+     */
+    addServiceLevelsToWorkbook(wb, components) {
+        const supported = Object.keys(components).filter(componentType => components[componentType].sla);
+        if (supported.length === 0) return;
+
+        const data = [['Service Levels']];
+        supported.forEach(componentType => {
+            const { sla } = components[componentType];
+            const name = componentManager?.components[componentType]?.name || componentType;
+            data.push(['']);
+            data.push([`${name}: ${sla.name} (${sla.hours})`]);
+            data.push(['Availability', sla.availability]);
+            data.push(['Priority', 'Response (Hours)', 'Resolution (Hours)']);
+            sla.priorities.forEach(target => {
+                data.push([target.priority, target.responseHours, target.resolutionHours]);
+            });
+            data.push(['Availability Below', 'Service Credit']);
+            sla.credits.forEach(band => {
+                data.push([band.availabilityBelow, band.creditRate]);
+            });
+            data.push(['Credit Cap', sla.maxCreditRate]);
+            data.push(['Year', 'Charges', 'Max Credit']);
+            sla.exposure.forEach(row => {
+                data.push([`Year ${row.year}`, row.charges, row.maxCredit]);
+            });
+        });
+
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), 'Service Levels');
+    }
+
+    /**
+     * Customer bill of materials for the capital equipment: each line at list and quoted price, with vendor subtotals
+     */
+    addBillOfMaterialsToWorkbook(wb, capital) {
+        const data = [
+            ['Bill of Materials'],
+            [''],
+            ['SKU', 'Description', 'Vendor', 'Category', 'Qty', 'List Price', 'Unit Price', 'Line Total']
+        ];
+
+        capital.breakdown.forEach(line => {
+            data.push([line.sku || '', line.description, line.vendor, line.category, line.quantity, line.listPrice ?? '', line.unitCost, line.totalCost]);
+        });
+
+        data.push(['']);
+        data.push(['Vendor', 'Qty', 'List Total', 'Total']);
+        (capital.vendorSummary || []).forEach(vendor => {
+            data.push([vendor.vendor, vendor.quantity, vendor.listTotal, vendor.sellTotal]);
+        });
+        data.push(['TOTAL', '', '', capital.breakdown.reduce((total, line) => total + line.totalCost, 0)]);
+
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), 'Bill of Materials');
+    }
+
+    /**
+     * Capital financing terms and the amortisation table: interest, principal and balance per month
+     */
+    addAmortisationToWorkbook(wb, financing) {
+        const data = [
+            ['Amortisation Schedule'],
+            ['Structure:', financing.structure],
+            ['Amount Financed:', financing.loanAmount],
+            ['APR:', `${(financing.apr * 100).toFixed(2)}%`],
+            ['Payments:', `${financing.termMonths} monthly in ${financing.paymentTiming}`],
+            ['Deferred Months:', financing.deferralMonths],
+            ['Residual Value:', financing.residualValue],
+            ['Balloon Payment:', financing.balloonPayment],
+            [''],
+            ['Period', 'Month', 'Opening Balance', 'Payment', 'Interest', 'Principal', 'Closing Balance']
+        ];
+
+        financing.amortisation.forEach(row => {
+            data.push([row.period || 'Deferred', row.month, row.openingBalance, row.payment, row.interest, row.principal, row.closingBalance]);
+        });
+
+        data.push(['']);
+        data.push(['TOTALS', '', '', financing.totalPayments, financing.totalInterest]);
+
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), 'Amortisation');
+    }
+
+    /**
+     * Equipment lifecycle: useful life and method per line, planned refreshes and depreciation by contract year
+     */
+    addDepreciationToWorkbook(wb, capital) {
+        if (!capital.depreciation) return;
+
+        const data = [
+            ['Equipment Lifecycle'],
+            [''],
+            ['Description', 'Cost', 'Useful Life (Months)', 'Method']
+        ];
+        capital.depreciation.lines.forEach(line => {
+            data.push([line.description, line.cost, line.usefulLifeMonths, line.depreciationMethod.replace(/_/g, ' ')]);
+        });
+
+        data.push(['']);
+        data.push(['Refresh', 'Month', 'Qty', 'Cost']);
+        (capital.refresh || []).forEach(refresh => {
+            data.push([refresh.description, refresh.month, refresh.quantity, refresh.totalCost]);
+        });
+
+        data.push(['']);
+        data.push(['Year', 'Additions', 'Depreciation', 'Book Value']);
+        capital.depreciation.years.forEach(row => {
+            data.push([`Year ${row.year}`, row.additions, row.depreciation, row.bookValue]);
+        });
+
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), 'Depreciation');
+    }
+
+    addCashFlowToWorkbook(wb) {
+        const cashFlow = this.calculator.calculateCashFlowSchedule(this.getCurrentQuoteComponents(), this.getQuoteOptions());
+        const names = cashFlow.componentTypes.map(type => componentManager?.components[type]?.name || type);
+
+        const data = [
+            ['Cash Flow Schedule'],
+            ['Currency:', cashFlow.currency.code],
+            ['Term Discount:', `${(cashFlow.termDiscount * 100).toFixed(1)}%`],
+            [''],
+            ['Month', 'Year', ...names, 'Subtotal', 'Discount', 'Contingency', 'Total', 'Cumulative']
+        ];
+
+        cashFlow.rows.forEach(row => {
+            data.push([
+                row.month,
+                row.year,
+                ...cashFlow.componentTypes.map(type => row.components[type]),
+                row.subtotal,
+                row.discount,
+                row.contingency,
+                row.total,
+                row.cumulative
+            ]);
+        });
+
+        data.push(['']);
+        data.push(['TOTALS', '', ...names.map(() => ''), cashFlow.totals.subtotal, cashFlow.totals.discount, cashFlow.totals.contingency, cashFlow.totals.total]);
+
+        const ws = XLSX.utils.aoa_to_sheet(data);
+        XLSX.utils.book_append_sheet(wb, ws, 'Cash Flow');
     }
 
     createComponentSheet(componentType, componentData) {
@@ -649,7 +854,8 @@ class ImportExportManager {
         // Breakdown
         if (componentData.breakdown) {
             Object.keys(componentData.breakdown).forEach(key => {
-                data.push([key, componentData.breakdown[key]]);
+                const value = componentData.breakdown[key];
+                data.push([key, typeof value === 'object' ? JSON.stringify(value) : value]);
             });
         }
 
@@ -659,6 +865,9 @@ class ImportExportManager {
         data.push(['Monthly Cost', componentData.totals.monthly]);
         data.push(['Annual Cost', componentData.totals.annual]);
         data.push(['3-Year Total', componentData.totals.threeYear]);
+        if (componentData.term) {
+            data.push([this.calculator.getTermLabel(componentData.term.months), componentData.totals.termTotal]);
+        }
 
         return XLSX.utils.aoa_to_sheet(data);
     }
@@ -669,12 +878,12 @@ class ImportExportManager {
         const catalogData = [
             ['Equipment Catalog'],
             [''],
-            ['Category', 'Item', 'Cost']
+            ['SKU', 'Category', 'Vendor', 'Item', 'List Price']
         ];
 
         Object.keys(catalog).forEach(category => {
             catalog[category].forEach(item => {
-                catalogData.push([category, item.name, item.cost]);
+                catalogData.push([item.id, category, item.vendor, item.name, item.cost]);
             });
         });
 
@@ -746,16 +955,40 @@ class ImportExportManager {
     generateCurrentQuoteCSV() {
         const currentData = this.getCurrentQuoteData();
         let csv = 'NaaS Pricing Quote Summary\n';
-        csv += `Generated,${new Date().toLocaleDateString()}\n\n`;
-        csv += 'Component,One-time Cost,Monthly Cost,Annual Cost,3-Year Total\n';
+        csv += `Generated,${new Date().toLocaleDateString()}\n`;
+        csv += `Price Book,${this.formatPriceBookReference(currentData.priceBook)}\n`;
+        csv += `Currency,${currentData.currency.code}\n`;
+        csv += `FX Rate,${this.formatExchangeRate(currentData.currency)}\n`;
+        csv += `Contract Term,${currentData.term.months} months\n\n`;
+        csv += `Component,One-time Cost,Monthly Cost,Annual Cost,3-Year Total,${this.calculator.getTermLabel(currentData.term.months)}\n`;
 
         Object.keys(currentData.components || {}).forEach(componentType => {
             const component = currentData.components[componentType];
             const name = componentManager?.components[componentType]?.name || componentType;
-            csv += `${name},${component.totals.oneTime},${component.totals.monthly},${component.totals.annual},${component.totals.threeYear}\n`;
+            csv += `${name},${component.totals.oneTime},${component.totals.monthly},${component.totals.annual},${component.totals.threeYear},${component.totals.termTotal}\n`;
         });
 
-        csv += `TOTALS,${currentData.totals.oneTime},${currentData.totals.monthly},${currentData.totals.annual},${currentData.totals.threeYear}\n`;
+        const contingency = currentData.contingency;
+        if (contingency.amount > 0) {
+            csv += `Risk Contingency,${contingency.amount},0,0,${contingency.amount},${contingency.amount}\n`;
+        }
+
+        csv += `TOTALS,${currentData.totals.oneTime},${currentData.totals.monthly},${currentData.totals.annual},${currentData.totals.threeYear},${currentData.totals.termTotal}\n`;
+
+        const tax = currentData.tax;
+        csv += `${this.calculator.describeTax(tax)},${tax.amounts.oneTime},${tax.amounts.monthly},${tax.amounts.annual},,${tax.amounts.termTotal}\n`;
+        csv += `TOTALS INCL. TAX,${currentData.totalsWithTax.oneTime},${currentData.totalsWithTax.monthly},${currentData.totalsWithTax.annual},,${currentData.totalsWithTax.termTotal}\n\n`;
+
+        csv += 'Discount,Rate,Monthly Saving,Annual Saving,Term Saving\n';
+        currentData.discounts.reasons.forEach(reason => {
+            csv += `${this.csvField(reason.name)},${this.csvField(this.formatDiscountValue(reason, currentData.currency.code))},${reason.amounts.monthly ?? ''},${reason.amounts.annual ?? ''},${reason.amounts.term ?? ''}\n`;
+        });
+        csv += '\n';
+
+        csv += 'Year,Months,One-time Cost,Recurring Cost,Discount,Total\n';
+        currentData.term.years.forEach(row => {
+            csv += `Year ${row.year},${row.months},${row.oneTime},${row.recurring},${row.discount},${row.total}\n`;
+        });
 
         return csv;
     }
@@ -799,7 +1032,12 @@ class ImportExportManager {
         
         // Quote summary
         const currentData = this.getCurrentQuoteData();
-        let yPos = 70;
+        const currency = currentData.currency.code;
+        const termLabel = this.calculator.getTermLabel(currentData.term.months);
+        doc.setFontSize(10);
+        doc.text(`Price Book: ${this.formatPriceBookReference(currentData.priceBook)}`, 20, 55);
+        doc.text(`Currency: ${currency} | FX Rate: ${this.formatExchangeRate(currentData.currency)} | Contract Term: ${currentData.term.months} months`, 20, 62);
+        let yPos = 75;
         
         doc.setFontSize(16);
         doc.text('Quote Summary', 20, yPos);
@@ -811,29 +1049,207 @@ class ImportExportManager {
             const name = componentManager?.components[componentType]?.name || componentType;
             
             doc.text(`${name}:`, 25, yPos);
-            doc.text(`${this.calculator.formatCurrency(component.totals.monthly)}/month`, 120, yPos);
-            doc.text(`${this.calculator.formatCurrency(component.totals.threeYear)} (3-year)`, 160, yPos);
+            doc.text(`${this.calculator.formatCurrency(component.totals.monthly, false, currency)}/month`, 120, yPos);
+            doc.text(`${this.calculator.formatCurrency(component.totals.termTotal, false, currency)} (term)`, 160, yPos);
             yPos += 15;
         });
+
+        if (currentData.contingency.amount > 0) {
+            doc.text('Risk Contingency:', 25, yPos);
+            doc.text(`${this.calculator.formatCurrency(currentData.contingency.amount, false, currency)} one-time`, 120, yPos);
+            yPos += 15;
+        }
         
         yPos += 10;
         doc.setFontSize(14);
-        doc.text(`Total Monthly: ${this.calculator.formatCurrency(currentData.totals.monthly)}`, 25, yPos);
+        doc.text(`Total Monthly: ${this.calculator.formatCurrency(currentData.totals.monthly, false, currency)}`, 25, yPos);
         yPos += 15;
-        doc.text(`3-Year Total: ${this.calculator.formatCurrency(currentData.totals.threeYear)}`, 25, yPos);
+        doc.text(`${termLabel}: ${this.calculator.formatCurrency(currentData.totals.termTotal, false, currency)}`, 25, yPos);
+
+        // Tax on the one-time and recurring totals, itemised after the net figures
+        const tax = currentData.tax;
+        yPos += 12;
+        doc.setFontSize(10);
+        doc.text(`${this.calculator.describeTax(tax)} - ${tax.region.name}: ${this.calculator.formatCurrency(tax.amounts.oneTime, false, currency)} one-time, ${this.calculator.formatCurrency(tax.amounts.monthly, false, currency)}/month`, 25, yPos);
+        yPos += 8;
+        doc.text(`Incl. tax: ${this.calculator.formatCurrency(currentData.totalsWithTax.oneTime, false, currency)} one-time, ${this.calculator.formatCurrency(currentData.totalsWithTax.monthly, false, currency)}/month, ${this.calculator.formatCurrency(currentData.totalsWithTax.termTotal, false, currency)} over the term`, 25, yPos);
+
+        // Per-year rows over the contract term
+        yPos += 20;
+        doc.setFontSize(12);
+        currentData.term.years.forEach(row => {
+            doc.text(`Year ${row.year}${row.months < 12 ? ` (${row.months} months)` : ''}:`, 25, yPos);
+            doc.text(this.calculator.formatCurrency(row.total, false, currency), 120, yPos);
+            yPos += 10;
+        });
+
+        // Discount rules that fired, with their saving over the term
+        if (currentData.discounts.reasons.length > 0) {
+            yPos += 10;
+            doc.text('Discounts applied:', 25, yPos);
+            yPos += 10;
+            doc.setFontSize(10);
+            currentData.discounts.reasons.forEach(reason => {
+                doc.text(`${reason.name} (${this.formatDiscountValue(reason, currency)})`, 30, yPos);
+                if (reason.amounts.term !== undefined) {
+                    doc.text(`-${this.calculator.formatCurrency(reason.amounts.term, false, currency)} (term)`, 140, yPos);
+                }
+                yPos += 8;
+            });
+        }
+
+        this.addServiceLevelsToPDF(doc, currentData.components || {}, currency);
+        this.addFinancialAnalysisToPDF(doc);
+        this.addOwnershipComparisonToPDF(doc);
         
         // Save PDF
         const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
         doc.save(`NaaS_Proposal_${timestamp}.pdf`);
     }
 
+    /**
+     * Standalone PDF of the buy vs finance vs NaaS comparison
+     */
+    exportComparisonPDF() {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+
+        this.addOwnershipComparisonToPDF(doc, false);
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:-]/g, '');
+        doc.save(`NaaS_Comparison_${timestamp}.pdf`);
+    }
+
+    /**
+     * Buy vs finance vs NaaS page: total, first month, average monthly and yearly spend per option,
+     * and when buying outright breaks even. Skipped when the quote has no capital equipment.
+     */
+    addOwnershipComparisonToPDF(doc, newPage = true) {
+        const comparison = new FinancialAnalysis(this.calculator).compareOwnership(this.getCurrentQuoteComponents(), this.getQuoteOptions());
+        if (comparison.error) return;
+
+        const format = amount => this.calculator.formatCurrency(amount, false, comparison.currency.code);
+        const columns = [95, 135, 175];
+
+        if (newPage) {
+            doc.addPage();
+        }
+        doc.setFontSize(16);
+        doc.text('Buy vs Finance vs NaaS', 20, 30);
+
+        doc.setFontSize(10);
+        doc.text(`Term: ${comparison.months} months | Currency: ${comparison.currency.code} | NaaS subscription for ${comparison.deviceCount} devices`, 20, 40);
+
+        doc.setFontSize(11);
+        let yPos = 55;
+        comparison.options.forEach((option, index) => doc.text(option.label, columns[index], yPos));
+
+        const row = (label, value) => {
+            yPos += 10;
+            doc.text(label, 25, yPos);
+            comparison.options.forEach((option, index) => doc.text(value(option), columns[index], yPos));
+        };
+        row('Total Cost:', option => format(option.total));
+        row('Month 1:', option => format(option.upfront));
+        row('Average Monthly:', option => format(option.averageMonthly));
+        comparison.options[0].years.forEach((amount, year) => row(`Year ${year + 1}:`, option => format(option.years[year])));
+
+        const breakeven = month => month ? `month ${month}` : 'not within the term';
+        const cheapest = comparison.options.find(option => option.id === comparison.cheapest);
+        yPos += 20;
+        doc.text(`Buying outright breaks even with financing in ${breakeven(comparison.breakeven.finance)}`, 25, yPos);
+        yPos += 10;
+        doc.text(`Buying outright breaks even with the NaaS subscription in ${breakeven(comparison.breakeven.naas)}`, 25, yPos);
+        yPos += 10;
+        doc.text(`Lowest total cost over the term: ${cheapest.label} (${format(cheapest.total)})`, 25, yPos);
+    }
+
+    /**
+     * Service levels page: each support component's response and resolution targets, availability
+     * commitment, credit bands and maximum credit exposure per contract year
+     */
+    addServiceLevelsToPDF(doc, components, currency) {
+        const supported = Object.keys(components).filter(componentType => components[componentType].sla);
+        if (supported.length === 0) return;
+
+        const percent = rate => `${(rate * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+        doc.addPage();
+        doc.setFontSize(16);
+        doc.text('Service Levels', 20, 30);
+
+        let yPos = 30;
+        supported.forEach(componentType => {
+            const { sla } = components[componentType];
+            const name = componentManager?.components[componentType]?.name || componentType;
+
+            yPos += 15;
+            doc.setFontSize(12);
+            doc.text(`${name}: ${sla.name} SLA, ${sla.hours}, ${percent(sla.availability)} availability`, 20, yPos);
+
+            doc.setFontSize(10);
+            yPos += 10;
+            doc.text('Priority', 25, yPos);
+            doc.text('Response', 70, yPos);
+            doc.text('Resolution', 110, yPos);
+            sla.priorities.forEach(target => {
+                yPos += 7;
+                doc.text(target.priority, 25, yPos);
+                doc.text(`${target.responseHours} h`, 70, yPos);
+                doc.text(`${target.resolutionHours} h`, 110, yPos);
+            });
+
+            yPos += 10;
+            doc.text(`Service credits: ${sla.credits.map(band => `${percent(band.creditRate)} below ${percent(band.availabilityBelow)}`).join(', ')}, capped at ${percent(sla.maxCreditRate)}`, 25, yPos);
+            yPos += 7;
+            doc.text(`Maximum credit exposure: ${sla.exposure.map(row => `Year ${row.year} ${this.calculator.formatCurrency(row.maxCredit, false, currency)}`).join(', ')}`, 25, yPos);
+        });
+    }
+
+    addFinancialAnalysisToPDF(doc) {
+        const analysis = new FinancialAnalysis(this.calculator).analyse(this.getCurrentQuoteComponents(), this.getQuoteOptions());
+        const format = amount => this.calculator.formatCurrency(amount, false, analysis.currency.code);
+
+        doc.addPage();
+        doc.setFontSize(16);
+        doc.text('Financial Analysis', 20, 30);
+
+        doc.setFontSize(10);
+        doc.text(`Customer discount rate: ${(analysis.discountRate * 100).toFixed(1)}% | Term: ${analysis.months} months | Compared with buying equipment outright`, 20, 40);
+
+        doc.setFontSize(12);
+        let yPos = 55;
+        doc.text('NaaS (as quoted)', 110, yPos);
+        doc.text('Buy Outright', 160, yPos);
+        yPos += 12;
+        doc.text('Total Cost of Ownership:', 25, yPos);
+        doc.text(format(analysis.naas.tco), 110, yPos);
+        doc.text(format(analysis.outright.tco), 160, yPos);
+        yPos += 10;
+        doc.text('NPV of Costs:', 25, yPos);
+        doc.text(format(analysis.naas.npv), 110, yPos);
+        doc.text(format(analysis.outright.npv), 160, yPos);
+
+        yPos += 20;
+        doc.text(`NPV Advantage of NaaS: ${format(analysis.npvAdvantage)}`, 25, yPos);
+        yPos += 10;
+        doc.text(`Payback of Buying Outright: ${analysis.paybackMonth ? `Month ${analysis.paybackMonth}` : 'None within term'}`, 25, yPos);
+        yPos += 10;
+        doc.text(`Implied NaaS Financing Rate (IRR): ${analysis.irr === null ? 'N/A' : `${(analysis.irr * 100).toFixed(1)}%`}`, 25, yPos);
+    }
+
     exportComponent(componentType, result, params) {
-        // Export individual component
+        // Export individual component in the quote currency
         const wb = XLSX.utils.book_new();
+        const converter = this.calculator.currencyConverter;
+        const rateInfo = converter.getRateInfo(this.calculator.priceBook.currency, this.getQuoteOptions().currency || this.calculator.priceBook.currency);
+        const currency = rateInfo.code;
+        result = this.calculator.toCustomerQuote(converter.convertResult(result, rateInfo.rate));
         
         const data = [
             [`${componentManager.components[componentType].name} Quote`],
             [`Generated: ${new Date().toLocaleDateString()}`],
+            [`Currency: ${currency}`],
+            [`FX Rate: ${this.formatExchangeRate(rateInfo)}`],
             [''],
             ['Configuration Parameters:'],
         ];
@@ -848,16 +1264,88 @@ class ImportExportManager {
         
         if (result.breakdown) {
             Object.keys(result.breakdown).forEach(key => {
-                data.push([key, this.calculator.formatCurrency(result.breakdown[key])]);
+                if (typeof result.breakdown[key] !== 'object') {
+                    data.push([key, this.calculator.formatCurrency(result.breakdown[key], false, currency)]);
+                }
+            });
+        }
+
+        // PRTG licence: sensors counted in each band
+        if (Array.isArray(result.breakdown?.sensorBands)) {
+            data.push(['']);
+            data.push(['Licence Band', 'Sensors', 'Per Sensor', 'Amount']);
+            result.breakdown.sensorBands.forEach(band => {
+                data.push([band.tier, band.sensors, band.rate, band.amount]);
+            });
+        }
+
+        // Support: devices and per-device rate by equipment category
+        if (Array.isArray(result.breakdown?.deviceClasses)) {
+            data.push(['']);
+            data.push(['Device Class', 'Devices', 'Per Device', 'Monthly']);
+            result.breakdown.deviceClasses.forEach(entry => {
+                data.push([entry.category, entry.devices, entry.rate, entry.monthly]);
+            });
+        }
+
+        // Support: custom coverage windows and their adjustment to the package price
+        if (result.breakdown?.coverage) {
+            const { coverage } = result.breakdown;
+            data.push(['']);
+            data.push(['Coverage', 'Devices', 'Hours/Week', 'Monthly Adjustment']);
+            data.push([`Package: ${coverage.baseline.label}`, '', coverage.baseline.hoursPerWeek, '']);
+            coverage.windows.forEach(window => {
+                data.push([window.label, window.devices, window.hoursPerWeek, window.adjustment]);
+            });
+            data.push(['Coverage Adjustment', '', '', result.breakdown.coverageAdjustment]);
+        }
+
+        // Labour: hours per role and any pre-paid bundle purchases
+        if (result.labour) {
+            data.push(['']);
+            data.push(['Role', 'Hours', 'Rate', 'Amount']);
+            result.breakdown.roles.forEach(line => {
+                data.push([line.role, line.hours, line.rate, line.amount]);
+            });
+            if (result.labour.bundle) {
+                data.push(['']);
+                data.push([`${result.labour.bundle.name} (expires after ${result.labour.bundle.expiryMonths} months)`, 'Hours', 'Rolled In', 'Used', 'Forfeited', 'Price']);
+                result.labour.purchases.forEach(purchase => {
+                    data.push([`Month ${purchase.month}`, purchase.hours, purchase.rolledInHours, purchase.usedHours, purchase.forfeitedHours, purchase.price]);
+                });
+                data.push(['Effective Hourly Rate', result.labour.effectiveRate]);
+            }
+        }
+
+        // Compliance: readiness, audit support and the monitoring and support each framework adds
+        if (Array.isArray(result.breakdown?.frameworks)) {
+            data.push(['']);
+            data.push(['Framework', 'Readiness', 'Audit Support (Monthly)', 'PRTG Sensors', 'Support Uplift']);
+            result.breakdown.frameworks.forEach(framework => {
+                data.push([framework.name, framework.readiness, framework.auditMonthly, framework.extraSensors, framework.supportUplift]);
+            });
+        }
+
+        // Support: SLA targets and the maximum service credit per contract year
+        if (result.sla) {
+            data.push(['']);
+            data.push([`${result.sla.name} SLA (${result.sla.hours})`, 'Availability', result.sla.availability]);
+            data.push(['Priority', 'Response (Hours)', 'Resolution (Hours)']);
+            result.sla.priorities.forEach(target => {
+                data.push([target.priority, target.responseHours, target.resolutionHours]);
+            });
+            data.push(['Year', 'Charges', 'Max Credit']);
+            result.sla.exposure.forEach(row => {
+                data.push([`Year ${row.year}`, row.charges, row.maxCredit]);
             });
         }
         
         data.push(['']);
         data.push(['Totals:']);
-        data.push(['One-time Cost', this.calculator.formatCurrency(result.totals.oneTime)]);
-        data.push(['Monthly Cost', this.calculator.formatCurrency(result.totals.monthly)]);
-        data.push(['Annual Cost', this.calculator.formatCurrency(result.totals.annual)]);
-        data.push(['3-Year Total', this.calculator.formatCurrency(result.totals.threeYear)]);
+        data.push(['One-time Cost', this.calculator.formatCurrency(result.totals.oneTime, false, currency)]);
+        data.push(['Monthly Cost', this.calculator.formatCurrency(result.totals.monthly, false, currency)]);
+        data.push(['Annual Cost', this.calculator.formatCurrency(result.totals.annual, false, currency)]);
+        data.push(['3-Year Total', this.calculator.formatCurrency(result.totals.threeYear, false, currency)]);
         
         const ws = XLSX.utils.aoa_to_sheet(data);
         XLSX.utils.book_append_sheet(wb, ws, componentType);
@@ -866,10 +1354,30 @@ class ImportExportManager {
         XLSX.writeFile(wb, `${componentType}_quote_${timestamp}.xlsx`);
     }
 
+    /**
+     * Customer proposals can't go out while the quote is awaiting approval
+     */
+    isPDFExportBlocked() {
+        const quote = this.calculator.calculateCombinedQuote(this.getCurrentQuoteComponents(), this.getQuoteOptions());
+        return quote.guardrails.status === 'pending';
+    }
+
     getCurrentQuoteData() {
-        // Get current quote data from wizard or components
+        // Exports go to customers, so cost and margin are stripped
+        const quote = this.calculator.calculateCombinedQuote(this.getCurrentQuoteComponents(), this.getQuoteOptions());
+        return this.calculator.toCustomerQuote(quote);
+    }
+
+    getCurrentQuoteComponents() {
+        // The data store holds manual adjustments, so it must win for guardrail checks to match the review step
+        const dataStore = componentManager?.dataStore || quoteWizard?.dataStore;
+        if (dataStore) {
+            return dataStore.getEnabledComponents();
+        }
+
+        // Otherwise get current quote components from wizard or components
         if (quoteWizard && quoteWizard.wizardData) {
-            return this.calculator.calculateCombinedQuote(quoteWizard.wizardData);
+            return quoteWizard.wizardData;
         } else if (componentManager && componentManager.componentData) {
             const components = {};
             Object.keys(componentManager.componentData).forEach(type => {
@@ -880,10 +1388,41 @@ class ImportExportManager {
                     };
                 }
             });
-            return this.calculator.calculateCombinedQuote(components);
+            return components;
         }
         
-        return { components: {}, totals: { oneTime: 0, monthly: 0, annual: 0, threeYear: 0 } };
+        return {};
+    }
+
+    /**
+     * Quote options (currency, term, segment, adjustments, approval) from the project, if any
+     */
+    getQuoteOptions() {
+        const dataStore = componentManager?.dataStore || quoteWizard?.dataStore;
+        return dataStore ? dataStore.getQuoteOptions() : {};
+    }
+
+    formatDiscountValue(reason, currency) {
+        return reason.type === 'percent' ?
+            `${(reason.value * 100).toFixed(1)}%` :
+            this.calculator.formatCurrency(reason.value, false, currency);
+    }
+
+    // Quote a CSV field that holds a comma, quote or line break, doubling any quotes inside it
+    csvField(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    formatExchangeRate(rateInfo) {
+        if (rateInfo.base === rateInfo.code) {
+            return 'N/A (price book currency)';
+        }
+        return CurrencyConverter.describeRate(rateInfo);
+    }
+
+    formatPriceBookReference(priceBook) {
+        return priceBook ? `${priceBook.id} v${priceBook.version} (${priceBook.currency})` : 'Unknown';
     }
 
     downloadFile(content, filename, mimeType) {
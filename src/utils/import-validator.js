@@ -4,7 +4,13 @@
  */
 
 class ImportValidator {
-    constructor() {
+    /**
+     * calculator supplies the equipment catalogue that capital SKUs are checked against,
+     * so imports accept exactly the SKUs the loaded price book prices
+     */
+    constructor(calculator = new NaaSCalculator()) {
+        this.calculator = calculator;
+
         // Define validation schemas for each component type
         this.schemas = {
             prtg: {
@@ -46,16 +52,15 @@ class ImportValidator {
                     minItems: 1,
                     maxItems: 100,
                     itemSchema: {
-                        type: {
+                        sku: {
                             type: 'enum',
-                            values: [
-                                'router_small', 'router_medium', 'router_large', 'router_enterprise',
-                                'switch_24port', 'switch_48port', 'switch_managed', 'switch_core',
-                                'firewall_basic', 'firewall_advanced', 'firewall_enterprise',
-                                'ap_indoor', 'ap_outdoor', 'ap_enterprise', 'ap_mesh',
-                                'server_1u', 'server_2u', 'server_blade', 'storage_nas'
-                            ],
-                            required: true
+                            values: () => this.getEquipmentSkus(),
+                            required: false
+                        },
+                        description: {
+                            type: 'string',
+                            maxLength: 255,
+                            required: false
                         },
                         quantity: {
                             type: 'number',
@@ -63,14 +68,31 @@ class ImportValidator {
                             max: 1000,
                             required: true
                         },
-                        customCost: {
+                        vendor: {
+                            type: 'string',
+                            maxLength: 100,
+                            required: false
+                        },
+                        listPrice: {
+                            type: 'number',
+                            min: 0,
+                            max: 1000000,
+                            required: false
+                        },
+                        unitCost: {
                             type: 'number',
                             min: 0,
                             max: 1000000,
                             required: false
+                        },
+                        usefulLifeMonths: {
+                            type: 'number',
+                            min: 1,
+                            max: 240,
+                            required: false
                         }
                     },
-                    description: 'Array of equipment items'
+                    description: 'Array of equipment items (catalogue SKU or custom description)'
                 },
                 financing: {
                     type: 'boolean',
@@ -78,6 +100,12 @@ class ImportValidator {
                     default: true,
                     description: 'Whether to include financing'
                 },
+                includeRefresh: {
+                    type: 'boolean',
+                    required: false,
+                    default: true,
+                    description: 'Whether to buy equipment again when its useful life ends within the contract'
+                },
                 termMonths: {
                     type: 'number',
                     min: 12,
@@ -85,6 +113,43 @@ class ImportValidator {
                     required: false,
                     default: 36,
                     description: 'Financing term in months (12-84)'
+                },
+                financingStructure: {
+                    type: 'enum',
+                    values: ['loan', 'lease', 'balloon'],
+                    required: false,
+                    default: 'loan',
+                    description: 'Loan, operating lease with a residual value, or balloon loan'
+                },
+                residualRate: {
+                    type: 'number',
+                    min: 0,
+                    max: 0.99,
+                    required: false,
+                    default: 0,
+                    description: 'Lease residual or balloon payment as a fraction of the amount financed'
+                },
+                paymentTiming: {
+                    type: 'enum',
+                    values: ['arrears', 'advance'],
+                    required: false,
+                    default: 'arrears',
+                    description: 'Whether instalments are paid in arrears or in advance'
+                },
+                deferralMonths: {
+                    type: 'number',
+                    min: 0,
+                    max: 12,
+                    required: false,
+                    default: 0,
+                    description: 'Months before the first instalment (0-12)'
+                },
+                aprOverride: {
+                    type: 'number',
+                    min: 0,
+                    max: 0.99,
+                    required: false,
+                    description: 'APR for this quote instead of the price book rate'
                 }
             },
             support: {
@@ -116,6 +181,42 @@ class ImportValidator {
                     required: false,
                     default: true,
                     description: 'Include CPI escalation clause'
+                },
+                customHours: {
+                    type: 'array',
+                    required: false,
+                    maxItems: 10,
+                    itemSchema: {
+                        days: {
+                            type: 'string',
+                            pattern: '^[a-zA-Z]{3}(-[a-zA-Z]{3})?(,\\s*[a-zA-Z]{3}(-[a-zA-Z]{3})?)*$',
+                            required: true
+                        },
+                        start: {
+                            type: 'number',
+                            min: 0,
+                            max: 24,
+                            required: true
+                        },
+                        end: {
+                            type: 'number',
+                            min: 0,
+                            max: 24,
+                            required: true
+                        },
+                        bankHolidays: {
+                            type: 'boolean',
+                            required: false
+                        },
+                        devices: {
+                            type: 'number',
+                            min: 1,
+                            max: 10000,
+                            integer: true,
+                            required: false
+                        }
+                    },
+                    description: "Coverage windows priced against the package hours, e.g. days 'mon-sat' from 7 to 19"
                 }
             },
             onboarding: {
@@ -356,17 +457,26 @@ class ImportValidator {
     }
 
     validateEnum(value, schema, fieldName, errors) {
+        // Values may be a function for lists that change at runtime, e.g. catalogue SKUs
+        const values = typeof schema.values === 'function' ? schema.values() : schema.values;
         const stringValue = String(value).toLowerCase().trim();
-        const validValues = schema.values.map(v => v.toLowerCase());
+        const validValues = values.map(v => v.toLowerCase());
 
         if (!validValues.includes(stringValue)) {
-            errors.push(`Field '${fieldName}' must be one of [${schema.values.join(', ')}], got '${value}'`);
+            errors.push(`Field '${fieldName}' must be one of [${values.join(', ')}], got '${value}'`);
             return value;
         }
 
         // Return the original case from schema
         const index = validValues.indexOf(stringValue);
-        return schema.values[index];
+        return values[index];
+    }
+
+    /**
+     * SKUs in the calculator's equipment catalogue
+     */
+    getEquipmentSkus() {
+        return this.calculator.listEquipment().map(item => item.sku);
     }
 
     validateArray(value, schema, fieldName, componentType, errors) {
@@ -0,0 +1,61 @@
+/**
+ * Cash-flow schedule tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('calculateCashFlowSchedule', () => {
+  const calculator = new NaaSCalculator();
+  const components = {
+    onboarding: { enabled: true, params: { complexity: 'standard', sites: 1, includeAssessment: false } },
+    capital: { enabled: true, params: { equipment: [{ description: 'Router', quantity: 1, unitCost: 12000 }], financing: true, termMonths: 24 } },
+    support: { enabled: true, params: { level: 'basic', deviceCount: 4, includeEscalation: true } }
+  };
+
+  it('should return a row per contract month', () => {
+    const cashFlow = calculator.calculateCashFlowSchedule(components, { termMonths: 36 });
+
+    expect(cashFlow.rows).toHaveLength(36);
+    expect(cashFlow.rows[0]).toMatchObject({ month: 1, year: 1 });
+    expect(cashFlow.rows[35]).toMatchObject({ month: 36, year: 3 });
+  });
+
+  it('should land one-time costs in month 1 and stop repayments after the financing term', () => {
+    const { rows } = calculator.calculateCashFlowSchedule(components, { termMonths: 36 });
+    const payment = rows[1].components.capital;
+
+    expect(rows[0].components.onboarding).toBe(4500);
+    expect(rows[1].components.onboarding).toBe(0);
+    expect(payment).toBeGreaterThan(0);
+    expect(rows[23].components.capital).toBe(payment);
+    expect(rows[24].components.capital).toBe(0);
+  });
+
+  it('should step support up by CPI at each anniversary', () => {
+    const { rows } = calculator.calculateCashFlowSchedule(components, { termMonths: 36 });
+
+    expect(rows[11].components.support).toBe(600);
+    expect(rows[12].components.support).toBeCloseTo(600 * 1.03, 2);
+    expect(rows[24].components.support).toBeCloseTo(600 * 1.03 * 1.03, 2);
+  });
+
+  it('should apply the term discount and reconcile to the term total', () => {
+    const quote = calculator.calculateCombinedQuote(components, { termMonths: 36 });
+    const cashFlow = calculator.calculateCashFlowSchedule(components, { termMonths: 36 });
+    const first = cashFlow.rows[0];
+
+    expect(first.discount).toBeCloseTo(first.subtotal * quote.discounts.termDiscount, 2);
+    expect(first.total).toBeCloseTo(first.subtotal - first.discount, 2);
+    expect(cashFlow.rows[35].cumulative).toBe(cashFlow.totals.total);
+    expect(Math.abs(cashFlow.totals.total - quote.totals.termTotal)).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Compliance framework tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import DependencyGraph from '../../src/core/dependency-graph.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Compliance frameworks', () => {
+  const calculator = new NaaSCalculator();
+  const compliance = frameworks => ({ enabled: true, params: { frameworks } });
+
+  it('should price readiness and audit support at the technical day rate', () => {
+    const result = calculator.calculateCompliance({ frameworks: ['pci_dss'] });
+
+    expect(result.totals.oneTime).toBe(10000);
+    expect(result.totals.monthly).toBe(625);
+    expect(result.totals.annual).toBe(7500);
+    expect(result.breakdown.frameworks[0]).toMatchObject({ name: 'PCI DSS', extraSensors: 40, supportUplift: 0.1 });
+    expect(result.metadata).toMatchObject({ frameworks: ['pci_dss'], extraSensors: 40, supportUplift: 0.1 });
+  });
+
+  it('should add frameworks together and ignore repeats', () => {
+    const result = calculator.calculateCompliance({ frameworks: ['iso_27001', 'cyber_essentials', 'iso_27001'] });
+
+    expect(result.breakdown.frameworks).toHaveLength(2);
+    expect(result.totals.oneTime).toBe(10000);
+    expect(result.metadata.extraSensors).toBe(35);
+    expect(result.metadata.supportUplift).toBeCloseTo(0.07);
+  });
+
+  it('should reject an unknown framework', () => {
+    const result = calculator.calculateCompliance({ frameworks: ['sox'] });
+
+    expect(result.error).toBe("Unknown compliance framework 'sox'");
+  });
+
+  it('should license the extra sensors in PRTG, moving it up a tier', () => {
+    const params = { sensors: 90, locations: 1, alertRecipients: 1, serviceLevel: 'standard' };
+    const plain = calculator.calculatePRTG(params);
+    const withCompliance = calculator.calculatePRTG(params, { complianceData: compliance(['pci_dss']) });
+
+    expect(plain.metadata.sensorTier).toBe('up_to_100');
+    expect(withCompliance.metadata).toMatchObject({ sensors: 130, complianceSensors: 40, sensorTier: 'up_to_500' });
+    expect(withCompliance.totals.annual).toBeGreaterThan(plain.totals.annual);
+  });
+
+  it('should uplift the support price by the frameworks support rate', () => {
+    const params = { level: 'basic', deviceCount: 4, includeEscalation: false };
+    const plain = calculator.calculateSupport(params);
+    const withCompliance = calculator.calculateSupport(params, { complianceData: compliance(['iso_27001']) });
+
+    expect(withCompliance.breakdown.complianceUplift).toBeCloseTo(plain.totals.monthly * 0.05, 2);
+    expect(withCompliance.totals.monthly).toBeCloseTo(plain.totals.monthly + withCompliance.breakdown.complianceUplift, 2);
+    expect(withCompliance.metadata.complianceFrameworks).toEqual(['iso_27001']);
+  });
+
+  it('should carry the effects into PRTG and support in a combined quote only while enabled', () => {
+    const components = {
+      prtg: { enabled: true, params: { sensors: 90, locations: 1, alertRecipients: 1, serviceLevel: 'standard' } },
+      support: { enabled: true, params: { level: 'basic', deviceCount: 4, includeEscalation: false } },
+      compliance: compliance(['pci_dss'])
+    };
+    const quote = calculator.calculateCombinedQuote(components);
+    const disabled = calculator.calculateCombinedQuote({ ...components, compliance: { ...components.compliance, enabled: false } });
+
+    expect(quote.components.compliance.totals.oneTime).toBe(10000);
+    expect(quote.components.prtg.metadata.complianceSensors).toBe(40);
+    expect(quote.components.support.breakdown.complianceUplift).toBeGreaterThan(0);
+    expect(disabled.components.compliance).toBeUndefined();
+    expect(disabled.components.prtg.metadata.complianceSensors).toBe(0);
+    expect(disabled.components.support.breakdown.complianceUplift).toBe(0);
+  });
+
+  it('should leave sensor counts and uplift rates unconverted in another currency', () => {
+    const converter = new CurrencyConverter({ base: 'GBP', asOf: '2024-06-28', rates: { GBP: 1, EUR: 2 } });
+    const result = converter.convertResult(calculator.calculateCompliance({ frameworks: ['nhs_dspt'] }), 2);
+
+    expect(result.totals.oneTime).toBe(10000);
+    expect(result.breakdown.frameworks[0]).toMatchObject({ extraSensors: 20, supportUplift: 0.05 });
+    expect(result.metadata).toMatchObject({ extraSensors: 20, supportUplift: 0.05 });
+  });
+});
+
+describe('Compliance dependencies', () => {
+  const graph = new DependencyGraph();
+
+  it('should recalculate PRTG and support when compliance changes', () => {
+    expect(graph.getOptionalDependencies('prtg')).toEqual(['compliance']);
+    expect(graph.getDependents('compliance')).toEqual(expect.arrayContaining(['prtg', 'support']));
+  });
+
+  it('should calculate compliance before PRTG and support', () => {
+    const order = graph.getCalculationOrder({
+      support: { enabled: true },
+      prtg: { enabled: true },
+      compliance: { enabled: true }
+    });
+
+    expect(order.indexOf('compliance')).toBeLessThan(order.indexOf('prtg'));
+    expect(order.indexOf('compliance')).toBeLessThan(order.indexOf('support'));
+  });
+
+  it('should not require compliance to be enabled', () => {
+    const { errors } = graph.validateRelationships({ prtg: { enabled: true, params: {} } });
+
+    expect(errors).toEqual([]);
+  });
+});
+
+describe('Compliance price book', () => {
+  it('should accept the shipped frameworks and books without them', () => {
+    const book = PriceBook.createDefault();
+    expect(PriceBook.validate(book).isValid).toBe(true);
+
+    delete book.pricing.compliance;
+    expect(PriceBook.validate(book).isValid).toBe(true);
+  });
+
+  it('should reject a support uplift above 100%', () => {
+    const book = PriceBook.createDefault();
+    book.pricing.compliance.frameworks.pci_dss.supportUplift = 1.5;
+
+    const validation = PriceBook.validate(book);
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toContain("'compliance.frameworks.pci_dss.supportUplift' must be between 0 and 1");
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Contract term total tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Contract term totals', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should match the three-year figure on a 36 month term', () => {
+    const results = [
+      calculator.calculatePRTG({ sensors: 250 }),
+      calculator.calculatePBSFoundation({ users: 20 }),
+      calculator.calculateEnhancedSupport({ deviceCount: 20 }),
+      calculator.calculateNaaS({ deviceCount: 20 }, 'naasStandard'),
+      calculator.calculateOnboarding({ sites: 3 })
+    ];
+
+    results.forEach(result => {
+      expect(result.totals.termTotal).toBeCloseTo(result.totals.threeYear, 0);
+      expect(result.term.years).toHaveLength(3);
+    });
+  });
+
+  it('should total recurring costs over the contract term with per-year rows', () => {
+    const result = calculator.calculatePBSFoundation({ users: 10, contractTermMonths: 60 });
+
+    expect(result.totals.termTotal).toBe(result.totals.monthly * 60);
+    expect(result.term.years.map(row => row.year)).toEqual([1, 2, 3, 4, 5]);
+    expect(result.totals.threeYear).toBe(result.totals.monthly * 36);
+  });
+
+  it('should prorate a partial final year', () => {
+    const result = calculator.calculateSupport({ level: 'basic', deviceCount: 4, includeEscalation: false, contractTermMonths: 18 });
+
+    expect(result.term.years).toEqual([
+      expect.objectContaining({ year: 1, months: 12, recurring: 600 * 12 }),
+      expect.objectContaining({ year: 2, months: 6, recurring: 600 * 6 })
+    ]);
+    expect(result.totals.termTotal).toBe(600 * 18);
+  });
+
+  it('should stop capital repayments at the end of the financing term', () => {
+    const result = calculator.calculateCapital({
+      equipment: [{ description: 'Router', quantity: 1, unitCost: 12000 }],
+      financing: true,
+      termMonths: 24,
+      contractTermMonths: 48
+    });
+
+    expect(result.term.years[0].recurring).toBeGreaterThan(0);
+    expect(result.term.years[1].recurring).toBeGreaterThan(0);
+    expect(result.term.years[2].recurring).toBe(0);
+    expect(result.term.years[3].recurring).toBe(0);
+    expect(result.totals.termTotal).toBe(result.financing.totalPayments);
+  });
+
+  it('should total the combined quote over the quote contract term', () => {
+    const components = {
+      onboarding: { enabled: true, params: { complexity: 'standard', sites: 1, includeAssessment: false } },
+      pbsFoundation: { enabled: true, params: { users: 10 } }
+    };
+    const quote = calculator.calculateCombinedQuote(components, { termMonths: 24 });
+    const pbsMonthly = quote.components.pbsFoundation.totals.monthly;
+
+    expect(quote.term.months).toBe(24);
+    expect(quote.subtotals.termTotal).toBe(4500 + (pbsMonthly * 24));
+    expect(quote.totals.termTotal).toBe(Math.round(quote.subtotals.termTotal * (1 - quote.discounts.termDiscount)));
+    expect(quote.term.years).toHaveLength(2);
+    expect(quote.term.years[0].oneTime).toBe(4500);
+    expect(quote.term.years[1].oneTime).toBe(0);
+    expect(quote.totals.threeYear).toBeDefined();
+  });
+
+  it('should default to a 36 month term', () => {
+    const quote = calculator.calculateCombinedQuote({ pbsFoundation: { enabled: true, params: {} } });
+
+    expect(quote.term.months).toBe(36);
+    expect(quote.components.pbsFoundation.term.months).toBe(36);
+  });
+});
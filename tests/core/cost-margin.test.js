@@ -0,0 +1,131 @@
+/**
+ * Cost basis and margin tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Cost basis and margin', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should cost each breakdown line', () => {
+    const result = calculator.calculatePRTG({ sensors: 250 });
+    const license = result.costing.lines.find(line => line.line === 'annualLicense');
+
+    expect(license).toMatchObject({ basis: 'annual', price: 5850, cost: 4100, margin: 1750 });
+    expect(license.marginRate).toBeCloseTo(1750 / 5850, 6);
+    expect(result.costing.totals.price).toBe(result.totals.termTotal);
+  });
+
+  it('should cost engineering days at the engineer day cost', () => {
+    const result = calculator.calculateAdmin({ technicalDays: 2 });
+    const technical = result.costing.lines.find(line => line.line === 'technicalCost');
+
+    expect(technical.price).toBe(2500);
+    expect(technical.cost).toBe(960);
+  });
+
+  it('should cost onboarding engineer days at the engineer day cost', () => {
+    const onboarding = calc => calc.calculateOnboarding({ complexity: 'standard', sites: 3, assessmentType: 'network' }).costing.lines;
+    const cost = (lines, name) => lines.find(line => line.line === name).cost;
+
+    const lines = onboarding(calculator);
+    expect(cost(lines, 'baseImplementation')).toBe(4.5 * 480);
+    expect(cost(lines, 'sitesCost')).toBe(2 * 480);
+    expect(cost(lines, 'assessment')).toBe(1.5 * 480);
+
+    const book = PriceBook.createDefault();
+    book.costBasis.engineerDayCost = 600;
+    const dearer = onboarding(new NaaSCalculator(book));
+    expect(cost(dearer, 'baseImplementation')).toBe(4.5 * 600);
+    expect(cost(dearer, 'sitesCost')).toBe(2 * 600);
+    expect(cost(dearer, 'assessment')).toBe(1.5 * 600);
+  });
+
+  it('should cost onboarding with the default engineer days when a book has none', () => {
+    const book = PriceBook.createDefault();
+    delete book.costBasis.onboardingDays;
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    const baseImplementation = new NaaSCalculator(book).calculateOnboarding({ complexity: 'complex' }).costing.lines[0];
+    expect(baseImplementation.cost).toBe(9 * 480);
+  });
+
+  it('should cost financed equipment at its buy price over the term', () => {
+    const result = calculator.calculateCapital({
+      equipment: [{ description: 'Router', quantity: 2, unitCost: 5000 }],
+      financing: true,
+      termMonths: 36
+    });
+
+    expect(result.costing.lines[0]).toMatchObject({ line: 'Router', basis: 'oneTime', price: 10000, cost: 8200 });
+    expect(result.costing.totals.cost).toBe(8200);
+    expect(result.costing.totals.price).toBe(result.totals.termTotal);
+  });
+
+  it('should escalate recurring cost with price', () => {
+    const result = calculator.calculateSupport({ level: 'standard', deviceCount: 10, contractTermMonths: 60 });
+
+    expect(result.costing.totals.marginRate).toBeCloseTo(0.45, 6);
+  });
+
+  it('should report blended margin before and after volume discounts', () => {
+    const quote = calculator.calculateCombinedQuote({
+      prtg: { enabled: true, params: { sensors: 250 } },
+      support: { enabled: true, params: { level: 'enhanced', deviceCount: 40 } },
+      naasStandard: { enabled: true, params: { deviceCount: 40 } }
+    });
+
+    const componentCost = Object.values(quote.components).reduce((total, result) => total + result.costing.totals.cost, 0);
+    expect(quote.margin.beforeDiscount.cost).toBeCloseTo(componentCost, 2);
+    expect(quote.margin.afterDiscount.cost).toBe(quote.margin.beforeDiscount.cost);
+    expect(quote.margin.beforeDiscount.price).toBe(quote.subtotals.termTotal);
+    expect(quote.margin.afterDiscount.price).toBe(quote.totals.termTotal);
+    expect(quote.margin.afterDiscount.marginRate).toBeLessThan(quote.margin.beforeDiscount.marginRate);
+  });
+
+  it('should convert margin figures but not margin rates', () => {
+    const components = { support: { enabled: true, params: { deviceCount: 10 } } };
+    const gbp = calculator.calculateCombinedQuote(components);
+    const eur = calculator.calculateCombinedQuote(components, { currency: 'EUR' });
+
+    expect(eur.margin.afterDiscount.cost).toBeCloseTo(gbp.margin.afterDiscount.cost * 1.18, 1);
+    expect(eur.margin.afterDiscount.marginRate).toBe(gbp.margin.afterDiscount.marginRate);
+    expect(eur.components.support.costing.lines[0].marginRate).toBe(gbp.components.support.costing.lines[0].marginRate);
+  });
+
+  it('should strip cost and margin from customer-facing quotes', () => {
+    const quote = calculator.calculateCombinedQuote({ support: { enabled: true, params: { deviceCount: 10 } } });
+    const customerQuote = calculator.toCustomerQuote(quote);
+
+    expect(customerQuote.margin).toBeUndefined();
+    expect(customerQuote.components.support.costing).toBeUndefined();
+    expect(customerQuote.totals).toEqual(quote.totals);
+    expect(quote.margin).toBeDefined();
+  });
+
+  it('should fall back to the default cost basis for older price books', () => {
+    const book = PriceBook.createDefault();
+    delete book.costBasis;
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    expect(new NaaSCalculator(book).costBasis).toEqual(PriceBook.DEFAULT.costBasis);
+  });
+
+  it('should reject an incomplete cost basis', () => {
+    const book = PriceBook.createDefault();
+    delete book.costBasis.serviceCostRatios.naas;
+
+    const validation = PriceBook.validate(book);
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toContain("'costBasis.serviceCostRatios.naas' is missing");
+  });
+});
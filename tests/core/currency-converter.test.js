@@ -0,0 +1,94 @@
+/**
+ * Currency conversion tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('CurrencyConverter', () => {
+  const table = { base: 'GBP', asOf: '2024-06-28', rates: { GBP: 1, EUR: 1.2, USD: 1.25 } };
+
+  it('should cross rates through the base currency', () => {
+    const converter = new CurrencyConverter(table);
+
+    expect(converter.getRate('GBP', 'GBP')).toBe(1);
+    expect(converter.convert(100, 'GBP', 'EUR')).toBe(120);
+    expect(converter.convert(120, 'EUR', 'USD')).toBe(125);
+  });
+
+  it('should reject unknown currencies and invalid tables', () => {
+    const converter = new CurrencyConverter(table);
+
+    expect(() => converter.getRate('GBP', 'JPY')).toThrow(/No FX rate/);
+    expect(() => new CurrencyConverter({ base: 'GBP', asOf: 'yesterday', rates: { GBP: 1, EUR: -1 } })).toThrow(/Invalid FX rate table/);
+  });
+
+  it('should convert only listed money fields and leave any other number alone', () => {
+    const converted = new CurrencyConverter(table).convertResult({
+      breakdown: { monthlyCost: 100, newCount: 7, lines: [{ amount: 50, seats: 3 }] },
+      term: { monthlyCharges: [10, 20] },
+      metadata: { monthlyCost: 100 }
+    }, 2);
+
+    expect(converted.breakdown).toEqual({ monthlyCost: 200, newCount: 7, lines: [{ amount: 100, seats: 3 }] });
+    expect(converted.term.monthlyCharges).toEqual([20, 40]);
+    expect(converted.metadata.monthlyCost).toBe(100);
+  });
+
+  it('should describe the rate used', () => {
+    const converter = new CurrencyConverter(table);
+
+    expect(CurrencyConverter.describeRate(converter.getRateInfo('GBP', 'EUR'))).toBe('1 GBP = 1.2000 EUR (as of 2024-06-28)');
+  });
+});
+
+describe('NaaSCalculator quote currency', () => {
+  const components = {
+    support: { enabled: true, params: { level: 'basic', deviceCount: 10 } },
+    capital: { enabled: true, params: { equipment: [{ description: 'Switch', quantity: 2, unitCost: 1000 }], financing: false } }
+  };
+
+  it('should quote in the price book currency by default', () => {
+    const quote = new NaaSCalculator().calculateCombinedQuote(components);
+
+    expect(quote.currency).toMatchObject({ code: 'GBP', base: 'GBP', rate: 1 });
+  });
+
+  it('should convert money but not counts, terms or discount rates', () => {
+    const calculator = new NaaSCalculator();
+    calculator.currencyConverter = new CurrencyConverter({ base: 'GBP', asOf: '2024-06-28', rates: { GBP: 1, EUR: 2 } });
+
+    const gbp = calculator.calculateCombinedQuote(components);
+    const eur = calculator.calculateCombinedQuote(components, { currency: 'EUR' });
+
+    expect(eur.currency).toEqual({ code: 'EUR', base: 'GBP', rate: 2, asOf: '2024-06-28' });
+    expect(eur.totals.monthly).toBe(gbp.totals.monthly * 2);
+    expect(eur.subtotals.oneTime).toBe(gbp.subtotals.oneTime * 2);
+    expect(eur.components.support.breakdown.baseMonthly).toBe(gbp.components.support.breakdown.baseMonthly * 2);
+    expect(eur.components.support.breakdown.deviceCount).toBe(10);
+    expect(eur.components.capital.breakdown[0]).toMatchObject({ quantity: 2, unitCost: 2000, totalCost: 4000 });
+    expect(eur.discounts.monthlyDiscount).toBe(gbp.discounts.monthlyDiscount);
+    expect(eur.discounts.termDiscount).toBe(gbp.discounts.termDiscount);
+    eur.discounts.reasons.forEach((reason, index) => {
+      expect(reason.rates).toEqual(gbp.discounts.reasons[index].rates);
+      expect(reason.amounts.term).toBeCloseTo(gbp.discounts.reasons[index].amounts.term * 2, 1);
+    });
+    expect(eur.priceBook).toEqual(gbp.priceBook);
+  });
+
+  it('should format amounts in the requested currency', () => {
+    const calculator = new NaaSCalculator();
+
+    expect(calculator.formatCurrency(1200)).toContain('£');
+    expect(calculator.formatCurrency(1200, false, 'EUR')).toContain('€');
+    expect(calculator.formatCurrency(1200, false, 'USD')).toContain('$');
+  });
+});
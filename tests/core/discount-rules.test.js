@@ -0,0 +1,129 @@
+/**
+ * Discount rules engine tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+const ruleSet = (rules, caps = { monthly: 0.2, annual: 0.25, term: 0.3 }) => ({ caps, rules });
+
+describe('DiscountRules', () => {
+  describe('default rules', () => {
+    const rules = new DiscountRules();
+
+    it('should reproduce the volume, bundle, annual and term discounts', () => {
+      const discounts = rules.evaluate({ monthlyTotal: 5200, componentCount: 4 });
+
+      expect(discounts.monthlyDiscount).toBeCloseTo(0.15, 10);
+      expect(discounts.annualDiscount).toBeCloseTo(0.17, 10);
+      expect(discounts.termDiscount).toBeCloseTo(0.20, 10);
+      expect(discounts.reasons.map(reason => reason.id)).toEqual(['volume-5000', 'bundle-4', 'annual-payment', 'term-commitment']);
+    });
+
+    it('should only apply the first matching rule in a group', () => {
+      const discounts = rules.evaluate({ monthlyTotal: 3500, componentCount: 3 });
+
+      expect(discounts.monthlyDiscount).toBeCloseTo(0.1, 10);
+      expect(discounts.reasons.map(reason => reason.id)).toEqual(['volume-3000', 'bundle-3', 'annual-payment', 'term-commitment']);
+    });
+
+    it('should give small quotes the annual and term discounts only', () => {
+      const discounts = rules.evaluate({ monthlyTotal: 800, componentCount: 1 });
+
+      expect(discounts.monthlyDiscount).toBe(0);
+      expect(discounts.annualDiscount).toBeCloseTo(0.02, 10);
+      expect(discounts.termDiscount).toBeCloseTo(0.05, 10);
+    });
+  });
+
+  it('should report the amount each rule saves', () => {
+    const rules = new DiscountRules();
+    const discounts = rules.evaluate({ monthlyTotal: 2000, annualTotal: 24000, termTotal: 72000, componentCount: 1 });
+    const volume = discounts.reasons.find(reason => reason.id === 'volume-1500');
+
+    expect(volume.amounts).toEqual({ monthly: 100, annual: 1200, term: 3600 });
+    expect(discounts.reasons.find(reason => reason.id === 'term-commitment').amounts).toEqual({ term: 2160 });
+  });
+
+  it('should turn fixed amounts into rates and respect maxAmount', () => {
+    const rules = new DiscountRules(ruleSet([
+      { id: 'fixed', name: 'Fixed', order: 1, action: { type: 'fixed', value: 100, periods: ['monthly'] } },
+      { id: 'capped', name: 'Capped', order: 2, action: { type: 'percent', value: 0.5, maxAmount: 50, periods: ['monthly'] } }
+    ], { monthly: 1, annual: 1, term: 1 }));
+
+    const discounts = rules.evaluate({ monthlyTotal: 1000 });
+
+    expect(discounts.monthlyDiscount).toBeCloseTo(0.15, 10);
+    expect(discounts.reasons.map(reason => reason.amounts.monthly)).toEqual([100, 50]);
+  });
+
+  it('should limit later rules to the headroom left under the cap', () => {
+    const rules = new DiscountRules(ruleSet([
+      { id: 'first', name: 'First', order: 1, action: { type: 'percent', value: 0.15, periods: ['monthly'] } },
+      { id: 'second', name: 'Second', order: 2, action: { type: 'percent', value: 0.15, periods: ['monthly'] } }
+    ]));
+
+    const discounts = rules.evaluate({ monthlyTotal: 1000 });
+
+    expect(discounts.monthlyDiscount).toBeCloseTo(0.2, 10);
+    expect(discounts.reasons[1].amounts.monthly).toBe(50);
+  });
+
+  it('should match component, term, segment and date conditions', () => {
+    const conditions = {
+      requiredComponents: ['prtg', 'support'],
+      minTermMonths: 36,
+      segments: ['public_sector'],
+      validFrom: '2024-01-01',
+      validTo: '2024-12-31'
+    };
+    const context = { components: ['prtg', 'support', 'capital'], termMonths: 48, segment: 'public_sector', date: '2024-06-30' };
+
+    expect(DiscountRules.matches(conditions, context)).toBe(true);
+    expect(DiscountRules.matches(conditions, { ...context, components: ['prtg'] })).toBe(false);
+    expect(DiscountRules.matches(conditions, { ...context, termMonths: 24 })).toBe(false);
+    expect(DiscountRules.matches(conditions, { ...context, segment: 'commercial' })).toBe(false);
+    expect(DiscountRules.matches(conditions, { ...context, date: '2025-01-01' })).toBe(false);
+  });
+
+  it('should reject invalid rule sets', () => {
+    const validation = DiscountRules.validate(ruleSet([
+      { id: 'a', name: 'A', order: 1, action: { type: 'percent', value: 1.5, periods: ['monthly'] } },
+      { id: 'a', name: 'B', order: 2, action: { type: 'bogus', value: 1, periods: ['weekly'] } }
+    ]));
+
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toContain("Rule 'a' action value must be a non-negative number (at most 1 for percent)");
+    expect(validation.errors).toContain("Rule 'a' is defined more than once");
+    expect(validation.errors).toContain("Rule 'a' action type must be percent or fixed");
+    expect(() => new DiscountRules({ rules: [] })).toThrow('Invalid discount rules');
+  });
+
+  it('should apply price book rules to combined quotes', () => {
+    const book = PriceBook.createDefault();
+    book.discountRules = ruleSet([
+      ...DiscountRules.DEFAULT.rules,
+      { id: 'public-sector', name: 'Public sector', order: 50, conditions: { segments: ['public_sector'] }, action: { type: 'percent', value: 0.05, periods: ['term'] } }
+    ]);
+    const calculator = new NaaSCalculator(book);
+    const components = { support: { enabled: true, params: { deviceCount: 10 } } };
+
+    const commercial = calculator.calculateCombinedQuote(components, { segment: 'commercial' });
+    const publicSector = calculator.calculateCombinedQuote(components, { segment: 'public_sector' });
+
+    expect(publicSector.discounts.termDiscount).toBeCloseTo(commercial.discounts.termDiscount + 0.05, 10);
+    expect(publicSector.discounts.reasons.at(-1)).toMatchObject({
+      id: 'public-sector',
+      amounts: { term: Math.round(publicSector.subtotals.termTotal * 0.05 * 100) / 100 }
+    });
+    expect(PriceBook.validate(book).isValid).toBe(true);
+  });
+});
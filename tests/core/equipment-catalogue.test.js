@@ -0,0 +1,90 @@
+/**
+ * Equipment catalogue and capital line tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import ImportValidator from '../../src/utils/import-validator.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Equipment catalogue', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should list every SKU with vendor, category and list price', () => {
+    const equipment = calculator.listEquipment();
+
+    expect(equipment.map(item => item.sku)).toEqual(Object.keys(PriceBook.DEFAULT.pricing.capital.equipmentTypes));
+    expect(calculator.getEquipmentItem('switch_48port')).toEqual({
+      sku: 'switch_48port',
+      name: 'Aruba CX 48-Port Access Switch',
+      vendor: 'HPE Aruba',
+      category: 'Switch',
+      listPrice: 2400,
+      usefulLifeMonths: 84,
+      depreciationMethod: 'straight_line'
+    });
+    expect(calculator.getEquipmentItem('ap_mesh')).toBeNull();
+  });
+
+  it('should name SKUs from books saved before names and vendors were added', () => {
+    const book = PriceBook.createDefault();
+    book.pricing.capital.equipmentTypes.router_small = { cost: 2500, category: 'Router' };
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    expect(new NaaSCalculator(book).getEquipmentItem('router_small')).toMatchObject({ name: 'Router Small', vendor: '' });
+  });
+
+  it('should price catalogue lines from the price book and keep custom lines', () => {
+    // HPE Aruba switch: 2400 list, 40% distributor discount, 25% uplift
+    const result = calculator.calculateCapital({
+      equipment: [
+        { sku: 'switch_48port', quantity: 4 },
+        { sku: 'wireless_ap', description: 'Ground floor APs', quantity: 10, unitCost: 400 },
+        { description: 'Rack and PDUs', quantity: 1, unitCost: 900 }
+      ],
+      financing: false
+    });
+
+    expect(result.breakdown[0]).toMatchObject({ sku: 'switch_48port', description: 'Aruba CX 48-Port Access Switch', vendor: 'HPE Aruba', category: 'Switch', listPrice: 2400, unitCost: 1800, totalCost: 7200 });
+    expect(result.breakdown[1]).toMatchObject({ description: 'Ground floor APs', unitCost: 400, totalCost: 4000 });
+    expect(result.breakdown[2]).toMatchObject({ sku: null, category: 'Custom Equipment', totalCost: 900 });
+    expect(result.totals.oneTime).toBe(12100);
+  });
+
+  it('should follow list price changes in a newer price book', () => {
+    const book = PriceBook.createDefault();
+    book.pricing.capital.equipmentTypes.switch_48port.cost = 2600;
+    const params = { equipment: [{ sku: 'switch_48port', quantity: 2 }], financing: false };
+
+    expect(new NaaSCalculator(book).calculateCapital(params).totals.oneTime).toBe(3900);
+  });
+
+  it('should report SKUs missing from the catalogue', () => {
+    const result = calculator.calculateCapital({ equipment: [{ sku: 'ap_mesh', quantity: 1 }] });
+
+    expect(result.error).toBe("Equipment SKU 'ap_mesh' is not in the catalogue");
+  });
+
+  it('should validate imported SKUs against the same catalogue', () => {
+    const book = PriceBook.createDefault();
+    book.pricing.capital.equipmentTypes.switch_core = { name: 'Core Switch', vendor: 'HPE Aruba', cost: 9000, category: 'Switch' };
+    const validator = new ImportValidator(new NaaSCalculator(book));
+
+    const valid = validator.validateImportData({
+      equipment: [{ sku: 'switch_core', quantity: 2 }, { description: 'Cabling', quantity: 1, unitCost: 300 }]
+    }, 'capital');
+    const invalid = validator.validateImportData({ equipment: [{ sku: 'ap_mesh', quantity: 1 }] }, 'capital');
+
+    expect(valid.isValid).toBe(true);
+    expect(invalid.isValid).toBe(false);
+    expect(invalid.errors[0]).toContain("got 'ap_mesh'");
+    expect(invalid.errors[0]).toContain('switch_core');
+  });
+});
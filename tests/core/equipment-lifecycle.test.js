@@ -0,0 +1,104 @@
+/**
+ * Equipment depreciation and refresh-cycle tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Equipment lifecycle', () => {
+  const calculator = new NaaSCalculator();
+
+  // 48-month lives: a FortiGate at 2940 (reducing balance) and ten APs at 3375 (straight line)
+  const params = {
+    equipment: [{ sku: 'firewall_small', quantity: 1 }, { sku: 'wireless_ap', quantity: 10 }],
+    financing: false,
+    contractTermMonths: 60
+  };
+
+  it('should write equipment off straight line or by reducing balance over its useful life', () => {
+    const straightLine = calculator.getMonthlyDepreciation(4800, 48, 'straight_line');
+    const reducingBalance = calculator.getMonthlyDepreciation(4800, 48, 'reducing_balance');
+    const yearly = charges => [0, 12, 24, 36].map(start => Math.round(charges.slice(start, start + 12).reduce((a, b) => a + b, 0)));
+
+    expect(straightLine).toHaveLength(48);
+    expect(yearly(straightLine)).toEqual([1200, 1200, 1200, 1200]);
+    expect(yearly(reducingBalance)).toEqual([2400, 1200, 600, 600]);
+  });
+
+  it('should buy lines again when their useful life ends within the contract term', () => {
+    const result = calculator.calculateCapital(params);
+
+    expect(result.refresh).toEqual([
+      { month: 49, year: 5, sku: 'firewall_small', description: 'FortiGate Firewall (Small)', quantity: 1, totalCost: 2940 },
+      { month: 49, year: 5, sku: 'wireless_ap', description: 'Aruba Indoor Access Point', quantity: 10, totalCost: 3375 }
+    ]);
+    expect(result.totals.oneTime).toBe(6315);
+    expect(result.totals.threeYear).toBe(6315);
+    expect(result.totals.termTotal).toBe(12630);
+    expect(result.term.years[4]).toMatchObject({ recurring: 6315, refresh: 6315 });
+    expect(result.term.monthlyCharges[48]).toBe(6315);
+  });
+
+  it('should depreciate the initial purchase and each refresh by contract year', () => {
+    const { depreciation } = calculator.calculateCapital(params);
+
+    expect(depreciation.lines[0]).toMatchObject({ sku: 'firewall_small', usefulLifeMonths: 48, depreciationMethod: 'reducing_balance' });
+    expect(depreciation.years).toEqual([
+      { year: 1, months: 12, additions: 6315, depreciation: 2313.75, bookValue: 4001.25 },
+      { year: 2, months: 12, additions: 0, depreciation: 1578.75, bookValue: 2422.5 },
+      { year: 3, months: 12, additions: 0, depreciation: 1211.25, bookValue: 1211.25 },
+      { year: 4, months: 12, additions: 0, depreciation: 1211.25, bookValue: 0 },
+      { year: 5, months: 12, additions: 6315, depreciation: 2313.75, bookValue: 4001.25 }
+    ]);
+  });
+
+  it('should cost refreshes at their buy price and leave them out when refresh is off', () => {
+    const result = calculator.calculateCapital(params);
+    const withoutRefresh = calculator.calculateCapital({ ...params, includeRefresh: false });
+
+    expect(result.costing.lines.map(line => line.line)).toContain('FortiGate Firewall (Small) (refresh, month 49)');
+    expect(result.costing.totals.cost).toBe(2 * (2450 + 2700));
+    expect(withoutRefresh.refresh).toEqual([]);
+    expect(withoutRefresh.totals.termTotal).toBe(6315);
+  });
+
+  it('should put refreshes in the cash flow month they fall', () => {
+    const { rows } = calculator.calculateCashFlowSchedule({ capital: { enabled: true, params } }, { termMonths: 60 });
+
+    expect(rows[0].components.capital).toBe(6315);
+    expect(rows[48].components.capital).toBe(6315);
+    expect(rows[47].components.capital).toBe(0);
+  });
+
+  it('should use a line or default lifecycle where the catalogue gives none', () => {
+    const book = PriceBook.createDefault();
+    delete book.pricing.capital.equipmentTypes.router_small.usefulLifeMonths;
+    const result = new NaaSCalculator(book).calculateCapital({
+      equipment: [{ sku: 'router_small', quantity: 1 }, { description: 'UPS', quantity: 1, unitCost: 600, usefulLifeMonths: 36 }],
+      financing: false,
+      contractTermMonths: 60
+    });
+
+    expect(result.breakdown[0].usefulLifeMonths).toBe(60);
+    expect(result.refresh.map(refresh => refresh.month)).toEqual([37]);
+  });
+
+  it('should reject invalid useful lives and depreciation methods', () => {
+    const book = PriceBook.createDefault();
+    book.pricing.capital.equipmentTypes.router_small.usefulLifeMonths = 0;
+    book.pricing.capital.equipmentTypes.switch_24port.depreciationMethod = 'sum_of_digits';
+
+    const { isValid, errors } = PriceBook.validate(book);
+    expect(isValid).toBe(false);
+    expect(errors).toContain("'capital.equipmentTypes.router_small.usefulLifeMonths' must be a positive whole number of months");
+    expect(errors).toContain("'capital.equipmentTypes.switch_24port.depreciationMethod' must be one of straight_line, reducing_balance");
+  });
+});
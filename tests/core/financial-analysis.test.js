@@ -0,0 +1,129 @@
+/**
+ * Financial analysis tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import AppConfig from '../../src/config.js';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import FinancialAnalysis from '../../src/core/financial-analysis.js';
+import '../../src/core/calculations.js';
+
+globalThis.AppConfig = AppConfig;
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('FinancialAnalysis', () => {
+  describe('npv', () => {
+    it('should not discount the first month', () => {
+      expect(FinancialAnalysis.npv(0.01, [100])).toBe(100);
+      expect(FinancialAnalysis.npv(0, [100, 100, 100])).toBe(300);
+      expect(FinancialAnalysis.npv(0.1, [0, 110])).toBeCloseTo(100, 6);
+    });
+  });
+
+  describe('irr', () => {
+    it('should find the rate that zeroes the NPV', () => {
+      expect(FinancialAnalysis.irr([100, -101])).toBeCloseTo(0.01, 6);
+    });
+
+    it('should return null when the cash flows never change sign', () => {
+      expect(FinancialAnalysis.irr([100, 50, 25])).toBeNull();
+      expect(FinancialAnalysis.irr([0, 0, 0])).toBeNull();
+    });
+  });
+
+  describe('paybackMonth', () => {
+    it('should find the month the up-front premium is recovered', () => {
+      expect(FinancialAnalysis.paybackMonth([300, -100, -100, -100, -100])).toBe(4);
+      expect(FinancialAnalysis.paybackMonth([300, -100])).toBeNull();
+      expect(FinancialAnalysis.paybackMonth([0, 0, 0])).toBeNull();
+    });
+  });
+
+  describe('analyse', () => {
+    const analysis = new FinancialAnalysis(new NaaSCalculator());
+
+    it('should show no difference when nothing is financed', () => {
+      const result = analysis.analyse({
+        support: { enabled: true, params: { level: 'basic', deviceCount: 4 } }
+      }, { termMonths: 36, discountRate: 0.08 });
+
+      expect(result.naas.tco).toBe(result.outright.tco);
+      expect(result.npvAdvantage).toBe(0);
+      expect(result.naas.npv).toBeLessThan(result.naas.tco);
+      expect(result.irr).toBeNull();
+      expect(result.paybackMonth).toBeNull();
+    });
+
+    it('should compare financed equipment with buying outright', () => {
+      const result = analysis.analyse({
+        capital: { enabled: true, params: { equipment: [{ description: 'Router', quantity: 1, unitCost: 12000 }], financing: true, termMonths: 36 } },
+        support: { enabled: true, params: { level: 'basic', deviceCount: 4 } }
+      }, { termMonths: 48, discountRate: 0.08 });
+
+      expect(result.naas.tco).toBeGreaterThan(result.outright.tco);
+      // Financing at 5% APR is cheaper than the customer's 8% cost of capital
+      expect(result.npvAdvantage).toBeGreaterThan(0);
+      expect(result.irr).toBeGreaterThan(0.04);
+      expect(result.irr).toBeLessThan(0.07);
+      expect(result.paybackMonth).toBeGreaterThan(24);
+      expect(result.paybackMonth).toBeLessThanOrEqual(36);
+    });
+  });
+
+  describe('compareOwnership', () => {
+    const calculator = new NaaSCalculator();
+    const analysis = new FinancialAnalysis(calculator);
+    const components = {
+      capital: { enabled: true, params: { equipment: [{ sku: 'switch_48port', quantity: 6 }, { sku: 'wireless_ap', quantity: 4 }], financing: false, termMonths: 36 } },
+      support: { enabled: true, params: { level: 'basic', deviceCount: 10 } }
+    };
+
+    it('should lay out buying, financing and a NaaS subscription over the term', () => {
+      const result = analysis.compareOwnership(components, { termMonths: 36 });
+      const [buy, finance, naas] = result.options;
+      const naasSchedule = calculator.calculateCashFlowSchedule({
+        naasStandard: { enabled: true, params: { package: 'standard', deviceCount: 10 } }
+      }, { termMonths: 36 });
+
+      expect(result.options.map(option => option.id)).toEqual(['buy', 'finance', 'naas']);
+      expect(result.deviceCount).toBe(10);
+      expect(buy.total).toBe(calculator.calculateCashFlowSchedule(components, { termMonths: 36 }).totals.total);
+      expect(naas.total).toBe(naasSchedule.totals.total);
+      expect(finance.total).toBeGreaterThan(buy.total);
+      expect(finance.upfront).toBeLessThan(buy.upfront);
+      expect(buy.monthly).toHaveLength(36);
+      expect(buy.cumulative[35]).toBe(buy.total);
+      expect(buy.years.reduce((total, amount) => total + amount, 0)).toBeCloseTo(buy.total, 2);
+      expect(result.cheapest).toBe([buy, finance, naas].reduce((best, option) => option.total < best.total ? option : best).id);
+    });
+
+    it('should find the month buying outright breaks even with financing', () => {
+      const result = analysis.compareOwnership(components, { termMonths: 48 });
+      const [buy, finance] = result.options;
+
+      expect(result.breakeven.finance).toBeGreaterThan(1);
+      expect(buy.cumulative[result.breakeven.finance - 1]).toBeLessThanOrEqual(finance.cumulative[result.breakeven.finance - 1] + 0.01);
+      expect(buy.cumulative[result.breakeven.finance - 2]).toBeGreaterThan(finance.cumulative[result.breakeven.finance - 2]);
+    });
+
+    it('should size the subscription from the quote\'s own NaaS package', () => {
+      const result = analysis.compareOwnership({ ...components, naasEnhanced: { enabled: true, params: { package: 'enhanced', deviceCount: 2 } } }, { termMonths: 36 });
+      const enhanced = calculator.calculateCashFlowSchedule({
+        naasEnhanced: { enabled: true, params: { package: 'enhanced', deviceCount: 10 } }
+      }, { termMonths: 36 });
+
+      expect(result.options[2].total).toBe(enhanced.totals.total);
+      expect(result.options[0].total).toBe(analysis.compareOwnership(components, { termMonths: 36 }).options[0].total);
+    });
+
+    it('should need capital equipment to compare', () => {
+      expect(analysis.compareOwnership({ support: components.support }).error)
+        .toBe('Add capital equipment to the quote to compare buying, financing and NaaS');
+    });
+  });
+});
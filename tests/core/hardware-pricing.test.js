@@ -0,0 +1,91 @@
+/**
+ * Hardware list price, distributor discount and uplift tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Hardware pricing', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should take the vendor rate before the category rate before the default', () => {
+    expect(calculator.getHardwareRate('buyDiscounts', 'Cisco', 'Router')).toBe(0.35);
+    expect(calculator.getHardwareRate('buyDiscounts', 'Juniper', 'Router')).toBe(0.25);
+    expect(calculator.getHardwareRate('buyDiscounts', 'Juniper', 'Storage')).toBe(0.20);
+    expect(calculator.getHardwareRate('sellUplifts', 'Fortinet', 'Firewall')).toBe(0.20);
+  });
+
+  it('should buy at list less the discount and sell at buy plus the uplift', () => {
+    const line = calculator.resolveEquipmentLine({ sku: 'router_small', quantity: 2 });
+
+    // Cisco router: 2500 list, 35% discount, 25% uplift
+    expect(line).toMatchObject({ listPrice: 2500, unitCost: 2031.25, totalCost: 4062.5 });
+    expect(line.buy).toEqual({ discount: 0.35, uplift: 0.25, unitPrice: 1625, total: 3250 });
+  });
+
+  it('should let a line override the list price, discount, uplift and sell price', () => {
+    expect(calculator.resolveEquipmentLine({ sku: 'router_small', quantity: 1, listPrice: 2000, buyDiscount: 0.5, uplift: 0.1 }))
+      .toMatchObject({ unitCost: 1100, buy: { unitPrice: 1000 } });
+    expect(calculator.resolveEquipmentLine({ sku: 'router_small', quantity: 1, unitCost: 3000 }))
+      .toMatchObject({ unitCost: 3000, buy: { unitPrice: 1625 } });
+    expect(calculator.resolveEquipmentLine({ description: 'Patch panel', vendor: 'Excel', quantity: 1, listPrice: 100 }))
+      .toMatchObject({ vendor: 'Excel', unitCost: 100, buy: { discount: 0.20, unitPrice: 80 } });
+  });
+
+  it('should cost the capital lines at their buy price and summarise them by vendor', () => {
+    const result = calculator.calculateCapital({
+      equipment: [
+        { sku: 'router_small', quantity: 2 },
+        { sku: 'firewall_small', quantity: 1 },
+        { sku: 'router_medium', quantity: 1 },
+        { description: 'Rack', quantity: 1, unitCost: 1000 }
+      ],
+      financing: false
+    });
+
+    expect(result.breakdown.every(line => line.buy === undefined)).toBe(true);
+    expect(result.costing.lines[1]).toMatchObject({ price: 2940, cost: 2450 });
+    expect(result.costing.lines[3].cost).toBe(1000 * PriceBook.DEFAULT.costBasis.equipmentCostRatio);
+    expect(result.vendorSummary).toEqual([
+      { vendor: 'Cisco', lineCount: 2, quantity: 3, listTotal: 13500, sellTotal: 10968.75 },
+      { vendor: 'Fortinet', lineCount: 1, quantity: 1, listTotal: 3500, sellTotal: 2940 },
+      { vendor: 'Other', lineCount: 1, quantity: 1, listTotal: 1000, sellTotal: 1000 }
+    ]);
+    expect(result.costing.vendors[0]).toMatchObject({ vendor: 'Cisco', price: 10968.75, cost: 8775 });
+  });
+
+  it('should keep buy costs out of the customer quote', () => {
+    const quote = calculator.calculateCombinedQuote({ capital: { enabled: true, params: { equipment: [{ sku: 'router_small', quantity: 1 }], financing: false } } });
+    const customer = calculator.toCustomerQuote(quote);
+
+    expect(customer.components.capital.costing).toBeUndefined();
+    expect(customer.components.capital.vendorSummary[0].vendor).toBe('Cisco');
+  });
+
+  it('should fall back to the default rates for books saved without hardware', () => {
+    const book = PriceBook.createDefault();
+    delete book.hardware;
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    expect(new NaaSCalculator(book).getHardwareRate('buyDiscounts', 'HPE Aruba', 'Switch')).toBe(0.40);
+  });
+
+  it('should reject discounts of 100% or more and negative uplifts', () => {
+    const book = PriceBook.createDefault();
+    book.hardware.buyDiscounts.vendors.Cisco = 1;
+    book.hardware.sellUplifts.categories.Switch = -0.1;
+
+    const { isValid, errors } = PriceBook.validate(book);
+    expect(isValid).toBe(false);
+    expect(errors).toContain("'hardware.buyDiscounts.vendors.Cisco' must be at least 0 and below 1");
+    expect(errors.some(error => error.includes('hardware.sellUplifts.categories.Switch'))).toBe(true);
+  });
+});
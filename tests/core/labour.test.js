@@ -0,0 +1,151 @@
+/**
+ * Time-and-materials labour and pre-paid hour bundle tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Labour component', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should price hours per role at the support hourly rate card', () => {
+    const result = calculator.calculateLabour({ hours: { l2_support: 10, engineer: 4 } });
+
+    expect(result.breakdown.roles).toEqual([
+      { role: 'l2_support', hours: 10, rate: 125, amount: 1250 },
+      { role: 'engineer', hours: 4, rate: 225, amount: 900 }
+    ]);
+    expect(result.totals.oneTime).toBe(2150);
+    expect(result.totals.monthly).toBe(0);
+    expect(result.totals.termTotal).toBe(2150);
+    expect(result.labour.bundle).toBeNull();
+  });
+
+  it('should cost hours at the engineer day cost and scale by region', () => {
+    const result = calculator.calculateLabour({ hours: { engineer: 8 }, region: 'uk-london' });
+
+    expect(result.breakdown.roles[0].rate).toBeCloseTo(225 * 1.15, 6);
+    expect(result.costing.totals.cost).toBeCloseTo(480 * 1.15, 6);
+  });
+
+  it('should pick the best bundle the hours qualify for', () => {
+    const result = calculator.calculateLabour({
+      hours: { l1_support: 60, l2_support: 40 },
+      billing: 'prepaid',
+      usageMonths: 12
+    });
+
+    expect(result.labour.bundle.id).toBe('block_100');
+    expect(result.labour.purchases).toEqual([
+      { month: 1, hours: 100, rolledInHours: 0, usedHours: 100, rolledOverHours: 0, forfeitedHours: 0, price: 8585 }
+    ]);
+    expect(result.totals.oneTime).toBe(8585);
+    expect(result.breakdown.bundleSaving).toBe(1515);
+  });
+
+  it('should buy bundles again when their hours expire and roll unused hours over', () => {
+    const result = calculator.calculateLabour({
+      hours: { engineer: 120 },
+      billing: 'prepaid',
+      bundle: 'block_50',
+      usageMonths: 24,
+      utilisation: 0.8
+    });
+
+    expect(result.labour.purchases).toEqual([
+      { month: 1, hours: 60, rolledInHours: 0, usedHours: 48, rolledOverHours: 12, forfeitedHours: 0, price: 12150 },
+      { month: 13, hours: 48, rolledInHours: 12, usedHours: 48, rolledOverHours: 0, forfeitedHours: 12, price: 9720 }
+    ]);
+    expect(result.totals.oneTime).toBe(12150);
+    expect(result.totals.threeYear).toBe(21870);
+    expect(result.totals.termTotal).toBe(21870);
+    expect(result.term.years[1].recurring).toBe(9720);
+    expect(result.labour.usedHours).toBe(96);
+    expect(result.labour.forfeitedHours).toBe(12);
+    expect(result.labour.effectiveRate).toBe(227.81);
+  });
+
+  it('should count T&M hours and bundles bought within three years in the three-year total', () => {
+    const timeAndMaterials = calculator.calculateLabour({ hours: { engineer: 10 } });
+    const prepaid = calculator.calculateLabour({
+      hours: { engineer: 240 },
+      billing: 'prepaid',
+      bundle: 'block_50',
+      usageMonths: 48,
+      contractTermMonths: 48
+    });
+
+    // 10 hours at 225
+    expect(timeAndMaterials.totals.threeYear).toBe(2250);
+    // Four 60-hour purchases at 225 less 10% (12150 each) in months 1, 13, 25 and 37
+    expect(prepaid.labour.purchases.map(purchase => purchase.month)).toEqual([1, 13, 25, 37]);
+    expect(prepaid.totals.threeYear).toBe(36450);
+    expect(prepaid.totals.termTotal).toBe(48600);
+  });
+
+  it('should return an error for bundles the hours do not qualify for', () => {
+    expect(calculator.calculateLabour({ hours: { engineer: 30 }, billing: 'prepaid', bundle: 'block_50', usageMonths: 12 }).error)
+      .toBe('50 Hour Block needs at least 50 hours a purchase');
+    expect(calculator.calculateLabour({ hours: { engineer: 30 }, billing: 'prepaid' }).error)
+      .toBe('No pre-paid bundle applies to 30 hours over 36 months');
+  });
+
+  it('should return an error for unknown roles and billing', () => {
+    expect(calculator.calculateLabour({ hours: { architect: 4 } }).error).toBe("Unknown labour role 'architect'");
+    expect(calculator.calculateLabour({ hours: { engineer: 4 }, billing: 'retainer' }).error)
+      .toBe('Labour billing must be one of timeAndMaterials, prepaid');
+  });
+
+  it('should be included in the combined quote', () => {
+    const quote = calculator.calculateCombinedQuote({
+      labour: { enabled: true, params: { hours: { engineer: 8 } } }
+    });
+
+    expect(quote.components.labour.totals.oneTime).toBe(1800);
+    expect(quote.totals.oneTime).toBe(1800);
+  });
+
+  it('should convert amounts but not hours or rates', () => {
+    const result = calculator.calculateLabour({ hours: { engineer: 120 }, billing: 'prepaid', bundle: 'block_50', usageMonths: 24 });
+    const converted = new CurrencyConverter().convertResult(result, 2);
+
+    expect(converted.labour.bundle).toEqual(result.labour.bundle);
+    expect(converted.labour.purchases[1]).toMatchObject({ month: 13, hours: 60, price: result.labour.purchases[1].price * 2 });
+    expect(converted.breakdown.roles[0]).toEqual({ role: 'engineer', hours: 120, rate: 450, amount: 54000 });
+  });
+
+  it('should accept price books without a labour card', () => {
+    const book = PriceBook.clone(PriceBook.DEFAULT);
+    delete book.pricing.labour;
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    expect(new NaaSCalculator(book).calculateLabour({ hours: { engineer: 120 }, billing: 'prepaid', usageMonths: 12 }).labour.bundle.id).toBe('block_100');
+  });
+
+  it('should reject labour bundles that never expire or have rates outside 0 to 1', () => {
+    const book = PriceBook.clone(PriceBook.DEFAULT);
+    book.pricing.labour.bundles.block_20.expiryMonths = 0;
+    book.pricing.labour.bundles.block_50.discountRate = 1.5;
+    book.pricing.labour.bundles.block_100.minHours = 0;
+    book.pricing.labour.rolloverRate = -0.1;
+    book.pricing.support.hourlyRates.engineer = 0;
+
+    const validation = PriceBook.validate(book);
+    expect(validation.isValid).toBe(false);
+    expect(validation.errors).toEqual(expect.arrayContaining([
+      "'labour.bundles.block_20.expiryMonths' must be a positive whole number of months",
+      "'labour.bundles.block_50.discountRate' must be between 0 and 1",
+      "'labour.bundles.block_100.minHours' must be a positive number",
+      "'labour.rolloverRate' must be between 0 and 1",
+      "'support.hourlyRates.engineer' must be a positive number"
+    ]));
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Capital financing structure tests: leases, balloons, payment timing, deferral and APR override
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import AppConfig from '../../src/config.js';
+import StorageManager from '../../src/services/storage-manager.js';
+import '../../src/core/calculations.js';
+
+globalThis.AppConfig = AppConfig;
+globalThis.StorageManager = StorageManager;
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Lease and loan structures', () => {
+  const calculator = new NaaSCalculator();
+  const capital = (params = {}) => calculator.calculateCapital({
+    equipment: [{ description: 'Core switch pair', quantity: 1, unitCost: 12000 }],
+    financing: true,
+    termMonths: 12,
+    contractTermMonths: 12,
+    ...params
+  });
+  const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+  it('should amortise a plain loan to nil with interest and principal per month', () => {
+    const { financing } = capital();
+    const rows = financing.amortisation;
+
+    expect(rows).toHaveLength(12);
+    expect(rows[0]).toMatchObject({ period: 1, month: 1, openingBalance: 12000, interest: 50 });
+    expect(rows[0].principal).toBeCloseTo(rows[0].payment - 50, 2);
+    expect(rows[11].closingBalance).toBe(0);
+    expect(sum(rows, 'principal')).toBeCloseTo(12000, 1);
+    expect(financing.totalInterest).toBe(Math.round(sum(rows, 'interest')));
+  });
+
+  it('should leave the residual value at the end of an operating lease', () => {
+    const { financing, totals } = capital({ financingStructure: 'lease', residualRate: 0.25, aprOverride: 0 });
+
+    expect(financing).toMatchObject({ structure: 'lease', residualValue: 3000, balloonPayment: 0, monthlyPayment: 750 });
+    expect(financing.amortisation[11]).toMatchObject({ payment: 750, closingBalance: 3000 });
+    expect(totals.termTotal).toBe(9000);
+  });
+
+  it('should pay the residual with the last instalment of a balloon loan', () => {
+    const { financing, term, totals } = capital({ financingStructure: 'balloon', residualRate: 0.25, aprOverride: 0 });
+
+    expect(financing.balloonPayment).toBe(3000);
+    expect(financing.amortisation[11]).toMatchObject({ payment: 3750, closingBalance: 0 });
+    expect(term.monthlyCharges[11]).toBe(3750);
+    expect(totals.termTotal).toBe(12000);
+  });
+
+  it('should discount instalments paid in advance by one month of interest', () => {
+    const arrears = capital().financing;
+    const advance = capital({ paymentTiming: 'advance' }).financing;
+
+    expect(advance.amortisation[0].payment).toBeCloseTo(arrears.amortisation[0].payment / (1 + 0.05 / 12), 2);
+    expect(advance.amortisation[0].interest).toBeCloseTo((12000 - advance.amortisation[0].payment) * 0.05 / 12, 2);
+    expect(advance.amortisation[11].closingBalance).toBe(0);
+    expect(advance.totalInterest).toBeLessThan(arrears.totalInterest);
+  });
+
+  it('should capitalise interest while the first payment is deferred', () => {
+    const { financing, term } = capital({ deferralMonths: 3, contractTermMonths: 24 });
+    const rows = financing.amortisation;
+
+    expect(rows).toHaveLength(15);
+    expect(rows[0]).toMatchObject({ period: 0, month: 1, payment: 0, interest: 50, closingBalance: 12050 });
+    expect(rows[3]).toMatchObject({ period: 1, month: 4 });
+    expect(term.monthlyCharges.slice(0, 3)).toEqual([0, 0, 0]);
+    expect(term.monthlyCharges[3]).toBe(rows[3].payment);
+    expect(rows[14].closingBalance).toBe(0);
+  });
+
+  it('should price a quote at its APR override instead of the price book rate', () => {
+    const override = capital({ aprOverride: 0.09 }).financing;
+
+    expect(override.apr).toBe(0.09);
+    expect(override.amortisation[0].interest).toBe(90);
+    expect(override.totalInterest).toBeGreaterThan(capital().financing.totalInterest);
+  });
+
+  it('should price at the price book rate when the store holds no APR override', async () => {
+    const { default: QuoteDataStore } = await import('../../src/services/data-store.js');
+    const store = new QuoteDataStore();
+    const params = { equipment: [{ description: 'Core switch pair', quantity: 1, unitCost: 12000 }], financing: true, termMonths: 12, contractTermMonths: 12 };
+
+    store.updateComponent('capital', { enabled: true, params: { ...params, aprOverride: null } });
+    expect(store.getComponent('capital').params).not.toHaveProperty('aprOverride');
+    expect(calculator.calculateCapital(store.getComponent('capital').params).financing.apr).toBe(calculator.config.APR_RATE);
+
+    store.updateComponentParams('capital', { aprOverride: 0.09 });
+    expect(calculator.calculateCapital(store.getComponent('capital').params).financing.apr).toBe(0.09);
+
+    store.updateComponentParams('capital', { aprOverride: null });
+    expect(store.getComponent('capital').params).not.toHaveProperty('aprOverride');
+    expect(calculator.calculateCapital(store.getComponent('capital').params).financing.apr).toBe(calculator.config.APR_RATE);
+  });
+
+  it('should reject unknown structures and out-of-range financing options', () => {
+    expect(capital({ financingStructure: 'hire_purchase' }).error).toBe('Financing structure must be one of loan, lease, balloon');
+    expect(capital({ financingStructure: 'lease', residualRate: 1 }).error).toBe('Residual value must be at least 0% and below 100% of the amount financed');
+    expect(capital({ paymentTiming: 'quarterly' }).error).toBe('Payment timing must be one of arrears, advance');
+    expect(capital({ deferralMonths: 1.5 }).error).toBe('Deferral months must be a non-negative whole number');
+    expect(capital({ aprOverride: -0.01 }).error).toBe('APR override must be at least 0 and below 1');
+  });
+});
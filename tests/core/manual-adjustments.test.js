@@ -0,0 +1,115 @@
+/**
+ * Manual adjustment and pricing guardrail tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+const components = (supportAdjustment) => ({
+  support: { enabled: true, params: { level: 'standard', deviceCount: 10 }, manualAdjustment: supportAdjustment },
+  onboarding: { enabled: true, params: { complexity: 'simple' } }
+});
+
+describe('Manual adjustments', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should apply component adjustments after automatic discounts', () => {
+    const base = calculator.calculateCombinedQuote(components());
+    const adjusted = calculator.calculateCombinedQuote(components(0.1));
+    const support = base.components.support.totals;
+
+    expect(adjusted.discounts).toEqual(base.discounts);
+    expect(adjusted.adjustments.components).toEqual({ support: 0.1 });
+    expect(adjusted.totals.oneTime).toBe(base.totals.oneTime);
+    expect(adjusted.totals.monthly).toBe(Math.round((base.subtotals.monthly - support.monthly * 0.1) * (1 - base.discounts.monthlyDiscount)));
+    expect(adjusted.adjustments.amounts.term).toBe(base.totals.termTotal - adjusted.totals.termTotal);
+  });
+
+  it('should treat a negative whole-quote adjustment as a markup', () => {
+    const base = calculator.calculateCombinedQuote(components());
+    const marked = calculator.calculateCombinedQuote(components(), { manualAdjustment: -0.1 });
+
+    expect(marked.totals.termTotal).toBe(Math.round(base.subtotals.termTotal * (1 - base.discounts.termDiscount) * 1.1));
+    expect(marked.totals.oneTime).toBeCloseTo(base.totals.oneTime * 1.1, 2);
+    expect(marked.adjustments.amounts.term).toBeLessThan(0);
+  });
+
+  it('should carry adjustments into the per-year rows and cash flow', () => {
+    const options = { termMonths: 48, manualAdjustment: 0.05 };
+    const quote = calculator.calculateCombinedQuote(components(0.1), options);
+    const cashFlow = calculator.calculateCashFlowSchedule(components(0.1), options);
+    const yearTotal = quote.term.years.reduce((total, row) => total + row.total, 0);
+
+    expect(Math.abs(yearTotal - quote.totals.termTotal)).toBeLessThanOrEqual(quote.term.years.length);
+    expect(cashFlow.totals.total).toBeCloseTo(quote.totals.termTotal, -1);
+  });
+
+  it('should ignore adjustments outside -100% to 100%', () => {
+    const base = calculator.calculateCombinedQuote(components());
+    const invalid = calculator.calculateCombinedQuote(components(5), { manualAdjustment: 'lots' });
+
+    expect(invalid.totals).toEqual(base.totals);
+    expect(invalid.adjustments).toMatchObject({ quote: 0, components: {} });
+  });
+});
+
+describe('Pricing guardrails', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should not need approval within the guardrails', () => {
+    const quote = calculator.calculateCombinedQuote(components());
+
+    expect(quote.guardrails).toMatchObject({ requiresApproval: false, status: 'not_required', breaches: [] });
+  });
+
+  it('should flag a discount above the maximum for approval', () => {
+    const quote = calculator.calculateCombinedQuote(components(0.4));
+
+    expect(quote.guardrails.requiresApproval).toBe(true);
+    expect(quote.guardrails.status).toBe('pending');
+    expect(quote.guardrails.breaches).toContainEqual(expect.objectContaining({ type: 'discount', component: 'support' }));
+  });
+
+  it('should flag a margin below the floor for approval', () => {
+    const book = PriceBook.createDefault();
+    book.guardrails = { floorMarginRate: 0.6, maxDiscountRate: 0.3 };
+    const quote = new NaaSCalculator(book).calculateCombinedQuote(components());
+
+    expect(quote.guardrails.breaches.map(breach => breach.type)).toEqual(['margin']);
+    expect(quote.guardrails.status).toBe('pending');
+  });
+
+  it('should honour an approval only while the quote is unchanged', () => {
+    const pending = calculator.calculateCombinedQuote(components(0.4));
+    const approval = { approvedBy: 'Finance', approvedAt: '2024-07-01T09:00:00.000Z', fingerprint: pending.guardrails.fingerprint };
+
+    const approved = calculator.calculateCombinedQuote(components(0.4), { approval });
+    expect(approved.guardrails.status).toBe('approved');
+    expect(approved.guardrails.approval).toEqual(approval);
+
+    const changed = calculator.calculateCombinedQuote(components(0.45), { approval });
+    expect(changed.guardrails.status).toBe('pending');
+    expect(changed.guardrails.approval).toBeNull();
+  });
+
+  it('should keep guardrails out of customer-facing quotes', () => {
+    const quote = calculator.calculateCombinedQuote(components(0.4));
+
+    expect(calculator.toCustomerQuote(quote).guardrails).toBeUndefined();
+  });
+
+  it('should validate price book guardrails', () => {
+    const book = PriceBook.createDefault();
+    book.guardrails.maxDiscountRate = 1.5;
+
+    expect(PriceBook.validate(book).errors).toContain("'guardrails.maxDiscountRate' must be between 0 and 1");
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Price book tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+// calculations.js is a browser script that resolves its collaborators from the global scope
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('PriceBook', () => {
+  beforeEach(() => {
+    PriceBook.active = null;
+  });
+
+  describe('validate', () => {
+    it('should accept the shipped default price book', () => {
+      const result = PriceBook.validate(PriceBook.createDefault());
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject missing header fields and sections', () => {
+      const book = PriceBook.createDefault();
+      delete book.id;
+      book.currency = 'pounds';
+      delete book.pricing.support;
+
+      const result = PriceBook.validate(book);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('Price book id is required');
+      expect(result.errors).toContain('Currency must be a three-letter ISO 4217 code');
+      expect(result.errors).toContain("Pricing section 'support' is missing");
+    });
+
+    it('should reject a pricing section with a missing tier', () => {
+      const book = PriceBook.createDefault();
+      delete book.pricing.prtg.baseLicense.up_to_500;
+      book.pricing.support.packages.basic.perDeviceMonthly = -5;
+
+      const result = PriceBook.validate(book);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain("'prtg.baseLicense.up_to_500' is missing");
+      expect(result.errors).toContain("'support.packages.basic.perDeviceMonthly' must be a non-negative number");
+    });
+
+    it('should allow additional entries beyond the shipped book', () => {
+      const book = PriceBook.createDefault();
+      book.pricing.capital.equipmentTypes.switch_core = { cost: 9000, category: 'Switch' };
+
+      expect(PriceBook.validate(book).isValid).toBe(true);
+    });
+
+    it('should reject an effective window that ends before it starts', () => {
+      const book = { ...PriceBook.createDefault(), effectiveFrom: '2024-06-01', effectiveTo: '2024-01-01' };
+
+      expect(PriceBook.validate(book).errors).toContain('effectiveTo must not be before effectiveFrom');
+    });
+  });
+
+  describe('selectEffective', () => {
+    it('should pick the latest book effective on the given date', () => {
+      const older = { ...PriceBook.createDefault(), version: '2024.1', effectiveFrom: '2024-01-01', effectiveTo: '2024-12-31' };
+      const newer = { ...PriceBook.createDefault(), version: '2025.1', effectiveFrom: '2025-01-01', effectiveTo: null };
+
+      expect(PriceBook.selectEffective([older, newer], '2024-06-30').version).toBe('2024.1');
+      expect(PriceBook.selectEffective([older, newer], '2025-03-01').version).toBe('2025.1');
+      expect(PriceBook.selectEffective([older, newer], '2023-01-01')).toBeNull();
+    });
+  });
+
+  describe('NaaSCalculator integration', () => {
+    it('should price from the loaded book and stamp its version on results', () => {
+      const book = PriceBook.createDefault();
+      book.version = '2025.2';
+      book.pricing.onboarding.baseImplementation.standard = 5000;
+
+      const calculator = new NaaSCalculator(book);
+      const result = calculator.calculateOnboarding({ complexity: 'standard', sites: 1, includeAssessment: false });
+
+      expect(result.totals.oneTime).toBe(5000);
+      expect(result.priceBook).toMatchObject({ id: 'naas-standard', version: '2025.2', currency: 'GBP' });
+    });
+
+    it('should stamp the price book on combined quotes', () => {
+      const calculator = new NaaSCalculator();
+      const quote = calculator.calculateCombinedQuote({
+        prtg: { enabled: true, params: { sensors: 100 } }
+      });
+
+      expect(quote.priceBook.version).toBe(PriceBook.DEFAULT.version);
+      expect(quote.components.prtg.priceBook.version).toBe(PriceBook.DEFAULT.version);
+    });
+
+    it('should use the active price book by default', () => {
+      const book = PriceBook.createDefault();
+      book.version = '2026.1';
+      PriceBook.setActive(book);
+
+      expect(new NaaSCalculator().getPriceBookReference().version).toBe('2026.1');
+    });
+
+    it('should refuse an invalid price book', () => {
+      expect(() => new NaaSCalculator({ id: 'broken' })).toThrow(/Invalid price book/);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * PRTG licence optimiser tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import AppConfig from '../../src/config.js';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import PRTGOptimiser from '../../src/core/prtg-optimiser.js';
+import '../../src/core/calculations.js';
+
+globalThis.AppConfig = AppConfig;
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('PRTGOptimiser', () => {
+  const optimiser = new PRTGOptimiser(new NaaSCalculator());
+
+  it('should report the cheaper tier just below the sensor count', () => {
+    const result = optimiser.analyse({ sensors: 510 });
+
+    expect(result.tier).toBe('up_to_1000');
+    expect(result.cheaperTier).toMatchObject({ tier: 'up_to_500', ceiling: 500, sensorsToDrop: 10, annualSaving: 11250 });
+    expect(result.cheaperTier.termSaving).toBeGreaterThan(result.cheaperTier.annualSaving);
+    expect(result.warnings.map(warning => warning.type)).toEqual(['above_boundary']);
+  });
+
+  it('should warn when the count is close below the next ceiling', () => {
+    const result = optimiser.analyse({ sensors: 480 });
+
+    expect(result.nextTier).toMatchObject({ tier: 'up_to_1000', ceiling: 500, headroom: 20, annualIncrease: 11250 });
+    expect(result.warnings.map(warning => warning.type)).toEqual(['below_boundary']);
+  });
+
+  it('should stay quiet away from a boundary', () => {
+    const result = optimiser.analyse({ sensors: 300 });
+
+    expect(result.cheaperTier).toMatchObject({ tier: 'up_to_100', sensorsToDrop: 200 });
+    expect(result.warnings).toEqual([]);
+    expect(result.suggestedDrops).toEqual([]);
+  });
+
+  it('should honour a configurable margin', () => {
+    expect(optimiser.analyse({ sensors: 540 }).warnings).toHaveLength(1);
+    expect(optimiser.analyse({ sensors: 540 }, { margin: 0.05 }).warnings).toEqual([]);
+    expect(optimiser.analyse({ sensors: 540 }).margin).toBe(AppConfig.PRTG_TIER_MARGIN);
+  });
+
+  it('should suggest the least valuable checked monitors to drop', () => {
+    const monitors = [
+      { device: 'ClearPass', monitor: 'ping' },
+      { device: 'ClearPass', monitor: 'softwareVersion' },
+      { device: 'Firewalls (Fortinet)', monitor: 'customCheck' },
+      { device: 'Firewalls (Fortinet)', monitor: 'loadAverage' }
+    ];
+
+    expect(optimiser.analyse({ sensors: 102 }, { monitors }).suggestedDrops).toEqual([
+      { device: 'ClearPass', monitor: 'softwareVersion' },
+      { device: 'Firewalls (Fortinet)', monitor: 'loadAverage' }
+    ]);
+  });
+
+  it('should flag locations and alert recipients beyond the included service', () => {
+    const result = optimiser.analyse({ sensors: 50, locations: 8, alertRecipients: 12 });
+
+    expect(result.warnings.map(warning => warning.type)).toEqual(['locations', 'alertRecipients']);
+    expect(result.warnings[0].message).toContain('trimming to 5');
+  });
+
+  it('should pass through calculation errors', () => {
+    expect(optimiser.analyse({ sensors: 0 }).error).toBe('Sensors must be a positive number');
+  });
+});
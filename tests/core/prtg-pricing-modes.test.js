@@ -0,0 +1,93 @@
+/**
+ * PRTG licence pricing mode tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+const calculatorFor = (pricingMode) => {
+  const book = PriceBook.createDefault();
+  book.pricing.prtg.pricingMode = pricingMode;
+  return new NaaSCalculator(book);
+};
+
+const licenseFor = (calculator, sensors) => calculator.calculatePRTG({ sensors }).breakdown.annualLicense;
+
+describe('PRTG licence pricing modes', () => {
+  it('should keep step tiers by default', () => {
+    const calculator = new NaaSCalculator();
+
+    expect(licenseFor(calculator, 500)).toBe(5850);
+    expect(licenseFor(calculator, 501)).toBe(11700);
+    expect(calculator.calculatePRTG({ sensors: 501 }).breakdown.sensorBands).toEqual([
+      { tier: 'up_to_1000', ceiling: 1000, sensors: 501, rate: 23.35, amount: 11700 }
+    ]);
+  });
+
+  it('should charge each band at its own rate in graduated mode', () => {
+    const calculator = calculatorFor('graduated');
+    const result = calculator.calculatePRTG({ sensors: 501 });
+
+    expect(result.breakdown.annualLicense).toBe(5861.7);
+    expect(result.metadata).toMatchObject({ sensorTier: 'up_to_1000', pricingMode: 'graduated' });
+    expect(result.breakdown.sensorBands).toEqual([
+      { tier: 'up_to_100', ceiling: 100, sensors: 100, rate: 23.4, amount: 2340 },
+      { tier: 'up_to_500', ceiling: 500, sensors: 400, rate: 8.78, amount: 3510 },
+      { tier: 'up_to_1000', ceiling: 1000, sensors: 1, rate: 11.7, amount: 11.7 }
+    ]);
+  });
+
+  it('should match step prices at every ceiling and stop at the unlimited price', () => {
+    const step = new NaaSCalculator();
+    const graduated = calculatorFor('graduated');
+
+    [100, 500, 1000, 2500, 5000].forEach(sensors => {
+      expect(licenseFor(graduated, sensors)).toBe(licenseFor(step, sensors));
+    });
+
+    const result = graduated.calculatePRTG({ sensors: 6000 });
+    expect(result.breakdown.annualLicense).toBe(46800);
+    expect(result.breakdown.sensorBands.at(-1)).toMatchObject({ tier: 'unlimited', sensors: 3500 });
+  });
+
+  it('should prorate within the tier but not below the tier beneath', () => {
+    const calculator = calculatorFor('prorated');
+
+    expect(licenseFor(calculator, 50)).toBe(1170);
+    expect(licenseFor(calculator, 200)).toBe(2340);
+    expect(licenseFor(calculator, 750)).toBe(8775);
+    expect(licenseFor(calculator, 9000)).toBe(46800);
+  });
+
+  it('should cost the licence under the same mode', () => {
+    const result = calculatorFor('graduated').calculatePRTG({ sensors: 50 });
+    const licenseLine = result.costing.lines.find(line => line.line === 'annualLicense');
+
+    expect(licenseLine.cost).toBeGreaterThan(0);
+    expect(licenseLine.cost).toBeLessThan(PriceBook.DEFAULT.costBasis.prtgLicense.up_to_100);
+  });
+
+  it('should validate the pricing mode and band ceilings', () => {
+    const book = PriceBook.createDefault();
+    book.pricing.prtg.pricingMode = 'tiered';
+    book.pricing.prtg.sensorBands.up_to_1000 = 400;
+
+    const { errors } = PriceBook.validate(book);
+    expect(errors).toContain("'prtg.pricingMode' must be one of step, graduated, prorated");
+    expect(errors).toContain("'prtg.sensorBands' ceilings must be positive and increase from one tier to the next");
+
+    const legacy = PriceBook.createDefault();
+    delete legacy.pricing.prtg.pricingMode;
+    delete legacy.pricing.prtg.sensorBands;
+    expect(PriceBook.validate(legacy).isValid).toBe(true);
+    expect(licenseFor(new NaaSCalculator(legacy), 501)).toBe(11700);
+  });
+});
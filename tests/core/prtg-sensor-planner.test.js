@@ -0,0 +1,179 @@
+/**
+ * PRTG sensor planner tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PRTGSensorPlanner from '../../src/core/prtg-sensor-planner.js';
+import PRTGOptimiser from '../../src/core/prtg-optimiser.js';
+import PriceBook from '../../src/core/price-book.js';
+
+describe('PRTGSensorPlanner', () => {
+  const planner = new PRTGSensorPlanner();
+
+  it('should multiply ticked monitors by device quantity', () => {
+    const plan = planner.plan([
+      { type: 'aruba_switch', quantity: 40, monitors: ['ping', 'uptime', 'portTraffic'] },
+      { type: 'clearpass', quantity: 1, monitors: ['ram', 'uptime'] }
+    ]);
+
+    expect(plan.rows[0]).toMatchObject({ name: 'HP Aruba Switches', sensorsPerDevice: 6, sensors: 240 });
+    expect(plan.rows[1]).toMatchObject({ sensorsPerDevice: 2, sensors: 2 });
+    expect(plan.totalSensors).toBe(242);
+  });
+
+  it('should ignore unknown device types, unknown monitors and bad quantities', () => {
+    const plan = planner.plan([
+      { type: 'toaster', quantity: 5, monitors: ['ping'] },
+      { type: 'router', quantity: 'lots', monitors: ['ping'] },
+      { type: 'airwave', quantity: 2, monitors: ['ping', 'telepathy'] }
+    ]);
+
+    expect(plan.rows.map(row => row.type)).toEqual(['router', 'airwave']);
+    expect(plan.totalSensors).toBe(2);
+  });
+
+  it('should start every device type with its template monitors', () => {
+    const rows = planner.createDefaultRows();
+
+    expect(rows).toHaveLength(Object.keys(planner.deviceTypes).length);
+    expect(rows.find(row => row.type === 'clearpass').monitors).toEqual(planner.deviceTypes.clearpass.monitors);
+    expect(planner.plan(rows).totalSensors).toBeGreaterThan(0);
+  });
+
+  it('should seed quantities from the capital equipment list', () => {
+    const rows = planner.seedFromEquipment([
+      { description: 'Aruba CX 6300 48-port switch', quantity: 12, unitCost: 2400 },
+      { description: 'FortiGate 100F', quantity: 2, unitCost: 3500 },
+      { description: 'Cisco ISR router', quantity: 1, unitCost: 2500 },
+      { sku: 'wireless_ap', quantity: 30 },
+      { description: 'Cat6 patch leads', quantity: 200, unitCost: 3 }
+    ], PriceBook.DEFAULT.pricing.capital.equipmentTypes);
+    const quantities = Object.fromEntries(rows.map(row => [row.type, row.quantity]));
+
+    expect(quantities).toMatchObject({ aruba_switch: 12, fortinet_firewall: 2, router: 1, wireless_ap: 30, clearpass: 0 });
+  });
+
+  it('should match description keywords as whole words, singular or plural', () => {
+    const classify = description => planner.classifyEquipment({ description });
+
+    expect(classify('HPE Aruba 2930F switches')).toBe('aruba_switch');
+    expect(classify('Aruba AP-515 access points')).toBe('wireless_ap');
+    expect(classify('FortiGate 60F firewalls')).toBe('fortinet_firewall');
+    expect(classify('Backup appliance')).toBeNull();
+    expect(classify('Switchgear cabinet')).toBeNull();
+  });
+
+  it('should not seed from equipment without monitored devices', () => {
+    expect(planner.seedFromEquipment([{ description: 'Rack', quantity: 1, unitCost: 900 }])).toBeNull();
+    expect(planner.seedFromEquipment()).toBeNull();
+  });
+
+  it('should list monitors with their sensors for drop suggestions', () => {
+    const plan = planner.plan([
+      { type: 'aruba_switch', quantity: 10, monitors: ['ping', 'softwareVersion'] },
+      { type: 'router', quantity: 0, monitors: ['ping'] }
+    ]);
+    const monitors = planner.listMonitors(plan);
+
+    expect(monitors).toEqual([
+      { device: 'HP Aruba Switches', monitor: 'ping', sensors: 10 },
+      { device: 'HP Aruba Switches', monitor: 'softwareVersion', sensors: 10 }
+    ]);
+    expect(PRTGOptimiser.suggestDrops(monitors, 5)).toEqual([monitors[1]]);
+  });
+});
+
+describe('PRTG catalogue', () => {
+  const merakiCatalogue = () => {
+    const catalogue = PRTGSensorPlanner.clone(PRTGSensorPlanner.DEFAULT_CATALOGUE);
+    catalogue.monitors.poeBudget = 'PoE Budget';
+    catalogue.deviceTypes = {
+      meraki_switch: {
+        name: 'Cisco Meraki Switches',
+        keywords: ['meraki'],
+        defaultQuantity: 2,
+        monitors: ['ping', 'uptime', 'poeBudget'],
+        sensorsPerMonitor: { poeBudget: 3 }
+      },
+      ...catalogue.deviceTypes
+    };
+    return catalogue;
+  };
+
+  it('should accept the shipped catalogue', () => {
+    expect(PRTGSensorPlanner.validate(PRTGSensorPlanner.DEFAULT_CATALOGUE)).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('should report unknown monitors, bad counts and bad patterns', () => {
+    const catalogue = PRTGSensorPlanner.clone(PRTGSensorPlanner.DEFAULT_CATALOGUE);
+    catalogue.deviceTypes.router.monitors.push('telepathy');
+    catalogue.deviceTypes.router.sensorsPerMonitor.portTraffic = 1.5;
+    catalogue.deviceTypes.router.keywords = ['router', '(('];
+    catalogue.deviceTypes.airwave.match = 'airwave';
+    catalogue.deviceTypes.airwave.defaultQuantity = -1;
+    catalogue.deviceTypes['bad id'] = { name: '', defaultQuantity: 0, monitors: [], sensorsPerMonitor: {} };
+
+    const { isValid, errors } = PRTGSensorPlanner.validate(catalogue);
+
+    expect(isValid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      "'deviceTypes.router.monitors' lists unknown monitor 'telepathy'",
+      "'deviceTypes.router.sensorsPerMonitor.portTraffic' must be a whole number of zero or more",
+      "'deviceTypes.router.keywords' must be a list of words or phrases",
+      "'deviceTypes.airwave.match' patterns are no longer supported, list keywords instead",
+      "'deviceTypes.airwave.defaultQuantity' must be a whole number of zero or more",
+      "'deviceTypes.bad id.name' must be a non-empty string"
+    ]));
+    expect(errors.some(error => error.startsWith("Device type id 'bad id'"))).toBe(true);
+    expect(PRTGSensorPlanner.validate({ monitors: {}, deviceTypes: {} }).errors).toEqual([
+      'At least one monitor is required',
+      'At least one device type is required'
+    ]);
+  });
+
+  it('should refuse to load an invalid catalogue', () => {
+    expect(() => new PRTGSensorPlanner({ monitors: { ping: 'Ping' } })).toThrow('Invalid PRTG catalogue');
+    expect(() => PRTGSensorPlanner.fromJSON('{"monitors":{},"deviceTypes":{}}')).toThrow('Invalid PRTG catalogue');
+  });
+
+  it('should round-trip a catalogue through JSON', () => {
+    const catalogue = merakiCatalogue();
+    const parsed = PRTGSensorPlanner.fromJSON(PRTGSensorPlanner.toJSON(catalogue));
+
+    expect(parsed).toEqual(catalogue);
+    expect(Object.keys(parsed.deviceTypes)[0]).toBe('meraki_switch');
+  });
+
+  it('should plan and seed with an added vendor and monitor', () => {
+    const custom = new PRTGSensorPlanner(merakiCatalogue());
+    const rows = custom.createDefaultRows();
+
+    expect(rows[0]).toEqual({ type: 'meraki_switch', quantity: 2, monitors: ['ping', 'uptime', 'poeBudget'] });
+    expect(custom.plan([rows[0]]).totalSensors).toBe(10);
+
+    // Listed above the catch-all switch type, so Meraki switches are matched first
+    const seeded = custom.seedFromEquipment([{ description: 'Meraki MS120 switch', quantity: 4, unitCost: 900 }]);
+    expect(seeded.find(row => row.type === 'meraki_switch').quantity).toBe(4);
+    expect(seeded.find(row => row.type === 'other_switch').quantity).toBe(0);
+  });
+
+  it('should bring saved rows in line with the catalogue', () => {
+    const custom = new PRTGSensorPlanner(merakiCatalogue());
+    const rows = custom.completeRows([
+      { type: 'router', quantity: 3, monitors: ['ping'] },
+      { type: 'retired_type', quantity: 9, monitors: ['ping'] }
+    ]);
+
+    expect(rows.map(row => row.type)).toEqual(Object.keys(custom.deviceTypes));
+    expect(rows.find(row => row.type === 'router')).toEqual({ type: 'router', quantity: 3, monitors: ['ping'] });
+    expect(rows[0]).toMatchObject({ type: 'meraki_switch', quantity: 0 });
+  });
+
+  it('should keep the planner catalogue independent of the one it was loaded from', () => {
+    const catalogue = merakiCatalogue();
+    const custom = new PRTGSensorPlanner(catalogue);
+    catalogue.deviceTypes.meraki_switch.name = 'Changed';
+
+    expect(custom.deviceTypes.meraki_switch.name).toBe('Cisco Meraki Switches');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Regional labour multiplier and tax tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import AppConfig from '../../src/config.js';
+import DependencyGraph from '../../src/core/dependency-graph.js';
+import CalculationOrchestrator from '../../src/core/calculation-orchestrator.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+globalThis.AppConfig = AppConfig;
+globalThis.DependencyGraph = DependencyGraph;
+const { NaaSCalculator } = window;
+
+describe('Regional labour rates', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should fall back to the default region', () => {
+    expect(calculator.getRegion().id).toBe('uk');
+    expect(calculator.getRegion('atlantis').id).toBe('uk');
+    expect(calculator.getRegion('us-ny')).toMatchObject({ labourMultiplier: 1.3, taxLabel: 'Sales tax' });
+  });
+
+  it('should scale onboarding engineer rates but not custom services', () => {
+    const params = { complexity: 'standard', sites: 3, customServices: [{ cost: 500 }] };
+    const uk = calculator.calculateOnboarding(params);
+    const london = calculator.calculateOnboarding({ ...params, region: 'uk-london' });
+
+    expect(london.breakdown.baseImplementation).toBeCloseTo(uk.breakdown.baseImplementation * 1.15, 6);
+    expect(london.breakdown.sitesCost).toBeCloseTo(uk.breakdown.sitesCost * 1.15, 6);
+    expect(london.breakdown.customServices).toBe(500);
+    expect(london.metadata).toMatchObject({ region: 'uk-london', labourMultiplier: 1.15 });
+  });
+
+  it('should scale assessment and admin engineering days', () => {
+    const assessment = calculator.calculateAssessment({ region: 'de' });
+    const baseAssessment = calculator.calculateAssessment({});
+    expect(assessment.breakdown.baseCost).toBeCloseTo(baseAssessment.breakdown.baseCost * 1.1, 6);
+    expect(assessment.breakdown.reportCost).toBe(baseAssessment.breakdown.reportCost);
+
+    const admin = calculator.calculateAdmin({ technicalDays: 2, l3EngineeringDays: 1, annualReviews: 1, region: 'us-ny' });
+    const baseAdmin = calculator.calculateAdmin({ technicalDays: 2, l3EngineeringDays: 1, annualReviews: 1 });
+    expect(admin.breakdown.technicalCost).toBeCloseTo(baseAdmin.breakdown.technicalCost * 1.3, 6);
+    expect(admin.breakdown.engineeringCost).toBeCloseTo(baseAdmin.breakdown.engineeringCost * 1.3, 6);
+    expect(admin.breakdown.reviewCost).toBe(baseAdmin.breakdown.reviewCost);
+  });
+});
+
+describe('Regional tax', () => {
+  const calculator = new NaaSCalculator();
+  const components = {
+    support: { enabled: true, params: { level: 'standard', deviceCount: 10 } },
+    onboarding: { enabled: true, params: { complexity: 'simple' } }
+  };
+
+  it('should itemise tax on one-time and recurring totals', () => {
+    const quote = calculator.calculateCombinedQuote(components, { region: 'ie' });
+
+    expect(quote.tax).toMatchObject({ region: { id: 'ie', name: 'Ireland' }, label: 'VAT', rate: 0.23 });
+    expect(quote.tax.amounts.oneTime).toBeCloseTo(quote.totals.oneTime * 0.23, 2);
+    expect(quote.tax.amounts.monthly).toBeCloseTo(quote.totals.monthly * 0.23, 2);
+    expect(quote.totalsWithTax.termTotal).toBeCloseTo(quote.totals.termTotal + quote.tax.amounts.termTotal, 2);
+    expect(calculator.describeTax(quote.tax)).toBe('VAT (23%)');
+  });
+
+  it('should keep totals net of tax and use the default region without one', () => {
+    const quote = calculator.calculateCombinedQuote(components);
+
+    expect(quote.tax.region.id).toBe('uk');
+    expect(quote.totalsWithTax.monthly).toBeCloseTo(quote.totals.monthly * 1.2, 2);
+  });
+
+  it('should convert tax amounts with the rest of the quote', () => {
+    const gbp = calculator.calculateCombinedQuote(components, { region: 'us-tx' });
+    const usd = calculator.calculateCombinedQuote(components, { region: 'us-tx', currency: 'USD' });
+
+    expect(usd.tax.rate).toBe(0.0825);
+    expect(usd.tax.amounts.monthly).toBeCloseTo(gbp.tax.amounts.monthly * 1.26, 1);
+    expect(usd.totalsWithTax.oneTime).toBeCloseTo(gbp.totalsWithTax.oneTime * 1.26, 1);
+  });
+
+  it('should validate region catalogues in price books', () => {
+    const book = PriceBook.createDefault();
+    book.regions.catalogue.ie.taxRate = 1.5;
+    book.regions.defaultRegion = 'mars';
+
+    const { errors } = PriceBook.validate(book);
+    expect(errors).toContain("'regions.catalogue.ie.taxRate' must be between 0 and 1");
+    expect(errors).toContain("Default region 'mars' is not in the region catalogue");
+
+    const legacy = PriceBook.createDefault();
+    delete legacy.regions;
+    expect(PriceBook.validate(legacy).isValid).toBe(true);
+    expect(new NaaSCalculator(legacy).getRegion().id).toBe('uk');
+  });
+});
+
+describe('Regional pricing through the calculation orchestrator', () => {
+  const calculator = new NaaSCalculator();
+  const components = {
+    onboarding: { enabled: true, params: { complexity: 'standard', sites: 3 } },
+    assessment: { enabled: true, params: { complexity: 'standard', deviceCount: 20, siteCount: 2 } },
+    admin: { enabled: true, params: { annualReviews: 1, technicalDays: 2 } }
+  };
+  const dataStore = {
+    getComponent: type => components[type],
+    getEnabledComponents: () => components,
+    getQuoteOptions: () => ({ termMonths: 48, region: 'uk-london' })
+  };
+
+  it('should price components with the project region and term, as the combined quote does', async () => {
+    const orchestrator = new CalculationOrchestrator(calculator, dataStore);
+    const quote = calculator.calculateCombinedQuote(components, dataStore.getQuoteOptions());
+
+    // The combined quote rounds its money to the penny
+    const expectSamePence = (actual, expected) => Object.keys(expected).forEach(key => {
+      if (typeof expected[key] === 'number') {
+        expect(actual[key]).toBeCloseTo(expected[key], 2);
+      } else {
+        expect(actual[key]).toEqual(expected[key]);
+      }
+    });
+
+    for (const type of Object.keys(components)) {
+      const result = await orchestrator.executeCalculation(type);
+
+      expect(result.metadata.region).toBe('uk-london');
+      expectSamePence(result.breakdown, quote.components[type].breakdown);
+      expectSamePence(result.totals, quote.components[type].totals);
+    }
+  });
+});
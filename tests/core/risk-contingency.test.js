@@ -0,0 +1,130 @@
+/**
+ * Risk register and contingency tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Risk contingency', () => {
+  const calculator = new NaaSCalculator();
+  const components = {
+    onboarding: { enabled: true, params: { complexity: 'standard', sites: 1, includeAssessment: false } },
+    support: { enabled: true, params: { level: 'basic', deviceCount: 4, includeEscalation: true } }
+  };
+  const risks = [
+    { name: 'Site access delays', probability: 0.3, impact: 5000, mitigationCost: 800 },
+    { name: 'Supplier lead time', probability: 0.2, impact: 2000, mitigationCost: null },
+    { name: 'Legacy cabling', probability: 0.5, impact: 1000, mitigationCost: 900 }
+  ];
+
+  it('should carry each risk at the cheaper of its expected loss and its mitigation cost', () => {
+    const contingency = calculator.calculateContingency(risks, 'standard', 100000);
+
+    expect(contingency.risks.map(risk => [risk.expectedLoss, risk.treatment, risk.amount])).toEqual([
+      [1500, 'mitigate', 800],
+      [400, 'accept', 400],
+      [500, 'accept', 500]
+    ]);
+    expect(contingency.expectedValue).toBe(1700);
+    expect(contingency.amount).toBe(1700);
+    expect(contingency.capped).toBe(false);
+  });
+
+  it('should cap the contingency at the complexity level share of the quote value', () => {
+    const simple = calculator.calculateContingency(risks, 'simple', 20000);
+    const enterprise = calculator.calculateContingency(risks, 'enterprise', 20000);
+
+    expect(simple).toMatchObject({ complexity: 'simple', capRate: 0.05, cap: 1000, amount: 1000, capped: true });
+    expect(enterprise).toMatchObject({ complexity: 'enterprise', capRate: 0.15, cap: 3000, amount: 1700, capped: false });
+  });
+
+  it('should use the standard cap for an unknown complexity level', () => {
+    const contingency = calculator.calculateContingency(risks, 'medium', 20000);
+
+    expect(contingency.complexity).toBe('standard');
+    expect(contingency.cap).toBe(1600);
+  });
+
+  it('should leave out risks with an invalid probability or impact', () => {
+    const contingency = calculator.calculateContingency([
+      ...risks,
+      { name: 'Certain', probability: 1.5, impact: 1000 },
+      { name: 'Negative', probability: 0.5, impact: -100 },
+      { name: 'Blank', probability: 'high', impact: 1000 }
+    ], 'enterprise', 100000);
+
+    expect(contingency.risks).toHaveLength(3);
+    expect(contingency.expectedValue).toBe(1700);
+  });
+
+  it('should add the contingency to the combined quote as an undiscounted one-time line', () => {
+    const options = { termMonths: 36, complexity: 'complex', manualAdjustment: 0.1 };
+    const plain = calculator.calculateCombinedQuote(components, options);
+    const quote = calculator.calculateCombinedQuote(components, { ...options, risks });
+
+    expect(plain.contingency.amount).toBe(0);
+    expect(quote.contingency.quoteValue).toBe(plain.subtotals.termTotal);
+    expect(quote.contingency.amount).toBe(1700);
+    expect(quote.totals.oneTime).toBeCloseTo(plain.totals.oneTime + 1700, 2);
+    expect(quote.totals.termTotal).toBe(plain.totals.termTotal + 1700);
+    expect(quote.totals.monthly).toBe(plain.totals.monthly);
+    expect(quote.adjustments.amounts).toEqual(plain.adjustments.amounts);
+    expect(quote.term.years[0].oneTime).toBe(plain.term.years[0].oneTime + 1700);
+    expect(quote.term.years[0].total).toBe(plain.term.years[0].total + 1700);
+    expect(quote.tax.amounts.oneTime).toBeCloseTo(quote.totals.oneTime * 0.2, 2);
+  });
+
+  it('should void an approval when the risk register changes the price', () => {
+    const plain = calculator.calculateCombinedQuote(components, { termMonths: 36 });
+    const quote = calculator.calculateCombinedQuote(components, { termMonths: 36, risks });
+
+    expect(quote.guardrails.fingerprint).not.toBe(plain.guardrails.fingerprint);
+  });
+
+  it('should land the contingency in month 1 of the cash flow and reconcile to the term total', () => {
+    const options = { termMonths: 36, risks };
+    const quote = calculator.calculateCombinedQuote(components, options);
+    const cashFlow = calculator.calculateCashFlowSchedule(components, options);
+
+    expect(cashFlow.rows[0].contingency).toBe(1700);
+    expect(cashFlow.rows[1].contingency).toBe(0);
+    expect(cashFlow.rows[0].total).toBeCloseTo(cashFlow.rows[0].subtotal - cashFlow.rows[0].discount + 1700, 2);
+    expect(cashFlow.totals.contingency).toBe(1700);
+    expect(Math.abs(cashFlow.totals.total - quote.totals.termTotal)).toBeLessThan(1);
+  });
+
+  it('should convert contingency amounts but not probabilities or the cap rate', () => {
+    const quote = calculator.calculateCombinedQuote(components, { termMonths: 36, risks, currency: 'EUR' });
+    const rate = quote.currency.rate;
+
+    expect(quote.contingency.capRate).toBe(0.08);
+    expect(quote.contingency.risks[0].probability).toBe(0.3);
+    expect(quote.contingency.risks[0].impact).toBeCloseTo(5000 * rate, 2);
+    expect(quote.contingency.risks[1].mitigationCost).toBeNull();
+    expect(quote.contingency.amount).toBeCloseTo(1700 * rate, 2);
+  });
+
+  it('should keep the contingency in customer-facing quotes', () => {
+    const quote = calculator.calculateCombinedQuote(components, { termMonths: 36, risks });
+
+    expect(calculator.toCustomerQuote(quote).contingency.amount).toBe(1700);
+  });
+
+  it('should validate contingency caps and accept price books without them', () => {
+    const book = PriceBook.clone(PriceBook.DEFAULT);
+    book.contingency.capRates.complex = 1.5;
+    expect(PriceBook.validate(book).errors).toContain("'contingency.capRates.complex' must be between 0 and 1");
+
+    delete book.contingency;
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    expect(new NaaSCalculator(book).calculateContingency(risks, 'simple', 10000).cap).toBe(500);
+  });
+});
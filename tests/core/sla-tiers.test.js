@@ -0,0 +1,129 @@
+/**
+ * SLA tier and service credit exposure tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('SLA tiers', () => {
+  const calculator = new NaaSCalculator();
+
+  it('should attach the assigned tier targets to support', () => {
+    const result = calculator.calculateSupport({ level: 'basic', deviceCount: 10, includeEscalation: false });
+
+    expect(result.sla.tier).toBe('bronze');
+    expect(result.sla.hours).toBe('8x5');
+    expect(result.sla.availability).toBe(0.995);
+    expect(result.sla.priorities).toEqual([
+      { priority: 'P1', responseHours: 4, resolutionHours: 24 },
+      { priority: 'P2', responseHours: 8, resolutionHours: 48 },
+      { priority: 'P3', responseHours: 16, resolutionHours: 80 },
+      { priority: 'P4', responseHours: 40, resolutionHours: 160 }
+    ]);
+    expect(result.sla.credits).toEqual([
+      { availabilityBelow: 0.995, creditRate: 0.05 },
+      { availabilityBelow: 0.99, creditRate: 0.10 }
+    ]);
+  });
+
+  it('should cap the credit exposure of each year at the tier maximum', () => {
+    const result = calculator.calculateSupport({ level: 'basic', deviceCount: 10, includeEscalation: false, contractTermMonths: 30 });
+
+    expect(result.sla.maxCreditRate).toBe(0.10);
+    expect(result.sla.exposure).toEqual(result.term.years.map(row => ({
+      year: row.year,
+      charges: row.total,
+      maxCredit: calculator.roundToCents(row.total * 0.10)
+    })));
+    expect(result.sla.exposure).toHaveLength(3);
+    expect(result.sla.exposure[2].maxCredit).toBeCloseTo(result.sla.exposure[0].maxCredit / 2, 2);
+    expect(result.sla.maxAnnualExposure).toBe(result.sla.exposure[0].maxCredit);
+  });
+
+  it('should grow the exposure with CPI escalation', () => {
+    const result = calculator.calculateSupport({ level: 'standard', deviceCount: 10, includeEscalation: true });
+
+    expect(result.sla.tier).toBe('silver');
+    expect(result.sla.exposure[1].maxCredit).toBeGreaterThan(result.sla.exposure[0].maxCredit);
+    expect(result.sla.maxAnnualExposure).toBe(result.sla.exposure[2].maxCredit);
+  });
+
+  it('should attach tiers to enhanced support levels', () => {
+    const premium = calculator.calculateEnhancedSupport({ level: 'premium', deviceCount: 20, includeEscalation: false });
+    const enhanced = calculator.calculateEnhancedSupport({ level: 'enhanced', deviceCount: 20, includeEscalation: false });
+
+    expect(premium.sla.tier).toBe('platinum');
+    expect(premium.sla.priorities[0]).toEqual({ priority: 'P1', responseHours: 0.25, resolutionHours: 2 });
+    expect(premium.sla.maxAnnualExposure).toBe(calculator.roundToCents(premium.totals.monthly * 12 * 0.25));
+    expect(enhanced.sla.tier).toBe('gold');
+  });
+
+  it('should leave levels without an assigned tier without an SLA', () => {
+    const book = PriceBook.clone(PriceBook.DEFAULT);
+    delete book.slas.assignments.support.basic;
+    const custom = new NaaSCalculator(book);
+
+    expect(custom.calculateSupport({ level: 'basic', deviceCount: 10 }).sla).toBeNull();
+  });
+
+  it('should keep the SLA on customer quotes', () => {
+    const quote = calculator.calculateCombinedQuote({
+      support: { enabled: true, params: { level: 'enhanced', deviceCount: 10 } }
+    });
+    const customer = calculator.toCustomerQuote(quote);
+
+    expect(customer.components.support.sla.tier).toBe('gold');
+  });
+
+  it('should convert credit amounts but not rates or targets', () => {
+    const result = calculator.calculateSupport({ level: 'basic', deviceCount: 10, includeEscalation: false });
+    const converted = new CurrencyConverter().convertResult(result, 2);
+
+    expect(converted.sla.availability).toBe(0.995);
+    expect(converted.sla.credits).toEqual(result.sla.credits);
+    expect(converted.sla.maxCreditRate).toBe(0.10);
+    expect(converted.sla.priorities).toEqual(result.sla.priorities);
+    expect(converted.sla.exposure[0].year).toBe(1);
+    expect(converted.sla.exposure[0].maxCredit).toBe(result.sla.exposure[0].maxCredit * 2);
+  });
+});
+
+describe('SLA validation', () => {
+  it('should accept the shipped SLA tiers', () => {
+    expect(PriceBook.validateSlas(PriceBook.DEFAULT.slas)).toEqual([]);
+  });
+
+  it('should reject targets, rates and assignments that do not make sense', () => {
+    const slas = PriceBook.clone(PriceBook.DEFAULT.slas);
+    slas.tiers.gold.availability = 1.5;
+    slas.tiers.gold.priorities.P2 = { responseHours: 10, resolutionHours: 8 };
+    delete slas.tiers.gold.priorities.P4;
+    slas.tiers.gold.credits[0].creditRate = 2;
+    slas.tiers.gold.maxCreditRate = -0.1;
+    slas.assignments.support.basic = 'diamond';
+
+    const errors = PriceBook.validateSlas(slas);
+
+    expect(errors).toContain("'slas.tiers.gold.availability' must be above 0 and at most 1");
+    expect(errors).toContain("'slas.tiers.gold.priorities.P2' response must not be later than resolution");
+    expect(errors).toContain("'slas.tiers.gold.priorities.P4' needs positive responseHours and resolutionHours");
+    expect(errors).toContain("'slas.tiers.gold.credits.0' needs availabilityBelow and creditRate between 0 and 1");
+    expect(errors).toContain("'slas.tiers.gold.maxCreditRate' must be between 0 and 1");
+    expect(errors).toContain("'slas.assignments.support.basic' names unknown SLA tier 'diamond'");
+  });
+
+  it('should validate SLAs as part of the price book', () => {
+    const book = PriceBook.clone(PriceBook.DEFAULT);
+    book.slas.tiers.silver.maxCreditRate = 3;
+
+    expect(PriceBook.validate(book).isValid).toBe(false);
+  });
+});
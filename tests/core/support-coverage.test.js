@@ -0,0 +1,131 @@
+/**
+ * Custom support coverage window tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import AppConfig from '../../src/config.js';
+import StorageManager from '../../src/services/storage-manager.js';
+import '../../src/core/calculations.js';
+
+globalThis.AppConfig = AppConfig;
+globalThis.StorageManager = StorageManager;
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Support coverage windows', () => {
+  const calculator = new NaaSCalculator();
+  const params = { level: 'standard', deviceCount: 10, includeEscalation: false };
+
+  it('should derive the package coverage from its hours', () => {
+    expect(calculator.getPackageCoverage({ hours: '8x5' })).toMatchObject({ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: 9, end: 17, bankHolidays: false });
+    expect(calculator.getPackageCoverage({ hours: '12x5' })).toMatchObject({ start: 7, end: 19 });
+    expect(calculator.getPackageCoverage({ hours: '24x7' })).toMatchObject({ start: 0, end: 24, bankHolidays: true });
+  });
+
+  it('should price a package-equivalent window at no adjustment', () => {
+    const result = calculator.calculateSupport({ ...params, customHours: { days: 'mon-fri', start: 7, end: 19 } });
+
+    expect(result.breakdown.coverageAdjustment).toBe(0);
+    expect(result.totals.monthly).toBe(750 + 350);
+  });
+
+  it('should uplift the price for Saturday cover from the hourly rate card', () => {
+    const result = calculator.calculateSupport({ ...params, customHours: { days: 'mon-sat', start: 7, end: 19 } });
+
+    // Saturday adds 12 out-of-hours hours a week: 78 weighted hours a month at 2% of the 112 blended rate
+    expect(result.breakdown.coverage.baseline.monthly).toBe(611.52);
+    expect(result.breakdown.coverage.windows[0].monthly).toBe(786.24);
+    expect(result.breakdown.coverageAdjustment).toBe(174.72);
+    expect(result.totals.monthly).toBe(750 + 350 + 174.72);
+    expect(result.breakdown.coverage.windows[0].label).toBe('Mon-Sat 07:00-19:00, bank holidays excluded');
+    expect(result.costing.lines.map(line => line.line)).toContain('coverageAdjustment');
+  });
+
+  it('should discount a narrower window', () => {
+    const result = calculator.calculateSupport({ ...params, customHours: { days: 'mon-fri', start: 9, end: 17 } });
+
+    expect(result.breakdown.coverageAdjustment).toBeLessThan(0);
+    expect(result.totals.monthly).toBeLessThan(750 + 350);
+  });
+
+  it('should never discount more than the package base', () => {
+    const result = calculator.calculateSupport({ level: 'enhanced', deviceCount: 10, includeEscalation: false, customHours: { days: 'mon', start: 9, end: 10 } });
+
+    expect(result.breakdown.coverage.adjustment).toBeLessThan(-1200);
+    expect(result.breakdown.coverageAdjustment).toBe(-1200);
+  });
+
+  it('should charge covered bank holidays at the bank holiday rate', () => {
+    const without = calculator.calculateSupport({ ...params, customHours: { days: 'mon-fri', start: 7, end: 19 } });
+    const withHolidays = calculator.calculateSupport({ ...params, customHours: { days: 'mon-fri', start: 7, end: 19, bankHolidays: true } });
+
+    // 8 days of 12 hours at double time instead of nothing
+    expect(withHolidays.breakdown.coverageAdjustment - without.breakdown.coverageAdjustment).toBeCloseTo(8 * 12 * 2 / 12 * 112 * 0.02, 2);
+  });
+
+  it('should price 24x7 cover for some devices by their share of the estate', () => {
+    const result = calculator.calculateSupport({
+      ...params,
+      customHours: [{ days: 'mon-sun', start: 0, end: 24, bankHolidays: true, devices: 4 }]
+    });
+
+    expect(result.breakdown.coverage.windows[0].monthly).toBe(2228.8);
+    expect(result.breakdown.coverage.windows[0].share).toBe(0.4);
+    expect(result.breakdown.coverageAdjustment).toBe(646.91);
+  });
+
+  it('should return an error for unusable windows', () => {
+    expect(calculator.calculateSupport({ ...params, customHours: { days: 'fri-mon', start: 8, end: 18 } }).error)
+      .toBe("Unknown coverage days 'fri-mon'");
+    expect(calculator.calculateSupport({ ...params, customHours: { days: 'mon-fri', start: 18, end: 8 } }).error)
+      .toBe('Coverage hours must start before they end, between 0 and 24');
+    expect(calculator.calculateSupport({ ...params, customHours: { days: '', start: 8, end: 18 } }).error)
+      .toBe('Coverage window must include at least one day');
+    expect(calculator.calculateSupport({ ...params, customHours: [{ days: 'mon-sun', devices: 8 }, { days: 'mon-sat', devices: 4 }] }).error)
+      .toBe('Coverage windows cover 12 devices but only 10 are supported');
+  });
+
+  it('should convert coverage amounts but not hours or shares', () => {
+    const result = calculator.calculateSupport({ ...params, customHours: [{ days: 'mon-sun', start: 0, end: 24, devices: 4 }] });
+    const converted = new CurrencyConverter().convertResult(result, 2);
+    const window = converted.breakdown.coverage.windows[0];
+
+    expect(window).toMatchObject({ start: 0, end: 24, hoursPerWeek: 168, share: 0.4, devices: 4 });
+    expect(window.adjustment).toBe(result.breakdown.coverage.windows[0].adjustment * 2);
+  });
+
+  it('should accept price books without a coverage card', () => {
+    const book = PriceBook.clone(PriceBook.DEFAULT);
+    delete book.pricing.support.coverage;
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    const result = new NaaSCalculator(book).calculateSupport({ ...params, customHours: { days: 'mon-sat', start: 7, end: 19 } });
+    expect(result.breakdown.coverageAdjustment).toBe(174.72);
+  });
+
+  it('should ignore a window that sets no days or hours', () => {
+
+
+    expect(calculator.calculateSupport({ ...params, level: 'enhanced', customHours: {} }).totals.monthly).toBe(1700);
+    expect(calculator.calculateSupport({ ...params, level: 'enhanced', customHours: [{ devices: 4 }] }).breakdown.coverageAdjustment).toBe(0);
+  });
+
+  it('should return to the package hours when custom coverage is cleared in the store', async () => {
+    const { default: QuoteDataStore } = await import('../../src/services/data-store.js');
+    const store = new QuoteDataStore();
+    const packagePrice = calculator.calculateSupport({ ...params, level: 'enhanced' }).totals.monthly;
+
+    store.updateComponentParams('support', { ...params, level: 'enhanced' });
+    store.updateComponentParams('support', { customHours: { days: 'mon-sat', start: 7, end: 19 } });
+    expect(calculator.calculateSupport(store.getComponent('support').params).totals.monthly).not.toBe(packagePrice);
+
+    store.updateComponentParams('support', { customHours: null });
+    expect(store.getComponent('support').params).not.toHaveProperty('customHours');
+    expect(calculator.calculateSupport(store.getComponent('support').params).totals.monthly).toBe(packagePrice);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Device-class support rate tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import PriceBook from '../../src/core/price-book.js';
+import CurrencyConverter from '../../src/core/currency-converter.js';
+import DiscountRules from '../../src/core/discount-rules.js';
+import '../../src/core/calculations.js';
+
+globalThis.PriceBook = PriceBook;
+globalThis.CurrencyConverter = CurrencyConverter;
+globalThis.DiscountRules = DiscountRules;
+const { NaaSCalculator } = window;
+
+describe('Support device classes', () => {
+  const calculator = new NaaSCalculator();
+  const capitalData = {
+    enabled: true,
+    params: {
+      equipment: [
+        { sku: 'firewall_small', quantity: 2 },
+        { sku: 'switch_48port', quantity: 6 },
+        { sku: 'wireless_ap', quantity: 10 },
+        { description: 'Console server', quantity: 1, unitCost: 800 }
+      ]
+    }
+  };
+
+  it('should charge each device at its equipment category rate', () => {
+    const result = calculator.calculateSupport({ level: 'basic', deviceCount: 10, includeEscalation: false }, { capitalData });
+
+    expect(result.breakdown.deviceClasses).toEqual([
+      { category: 'Firewall', devices: 2, rate: 40, monthly: 80 },
+      { category: 'Switch', devices: 6, rate: 20, monthly: 120 },
+      { category: 'Wireless', devices: 10, rate: 12, monthly: 120 },
+      { category: 'Unclassified', devices: 1, rate: 25, monthly: 25 }
+    ]);
+    expect(result.breakdown.deviceCount).toBe(19);
+    expect(result.totals.monthly).toBe(500 + 345);
+  });
+
+  it('should add devices beyond the equipment list as unclassified', () => {
+    const result = calculator.calculateSupport({ level: 'standard', deviceCount: 25, includeEscalation: false }, { capitalData });
+
+    expect(result.breakdown.deviceClasses.at(-1)).toEqual({ category: 'Unclassified', devices: 7, rate: 35, monthly: 245 });
+    expect(result.breakdown.deviceCount).toBe(25);
+  });
+
+  it('should charge the package default rate without capital equipment', () => {
+    const result = calculator.calculateSupport({ level: 'enhanced', deviceCount: 10, includeEscalation: false });
+
+    expect(result.breakdown.deviceClasses).toEqual([{ category: 'Unclassified', devices: 10, rate: 50, monthly: 500 }]);
+    expect(result.breakdown.deviceMonthly).toBe(500);
+  });
+
+  it('should fall back to the default rate for books and categories without a class rate', () => {
+    const book = PriceBook.createDefault();
+    delete book.pricing.support.packages.basic.perDeviceByCategory;
+    book.pricing.support.packages.standard.perDeviceByCategory = { Firewall: 70 };
+
+    expect(PriceBook.validate(book).isValid).toBe(true);
+    const older = new NaaSCalculator(book);
+    expect(older.calculateSupport({ level: 'basic', deviceCount: 1 }, { capitalData }).breakdown.deviceClasses)
+      .toEqual([{ category: 'Unclassified', devices: 19, rate: 25, monthly: 475 }]);
+    expect(older.calculateSupport({ level: 'standard', deviceCount: 1 }, { capitalData }).breakdown.deviceClasses.map(entry => entry.category))
+      .toEqual(['Firewall', 'Unclassified']);
+  });
+
+  it('should class support devices from the quote\'s capital equipment', () => {
+    const quote = calculator.calculateCombinedQuote({
+      capital: capitalData,
+      support: { enabled: true, params: { level: 'basic', deviceCount: 10, includeEscalation: false } }
+    });
+
+    expect(quote.components.support.breakdown.deviceClasses[0]).toMatchObject({ category: 'Firewall', devices: 2 });
+    expect(quote.components.support.totals.monthly).toBe(845);
+  });
+});
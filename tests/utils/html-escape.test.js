@@ -0,0 +1,19 @@
+/**
+ * HTML escaping tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import HTMLEscape from '../../src/utils/html-escape.js';
+
+describe('HTMLEscape', () => {
+  it('should escape markup and both quote characters', () => {
+    expect(HTMLEscape.escape(`<img src="x" onerror='alert(1)'> & more`))
+      .toBe('&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt; &amp; more');
+  });
+
+  it('should turn null and undefined into an empty string and stringify other values', () => {
+    expect(HTMLEscape.escape(null)).toBe('');
+    expect(HTMLEscape.escape(undefined)).toBe('');
+    expect(HTMLEscape.escape(0)).toBe('0');
+  });
+});